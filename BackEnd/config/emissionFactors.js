@@ -0,0 +1,209 @@
+/**
+ * Versioned emission factor sets
+ *
+ * Each factor converts one unit of activity into kg CO2e. A factor's `unit` is
+ * the base unit the calculation expects; activity quantities are converted to
+ * that unit before the factor is applied (see UNIT_CONVERSIONS in
+ * services/emissionService.js). Spend-based factors use an ISO currency code
+ * as their unit and are never converted between currencies.
+ *
+ * Never edit a published version in place - add a new version instead so that
+ * historical calculations stay reproducible.
+ */
+const FACTORS_2024_1 = [
+  // Spend-based (EEIO) averages for goods sold, used until line-level data is available
+  {
+    id: 'sales_order.spend.inr',
+    activityType: 'sales_order',
+    unit: 'INR',
+    kgCO2ePerUnit: 0.0042,
+    scope: 3,
+    category: 'Spend-based average (goods sold)',
+    source: 'Illustrative EEIO average, replace with inventory-specific factor'
+  },
+  {
+    id: 'sales_order.spend.usd',
+    activityType: 'sales_order',
+    unit: 'USD',
+    kgCO2ePerUnit: 0.35,
+    scope: 3,
+    category: 'Spend-based average (goods sold)',
+    source: 'Illustrative EEIO average, replace with inventory-specific factor'
+  },
+  {
+    id: 'sales_order.spend.eur',
+    activityType: 'sales_order',
+    unit: 'EUR',
+    kgCO2ePerUnit: 0.38,
+    scope: 3,
+    category: 'Spend-based average (goods sold)',
+    source: 'Illustrative EEIO average, replace with inventory-specific factor'
+  },
+  // Stationary and mobile combustion
+  {
+    id: 'fuel.diesel',
+    activityType: 'fuel.diesel',
+    unit: 'L',
+    kgCO2ePerUnit: 2.66155,
+    scope: 1,
+    category: 'Fuel combustion',
+    source: 'UK DESNZ GHG conversion factors 2023 (diesel, 100% mineral)'
+  },
+  {
+    id: 'fuel.petrol',
+    activityType: 'fuel.petrol',
+    unit: 'L',
+    kgCO2ePerUnit: 2.33969,
+    scope: 1,
+    category: 'Fuel combustion',
+    source: 'UK DESNZ GHG conversion factors 2023 (petrol, 100% mineral)'
+  },
+  {
+    id: 'fuel.lpg',
+    activityType: 'fuel.lpg',
+    unit: 'L',
+    kgCO2ePerUnit: 1.55713,
+    scope: 1,
+    category: 'Fuel combustion',
+    source: 'UK DESNZ GHG conversion factors 2023 (LPG)'
+  },
+  {
+    id: 'fuel.natural_gas',
+    activityType: 'fuel.natural_gas',
+    unit: 'm3',
+    kgCO2ePerUnit: 2.04542,
+    scope: 1,
+    category: 'Fuel combustion',
+    source: 'UK DESNZ GHG conversion factors 2023 (natural gas, volume)'
+  },
+  {
+    id: 'fuel.coal',
+    activityType: 'fuel.coal',
+    unit: 'kg',
+    kgCO2ePerUnit: 2.40,
+    scope: 1,
+    category: 'Fuel combustion',
+    source: 'UK DESNZ GHG conversion factors 2023 (coal, industrial)'
+  },
+  // Purchased electricity
+  {
+    id: 'electricity.grid.in',
+    activityType: 'electricity',
+    unit: 'kWh',
+    kgCO2ePerUnit: 0.716,
+    scope: 2,
+    category: 'Purchased electricity (location-based)',
+    source: 'CEA CO2 Baseline Database v19, India weighted average'
+  },
+  // Industrial process emissions
+  {
+    id: 'process.clinker',
+    activityType: 'process.clinker',
+    unit: 'kg',
+    kgCO2ePerUnit: 0.525,
+    scope: 1,
+    category: 'Process emissions (calcination)',
+    source: 'IPCC 2006 Guidelines Vol. 3, default clinker factor'
+  },
+  {
+    id: 'process.steel_bof',
+    activityType: 'process.steel_bof',
+    unit: 'kg',
+    kgCO2ePerUnit: 1.46,
+    scope: 1,
+    category: 'Process emissions (basic oxygen furnace)',
+    source: 'IPCC 2006 Guidelines Vol. 3, Tier 1 BOF factor'
+  },
+  // Freight
+  {
+    id: 'transport.road_freight',
+    activityType: 'transport.road_freight',
+    unit: 'tkm',
+    kgCO2ePerUnit: 0.10749,
+    scope: 3,
+    category: 'Road freight (average HGV)',
+    source: 'UK DESNZ GHG conversion factors 2023 (HGV, all diesel, average laden)'
+  }
+];
+
+// Spend-based (EEIO) averages for purchased goods and services, Scope 3 Category 1
+const PURCHASED_GOODS_FACTORS = [
+  {
+    id: 'purchased_goods.spend.inr',
+    activityType: 'purchased_goods',
+    unit: 'INR',
+    kgCO2ePerUnit: 0.0051,
+    scope: 3,
+    category: 'Purchased goods and services (Category 1, spend-based)',
+    source: 'Illustrative EEIO average, replace with inventory-specific factor'
+  },
+  {
+    id: 'purchased_goods.spend.usd',
+    activityType: 'purchased_goods',
+    unit: 'USD',
+    kgCO2ePerUnit: 0.42,
+    scope: 3,
+    category: 'Purchased goods and services (Category 1, spend-based)',
+    source: 'Illustrative EEIO average, replace with inventory-specific factor'
+  },
+  {
+    id: 'purchased_goods.spend.eur',
+    activityType: 'purchased_goods',
+    unit: 'EUR',
+    kgCO2ePerUnit: 0.45,
+    scope: 3,
+    category: 'Purchased goods and services (Category 1, spend-based)',
+    source: 'Illustrative EEIO average, replace with inventory-specific factor'
+  }
+];
+
+// Spend-based averages for purchased electricity, used when a utility bill carries no kWh
+const ELECTRICITY_SPEND_FACTORS = [
+  {
+    id: 'electricity.spend.inr',
+    activityType: 'electricity',
+    unit: 'INR',
+    kgCO2ePerUnit: 0.0895,
+    scope: 2,
+    category: 'Purchased electricity (spend-based)',
+    source: 'CEA grid average divided by an average industrial tariff of 8 INR/kWh'
+  },
+  {
+    id: 'electricity.spend.usd',
+    activityType: 'electricity',
+    unit: 'USD',
+    kgCO2ePerUnit: 2.5,
+    scope: 2,
+    category: 'Purchased electricity (spend-based)',
+    source: 'Illustrative average, replace with inventory-specific factor'
+  },
+  {
+    id: 'electricity.spend.eur',
+    activityType: 'electricity',
+    unit: 'EUR',
+    kgCO2ePerUnit: 1.2,
+    scope: 2,
+    category: 'Purchased electricity (spend-based)',
+    source: 'Illustrative average, replace with inventory-specific factor'
+  }
+];
+
+export const EMISSION_FACTOR_SETS = {
+  '2024.1': {
+    label: 'NetZero default factors 2024.1',
+    published: '2024-04-01',
+    factors: FACTORS_2024_1
+  },
+  '2024.2': {
+    label: 'NetZero default factors 2024.2 (adds purchased goods)',
+    published: '2024-07-01',
+    factors: [...FACTORS_2024_1, ...PURCHASED_GOODS_FACTORS]
+  },
+  '2024.3': {
+    label: 'NetZero default factors 2024.3 (adds spend-based electricity)',
+    published: '2024-09-01',
+    factors: [...FACTORS_2024_1, ...PURCHASED_GOODS_FACTORS, ...ELECTRICITY_SPEND_FACTORS]
+  }
+};
+
+export const DEFAULT_FACTOR_VERSION = '2024.3';
@@ -0,0 +1,202 @@
+import express from 'express';
+import {
+  calculateEmissions,
+  getFactorSet,
+  listFactorVersions,
+  salesOrdersToActivityRecords,
+  salesOrderLinesToActivityRecords,
+  purchaseOrdersToActivityRecords,
+  fuelLogsToActivityRecords,
+  vendorBillsToActivityRecords,
+  manufacturingOrdersToActivityRecords,
+  productionIntensity,
+  deliveriesToActivityRecords
+} from '../services/emissionService.js';
+import { listLanes, replaceLanes, validateLanes } from '../services/laneStore.js';
+
+const router = express.Router();
+
+/**
+ * Find the first element of the calculation arrays that has the wrong type:
+ * ownCarriers holds carrier names, every other array holds plain objects
+ * @param {Object} arrayFields - Arrays by field name
+ * @returns {string|null} Error message naming the field and index, or null when all are valid
+ */
+function invalidArrayElement(arrayFields) {
+  for (const [name, items] of Object.entries(arrayFields)) {
+    const expected = name === 'ownCarriers' ? 'a string' : 'an object';
+    const index = items.findIndex(item => (
+      name === 'ownCarriers'
+        ? typeof item !== 'string'
+        : item === null || typeof item !== 'object' || Array.isArray(item)
+    ));
+    if (index !== -1) {
+      return `${name}[${index}] must be ${expected}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * GET /api/emissions/factors
+ * List available emission factor versions
+ */
+router.get('/factors', (req, res) => {
+  res.json({
+    success: true,
+    versions: listFactorVersions()
+  });
+});
+
+/**
+ * GET /api/emissions/factors/:version
+ * Get all factors of one version
+ */
+router.get('/factors/:version', (req, res) => {
+  const factorSet = getFactorSet(req.params.version);
+
+  if (!factorSet) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown emission factor version: ${req.params.version}`
+    });
+  }
+
+  res.json({ success: true, ...factorSet });
+});
+
+/**
+ * GET /api/emissions/lanes
+ * List the transport lanes used to compute delivery distances
+ */
+router.get('/lanes', async (req, res) => {
+  try {
+    res.json({ success: true, lanes: await listLanes() });
+  } catch (error) {
+    console.error('List lanes error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list lanes'
+    });
+  }
+});
+
+/**
+ * PUT /api/emissions/lanes
+ * Replace the transport lanes
+ */
+router.put('/lanes', async (req, res) => {
+  try {
+    const { lanes } = req.body;
+    const laneError = validateLanes(lanes);
+
+    if (laneError) {
+      return res.status(400).json({ success: false, error: laneError });
+    }
+
+    res.json({ success: true, lanes: await replaceLanes(lanes) });
+  } catch (error) {
+    console.error('Save lanes error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to save lanes'
+    });
+  }
+});
+
+/**
+ * POST /api/emissions/calculate
+ * Calculate kg CO2e for activity records and/or formatted Odoo data
+ * (sales orders and lines, purchase orders, fleet fuel logs, vendor bills, manufacturing orders, deliveries)
+ */
+router.post('/calculate', async (req, res) => {
+  try {
+    const {
+      records = [],
+      salesOrders = [],
+      salesOrderLines = [],
+      purchaseOrders = [],
+      fuelLogs = [],
+      vendorBills = [],
+      manufacturingOrders = [],
+      deliveries = [],
+      productMappings = [],
+      workcenterMappings = [],
+      ownCarriers = [],
+      lanes,
+      factorVersion,
+      period
+    } = req.body;
+
+    const arrayFields = {
+      records,
+      salesOrders,
+      salesOrderLines,
+      purchaseOrders,
+      fuelLogs,
+      vendorBills,
+      manufacturingOrders,
+      deliveries,
+      productMappings,
+      workcenterMappings,
+      ownCarriers
+    };
+    const invalidFields = Object.keys(arrayFields).filter(name => !Array.isArray(arrayFields[name]));
+
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `These fields must be arrays: ${invalidFields.join(', ')}`
+      });
+    }
+
+    const elementError = invalidArrayElement(arrayFields);
+    if (elementError) {
+      return res.status(400).json({ success: false, error: elementError });
+    }
+
+    if (lanes !== undefined) {
+      const laneError = validateLanes(lanes);
+      if (laneError) {
+        return res.status(400).json({ success: false, error: laneError });
+      }
+    }
+
+    const activityRecords = [
+      ...records,
+      ...salesOrdersToActivityRecords(salesOrders),
+      ...salesOrderLinesToActivityRecords(salesOrderLines, productMappings),
+      ...purchaseOrdersToActivityRecords(purchaseOrders, productMappings),
+      ...fuelLogsToActivityRecords(fuelLogs),
+      ...vendorBillsToActivityRecords(vendorBills, productMappings),
+      ...manufacturingOrdersToActivityRecords(manufacturingOrders, productMappings, workcenterMappings),
+      ...deliveriesToActivityRecords(
+        deliveries,
+        lanes ?? (deliveries.length > 0 ? await listLanes() : []),
+        ownCarriers
+      )
+    ];
+    const result = calculateEmissions(activityRecords, { factorVersion, period });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    if (manufacturingOrders.length > 0) {
+      result.productionIntensity = productionIntensity(manufacturingOrders, result.records);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Emission calculation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to calculate emissions'
+    });
+  }
+});
+
+export const emissionRoutes = router;
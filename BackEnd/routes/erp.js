@@ -0,0 +1,248 @@
+import express from 'express';
+import { authenticateERPNext, fetchERPNextSummary } from '../services/erpnextService.js';
+import {
+  saveConnection,
+  getConnection,
+  deleteConnection,
+  isConnectionId,
+  CredentialsUnreadableError
+} from '../services/credentialVault.js';
+import { diagnoseERPNextConnection } from '../services/connectionDiagnostics.js';
+import {
+  validateTlsSettings,
+  normalizeTlsSettings,
+  describeTlsSettings,
+  recordTlsChange
+} from '../services/tlsSettings.js';
+
+const router = express.Router();
+
+/**
+ * Build an ERPNext connection from the request body.
+ * Key-Secret sends `secret` as "api_key:api_secret"; Username & Password sends
+ * `username` and `password` (or a legacy "username:password" secret).
+ * Optional `tls` settings are validated and added to the connection.
+ * @returns {{connection?: Object, error?: string}}
+ */
+function connectionFromBody({ url, secret, username, password, connectionMethod = 'URL_SECRET', tls }) {
+  if (!url) {
+    return { error: 'Missing required field: url' };
+  }
+
+  const fields = { url, secret, username, password };
+  const invalidField = Object.keys(fields).find(name => (
+    fields[name] !== undefined && fields[name] !== null && typeof fields[name] !== 'string'
+  ));
+  if (invalidField) {
+    return { error: `${invalidField} must be a string` };
+  }
+
+  const tlsError = validateTlsSettings(tls);
+  if (tlsError) {
+    return { error: tlsError };
+  }
+  tls = normalizeTlsSettings(tls);
+
+  if (connectionMethod === 'USER_PASS') {
+    if (!username && secret && secret.includes(':')) {
+      username = secret.slice(0, secret.indexOf(':'));
+      password = secret.slice(secret.indexOf(':') + 1);
+    }
+    if (!username || !password) {
+      return { error: 'Missing required fields: username, password' };
+    }
+    return { connection: { url, username, password, tls } };
+  }
+
+  if (connectionMethod !== 'URL_SECRET') {
+    return { error: `Unsupported connection method for ERPNext: ${connectionMethod}` };
+  }
+
+  // Token is "api_key:api_secret"
+  const separator = secret ? secret.indexOf(':') : -1;
+  if (separator <= 0 || separator === secret.length - 1) {
+    return { error: 'Secret must be in the format api_key:api_secret' };
+  }
+  return {
+    connection: {
+      url,
+      apiKey: secret.slice(0, separator),
+      apiSecret: secret.slice(separator + 1),
+      tls
+    }
+  };
+}
+
+/**
+ * Load the stored ERPNext connection named by `connectionId` in the request body.
+ * Sends the error response itself and returns null when it cannot be used.
+ */
+async function resolveConnection(req, res) {
+  let stored;
+  try {
+    stored = await getConnection(req.body.connectionId, 'erpnext');
+  } catch (error) {
+    if (!(error instanceof CredentialsUnreadableError)) throw error;
+    res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    return null;
+  }
+  if (!stored) {
+    res.status(404).json({
+      success: false,
+      error: 'Connection not found. Please connect to ERPNext again.',
+      code: 'CONNECTION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return { ...stored.credentials, tls: normalizeTlsSettings(stored.settings.tls) };
+}
+
+/**
+ * POST /api/erp/connect
+ * Authenticate with ERPNext and return a summary of the instance.
+ * New credentials are stored in the vault and a connectionId is returned; with only a
+ * connectionId the stored connection is re-tested.
+ */
+router.post('/connect', async (req, res) => {
+  try {
+    const { erpSystem = 'ERPNEXT', connectionId: storedId, url } = req.body;
+
+    if (erpSystem !== 'ERPNEXT') {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported ERP system: ${erpSystem}`
+      });
+    }
+
+    const isNewConnection = !storedId || url;
+    let connection;
+    if (isNewConnection) {
+      const parsed = connectionFromBody(req.body);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsed.error
+        });
+      }
+      connection = parsed.connection;
+    } else {
+      connection = await resolveConnection(req, res);
+      if (!connection) return;
+    }
+
+    // Authenticate with ERPNext
+    const authResult = await authenticateERPNext(connection);
+
+    if (!authResult.success) {
+      // An open circuit breaker means the site is down, not that the credentials are wrong
+      if (authResult.code === 'ERPNEXT_UNAVAILABLE') {
+        return res.status(503).json({
+          success: false,
+          error: authResult.error,
+          code: authResult.code,
+          retryAt: authResult.retryAt
+        });
+      }
+      return res.status(401).json({
+        success: false,
+        error: authResult.error || 'Authentication failed'
+      });
+    }
+
+    const summary = await fetchERPNextSummary(connection);
+    const { tls, ...credentials } = connection;
+    let connectionId = storedId;
+    if (isNewConnection) {
+      connectionId = await saveConnection('erpnext', credentials, { tls });
+      if (!tls.verify || tls.caCertificate) {
+        await recordTlsChange({ connectionId, type: 'erpnext', url: connection.url, settings: tls, actor: req.ip });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Successfully connected to ERPNext',
+      authenticatedUser: authResult.user,
+      connectionId,
+      summary,
+      tls: describeTlsSettings(tls)
+    });
+  } catch (error) {
+    console.error('ERPNext connection error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to connect to ERPNext'
+    });
+  }
+});
+
+/**
+ * POST /api/erp/diagnostics
+ * Test an ERPNext connection stage by stage (DNS, TLS, API, login, DocType access)
+ * and return a checklist with a fix hint for each failed step.
+ * Takes the body of /connect, or a connectionId to diagnose a stored connection.
+ */
+router.post('/diagnostics', async (req, res) => {
+  try {
+    let connection;
+    if (req.body.connectionId && !req.body.url) {
+      connection = await resolveConnection(req, res);
+      if (!connection) return;
+    } else {
+      const parsed = connectionFromBody(req.body);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsed.error
+        });
+      }
+      connection = parsed.connection;
+    }
+
+    res.json(await diagnoseERPNextConnection(connection));
+  } catch (error) {
+    console.error('ERPNext diagnostics error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to run diagnostics'
+    });
+  }
+});
+
+/**
+ * DELETE /api/erp/connections/:connectionId
+ * Remove a stored ERPNext connection profile. The deletion is audited with the client IP.
+ */
+router.delete('/connections/:connectionId', async (req, res) => {
+  try {
+    if (!isConnectionId(req.params.connectionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'connectionId must be a connection id returned by /connect',
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const deleted = await deleteConnection(req.params.connectionId, 'erpnext', { actor: req.ip });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Connection not found',
+        code: 'CONNECTION_NOT_FOUND'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete ERPNext connection error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete connection',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export const erpRoutes = router;
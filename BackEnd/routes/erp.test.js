@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { erpRoutes } from './erp.js';
+import { saveConnection, getConnection } from '../services/credentialVault.js';
+
+let server;
+let baseUrl;
+let dataDir;
+const previousEnv = {};
+
+before(async () => {
+  for (const name of ['DATA_DIR', 'CREDENTIAL_VAULT_KEY']) previousEnv[name] = process.env[name];
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'netzero-erp-'));
+  process.env.DATA_DIR = dataDir;
+  process.env.CREDENTIAL_VAULT_KEY = 'erp-routes-test-key';
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/erp', erpRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/erp`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  for (const [name, value] of Object.entries(previousEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const credentials = { url: 'https://erp.example.com', apiKey: 'key', apiSecret: 'secret' };
+
+test('DELETE /api/erp/connections/:connectionId removes a stored ERPNext connection once', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const connectionId = await saveConnection('erpnext', credentials, { tls: { verify: true } });
+
+  const deleted = await fetch(`${baseUrl}/connections/${connectionId}`, { method: 'DELETE' });
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(await deleted.json(), { success: true });
+  assert.equal(await getConnection(connectionId, 'erpnext'), null);
+
+  const again = await fetch(`${baseUrl}/connections/${connectionId}`, { method: 'DELETE' });
+  assert.equal(again.status, 404);
+  assert.equal((await again.json()).code, 'CONNECTION_NOT_FOUND');
+});
+
+test('DELETE /api/erp/connections/:connectionId leaves connections of other sources alone', async () => {
+  const connectionId = await saveConnection('odoo', { ...credentials, dbName: 'prod' });
+
+  const response = await fetch(`${baseUrl}/connections/${connectionId}`, { method: 'DELETE' });
+  assert.equal(response.status, 404);
+  assert.notEqual(await getConnection(connectionId, 'odoo'), null);
+
+  const invalid = await fetch(`${baseUrl}/connections/not-an-id`, { method: 'DELETE' });
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).code, 'INVALID_REQUEST');
+});
+
+test('POST /api/erp/connect and /diagnostics answer 404 for an unknown stored connection', async () => {
+  for (const route of ['connect', 'diagnostics']) {
+    const response = await fetch(`${baseUrl}/${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ connectionId: '5b7d1f0e-6a1c-4c43-9d0f-2f6f3c1e8a90' })
+    });
+
+    assert.equal(response.status, 404, route);
+    assert.equal((await response.json()).code, 'CONNECTION_NOT_FOUND');
+  }
+});
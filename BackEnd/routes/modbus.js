@@ -0,0 +1,349 @@
+import express from 'express';
+import {
+  validateModbusDevice,
+  validateRegisterMap,
+  normalizeRegisterMap,
+  testModbusDevice,
+  readMeterRegisters
+} from '../services/modbusService.js';
+import {
+  MODBUS_ACTIVITY_MODEL,
+  modbusDeviceFromProfile,
+  pollModbusDevice,
+  scheduleModbusPolls
+} from '../services/modbusPoller.js';
+import {
+  saveConnection,
+  getConnection,
+  deleteConnection,
+  updateConnectionSettings,
+  CredentialsUnreadableError
+} from '../services/credentialVault.js';
+import { getSyncStatus, listSyncedRecords, saveWatermark, deleteSyncData } from '../services/syncStore.js';
+import { validatePullInterval, unschedulePulls, getPullSchedule } from '../services/pullSchedules.js';
+import { PERIOD_MINUTES, DEFAULT_PERIOD_MINUTES } from '../services/activityMapping.js';
+
+const router = express.Router();
+
+/**
+ * Send a failed service result with its HTTP status and machine-readable code
+ */
+function sendFailure(res, result, fallbackMessage) {
+  res.status(result.status || 500).json({
+    success: false,
+    error: result.error || fallbackMessage,
+    code: result.code || 'MODBUS_ERROR'
+  });
+}
+
+/**
+ * Resolve the stored Modbus device for a request body with a deviceId.
+ * Sends the error response itself and returns null when it cannot be resolved.
+ * @returns {Promise<{device: Object, settings: Object}|null>}
+ */
+async function resolveDevice(req, res) {
+  const { deviceId } = req.body;
+
+  if (!deviceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Missing required field: deviceId',
+      code: 'INVALID_REQUEST'
+    });
+    return null;
+  }
+
+  let profile;
+  try {
+    profile = await getConnection(deviceId, 'modbus');
+  } catch (error) {
+    if (!(error instanceof CredentialsUnreadableError)) throw error;
+    res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    return null;
+  }
+  if (!profile) {
+    res.status(404).json({
+      success: false,
+      error: 'Device not found. Please register it again.',
+      code: 'CONNECTION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return { device: modbusDeviceFromProfile(profile), settings: profile.settings };
+}
+
+/**
+ * Send a 400 with code INVALID_REQUEST
+ */
+function sendInvalid(res, error) {
+  res.status(400).json({ success: false, error, code: 'INVALID_REQUEST' });
+}
+
+/**
+ * POST /api/modbus/devices
+ * Register a device: name, host, port (502 by default), unitId (1 by default) and an
+ * optional site. The host must accept a TCP connection.
+ */
+router.post('/devices', async (req, res) => {
+  try {
+    const { name, site } = req.body;
+
+    if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+      return sendInvalid(res, 'name must be a non-empty string of at most 64 characters');
+    }
+    if (site !== undefined && site !== null && typeof site !== 'string') {
+      return sendInvalid(res, 'site must be a string');
+    }
+
+    const validated = validateModbusDevice(req.body);
+    if (validated.error) return sendInvalid(res, validated.error);
+
+    const result = await testModbusDevice(validated.device);
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to connect to the device');
+    }
+
+    const settings = { name: name.trim(), site: site?.trim() || null, registers: [], intervalMinutes: null, periodMinutes: DEFAULT_PERIOD_MINUTES };
+    const deviceId = await saveConnection('modbus', validated.device, settings);
+
+    res.json({
+      success: true,
+      message: 'Successfully connected to the device',
+      deviceId,
+      ...validated.device,
+      name: settings.name,
+      site: settings.site
+    });
+  } catch (error) {
+    console.error('Modbus device error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to register the device',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/modbus/devices/:deviceId
+ * Stop polling a device and remove it with its stored readings
+ */
+router.delete('/devices/:deviceId', async (req, res) => {
+  try {
+    const deleted = await deleteConnection(req.params.deviceId, 'modbus', { actor: req.ip });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found',
+        code: 'CONNECTION_NOT_FOUND'
+      });
+    }
+
+    unschedulePulls(req.params.deviceId);
+    await deleteSyncData(req.params.deviceId);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete Modbus device error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete device',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/modbus/read
+ * Read a register map once without storing anything, to check addresses, data types
+ * and scaling against the meter's display
+ */
+router.post('/read', async (req, res) => {
+  try {
+    const { registers } = req.body;
+
+    const registersError = validateRegisterMap(registers);
+    if (registersError) return sendInvalid(res, registersError);
+
+    const resolved = await resolveDevice(req, res);
+    if (!resolved) return;
+
+    const result = await readMeterRegisters(resolved.device, normalizeRegisterMap(registers));
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to read the device');
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Modbus read error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read the device',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/modbus/registers
+ * Save a device's register map, polling interval and period length, and poll it once. A changed
+ * register map starts every counter over from this poll; stored readings are kept.
+ */
+router.post('/registers', async (req, res) => {
+  try {
+    const { deviceId, registers, intervalMinutes = null, periodMinutes = DEFAULT_PERIOD_MINUTES } = req.body;
+
+    const registersError = validateRegisterMap(registers);
+    if (registersError) return sendInvalid(res, registersError);
+
+    const intervalError = validatePullInterval(intervalMinutes);
+    if (intervalError) return sendInvalid(res, intervalError);
+
+    if (!PERIOD_MINUTES.includes(periodMinutes)) {
+      return sendInvalid(res, `periodMinutes must be one of: ${PERIOD_MINUTES.join(', ')}`);
+    }
+
+    const resolved = await resolveDevice(req, res);
+    if (!resolved) return;
+
+    const normalized = normalizeRegisterMap(registers);
+
+    // Reading once checks every register before the map is saved
+    const check = await readMeterRegisters(resolved.device, normalized);
+    if (!check.success) {
+      return sendFailure(res, check, 'Failed to read the device');
+    }
+
+    const changed = JSON.stringify(resolved.settings.registers) !== JSON.stringify(normalized);
+    if (changed) {
+      await saveWatermark(deviceId, MODBUS_ACTIVITY_MODEL, null);
+    }
+
+    const settings = { ...resolved.settings, registers: normalized, intervalMinutes, periodMinutes };
+    await updateConnectionSettings(deviceId, 'modbus', { registers: normalized, intervalMinutes, periodMinutes });
+    const poll = await pollModbusDevice(deviceId, resolved.device, settings);
+    scheduleModbusPolls(deviceId, intervalMinutes);
+
+    res.json({
+      success: true,
+      registers: normalized,
+      intervalMinutes,
+      periodMinutes,
+      schedule: getPullSchedule(deviceId),
+      countersReset: changed && resolved.settings.registers.length > 0,
+      poll
+    });
+  } catch (error) {
+    console.error('Save Modbus registers error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to save the registers',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/modbus/poll
+ * Poll a device now, outside the schedule
+ */
+router.post('/poll', async (req, res) => {
+  try {
+    const resolved = await resolveDevice(req, res);
+    if (!resolved) return;
+
+    if (!resolved.settings.registers.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Add the energy registers of the device first',
+        code: 'MODBUS_REGISTERS_NOT_CONFIGURED'
+      });
+    }
+
+    const result = await pollModbusDevice(req.body.deviceId, resolved.device, resolved.settings);
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to poll the device');
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Modbus poll error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to poll the device',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/modbus/status
+ * Get a device with its register map and schedule, the last reading of every counter,
+ * its last poll and record count
+ */
+router.post('/status', async (req, res) => {
+  try {
+    const resolved = await resolveDevice(req, res);
+    if (!resolved) return;
+
+    const { deviceId } = req.body;
+    const { name, site, registers, intervalMinutes, periodMinutes } = resolved.settings;
+    const sync = (await getSyncStatus(deviceId)).find(model => model.model === MODBUS_ACTIVITY_MODEL);
+
+    res.json({
+      success: true,
+      ...resolved.device,
+      name,
+      site,
+      registers,
+      intervalMinutes,
+      periodMinutes: periodMinutes ?? DEFAULT_PERIOD_MINUTES,
+      schedule: getPullSchedule(deviceId),
+      counters: sync?.watermark ?? null,
+      lastRun: sync?.lastRun ?? null,
+      recordCount: sync?.recordCount ?? 0
+    });
+  } catch (error) {
+    console.error('Modbus status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get the status',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/modbus/records
+ * Read stored energy readings, newest first. They can be sent as `records`
+ * to /api/emissions/calculate.
+ */
+router.post('/records', async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.body;
+
+    const resolved = await resolveDevice(req, res);
+    if (!resolved) return;
+
+    const { records, count } = await listSyncedRecords(req.body.deviceId, MODBUS_ACTIVITY_MODEL, { limit, offset });
+
+    res.json({
+      success: true,
+      data: records,
+      count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Read Modbus readings error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read stored readings',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export const modbusRoutes = router;
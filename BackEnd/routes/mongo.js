@@ -0,0 +1,400 @@
+import express from 'express';
+import {
+  validateMongoCredentials,
+  validateMongoSource,
+  validateMongoMapping,
+  maskMongoUri,
+  mongoUsesTls,
+  testMongoConnection,
+  listMongoCollections,
+  previewMongoSource
+} from '../services/mongoService.js';
+import {
+  MONGO_ACTIVITY_MODEL,
+  mongoConnectionFromProfile,
+  pullMongoSource,
+  scheduleMongoPulls
+} from '../services/mongoSync.js';
+import { validatePullInterval, unschedulePulls, getPullSchedule } from '../services/pullSchedules.js';
+import {
+  saveConnection,
+  getConnection,
+  deleteConnection,
+  updateConnectionSettings,
+  CredentialsUnreadableError
+} from '../services/credentialVault.js';
+import { getSyncStatus, listSyncedRecords, deleteSyncData } from '../services/syncStore.js';
+import {
+  validateTlsSettings,
+  normalizeTlsSettings,
+  describeTlsSettings,
+  recordTlsChange
+} from '../services/tlsSettings.js';
+
+const router = express.Router();
+
+/**
+ * Send a failed service result with its HTTP status and machine-readable code
+ */
+function sendFailure(res, result, fallbackMessage) {
+  res.status(result.status || 500).json({
+    success: false,
+    error: result.error || fallbackMessage,
+    code: result.code || 'MONGO_ERROR'
+  });
+}
+
+/**
+ * Resolve the stored MongoDB connection for a request body with a connectionId.
+ * Sends the error response itself and returns null when it cannot be resolved.
+ * @returns {Promise<{connection: Object, settings: Object}|null>}
+ */
+async function resolveConnection(req, res) {
+  const { connectionId } = req.body;
+
+  if (!connectionId) {
+    res.status(400).json({
+      success: false,
+      error: 'Missing required field: connectionId',
+      code: 'INVALID_REQUEST'
+    });
+    return null;
+  }
+
+  let profile;
+  try {
+    profile = await getConnection(connectionId, 'mongodb');
+  } catch (error) {
+    if (!(error instanceof CredentialsUnreadableError)) throw error;
+    res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    return null;
+  }
+  if (!profile) {
+    res.status(404).json({
+      success: false,
+      error: 'Connection not found. Please connect to the database again.',
+      code: 'CONNECTION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return { connection: mongoConnectionFromProfile(profile), settings: profile.settings };
+}
+
+/**
+ * Send a 400 with code INVALID_REQUEST
+ */
+function sendInvalid(res, error) {
+  res.status(400).json({ success: false, error, code: 'INVALID_REQUEST' });
+}
+
+/**
+ * POST /api/mongo/connect
+ * Test a MongoDB connection string (`uri`) and store it, with optional `tls` settings
+ * for connections that use TLS. With only a connectionId the stored connection is re-tested.
+ */
+router.post('/connect', async (req, res) => {
+  try {
+    const { connectionId, uri } = req.body;
+    const isNewConnection = !connectionId || uri;
+
+    let credentials;
+    let connection;
+    let tls;
+    if (isNewConnection) {
+      const validated = validateMongoCredentials(req.body);
+      if (validated.error) return sendInvalid(res, validated.error);
+      credentials = validated.credentials;
+
+      const tlsError = validateTlsSettings(req.body.tls);
+      if (tlsError) return sendInvalid(res, tlsError);
+
+      tls = normalizeTlsSettings(req.body.tls);
+      connection = { ...credentials, tls };
+    } else {
+      const resolved = await resolveConnection(req, res);
+      if (!resolved) return;
+      connection = resolved.connection;
+      tls = connection.tls;
+    }
+
+    const result = await testMongoConnection(connection);
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to connect to the database');
+    }
+
+    const usesTls = mongoUsesTls(connection.uri);
+    let storedConnectionId = connectionId;
+    if (isNewConnection) {
+      storedConnectionId = await saveConnection('mongodb', credentials, { tls });
+      if (usesTls && (!tls.verify || tls.caCertificate)) {
+        await recordTlsChange({
+          connectionId: storedConnectionId,
+          type: 'mongodb',
+          url: maskMongoUri(connection.uri),
+          settings: tls,
+          actor: req.ip
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Successfully connected to the database',
+      connectionId: storedConnectionId,
+      uri: maskMongoUri(connection.uri),
+      serverVersion: result.serverVersion,
+      tls: usesTls ? describeTlsSettings(tls) : null
+    });
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to connect to the database',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/mongo/connections/:connectionId
+ * Remove a stored MongoDB connection, its schedule and its pulled records
+ */
+router.delete('/connections/:connectionId', async (req, res) => {
+  try {
+    const deleted = await deleteConnection(req.params.connectionId, 'mongodb', { actor: req.ip });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Connection not found',
+        code: 'CONNECTION_NOT_FOUND'
+      });
+    }
+
+    unschedulePulls(req.params.connectionId);
+    await deleteSyncData(req.params.connectionId);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete MongoDB connection error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete connection',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/mongo/collections
+ * List the databases of a connection with their collections
+ */
+router.post('/collections', async (req, res) => {
+  try {
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const result = await listMongoCollections(resolved.connection);
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to list collections');
+    }
+
+    res.json({ success: true, databases: result.databases });
+  } catch (error) {
+    console.error('List MongoDB collections error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list collections',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/mongo/preview
+ * Read the first documents (at most 50) of a source, with the field paths found in them
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const { source, limit = 20 } = req.body;
+
+    const sourceError = validateMongoSource(source);
+    if (sourceError) return sendInvalid(res, sourceError);
+
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const result = await previewMongoSource(resolved.connection, source, { limit });
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to read the source');
+    }
+
+    res.json({ success: true, fields: result.fields, documents: result.documents });
+  } catch (error) {
+    console.error('MongoDB preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read the source',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/mongo/source
+ * Set the source (database, collection and aggregation stages), its field mapping, the
+ * watermark used for incremental pulls and the pull interval. Changing any of the first
+ * three deletes the records pulled so far; the next pull starts afresh.
+ */
+router.post('/source', async (req, res) => {
+  try {
+    const { connectionId, source, mapping, watermark = '_id', intervalMinutes = null } = req.body;
+
+    const sourceError = validateMongoSource(source);
+    if (sourceError) return sendInvalid(res, sourceError);
+
+    const mappingError = validateMongoMapping(mapping, watermark);
+    if (mappingError) return sendInvalid(res, mappingError);
+
+    const intervalError = validatePullInterval(intervalMinutes);
+    if (intervalError) return sendInvalid(res, intervalError);
+
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    // Running the pipeline once checks the collection exists and the stages are accepted
+    const preview = await previewMongoSource(resolved.connection, source, { limit: 1 });
+    if (!preview.success) {
+      return sendFailure(res, preview, 'Failed to read the source');
+    }
+
+    const { settings } = resolved;
+    const changed = JSON.stringify([settings.source, settings.mapping, settings.watermark]) !==
+      JSON.stringify([source, mapping, watermark]);
+    if (changed) {
+      await deleteSyncData(connectionId);
+    }
+
+    await updateConnectionSettings(connectionId, 'mongodb', { source, mapping, watermark, intervalMinutes });
+    scheduleMongoPulls(connectionId, intervalMinutes);
+
+    res.json({
+      success: true,
+      source,
+      mapping,
+      watermark,
+      intervalMinutes,
+      schedule: getPullSchedule(connectionId),
+      recordsReset: changed && Boolean(settings.source)
+    });
+  } catch (error) {
+    console.error('Save MongoDB source error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to save the source',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/mongo/pull
+ * Pull the documents added since the last pull now, outside the schedule
+ */
+router.post('/pull', async (req, res) => {
+  try {
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    if (!resolved.settings.source) {
+      return res.status(400).json({
+        success: false,
+        error: 'Choose a collection and map its fields first',
+        code: 'MONGO_SOURCE_NOT_CONFIGURED'
+      });
+    }
+
+    const result = await pullMongoSource(req.body.connectionId, resolved.connection, resolved.settings);
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to pull the source');
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('MongoDB pull error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to pull the source',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/mongo/status
+ * Get the source, mapping and schedule of a connection, with its last pull and record count
+ */
+router.post('/status', async (req, res) => {
+  try {
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const { connectionId } = req.body;
+    const { source = null, mapping = null, watermark = null, intervalMinutes = null } = resolved.settings;
+    const sync = (await getSyncStatus(connectionId)).find(model => model.model === MONGO_ACTIVITY_MODEL);
+
+    res.json({
+      success: true,
+      uri: maskMongoUri(resolved.connection.uri),
+      source,
+      mapping,
+      watermarkMode: watermark,
+      intervalMinutes,
+      schedule: getPullSchedule(connectionId),
+      watermark: sync?.watermark ?? null,
+      lastRun: sync?.lastRun ?? null,
+      recordCount: sync?.recordCount ?? 0
+    });
+  } catch (error) {
+    console.error('MongoDB status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get the status',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/mongo/records
+ * Read pulled activity records, newest first. They can be sent as `records`
+ * to /api/emissions/calculate.
+ */
+router.post('/records', async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.body;
+
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const { records, count } = await listSyncedRecords(req.body.connectionId, MONGO_ACTIVITY_MODEL, { limit, offset });
+
+    res.json({
+      success: true,
+      data: records,
+      count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Read MongoDB records error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read pulled records',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export const mongoRoutes = router;
@@ -0,0 +1,320 @@
+import express from 'express';
+import {
+  validateMqttCredentials,
+  validateTopicPattern,
+  validateTopicMappings,
+  mqttUsesTls,
+  testMqttConnection,
+  sampleMqttMessages
+} from '../services/mqttService.js';
+import {
+  MQTT_ACTIVITY_MODEL,
+  mqttConnectionFromProfile,
+  startMqttSubscriber,
+  stopMqttSubscriber,
+  getMqttSubscriberStatus
+} from '../services/mqttIngest.js';
+import {
+  saveConnection,
+  getConnection,
+  deleteConnection,
+  updateConnectionSettings,
+  CredentialsUnreadableError
+} from '../services/credentialVault.js';
+import { getSyncStatus, listSyncedRecords, deleteSyncData } from '../services/syncStore.js';
+import { PERIOD_MINUTES, DEFAULT_PERIOD_MINUTES } from '../services/activityMapping.js';
+import {
+  validateTlsSettings,
+  normalizeTlsSettings,
+  describeTlsSettings,
+  recordTlsChange
+} from '../services/tlsSettings.js';
+
+const router = express.Router();
+
+/**
+ * Send a failed service result with its HTTP status and machine-readable code
+ */
+function sendFailure(res, result, fallbackMessage) {
+  res.status(result.status || 500).json({
+    success: false,
+    error: result.error || fallbackMessage,
+    code: result.code || 'MQTT_ERROR'
+  });
+}
+
+/**
+ * Resolve the stored MQTT connection for a request body with a connectionId.
+ * Sends the error response itself and returns null when it cannot be resolved.
+ * @returns {Promise<{connection: Object, settings: Object}|null>}
+ */
+async function resolveConnection(req, res) {
+  const { connectionId } = req.body;
+
+  if (!connectionId) {
+    res.status(400).json({
+      success: false,
+      error: 'Missing required field: connectionId',
+      code: 'INVALID_REQUEST'
+    });
+    return null;
+  }
+
+  let profile;
+  try {
+    profile = await getConnection(connectionId, 'mqtt');
+  } catch (error) {
+    if (!(error instanceof CredentialsUnreadableError)) throw error;
+    res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    return null;
+  }
+  if (!profile) {
+    res.status(404).json({
+      success: false,
+      error: 'Connection not found. Please connect to the broker again.',
+      code: 'CONNECTION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return { connection: mqttConnectionFromProfile(profile), settings: profile.settings };
+}
+
+/**
+ * Send a 400 with code INVALID_REQUEST
+ */
+function sendInvalid(res, error) {
+  res.status(400).json({ success: false, error, code: 'INVALID_REQUEST' });
+}
+
+/**
+ * POST /api/mqtt/connect
+ * Test a broker connection and store it. Takes brokerUrl (mqtt://, mqtts://, ws://
+ * or wss://), optional username/password and clientId, and `tls` settings for mqtts://
+ * and wss://. With only a connectionId the stored connection is re-tested.
+ */
+router.post('/connect', async (req, res) => {
+  try {
+    const { connectionId, brokerUrl } = req.body;
+    const isNewConnection = !connectionId || brokerUrl;
+
+    let credentials;
+    let connection;
+    let tls;
+    if (isNewConnection) {
+      const validated = validateMqttCredentials(req.body);
+      if (validated.error) return sendInvalid(res, validated.error);
+      credentials = validated.credentials;
+
+      const tlsError = validateTlsSettings(req.body.tls);
+      if (tlsError) return sendInvalid(res, tlsError);
+
+      tls = normalizeTlsSettings(req.body.tls);
+      connection = { ...credentials, tls };
+    } else {
+      const resolved = await resolveConnection(req, res);
+      if (!resolved) return;
+      connection = resolved.connection;
+      tls = connection.tls;
+    }
+
+    const result = await testMqttConnection(connection);
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to connect to the broker');
+    }
+
+    const usesTls = mqttUsesTls(connection.brokerUrl);
+    let storedConnectionId = connectionId;
+    if (isNewConnection) {
+      storedConnectionId = await saveConnection('mqtt', credentials, { tls, topics: [], periodMinutes: DEFAULT_PERIOD_MINUTES });
+      if (usesTls && (!tls.verify || tls.caCertificate)) {
+        await recordTlsChange({
+          connectionId: storedConnectionId,
+          type: 'mqtt',
+          url: connection.brokerUrl,
+          settings: tls,
+          actor: req.ip
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Successfully connected to the broker',
+      connectionId: storedConnectionId,
+      brokerUrl: connection.brokerUrl,
+      clientId: connection.clientId,
+      tls: usesTls ? describeTlsSettings(tls) : null
+    });
+  } catch (error) {
+    console.error('MQTT connection error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to connect to the broker',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/mqtt/connections/:connectionId
+ * Stop a connection's subscriber and remove it with its stored readings
+ */
+router.delete('/connections/:connectionId', async (req, res) => {
+  try {
+    const deleted = await deleteConnection(req.params.connectionId, 'mqtt', { actor: req.ip });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Connection not found',
+        code: 'CONNECTION_NOT_FOUND'
+      });
+    }
+
+    await stopMqttSubscriber(req.params.connectionId);
+    await deleteSyncData(req.params.connectionId);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete MQTT connection error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete connection',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/mqtt/sample
+ * Listen on a topic pattern for a few seconds (5 by default, at most 15) and return
+ * up to 20 messages, to see what meters publish before mapping their payloads
+ */
+router.post('/sample', async (req, res) => {
+  try {
+    const { pattern, seconds = 5 } = req.body;
+
+    const patternError = validateTopicPattern(pattern);
+    if (patternError) return sendInvalid(res, `pattern ${patternError}`);
+
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const result = await sampleMqttMessages(resolved.connection, pattern, { seconds });
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to read messages from the broker');
+    }
+
+    res.json({ success: true, messages: result.messages });
+  } catch (error) {
+    console.error('MQTT sample error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read messages from the broker',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/mqtt/topics
+ * Set the subscribed topic patterns with their payload mappings and the period
+ * readings are summed over (15 minutes by default), and restart the subscriber.
+ * An empty list stops it. Totals stored so far are kept.
+ */
+router.post('/topics', async (req, res) => {
+  try {
+    const { connectionId, topics, periodMinutes = DEFAULT_PERIOD_MINUTES } = req.body;
+
+    const topicsError = validateTopicMappings(topics);
+    if (topicsError) return sendInvalid(res, topicsError);
+    if (!PERIOD_MINUTES.includes(periodMinutes)) {
+      return sendInvalid(res, `periodMinutes must be one of: ${PERIOD_MINUTES.join(', ')}`);
+    }
+
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    await updateConnectionSettings(connectionId, 'mqtt', { topics, periodMinutes });
+    await startMqttSubscriber(connectionId, resolved.connection, { topics, periodMinutes });
+
+    res.json({
+      success: true,
+      topics,
+      periodMinutes,
+      subscriber: getMqttSubscriberStatus(connectionId)
+    });
+  } catch (error) {
+    console.error('Save MQTT topics error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to save the topics',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/mqtt/status
+ * Get the broker, topics and subscriber state of a connection, with its count of period totals
+ */
+router.post('/status', async (req, res) => {
+  try {
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const { connectionId } = req.body;
+    const sync = (await getSyncStatus(connectionId)).find(model => model.model === MQTT_ACTIVITY_MODEL);
+
+    res.json({
+      success: true,
+      brokerUrl: resolved.connection.brokerUrl,
+      clientId: resolved.connection.clientId,
+      topics: resolved.settings.topics || [],
+      periodMinutes: resolved.settings.periodMinutes ?? DEFAULT_PERIOD_MINUTES,
+      subscriber: getMqttSubscriberStatus(connectionId),
+      recordCount: sync?.recordCount ?? 0
+    });
+  } catch (error) {
+    console.error('MQTT status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get the status',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/mqtt/records
+ * Read stored period totals, newest first. They can be sent as `records`
+ * to /api/emissions/calculate.
+ */
+router.post('/records', async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.body;
+
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const { records, count } = await listSyncedRecords(req.body.connectionId, MQTT_ACTIVITY_MODEL, { limit, offset });
+
+    res.json({
+      success: true,
+      data: records,
+      count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Read MQTT readings error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read stored readings',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export const mqttRoutes = router;
@@ -1,75 +1,758 @@
 import express from 'express';
-import { authenticateOdoo, fetchSalesOrders } from '../services/odooService.js';
+import {
+  getOdooUid,
+  withOdooTls,
+  listOdooDatabases,
+  fetchModels,
+  fetchModelFields,
+  fetchCompanies,
+  fetchSalesOrders,
+  fetchSalesOrderLines,
+  fetchPurchaseOrders,
+  fetchFleetFuelLogs,
+  fetchVendorBills,
+  fetchManufacturingOrders,
+  fetchDeliveries,
+  SYNCABLE_MODELS
+} from '../services/odooService.js';
+import {
+  saveConnection,
+  getConnection,
+  deleteConnection,
+  updateConnectionSettings,
+  CredentialsUnreadableError,
+  isConnectionId
+} from '../services/credentialVault.js';
+import { syncOdooModel } from '../services/odooSync.js';
+import { getSyncStatus, listSyncedRecords, deleteSyncData } from '../services/syncStore.js';
+import {
+  startBackfill,
+  isBackfillRunning,
+  resumeBackfill,
+  cancelBackfill,
+  listBackfillJobs,
+  deleteBackfillJobs
+} from '../services/backfillJobs.js';
+import { diagnoseOdooConnection } from '../services/connectionDiagnostics.js';
+import {
+  validateTlsSettings,
+  normalizeTlsSettings,
+  describeTlsSettings,
+  recordTlsChange,
+  listTlsChanges
+} from '../services/tlsSettings.js';
 
 const router = express.Router();
 
+/**
+ * Send a failed service result with its HTTP status and machine-readable code,
+ * plus `retryAt` when Odoo is unavailable and its circuit breaker is open
+ */
+function sendFailure(res, result, fallbackMessage) {
+  res.status(result.status || 500).json({
+    success: false,
+    error: result.error || fallbackMessage,
+    code: result.code || 'ODOO_ERROR',
+    ...(result.retryAt ? { retryAt: result.retryAt } : {})
+  });
+}
+
+/**
+ * Resolve the stored Odoo credentials, company scope (`companyIds`, empty for all
+ * companies) and TLS settings (`tls`) for a request body with a connectionId.
+ * Sends the error response itself and returns null when they cannot be resolved.
+ */
+async function resolveCredentials(req, res) {
+  const { connectionId } = req.body;
+
+  if (!connectionId) {
+    res.status(400).json({
+      success: false,
+      error: 'Missing required field: connectionId',
+      code: 'INVALID_REQUEST'
+    });
+    return null;
+  }
+
+  let connection;
+  try {
+    connection = await getConnection(connectionId, 'odoo');
+  } catch (error) {
+    if (!(error instanceof CredentialsUnreadableError)) throw error;
+    res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    return null;
+  }
+  if (!connection) {
+    res.status(404).json({
+      success: false,
+      error: 'Connection not found. Please connect to Odoo again.',
+      code: 'CONNECTION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return {
+    ...connection.credentials,
+    companyIds: connection.settings.companyIds || [],
+    tls: connection.settings.tls
+  };
+}
+
+/**
+ * Check that the named fields of a request body are strings when present.
+ * Sends the error response itself and returns false when one is not.
+ */
+function checkStringFields(req, res, names) {
+  const invalidField = names.find(name => (
+    req.body[name] !== undefined && req.body[name] !== null && typeof req.body[name] !== 'string'
+  ));
+  if (invalidField) {
+    res.status(400).json({ success: false, error: `${invalidField} must be a string`, code: 'INVALID_REQUEST' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validate and normalize the `tls` settings of a request body (defaults when absent).
+ * Sends the error response itself and returns null when they are invalid.
+ */
+function parseTlsSettings(req, res) {
+  const tlsError = validateTlsSettings(req.body.tls);
+  if (tlsError) {
+    res.status(400).json({ success: false, error: tlsError, code: 'INVALID_REQUEST' });
+    return null;
+  }
+  return normalizeTlsSettings(req.body.tls);
+}
+
 /**
  * POST /api/odoo/connect
- * Authenticate with Odoo and test connection
+ * Authenticate with Odoo and test connection.
+ * With url/dbName/username/password (and optional `tls` settings) the credentials are
+ * stored in the vault and a connectionId is returned; with only a connectionId the
+ * stored connection is re-tested.
  */
 router.post('/connect', async (req, res) => {
   try {
-    const { url, dbName, username, password } = req.body;
+    const { connectionId, url, dbName, username, password } = req.body;
+    const isNewConnection = !connectionId || url || dbName || username || password;
+
+    let credentials;
+    let tls;
+    if (isNewConnection) {
+      // Validate required fields
+      if (!url || !dbName || !username || !password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: url, dbName, username, password',
+          code: 'INVALID_REQUEST'
+        });
+      }
+      if (!checkStringFields(req, res, ['url', 'dbName', 'username', 'password'])) return;
+      tls = parseTlsSettings(req, res);
+      if (!tls) return;
+      credentials = { url, dbName, username, password };
+    } else {
+      credentials = await resolveCredentials(req, res);
+      if (!credentials) return;
+      tls = credentials.tls;
+    }
 
-    // Validate required fields
-    if (!url || !dbName || !username || !password) {
+    // Authenticate with Odoo (always a fresh login, which also primes the uid cache)
+    const authResult = await withOdooTls(tls, () => getOdooUid(
+      credentials.url,
+      credentials.dbName,
+      credentials.username,
+      credentials.password,
+      { forceRefresh: true }
+    ));
+
+    if (!authResult.success) {
+      return sendFailure(res, authResult, 'Authentication failed');
+    }
+
+    let storedConnectionId = connectionId;
+    if (isNewConnection) {
+      storedConnectionId = await saveConnection('odoo', credentials, { tls });
+      if (!tls.verify || tls.caCertificate) {
+        await recordTlsChange({ connectionId: storedConnectionId, type: 'odoo', url, settings: tls, actor: req.ip });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Successfully connected to Odoo',
+      uid: authResult.uid,
+      authenticatedUser: credentials.username,
+      connectionId: storedConnectionId,
+      companyIds: credentials.companyIds || [],
+      tls: describeTlsSettings(tls)
+    });
+  } catch (error) {
+    console.error('Odoo connection error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to connect to Odoo',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/databases
+ * List the databases of an Odoo server before connecting, when the server allows it.
+ * Accepts the same optional `tls` settings as /connect.
+ */
+router.post('/databases', async (req, res) => {
+  try {
+    const { url } = req.body;
+
+    if (!url) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: url, dbName, username, password'
+        error: 'Missing required field: url',
+        code: 'INVALID_REQUEST'
       });
     }
+    if (!checkStringFields(req, res, ['url'])) return;
 
-    // Authenticate with Odoo
-    const authResult = await authenticateOdoo(url, dbName, username, password);
+    const tls = parseTlsSettings(req, res);
+    if (!tls) return;
 
-    if (!authResult.success) {
-      return res.status(401).json({
+    const result = await withOdooTls(tls, () => listOdooDatabases(url));
+
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to list databases');
+    }
+
+    res.json({ success: true, databases: result.databases, listAllowed: result.listAllowed });
+  } catch (error) {
+    console.error('List Odoo databases error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list databases',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/diagnostics
+ * Test a connection stage by stage (DNS, TLS, RPC endpoints, database, login, model access)
+ * and return a checklist with a fix hint for each failed step.
+ * Accepts url/dbName/username/password and optional `tls` settings, or a connectionId to
+ * diagnose a stored connection.
+ */
+router.post('/diagnostics', async (req, res) => {
+  try {
+    const { connectionId, url, dbName, username, password } = req.body;
+
+    let credentials;
+    if (connectionId && !url) {
+      credentials = await resolveCredentials(req, res);
+      if (!credentials) return;
+    } else {
+      if (!url || !dbName || !username || !password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: url, dbName, username, password',
+          code: 'INVALID_REQUEST'
+        });
+      }
+      if (!checkStringFields(req, res, ['url', 'dbName', 'username', 'password'])) return;
+      const tls = parseTlsSettings(req, res);
+      if (!tls) return;
+      credentials = { url, dbName, username, password, tls };
+    }
+
+    res.json(await diagnoseOdooConnection(credentials));
+  } catch (error) {
+    console.error('Odoo diagnostics error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to run diagnostics',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/odoo/connections/:connectionId
+ * Remove a stored Odoo connection profile. The deletion is audited with the client IP.
+ */
+router.delete('/connections/:connectionId', async (req, res) => {
+  try {
+    if (!isConnectionId(req.params.connectionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'connectionId must be a connection id returned by /connect',
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const deleted = await deleteConnection(req.params.connectionId, 'odoo', { actor: req.ip });
+
+    if (!deleted) {
+      return res.status(404).json({
         success: false,
-        error: authResult.error || 'Authentication failed'
+        error: 'Connection not found',
+        code: 'CONNECTION_NOT_FOUND'
       });
     }
 
+    await deleteBackfillJobs(req.params.connectionId);
+    await deleteSyncData(req.params.connectionId);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete Odoo connection error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete connection',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/tls
+ * Get or change the TLS settings of a stored connection.
+ * With `tls` the settings are replaced; every change is written to the TLS audit trail.
+ * The response lists the current settings and the connection's past changes.
+ */
+router.post('/tls', async (req, res) => {
+  try {
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const { connectionId } = req.body;
+    let tls = credentials.tls;
+
+    if (req.body.tls !== undefined) {
+      tls = parseTlsSettings(req, res);
+      if (!tls) return;
+
+      await updateConnectionSettings(connectionId, 'odoo', { tls });
+      await recordTlsChange({ connectionId, type: 'odoo', url: credentials.url, settings: tls, actor: req.ip });
+    }
+
     res.json({
       success: true,
-      message: 'Successfully connected to Odoo',
-      uid: authResult.uid,
-      authenticatedUser: username
+      tls: describeTlsSettings(tls),
+      changes: await listTlsChanges(connectionId)
     });
   } catch (error) {
-    console.error('Odoo connection error:', error);
+    console.error('Odoo TLS settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to update TLS settings',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/companies
+ * List the companies (legal entities) of the database and the connection's company scope
+ */
+router.post('/companies', async (req, res) => {
+  try {
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const { url, dbName, username, password, companyIds, tls } = credentials;
+
+    const result = await withOdooTls(tls, () => fetchCompanies(url, dbName, username, password));
+
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to fetch companies');
+    }
+
+    res.json({ success: true, data: result.data, companyIds });
+  } catch (error) {
+    console.error('Fetch companies error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch companies',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/companies/scope
+ * Scope a connection to some companies (an empty list means all companies). Synced
+ * records and backfills of the old scope are deleted, so the next sync starts afresh.
+ */
+router.post('/companies/scope', async (req, res) => {
+  try {
+    const { connectionId, companyIds } = req.body;
+
+    if (!Array.isArray(companyIds) || !companyIds.every(id => Number.isInteger(id) && id > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'companyIds must be an array of company ids (empty for all companies)',
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    if (isBackfillRunning(connectionId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A backfill is running for this connection. Cancel it before changing the companies.',
+        code: 'BACKFILL_IN_PROGRESS'
+      });
+    }
+
+    const { url, dbName, username, password, tls } = credentials;
+    const companies = await withOdooTls(tls, () => fetchCompanies(url, dbName, username, password));
+
+    if (!companies.success) {
+      return sendFailure(res, companies, 'Failed to fetch companies');
+    }
+
+    const known = new Set(companies.data.map(company => company.id));
+    const unknown = companyIds.filter(id => !known.has(id));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or inaccessible company ids: ${unknown.join(', ')}`,
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const scope = [...new Set(companyIds)].sort((a, b) => a - b);
+    const previous = [...credentials.companyIds].sort((a, b) => a - b);
+
+    if (scope.join(',') !== previous.join(',')) {
+      await updateConnectionSettings(connectionId, 'odoo', { companyIds: scope });
+      await deleteBackfillJobs(connectionId);
+      await deleteSyncData(connectionId);
+    }
+
+    res.json({ success: true, companyIds: scope });
+  } catch (error) {
+    console.error('Save company scope error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to save company scope',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/schema/models
+ * List the models of the instance, optionally filtered by part of their name
+ */
+router.post('/schema/models', async (req, res) => {
+  try {
+    const { search, limit = 100, offset = 0 } = req.body;
+
+    if (search !== undefined && typeof search !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'search must be a string',
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const { url, dbName, username, password, tls } = credentials;
+
+    const result = await withOdooTls(tls, () => fetchModels(url, dbName, username, password, { search: search?.trim(), limit, offset }));
+
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to fetch models');
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      count: result.count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Fetch models error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch models',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/schema/fields
+ * List the fields of one model, including custom x_ fields
+ */
+router.post('/schema/fields', async (req, res) => {
+  try {
+    const { model, customOnly = false } = req.body;
+
+    if (typeof model !== 'string' || !/^[a-z0-9_]+(\.[a-z0-9_]+)*$/.test(model)) {
+      return res.status(400).json({
+        success: false,
+        error: 'model must be a technical model name, e.g. fleet.vehicle.log.fuel',
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const { url, dbName, username, password, tls } = credentials;
+
+    const result = await withOdooTls(tls, () => fetchModelFields(url, dbName, username, password, model, { customOnly: Boolean(customOnly) }));
+
+    if (!result.success) {
+      return sendFailure(res, result, `Failed to fetch fields of ${model}`);
+    }
+
+    res.json({ success: true, model, data: result.data });
+  } catch (error) {
+    console.error('Fetch model fields error:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to connect to Odoo'
+      error: error.message || 'Failed to fetch model fields',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
 /**
  * POST /api/odoo/sales
- * Fetch sales orders from Odoo
+ * Fetch sales orders from Odoo, optionally filtered by date range, states, company and customer
  */
 router.post('/sales', async (req, res) => {
   try {
-    const { url, dbName, username, password, limit = 100, offset = 0 } = req.body;
+    const { limit = 100, offset = 0, dateFrom, dateTo, states, companyId, customerIds, customer } = req.body;
+    const filters = { dateFrom, dateTo, states, companyId, customerIds, customer };
+
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const { url, dbName, username, password, companyIds, tls } = credentials;
+
+    // Fetch sales orders
+    const result = await withOdooTls(tls, () => fetchSalesOrders(url, dbName, username, password, limit, offset, filters, { companyIds }));
 
-    // Validate required fields
-    if (!url || !dbName || !username || !password) {
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to fetch sales orders');
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      count: result.count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Fetch sales error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch sales orders',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/sales/lines
+ * Fetch sales order lines (product, quantity, unit of measure, category) linked to their orders
+ */
+router.post('/sales/lines', async (req, res) => {
+  try {
+    const { orderIds, limit = 500, offset = 0 } = req.body;
+
+    if (orderIds !== undefined && !Array.isArray(orderIds)) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: url, dbName, username, password'
+        error: 'orderIds must be an array of sales order ids',
+        code: 'INVALID_REQUEST'
       });
     }
 
-    // Fetch sales orders
-    const result = await fetchSalesOrders(url, dbName, username, password, limit, offset);
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const { url, dbName, username, password, companyIds, tls } = credentials;
+
+    const result = await withOdooTls(tls, () => fetchSalesOrderLines(url, dbName, username, password, { orderIds, limit, offset, companyIds }));
 
     if (!result.success) {
-      return res.status(500).json({
+      return sendFailure(res, result, 'Failed to fetch sales order lines');
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      count: result.count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Fetch sales order lines error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch sales order lines',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/purchases
+ * Fetch purchase orders with their lines (vendor, product, quantity, unit of measure, amount)
+ */
+router.post('/purchases', async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.body;
+
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const { url, dbName, username, password, companyIds, tls } = credentials;
+
+    const result = await withOdooTls(tls, () => fetchPurchaseOrders(url, dbName, username, password, limit, offset, { companyIds }));
+
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to fetch purchase orders');
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      count: result.count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Fetch purchases error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch purchase orders',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/fleet/fuel
+ * Fetch fleet fuel fills (litres, fuel type, vehicle, odometer, date)
+ */
+router.post('/fleet/fuel', async (req, res) => {
+  try {
+    const { limit = 100, offset = 0, serviceType } = req.body;
+
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const { url, dbName, username, password, companyIds, tls } = credentials;
+
+    const result = await withOdooTls(tls, () => fetchFleetFuelLogs(url, dbName, username, password, { limit, offset, serviceType, companyIds }));
+
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to fetch fleet fuel logs');
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      count: result.count,
+      model: result.model,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Fetch fleet fuel logs error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch fleet fuel logs',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/bills
+ * Fetch vendor bills and their lines, optionally filtered by vendors or product categories
+ */
+router.post('/bills', async (req, res) => {
+  try {
+    const { vendors = [], categories = [], limit = 100, offset = 0 } = req.body;
+
+    if (!Array.isArray(vendors) || !Array.isArray(categories)) {
+      return res.status(400).json({
+        success: false,
+        error: 'vendors and categories must be arrays',
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const { url, dbName, username, password, companyIds, tls } = credentials;
+
+    const result = await withOdooTls(tls, () => fetchVendorBills(url, dbName, username, password, { vendors, categories, limit, offset, companyIds }));
+
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to fetch vendor bills');
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      count: result.count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Fetch vendor bills error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch vendor bills',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/manufacturing
+ * Fetch manufacturing orders with finished quantity, consumed components and work center time
+ */
+router.post('/manufacturing', async (req, res) => {
+  try {
+    const { states = [], limit = 100, offset = 0 } = req.body;
+
+    if (!Array.isArray(states)) {
+      return res.status(400).json({
         success: false,
-        error: result.error || 'Failed to fetch sales orders'
+        error: 'states must be an array',
+        code: 'INVALID_REQUEST'
       });
     }
 
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const { url, dbName, username, password, companyIds, tls } = credentials;
+
+    const result = await withOdooTls(tls, () => fetchManufacturingOrders(url, dbName, username, password, { states, limit, offset, companyIds }));
+
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to fetch manufacturing orders');
+    }
+
     res.json({
       success: true,
       data: result.data,
@@ -78,13 +761,272 @@ router.post('/sales', async (req, res) => {
       offset
     });
   } catch (error) {
-    console.error('Fetch sales error:', error);
+    console.error('Fetch manufacturing orders error:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to fetch sales orders'
+      error: error.message || 'Failed to fetch manufacturing orders',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
-export const odooRoutes = router;
+/**
+ * POST /api/odoo/deliveries
+ * Fetch outgoing deliveries with shipping weight, carrier and origin/destination addresses
+ */
+router.post('/deliveries', async (req, res) => {
+  try {
+    const { states = [], limit = 100, offset = 0 } = req.body;
+
+    if (!Array.isArray(states)) {
+      return res.status(400).json({
+        success: false,
+        error: 'states must be an array',
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const { url, dbName, username, password, companyIds, tls } = credentials;
+
+    const result = await withOdooTls(tls, () => fetchDeliveries(url, dbName, username, password, { states, limit, offset, companyIds }));
+
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to fetch deliveries');
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      count: result.count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Fetch deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch deliveries',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
 
+/**
+ * POST /api/odoo/sync
+ * Incrementally sync models of a connection: fetch records created or changed since the
+ * last run and upsert them into the sync store
+ */
+router.post('/sync', async (req, res) => {
+  try {
+    const { models = ['sale.order'] } = req.body;
+
+    if (!Array.isArray(models) || models.length === 0 || !models.every(model => SYNCABLE_MODELS.includes(model))) {
+      return res.status(400).json({
+        success: false,
+        error: `models must be a non-empty array of: ${SYNCABLE_MODELS.join(', ')}`,
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const results = [];
+    for (const model of models) {
+      const result = await syncOdooModel(req.body.connectionId, credentials, model);
+      if (!result.success) {
+        return sendFailure(res, result, `Failed to sync ${model}`);
+      }
+      results.push(result);
+    }
+
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Odoo sync error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to sync Odoo data',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/sync/status
+ * Get the watermark, last run and record count of every synced model
+ */
+router.post('/sync/status', async (req, res) => {
+  try {
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    res.json({ success: true, models: await getSyncStatus(req.body.connectionId) });
+  } catch (error) {
+    console.error('Odoo sync status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get sync status',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/sync/records
+ * Read synced records of a model from the sync store, newest first
+ */
+router.post('/sync/records', async (req, res) => {
+  try {
+    const { model = 'sale.order', limit = 100, offset = 0 } = req.body;
+
+    if (!SYNCABLE_MODELS.includes(model)) {
+      return res.status(400).json({
+        success: false,
+        error: `model must be one of: ${SYNCABLE_MODELS.join(', ')}`,
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const { records, count } = await listSyncedRecords(req.body.connectionId, model, { limit, offset });
+
+    res.json({
+      success: true,
+      data: records,
+      count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Read synced records error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read synced records',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/backfill
+ * Start a resumable backfill of every record since dateFrom. The job runs in the
+ * background; poll /api/odoo/backfill/status for its progress.
+ */
+router.post('/backfill', async (req, res) => {
+  try {
+    const { dateFrom, models = SYNCABLE_MODELS } = req.body;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateFrom || '') || Number.isNaN(Date.parse(dateFrom))) {
+      return res.status(400).json({
+        success: false,
+        error: 'dateFrom must be a date in YYYY-MM-DD format',
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    if (!Array.isArray(models) || models.length === 0 || !models.every(model => SYNCABLE_MODELS.includes(model))) {
+      return res.status(400).json({
+        success: false,
+        error: `models must be a non-empty array of: ${SYNCABLE_MODELS.join(', ')}`,
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const result = await startBackfill(req.body.connectionId, credentials, { dateFrom, models: [...new Set(models)] });
+
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to start backfill');
+    }
+
+    res.status(202).json({ success: true, job: result.job });
+  } catch (error) {
+    console.error('Start backfill error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to start backfill',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/backfill/status
+ * List the backfill jobs of a connection with their progress, newest first
+ */
+router.post('/backfill/status', async (req, res) => {
+  try {
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    res.json({ success: true, jobs: await listBackfillJobs(req.body.connectionId) });
+  } catch (error) {
+    console.error('Backfill status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get backfill status',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/backfill/resume
+ * Resume a failed, interrupted or cancelled backfill from its saved progress
+ */
+router.post('/backfill/resume', async (req, res) => {
+  try {
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const result = await resumeBackfill(req.body.connectionId, req.body.jobId, credentials);
+
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to resume backfill');
+    }
+
+    res.status(202).json({ success: true, job: result.job });
+  } catch (error) {
+    console.error('Resume backfill error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to resume backfill',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/odoo/backfill/cancel
+ * Stop a running backfill after its current chunk
+ */
+router.post('/backfill/cancel', async (req, res) => {
+  try {
+    const credentials = await resolveCredentials(req, res);
+    if (!credentials) return;
+
+    const result = await cancelBackfill(req.body.connectionId, req.body.jobId);
+
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to cancel backfill');
+    }
+
+    res.json({ success: true, job: result.job });
+  } catch (error) {
+    console.error('Cancel backfill error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to cancel backfill',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export const odooRoutes = router;
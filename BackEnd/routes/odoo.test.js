@@ -0,0 +1,41 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { odooRoutes } from './odoo.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/odoo', odooRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/odoo`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const credentials = { url: 'https://odoo.example.com', dbName: 'prod', username: 'admin', password: 'secret' };
+
+test('POST /api/odoo/connect, /databases and /diagnostics answer 400 for fields that are not strings', async () => {
+  const cases = [
+    ['connect', { ...credentials, url: { a: 1 } }, 'url must be a string'],
+    ['connect', { ...credentials, password: 1234 }, 'password must be a string'],
+    ['databases', { url: ['https://odoo.example.com'] }, 'url must be a string'],
+    ['diagnostics', { ...credentials, dbName: { name: 'prod' } }, 'dbName must be a string'],
+    ['diagnostics', { ...credentials, username: true }, 'username must be a string']
+  ];
+
+  for (const [path, body, error] of cases) {
+    const response = await fetch(`${baseUrl}/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    assert.equal(response.status, 400, `${path}: ${error}`);
+    assert.deepEqual(await response.json(), { success: false, error, code: 'INVALID_REQUEST' });
+  }
+});
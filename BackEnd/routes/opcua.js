@@ -0,0 +1,376 @@
+import express from 'express';
+import {
+  validateEndpointUrl,
+  validateOpcuaConnection,
+  normalizeThumbprint,
+  validateNodeId,
+  validateTagMappings,
+  normalizeTagMappings,
+  listOpcuaEndpoints,
+  testOpcuaConnection,
+  browseOpcuaNode,
+  checkOpcuaTags,
+  getClientCertificate
+} from '../services/opcuaService.js';
+import {
+  OPCUA_ACTIVITY_MODEL,
+  opcuaConnectionFromProfile,
+  startOpcuaSubscriber,
+  stopOpcuaSubscriber,
+  getOpcuaSubscriberStatus
+} from '../services/opcuaIngest.js';
+import {
+  saveConnection,
+  getConnection,
+  deleteConnection,
+  updateConnectionSettings,
+  CredentialsUnreadableError
+} from '../services/credentialVault.js';
+import { getSyncStatus, listSyncedRecords, deleteSyncData } from '../services/syncStore.js';
+import { PERIOD_MINUTES, DEFAULT_PERIOD_MINUTES } from '../services/activityMapping.js';
+
+const router = express.Router();
+
+/**
+ * Send a failed service result with its HTTP status and machine-readable code
+ */
+function sendFailure(res, result, fallbackMessage) {
+  res.status(result.status || 500).json({
+    success: false,
+    error: result.error || fallbackMessage,
+    code: result.code || 'OPCUA_ERROR'
+  });
+}
+
+/**
+ * Resolve the stored OPC UA connection for a request body with a connectionId.
+ * Sends the error response itself and returns null when it cannot be resolved.
+ * @returns {Promise<{connection: Object, settings: Object}|null>}
+ */
+async function resolveConnection(req, res) {
+  const { connectionId } = req.body;
+
+  if (!connectionId) {
+    res.status(400).json({
+      success: false,
+      error: 'Missing required field: connectionId',
+      code: 'INVALID_REQUEST'
+    });
+    return null;
+  }
+
+  let profile;
+  try {
+    profile = await getConnection(connectionId, 'opcua');
+  } catch (error) {
+    if (!(error instanceof CredentialsUnreadableError)) throw error;
+    res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    return null;
+  }
+  if (!profile) {
+    res.status(404).json({
+      success: false,
+      error: 'Connection not found. Please connect to the server again.',
+      code: 'CONNECTION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return { connection: opcuaConnectionFromProfile(profile), settings: profile.settings };
+}
+
+/**
+ * Send a 400 with code INVALID_REQUEST
+ */
+function sendInvalid(res, error) {
+  res.status(400).json({ success: false, error, code: 'INVALID_REQUEST' });
+}
+
+/**
+ * POST /api/opcua/endpoints
+ * List the endpoints of a server (endpointUrl, opc.tcp://) with their security mode,
+ * policy, accepted logins and server certificate, before connecting
+ */
+router.post('/endpoints', async (req, res) => {
+  try {
+    const validated = validateEndpointUrl(req.body.endpointUrl);
+    if (validated.error) return sendInvalid(res, validated.error);
+
+    const result = await listOpcuaEndpoints(validated.endpointUrl);
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to list the endpoints of the server');
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('OPC UA endpoints error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list the endpoints of the server',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/certificate
+ * Get the NetZero client certificate (PEM) and its thumbprint, for servers that
+ * must trust it before they accept a secured connection
+ */
+router.get('/certificate', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getClientCertificate()) });
+  } catch (error) {
+    console.error('OPC UA client certificate error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get the client certificate',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/connect
+ * Test a server connection and store it. Takes endpointUrl, securityMode and
+ * securityPolicy (None by default), an optional username/password, and for the
+ * Sign and SignAndEncrypt modes the serverThumbprint to pin. With only a connectionId
+ * the stored connection is re-tested; adding a serverThumbprint replaces its pin
+ * after the server's certificate was renewed.
+ */
+router.post('/connect', async (req, res) => {
+  try {
+    const { connectionId, endpointUrl, serverThumbprint } = req.body;
+    const isNewConnection = !connectionId || endpointUrl;
+
+    let connection;
+    let resolved;
+    if (isNewConnection) {
+      const validated = validateOpcuaConnection(req.body);
+      if (validated.error) return sendInvalid(res, validated.error);
+      connection = validated.connection;
+    } else {
+      resolved = await resolveConnection(req, res);
+      if (!resolved) return;
+      connection = resolved.connection;
+
+      if (serverThumbprint !== undefined && connection.securityMode !== 'None') {
+        const thumbprint = normalizeThumbprint(serverThumbprint);
+        if (!thumbprint) return sendInvalid(res, 'serverThumbprint must be a SHA-1 thumbprint of 40 hex digits');
+        connection = { ...connection, serverThumbprint: thumbprint };
+      }
+    }
+
+    const result = await testOpcuaConnection(connection);
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to connect to the server');
+    }
+
+    let storedConnectionId = connectionId;
+    if (isNewConnection) {
+      const { serverThumbprint: pinned, ...credentials } = connection;
+      storedConnectionId = await saveConnection('opcua', credentials, {
+        serverThumbprint: pinned,
+        tags: [],
+        periodMinutes: DEFAULT_PERIOD_MINUTES
+      });
+    } else if (connection.serverThumbprint !== resolved.settings.serverThumbprint) {
+      await updateConnectionSettings(connectionId, 'opcua', { serverThumbprint: connection.serverThumbprint });
+      await startOpcuaSubscriber(connectionId, connection, resolved.settings);
+    }
+
+    res.json({
+      success: true,
+      message: 'Successfully connected to the server',
+      connectionId: storedConnectionId,
+      endpointUrl: connection.endpointUrl,
+      securityMode: connection.securityMode,
+      securityPolicy: connection.securityPolicy,
+      serverThumbprint: connection.serverThumbprint,
+      server: result.server
+    });
+  } catch (error) {
+    console.error('OPC UA connection error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to connect to the server',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/opcua/connections/:connectionId
+ * Stop a connection's subscriber and remove it with its stored periods
+ */
+router.delete('/connections/:connectionId', async (req, res) => {
+  try {
+    const deleted = await deleteConnection(req.params.connectionId, 'opcua', { actor: req.ip });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Connection not found',
+        code: 'CONNECTION_NOT_FOUND'
+      });
+    }
+
+    await stopOpcuaSubscriber(req.params.connectionId);
+    await deleteSyncData(req.params.connectionId);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete OPC UA connection error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete connection',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/browse
+ * List the objects and variables below a node (the Objects folder by default), with
+ * the current value of every variable, to pick the tags to monitor
+ */
+router.post('/browse', async (req, res) => {
+  try {
+    const { nodeId } = req.body;
+
+    if (nodeId !== undefined && nodeId !== null && nodeId !== '') {
+      const nodeIdError = validateNodeId(nodeId);
+      if (nodeIdError) return sendInvalid(res, `nodeId ${nodeIdError}`);
+    }
+
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const result = await browseOpcuaNode(resolved.connection, nodeId ? nodeId.trim() : undefined);
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to browse the server');
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('OPC UA browse error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to browse the server',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/tags
+ * Set the monitored tags with their activity mappings and the period they are summed
+ * over (15 minutes by default), and restart the subscriber. Every tag is read and
+ * monitored once first. An empty list stops the subscriber; stored periods are kept.
+ */
+router.post('/tags', async (req, res) => {
+  try {
+    const { connectionId, tags, periodMinutes = DEFAULT_PERIOD_MINUTES } = req.body;
+
+    const tagsError = validateTagMappings(tags);
+    if (tagsError) return sendInvalid(res, tagsError);
+    if (!PERIOD_MINUTES.includes(periodMinutes)) {
+      return sendInvalid(res, `periodMinutes must be one of: ${PERIOD_MINUTES.join(', ')}`);
+    }
+
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const normalized = normalizeTagMappings(tags);
+    const check = await checkOpcuaTags(resolved.connection, normalized);
+    if (!check.success) {
+      return sendFailure(res, check, 'Failed to check the tags');
+    }
+
+    await updateConnectionSettings(connectionId, 'opcua', { tags: normalized, periodMinutes });
+    await startOpcuaSubscriber(connectionId, resolved.connection, { tags: normalized, periodMinutes });
+
+    res.json({
+      success: true,
+      tags: normalized,
+      periodMinutes,
+      values: check.values,
+      subscriber: getOpcuaSubscriberStatus(connectionId)
+    });
+  } catch (error) {
+    console.error('Save OPC UA tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to save the tags',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/status
+ * Get the endpoint, tags and subscriber state of a connection, with its record count
+ */
+router.post('/status', async (req, res) => {
+  try {
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const { connectionId } = req.body;
+    const { endpointUrl, securityMode, securityPolicy, username, serverThumbprint } = resolved.connection;
+    const sync = (await getSyncStatus(connectionId)).find(model => model.model === OPCUA_ACTIVITY_MODEL);
+
+    res.json({
+      success: true,
+      endpointUrl,
+      securityMode,
+      securityPolicy,
+      username: username || null,
+      serverThumbprint,
+      tags: resolved.settings.tags || [],
+      periodMinutes: resolved.settings.periodMinutes,
+      subscriber: getOpcuaSubscriberStatus(connectionId),
+      recordCount: sync?.recordCount ?? 0
+    });
+  } catch (error) {
+    console.error('OPC UA status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get the status',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/records
+ * Read stored period totals, newest first. They can be sent as `records`
+ * to /api/emissions/calculate.
+ */
+router.post('/records', async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.body;
+
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const { records, count } = await listSyncedRecords(req.body.connectionId, OPCUA_ACTIVITY_MODEL, { limit, offset });
+
+    res.json({
+      success: true,
+      data: records,
+      count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Read OPC UA periods error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read stored periods',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export const opcuaRoutes = router;
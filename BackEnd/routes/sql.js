@@ -0,0 +1,396 @@
+import express from 'express';
+import {
+  validateSqlCredentials,
+  validateSqlSource,
+  validateSqlMapping,
+  testSqlConnection,
+  listSqlTables,
+  previewSqlSource
+} from '../services/sqlService.js';
+import {
+  SQL_ACTIVITY_MODEL,
+  sqlConnectionFromProfile,
+  pullSqlSource,
+  scheduleSqlPulls
+} from '../services/sqlSync.js';
+import { validatePullInterval, unschedulePulls, getPullSchedule } from '../services/pullSchedules.js';
+import {
+  saveConnection,
+  getConnection,
+  deleteConnection,
+  updateConnectionSettings,
+  CredentialsUnreadableError
+} from '../services/credentialVault.js';
+import { getSyncStatus, listSyncedRecords, deleteSyncData } from '../services/syncStore.js';
+import {
+  validateTlsSettings,
+  normalizeTlsSettings,
+  describeTlsSettings,
+  recordTlsChange
+} from '../services/tlsSettings.js';
+
+const router = express.Router();
+
+/**
+ * Send a failed service result with its HTTP status and machine-readable code
+ */
+function sendFailure(res, result, fallbackMessage) {
+  res.status(result.status || 500).json({
+    success: false,
+    error: result.error || fallbackMessage,
+    code: result.code || 'SQL_ERROR'
+  });
+}
+
+/**
+ * Resolve the stored SQL connection for a request body with a connectionId.
+ * Sends the error response itself and returns null when it cannot be resolved.
+ * @returns {Promise<{connection: Object, settings: Object}|null>}
+ */
+async function resolveConnection(req, res) {
+  const { connectionId } = req.body;
+
+  if (!connectionId) {
+    res.status(400).json({
+      success: false,
+      error: 'Missing required field: connectionId',
+      code: 'INVALID_REQUEST'
+    });
+    return null;
+  }
+
+  let profile;
+  try {
+    profile = await getConnection(connectionId, 'sql');
+  } catch (error) {
+    if (!(error instanceof CredentialsUnreadableError)) throw error;
+    res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    return null;
+  }
+  if (!profile) {
+    res.status(404).json({
+      success: false,
+      error: 'Connection not found. Please connect to the database again.',
+      code: 'CONNECTION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return { connection: sqlConnectionFromProfile(profile), settings: profile.settings };
+}
+
+/**
+ * Send a 400 with code INVALID_REQUEST
+ */
+function sendInvalid(res, error) {
+  res.status(400).json({ success: false, error, code: 'INVALID_REQUEST' });
+}
+
+/**
+ * POST /api/sql/connect
+ * Test a database connection and store it.
+ * PostgreSQL and MySQL take dialect/host/port/database/user/password and an optional
+ * `ssl` flag with `tls` settings; SQLite takes dialect and the `filename` of the
+ * database in the SQLite directory. With only a connectionId the stored connection is re-tested.
+ */
+router.post('/connect', async (req, res) => {
+  try {
+    const { connectionId, dialect } = req.body;
+    const isNewConnection = !connectionId || dialect;
+
+    let credentials;
+    let connection;
+    let tls;
+    if (isNewConnection) {
+      const validated = validateSqlCredentials(req.body);
+      if (validated.error) return sendInvalid(res, validated.error);
+      credentials = validated.credentials;
+
+      const tlsError = validateTlsSettings(req.body.tls);
+      if (tlsError) return sendInvalid(res, tlsError);
+
+      tls = normalizeTlsSettings(req.body.tls);
+      connection = { ...credentials, tls };
+    } else {
+      const resolved = await resolveConnection(req, res);
+      if (!resolved) return;
+      connection = resolved.connection;
+      tls = connection.tls;
+    }
+
+    const result = await testSqlConnection(connection);
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to connect to the database');
+    }
+
+    let storedConnectionId = connectionId;
+    if (isNewConnection) {
+      storedConnectionId = await saveConnection('sql', credentials, { tls });
+      if (connection.ssl && (!tls.verify || tls.caCertificate)) {
+        await recordTlsChange({
+          connectionId: storedConnectionId,
+          type: 'sql',
+          url: `${connection.dialect}://${connection.host}:${connection.port}/${connection.database}`,
+          settings: tls,
+          actor: req.ip
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Successfully connected to the database',
+      connectionId: storedConnectionId,
+      dialect: connection.dialect,
+      serverVersion: result.serverVersion,
+      tls: connection.ssl ? describeTlsSettings(tls) : null
+    });
+  } catch (error) {
+    console.error('SQL connection error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to connect to the database',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/sql/connections/:connectionId
+ * Remove a stored SQL connection, its schedule and its pulled records
+ */
+router.delete('/connections/:connectionId', async (req, res) => {
+  try {
+    const deleted = await deleteConnection(req.params.connectionId, 'sql', { actor: req.ip });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Connection not found',
+        code: 'CONNECTION_NOT_FOUND'
+      });
+    }
+
+    unschedulePulls(req.params.connectionId);
+    await deleteSyncData(req.params.connectionId);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete SQL connection error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete connection',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/sql/tables
+ * List the tables and views of a connection with their columns
+ */
+router.post('/tables', async (req, res) => {
+  try {
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const result = await listSqlTables(resolved.connection);
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to list tables');
+    }
+
+    res.json({ success: true, tables: result.tables });
+  } catch (error) {
+    console.error('List SQL tables error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list tables',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/sql/preview
+ * Read the first rows (at most 50) of a table or a SELECT query
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const { source, limit = 20 } = req.body;
+
+    const sourceError = validateSqlSource(source);
+    if (sourceError) return sendInvalid(res, sourceError);
+
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const result = await previewSqlSource(resolved.connection, source, { limit });
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to read the source');
+    }
+
+    res.json({ success: true, columns: result.columns, rows: result.rows });
+  } catch (error) {
+    console.error('SQL preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read the source',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/sql/source
+ * Set the source (table or SELECT query), its column mapping and the pull interval.
+ * Changing the source or mapping deletes the records pulled so far, since they were
+ * read with the old one; the next pull starts afresh.
+ */
+router.post('/source', async (req, res) => {
+  try {
+    const { connectionId, source, mapping, intervalMinutes = null } = req.body;
+
+    const sourceError = validateSqlSource(source);
+    if (sourceError) return sendInvalid(res, sourceError);
+
+    const intervalError = validatePullInterval(intervalMinutes);
+    if (intervalError) return sendInvalid(res, intervalError);
+
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    // Running the query once checks it and gives the columns the mapping can use
+    const preview = await previewSqlSource(resolved.connection, source, { limit: 1 });
+    if (!preview.success) {
+      return sendFailure(res, preview, 'Failed to read the source');
+    }
+
+    const mappingError = validateSqlMapping(mapping, preview.columns);
+    if (mappingError) return sendInvalid(res, mappingError);
+
+    const { settings } = resolved;
+    const changed = JSON.stringify([settings.source, settings.mapping]) !== JSON.stringify([source, mapping]);
+    if (changed) {
+      await deleteSyncData(connectionId);
+    }
+
+    await updateConnectionSettings(connectionId, 'sql', { source, mapping, intervalMinutes });
+    scheduleSqlPulls(connectionId, intervalMinutes);
+
+    res.json({
+      success: true,
+      source,
+      mapping,
+      intervalMinutes,
+      schedule: getPullSchedule(connectionId),
+      recordsReset: changed && Boolean(settings.source)
+    });
+  } catch (error) {
+    console.error('Save SQL source error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to save the source',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/sql/pull
+ * Pull the rows added since the last pull now, outside the schedule
+ */
+router.post('/pull', async (req, res) => {
+  try {
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    if (!resolved.settings.source) {
+      return res.status(400).json({
+        success: false,
+        error: 'Choose a table or query and map its columns first',
+        code: 'SQL_SOURCE_NOT_CONFIGURED'
+      });
+    }
+
+    const result = await pullSqlSource(req.body.connectionId, resolved.connection, resolved.settings);
+    if (!result.success) {
+      return sendFailure(res, result, 'Failed to pull the source');
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('SQL pull error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to pull the source',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/sql/status
+ * Get the source, mapping and schedule of a connection, with its last pull and record count
+ */
+router.post('/status', async (req, res) => {
+  try {
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const { connectionId } = req.body;
+    const { source = null, mapping = null, intervalMinutes = null } = resolved.settings;
+    const sync = (await getSyncStatus(connectionId)).find(model => model.model === SQL_ACTIVITY_MODEL);
+
+    res.json({
+      success: true,
+      dialect: resolved.connection.dialect,
+      source,
+      mapping,
+      intervalMinutes,
+      schedule: getPullSchedule(connectionId),
+      watermark: sync?.watermark ?? null,
+      lastRun: sync?.lastRun ?? null,
+      recordCount: sync?.recordCount ?? 0
+    });
+  } catch (error) {
+    console.error('SQL status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get the status',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/sql/records
+ * Read pulled activity records, newest first. They can be sent as `records`
+ * to /api/emissions/calculate.
+ */
+router.post('/records', async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.body;
+
+    const resolved = await resolveConnection(req, res);
+    if (!resolved) return;
+
+    const { records, count } = await listSyncedRecords(req.body.connectionId, SQL_ACTIVITY_MODEL, { limit, offset });
+
+    res.json({
+      success: true,
+      data: records,
+      count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Read SQL records error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read pulled records',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export const sqlRoutes = router;
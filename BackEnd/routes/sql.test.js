@@ -0,0 +1,35 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { sqlRoutes } from './sql.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/sql', sqlRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/sql`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('POST /api/sql/connect answers 400 for a SQLite file outside the SQLite directory', async () => {
+  for (const filename of ['../connections.json', '../../../../etc/passwd']) {
+    const response = await fetch(`${baseUrl}/connect`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ dialect: 'sqlite', filename })
+    });
+
+    assert.equal(response.status, 400, filename);
+    assert.deepEqual(await response.json(), {
+      success: false,
+      error: 'filename must be a file in the SQLite directory (SQL_SQLITE_DIR)',
+      code: 'INVALID_REQUEST'
+    });
+  }
+});
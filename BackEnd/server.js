@@ -2,6 +2,19 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { odooRoutes } from './routes/odoo.js';
+import { erpRoutes } from './routes/erp.js';
+import { emissionRoutes } from './routes/emissions.js';
+import { sqlRoutes } from './routes/sql.js';
+import { mongoRoutes } from './routes/mongo.js';
+import { mqttRoutes } from './routes/mqtt.js';
+import { modbusRoutes } from './routes/modbus.js';
+import { opcuaRoutes } from './routes/opcua.js';
+import { listOpenCircuits } from './services/resilience.js';
+import { startSqlSchedules } from './services/sqlSync.js';
+import { startMongoSchedules } from './services/mongoSync.js';
+import { startMqttSubscribers } from './services/mqttIngest.js';
+import { startModbusSchedules } from './services/modbusPoller.js';
+import { startOpcuaSubscribers } from './services/opcuaIngest.js';
 
 dotenv.config();
 
@@ -23,11 +36,23 @@ app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', message: 'NetZero Backend API is running' });
+  res.json({
+    status: 'ok',
+    message: 'NetZero Backend API is running',
+    // ERP instances that are failing or not being called while their circuit breaker is open
+    unavailableErps: listOpenCircuits()
+  });
 });
 
 // API routes
 app.use('/api/odoo', odooRoutes);
+app.use('/api/erp', erpRoutes);
+app.use('/api/emissions', emissionRoutes);
+app.use('/api/sql', sqlRoutes);
+app.use('/api/mongo', mongoRoutes);
+app.use('/api/mqtt', mqttRoutes);
+app.use('/api/modbus', modbusRoutes);
+app.use('/api/opcua', opcuaRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -49,6 +74,22 @@ app.use((req, res) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 NetZero Backend Server running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
+
+  startSqlSchedules()
+    .then(count => count > 0 && console.log(`⏱️  Scheduled pulls of ${count} SQL source(s)`))
+    .catch(error => console.error('Failed to schedule SQL pulls:', error));
+  startMongoSchedules()
+    .then(count => count > 0 && console.log(`⏱️  Scheduled pulls of ${count} MongoDB source(s)`))
+    .catch(error => console.error('Failed to schedule MongoDB pulls:', error));
+  startMqttSubscribers()
+    .then(count => count > 0 && console.log(`📡 Subscribed to ${count} MQTT broker(s)`))
+    .catch(error => console.error('Failed to start MQTT subscribers:', error));
+  startModbusSchedules()
+    .then(count => count > 0 && console.log(`⏱️  Scheduled polls of ${count} Modbus device(s)`))
+    .catch(error => console.error('Failed to schedule Modbus polls:', error));
+  startOpcuaSubscribers()
+    .then(count => count > 0 && console.log(`📡 Subscribed to ${count} OPC UA server(s)`))
+    .catch(error => console.error('Failed to start OPC UA subscribers:', error));
 })
 .on('error', (err) => {
   if (err.code === 'EADDRINUSE') {
@@ -0,0 +1,201 @@
+/**
+ * Mapping of external source rows or documents onto activity records (see calculateEmissions),
+ * shared by the SQL and MongoDB connectors. The document paths are also used for MQTT payloads,
+ * and the period lengths by the meter connectors (MQTT, Modbus, OPC UA).
+ *
+ * A mapping names, per activity field, where the value is read from in the source
+ * (a column, a document path); unit, activityType and site may be a fixed value instead.
+ */
+
+// Lengths of the periods meter readings are summed over, in minutes
+export const PERIOD_MINUTES = [5, 15, 30, 60];
+export const DEFAULT_PERIOD_MINUTES = 15;
+
+// Activity record fields that source values are mapped to
+export const MAPPING_FIELDS = ['timestamp', 'quantity', 'unit', 'activityType', 'site', 'id'];
+
+const REQUIRED_MAPPING_FIELDS = ['timestamp', 'quantity', 'unit', 'activityType'];
+
+// Fields that may be a fixed value ({value: "kWh"}) instead of a source field
+const FIXED_VALUE_FIELDS = ['unit', 'activityType', 'site'];
+
+// Path segments: .name, [0], ['name'] or ["name"]
+const PATH_SEGMENT = /\.([\w-]+)|\[(\d+)\]|\[(['"])(.*?)\3\]/y;
+const BARE_NAME = /^[\w-]+$/;
+
+/**
+ * Parse a JSONPath-style document path into its segments
+ * @param {string} path - `$.a.b`, `a.b`, `a[0].b` or `$['a b'].c`
+ * @returns {Array<string|number>|null} Field names and array indexes, or null when the path is invalid
+ */
+export function parseDocumentPath(path) {
+  if (typeof path !== 'string') return null;
+  const text = path.trim();
+
+  let rest;
+  const segments = [];
+  if (text.startsWith('$')) {
+    rest = text.slice(1);
+  } else {
+    const first = text.match(/^[\w-]+/);
+    if (!first) return null;
+    segments.push(first[0]);
+    rest = text.slice(first[0].length);
+  }
+
+  PATH_SEGMENT.lastIndex = 0;
+  while (PATH_SEGMENT.lastIndex < rest.length) {
+    const match = PATH_SEGMENT.exec(rest);
+    if (!match) return null;
+    if (match[1] !== undefined) segments.push(match[1]);
+    else if (match[2] !== undefined) segments.push(Number(match[2]));
+    else segments.push(match[4]);
+  }
+
+  return segments.length > 0 ? segments : null;
+}
+
+/**
+ * Write document path segments back as a path, the way parseDocumentPath reads them
+ * @param {Array<string|number>} segments
+ * @returns {string}
+ */
+export function formatDocumentPath(segments) {
+  return segments.reduce((path, segment, index) => {
+    if (typeof segment === 'number') return `${path}[${segment}]`;
+    if (BARE_NAME.test(segment)) return index === 0 ? segment : `${path}.${segment}`;
+    const quote = segment.includes("'") ? '"' : "'";
+    return `${index === 0 ? '$' : path}[${quote}${segment}${quote}]`;
+  }, '');
+}
+
+/**
+ * Read the value at a parsed path; undefined when the document does not have it
+ */
+export function readDocumentPath(document, segments) {
+  let value = document;
+  for (const segment of segments) {
+    if (value === null || value === undefined || typeof value !== 'object') return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Check the shape of a mapping, and each source field it names with `checkField`
+ * @param {Object} mapping - Source field per activity field; unit, activityType and site may be {value} instead
+ * @param {string} kind - What a source field is called in messages ("column", "path")
+ * @param {function(string, string): string|null} checkField - Called with the activity field and the source field; returns an error message or null
+ * @returns {string|null} Error message, or null when the mapping is valid
+ */
+export function validateActivityMapping(mapping, kind, checkField) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'mapping must be an object';
+  }
+
+  for (const field of REQUIRED_MAPPING_FIELDS) {
+    if (!mapping[field]) {
+      return `mapping.${field} is required`;
+    }
+  }
+
+  for (const field of MAPPING_FIELDS) {
+    const target = mapping[field];
+    if (target === undefined || target === null || target === '') continue;
+
+    if (typeof target === 'object') {
+      if (!FIXED_VALUE_FIELDS.includes(field)) {
+        return `mapping.${field} must be a ${kind}`;
+      }
+      if (typeof target.value !== 'string' || !target.value.trim()) {
+        return `mapping.${field}.value must be a non-empty string`;
+      }
+    } else if (typeof target !== 'string') {
+      return `mapping.${field} must be a ${kind} name`;
+    } else {
+      const error = checkField(field, target);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a timestamp as stored in the source to ISO 8601.
+ * Numbers are Unix time in seconds or milliseconds; times without a zone are taken as UTC.
+ * @returns {string|null}
+ */
+export function toIsoTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+
+  let date;
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    const number = Number(value);
+    date = new Date(number < 1e11 ? number * 1000 : number);
+  } else {
+    const text = String(value)
+      .trim()
+      .replace(' ', 'T')
+      // PostgreSQL prints offsets as +02
+      .replace(/(T[\d:.]+[+-]\d{2})$/, '$1:00');
+    date = new Date(/T[\d:.]+$/.test(text) ? `${text}Z` : text);
+  }
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Convert source rows or documents into activity records.
+ * Items are keyed by their `id` field, so pulling the same item again updates it instead
+ * of adding it twice, and separate items with the same values stay separate.
+ * @param {Array} items - Source rows or documents
+ * @param {Object} options
+ * @param {string} options.source - Record source ("sql", "mongodb"), also the id prefix
+ * @param {string} options.sourceName - Table, collection or "query"
+ * @param {Object} options.mapping - Validated mapping, with its `id` field
+ * @param {function(Object, string): *} options.read - Reads a source field of an item
+ * @returns {Array} Activity records; `writeDate` holds the raw timestamp used as pull cursor
+ */
+export function toActivityRecords(items, { source, sourceName, mapping, read }) {
+  const valueOf = (item, target) => {
+    if (target === undefined || target === null || target === '') return undefined;
+    return typeof target === 'object' ? target.value : read(item, target);
+  };
+
+  return items.map(item => {
+    const timestamp = valueOf(item, mapping.timestamp);
+    const rawQuantity = valueOf(item, mapping.quantity);
+    const unit = String(valueOf(item, mapping.unit) ?? '').trim();
+    const activityType = String(valueOf(item, mapping.activityType) ?? '').trim();
+    const site = valueOf(item, mapping.site);
+    const key = String(valueOf(item, mapping.id));
+
+    let excluded;
+    if (!activityType) {
+      excluded = 'No activity type';
+    } else if (!unit) {
+      excluded = 'No unit';
+    } else if (rawQuantity === null || rawQuantity === undefined || rawQuantity === '') {
+      excluded = 'No quantity recorded';
+    }
+
+    let writeDate = timestamp;
+    if (typeof timestamp === 'bigint') writeDate = Number(timestamp);
+    else if (timestamp instanceof Date) writeDate = toIsoTimestamp(timestamp);
+
+    return {
+      id: `${source}:${sourceName}:${key}`,
+      source,
+      reference: `${sourceName} #${key}`,
+      activityType,
+      quantity: Number(rawQuantity),
+      unit,
+      date: toIsoTimestamp(timestamp),
+      tags: site !== undefined && site !== null && site !== '' ? { site: String(site) } : undefined,
+      writeDate,
+      excluded
+    };
+  });
+}
@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import { createJsonStore } from './jsonStore.js';
+import { fetchModelHistory, withOdooTls } from './odooService.js';
+import { upsertSyncedRecords } from './syncStore.js';
+
+const DEFAULT_CHUNK_SIZE = 200;
+
+/**
+ * Backfill jobs and their progress. Progress is saved after every chunk, so a job
+ * that stopped (crash, restart, Odoo outage) resumes from the last saved record id.
+ */
+const store = createJsonStore('backfill-jobs', () => ({ jobs: {} }));
+
+// Jobs running in this process: job id -> connection id
+const activeJobs = new Map();
+
+const RESUMABLE_STATUSES = ['failed', 'interrupted', 'cancelled'];
+
+/**
+ * A job marked queued or running that is not active in this process was stopped by a crash or restart
+ */
+function withLiveStatus(job) {
+  return ['queued', 'running'].includes(job.status) && !activeJobs.has(job.id)
+    ? { ...job, status: 'interrupted' }
+    : job;
+}
+
+function updateJob(jobId, mutator) {
+  return store.update(document => {
+    const job = document.jobs[jobId];
+    mutator(job);
+    job.updatedAt = new Date().toISOString();
+    return { ...job };
+  });
+}
+
+/**
+ * Page through every model of a job, upserting records into the sync store
+ */
+async function runJob(jobId, credentials, chunkSize) {
+  const { url, dbName, username, password, companyIds, tls } = credentials;
+
+  try {
+    let job = await updateJob(jobId, j => {
+      j.status = 'running';
+      j.error = null;
+      j.cancelRequested = false;
+    });
+
+    for (const model of job.models) {
+      if (['done', 'skipped'].includes(job.progress[model].status)) continue;
+
+      job = await updateJob(jobId, j => {
+        j.currentModel = model;
+        j.progress[model].status = 'running';
+      });
+
+      for (;;) {
+        const progress = job.progress[model];
+        const result = await withOdooTls(tls, () => fetchModelHistory(url, dbName, username, password, model, {
+          dateFrom: job.dateFrom,
+          afterId: progress.lastId,
+          limit: chunkSize,
+          companyIds
+        }));
+
+        if (!result.success) {
+          // A model whose app is not installed is skipped rather than failing the whole job
+          if (result.code === 'ODOO_MODEL_NOT_FOUND') {
+            job = await updateJob(jobId, j => {
+              j.progress[model].status = 'skipped';
+              j.progress[model].error = result.error;
+            });
+            break;
+          }
+
+          await updateJob(jobId, j => {
+            j.status = 'failed';
+            j.error = result.error;
+            j.errorCode = result.code;
+            j.progress[model].status = 'failed';
+          });
+          return;
+        }
+
+        if (result.data.length > 0) {
+          await upsertSyncedRecords(job.connectionId, model, result.data, { advanceWatermark: false });
+        }
+
+        const finished = result.data.length < chunkSize;
+        job = await updateJob(jobId, j => {
+          const p = j.progress[model];
+          p.fetched += result.data.length;
+          p.total = p.fetched + result.count - result.data.length;
+          if (result.data.length > 0) p.lastId = result.data[result.data.length - 1].id;
+          if (finished) p.status = 'done';
+        });
+
+        if (finished) break;
+        if (job.cancelRequested) {
+          await updateJob(jobId, j => {
+            j.status = 'cancelled';
+            j.progress[model].status = 'pending';
+          });
+          return;
+        }
+      }
+    }
+
+    await updateJob(jobId, j => {
+      j.status = 'completed';
+      j.currentModel = null;
+      j.finishedAt = new Date().toISOString();
+    });
+  } catch (error) {
+    console.error('Backfill job error:', error);
+    await updateJob(jobId, j => {
+      j.status = 'failed';
+      j.error = error.message || 'Backfill failed';
+      j.errorCode = 'INTERNAL_ERROR';
+    }).catch(() => {});
+  } finally {
+    activeJobs.delete(jobId);
+  }
+}
+
+/**
+ * Check whether a job of the connection is running in this process
+ * @param {string} connectionId - Stored connection id
+ * @returns {boolean}
+ */
+export function isBackfillRunning(connectionId) {
+  return [...activeJobs.values()].includes(connectionId);
+}
+
+const BACKFILL_IN_PROGRESS = {
+  success: false,
+  error: 'A backfill is already running for this connection',
+  code: 'BACKFILL_IN_PROGRESS',
+  status: 409
+};
+
+/**
+ * Create a backfill job and start it in the background
+ * @param {string} connectionId - Stored connection id
+ * @param {Object} credentials - {url, dbName, username, password, companyIds, tls}
+ * @param {Object} options
+ * @param {string} options.dateFrom - First record date, YYYY-MM-DD
+ * @param {Array<string>} options.models - Models to backfill, in order
+ * @param {number} options.chunkSize - Records per Odoo request
+ * @returns {Promise<{success: boolean, job?: Object, error?: string, code?: string, status?: number}>}
+ */
+export async function startBackfill(connectionId, credentials, { dateFrom, models, chunkSize = DEFAULT_CHUNK_SIZE }) {
+  if (isBackfillRunning(connectionId)) {
+    return BACKFILL_IN_PROGRESS;
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    connectionId,
+    dateFrom,
+    models,
+    status: 'queued',
+    currentModel: null,
+    progress: Object.fromEntries(models.map(model => [model, {
+      status: 'pending',
+      lastId: 0,
+      fetched: 0,
+      total: null
+    }])),
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+
+  // Claim the connection before the first await so that concurrent starts are rejected
+  activeJobs.set(job.id, connectionId);
+  try {
+    await store.update(document => {
+      document.jobs[job.id] = job;
+    });
+  } catch (error) {
+    activeJobs.delete(job.id);
+    throw error;
+  }
+
+  runJob(job.id, credentials, chunkSize);
+  return { success: true, job };
+}
+
+/**
+ * Resume a failed, interrupted or cancelled job from its saved progress
+ * @returns {Promise<{success: boolean, job?: Object, error?: string, code?: string, status?: number}>}
+ */
+export async function resumeBackfill(connectionId, jobId, credentials, { chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+  const job = await getBackfillJob(connectionId, jobId);
+  if (!job) {
+    return { success: false, error: 'Backfill job not found', code: 'BACKFILL_NOT_FOUND', status: 404 };
+  }
+
+  if (!RESUMABLE_STATUSES.includes(job.status)) {
+    return {
+      success: false,
+      error: `A ${job.status} backfill cannot be resumed`,
+      code: 'INVALID_REQUEST',
+      status: 400
+    };
+  }
+
+  if (isBackfillRunning(connectionId)) {
+    return BACKFILL_IN_PROGRESS;
+  }
+
+  activeJobs.set(jobId, connectionId);
+  runJob(jobId, credentials, chunkSize);
+  return { success: true, job: { ...job, status: 'running' } };
+}
+
+/**
+ * Ask a running job to stop after its current chunk
+ * @returns {Promise<{success: boolean, job?: Object, error?: string, code?: string, status?: number}>}
+ */
+export async function cancelBackfill(connectionId, jobId) {
+  const job = await getBackfillJob(connectionId, jobId);
+  if (!job) {
+    return { success: false, error: 'Backfill job not found', code: 'BACKFILL_NOT_FOUND', status: 404 };
+  }
+
+  if (job.status !== 'running') {
+    return { success: false, error: 'Only a running backfill can be cancelled', code: 'INVALID_REQUEST', status: 400 };
+  }
+
+  return {
+    success: true,
+    job: await updateJob(jobId, j => {
+      j.cancelRequested = true;
+    })
+  };
+}
+
+/**
+ * Get one job of a connection
+ * @returns {Promise<Object|null>}
+ */
+export async function getBackfillJob(connectionId, jobId) {
+  const document = await store.read();
+  const job = document.jobs[jobId];
+  return job && job.connectionId === connectionId ? withLiveStatus(job) : null;
+}
+
+/**
+ * List the jobs of a connection, newest first
+ * @returns {Promise<Array>}
+ */
+export async function listBackfillJobs(connectionId) {
+  const document = await store.read();
+  return Object.values(document.jobs)
+    .filter(job => job.connectionId === connectionId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(withLiveStatus);
+}
+
+/**
+ * Delete the jobs of a connection; running jobs stop after their current chunk
+ */
+export function deleteBackfillJobs(connectionId) {
+  return store.update(document => {
+    for (const [id, job] of Object.entries(document.jobs)) {
+      if (job.connectionId !== connectionId) continue;
+      if (activeJobs.has(id)) {
+        job.cancelRequested = true;
+      } else {
+        delete document.jobs[id];
+      }
+    }
+  });
+}
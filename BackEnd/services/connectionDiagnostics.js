@@ -0,0 +1,415 @@
+import dns from 'dns/promises';
+import net from 'net';
+import tls from 'tls';
+import {
+  withOdooTls,
+  getOdooUid,
+  getOdooServerVersion,
+  odooDatabaseExists,
+  listOdooDatabases,
+  checkOdooModelAccess
+} from './odooService.js';
+import { pingERPNext, authenticateERPNext, checkERPNextDocTypeAccess } from './erpnextService.js';
+import { tlsRequestOptions } from './tlsSettings.js';
+
+const STEP_TIMEOUT_MS = 10000;
+
+// Models checked with check_access_rights; only the required ones fail the diagnosis
+const ODOO_MODEL_CHECKS = [
+  { model: 'sale.order', app: 'Sales', required: true },
+  { model: 'purchase.order', app: 'Purchase' },
+  { model: 'account.move', app: 'Invoicing' },
+  { model: 'fleet.vehicle', app: 'Fleet' },
+  { model: 'mrp.production', app: 'Manufacturing' },
+  { model: 'stock.picking', app: 'Inventory' }
+];
+
+const ERPNEXT_DOCTYPE_CHECKS = [
+  { doctype: 'Sales Order', required: true },
+  { doctype: 'Purchase Order' },
+  { doctype: 'Item' },
+  { doctype: 'Customer' },
+  { doctype: 'Supplier' }
+];
+
+const TLS_HINTS = {
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'The server uses a self-signed certificate. Install a certificate from a public CA (e.g. Let\'s Encrypt).',
+  SELF_SIGNED_CERT_IN_CHAIN: 'The certificate chain ends in a private CA. Use a certificate from a public CA.',
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'The certificate is signed by an unknown CA, or the server does not send its intermediate certificates. Configure the full certificate chain on the web server.',
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'The server does not send its intermediate certificates. Configure the full certificate chain on the web server.',
+  CERT_HAS_EXPIRED: 'The certificate has expired. Renew it on the server.',
+  CERT_NOT_YET_VALID: 'The certificate is not valid yet. Check the clock of the server.',
+  ERR_TLS_CERT_ALTNAME_INVALID: 'The certificate was issued for another host name. Use the host name the certificate is for.'
+};
+
+// Errors of certificates signed by a CA that is not trusted, which a CA bundle on the connection fixes
+const UNTRUSTED_CA_ERRORS = [
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY'
+];
+
+/**
+ * Reject when a promise does not settle in time
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(message), { code: 'ETIMEDOUT' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run diagnostic steps in order. A step returns {status, detail, hint, blocking};
+ * after a failed blocking step the remaining steps are skipped.
+ * @param {Array<{id: string, label: string, run: Function}>} steps
+ * @returns {Promise<{success: boolean, ok: boolean, steps: Array}>}
+ */
+async function runSteps(steps) {
+  const results = [];
+  let blockedBy = null;
+
+  for (const { id, label, run } of steps) {
+    if (blockedBy) {
+      results.push({ id, label, status: 'skipped', detail: `Skipped because "${blockedBy}" failed` });
+      continue;
+    }
+
+    let outcome;
+    try {
+      outcome = await run(results);
+    } catch (error) {
+      outcome = { status: 'failed', detail: error.message, blocking: true };
+    }
+
+    const { status, detail, hint, blocking } = outcome;
+    results.push({ id, label, status, detail, ...(hint ? { hint } : {}) });
+    if (status === 'failed' && blocking) blockedBy = label;
+  }
+
+  return {
+    success: true,
+    ok: results.every(result => result.status !== 'failed'),
+    steps: results
+  };
+}
+
+/**
+ * Steps shared by all HTTP sources: URL, DNS resolution and TLS handshake
+ * @param {string} url - Server URL
+ * @param {Object} tls - TLS settings of the connection
+ */
+function networkSteps(url, tls) {
+  let parsed;
+
+  return [
+    {
+      id: 'url',
+      label: 'URL',
+      run: () => {
+        try {
+          parsed = new URL(url);
+        } catch {
+          return { status: 'failed', detail: `"${url}" is not a valid URL`, hint: 'Enter the full URL, including https://', blocking: true };
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+          return { status: 'failed', detail: `Unsupported protocol ${parsed.protocol}`, hint: 'Use an https:// or http:// URL', blocking: true };
+        }
+        if (parsed.pathname !== '/' && parsed.pathname !== '') {
+          return {
+            status: 'warning',
+            detail: `The URL has a path (${parsed.pathname})`,
+            hint: 'Use the base URL of the instance, without /web or /app'
+          };
+        }
+        return { status: 'passed', detail: parsed.origin };
+      }
+    },
+    {
+      id: 'dns',
+      label: 'DNS resolution',
+      run: async () => {
+        if (net.isIP(parsed.hostname)) {
+          return { status: 'passed', detail: `${parsed.hostname} is an IP address` };
+        }
+        try {
+          const addresses = await withTimeout(dns.lookup(parsed.hostname, { all: true }), STEP_TIMEOUT_MS, 'DNS lookup timed out');
+          return { status: 'passed', detail: `${parsed.hostname} resolves to ${addresses.map(a => a.address).join(', ')}` };
+        } catch (error) {
+          return {
+            status: 'failed',
+            detail: `${parsed.hostname} could not be resolved (${error.code || error.message})`,
+            hint: error.code === 'ENOTFOUND'
+              ? 'Check the host name for typos. Internal host names only resolve inside your network or VPN.'
+              : 'The DNS server did not answer. Check the network connection of the backend server.',
+            blocking: true
+          };
+        }
+      }
+    },
+    {
+      id: 'tls',
+      label: 'TLS handshake',
+      run: () => {
+        if (parsed.protocol === 'http:') {
+          return {
+            status: 'warning',
+            detail: 'Plain HTTP: passwords and data are sent unencrypted',
+            hint: 'Use https:// for servers reached over the internet'
+          };
+        }
+        return checkTls(parsed, tls);
+      }
+    }
+  ];
+}
+
+/**
+ * Open a TLS connection and report whether the certificate can be verified with the
+ * connection's CA bundle. The handshake itself failing blocks the remaining steps;
+ * an unverifiable certificate does not, so the later steps show what else is wrong.
+ */
+function checkTls(parsed, settings) {
+  const port = Number(parsed.port) || 443;
+  const { ca } = tlsRequestOptions(settings);
+
+  return new Promise(resolve => {
+    const socket = tls.connect({
+      host: parsed.hostname,
+      port,
+      servername: net.isIP(parsed.hostname) ? undefined : parsed.hostname,
+      ca,
+      rejectUnauthorized: false,
+      timeout: STEP_TIMEOUT_MS
+    });
+
+    socket.once('secureConnect', () => {
+      const certificate = socket.getPeerCertificate();
+      const validTo = certificate?.valid_to ? `, valid until ${certificate.valid_to}` : '';
+      const error = socket.authorizationError;
+      let result;
+      if (socket.authorized) {
+        result = { status: 'passed', detail: `${socket.getProtocol()}, certificate for ${certificate?.subject?.CN || parsed.hostname}${validTo}` };
+      } else if (settings?.verify === false) {
+        result = {
+          status: 'warning',
+          detail: `Certificate could not be verified (${error}); verification is turned off for this connection`,
+          hint: `Reason given: ${settings.insecureReason}. Add the server's CA certificate instead and turn verification back on.`
+        };
+      } else {
+        result = {
+          status: 'failed',
+          detail: `Certificate could not be verified (${error})`,
+          hint: UNTRUSTED_CA_ERRORS.includes(error)
+            ? `${TLS_HINTS[error]} For an internal CA, add its certificate to the connection's TLS settings.`
+            : TLS_HINTS[error] || 'Check the certificate installed on the server.'
+        };
+      }
+      socket.end();
+      resolve(result);
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      resolve({
+        status: 'failed',
+        detail: `No TLS handshake with ${parsed.hostname}:${port} within ${STEP_TIMEOUT_MS / 1000} s`,
+        hint: 'Check that the port is open in the firewall and serves HTTPS.',
+        blocking: true
+      });
+    });
+    socket.once('error', error => {
+      resolve({
+        status: 'failed',
+        detail: `TLS connection to ${parsed.hostname}:${port} failed (${error.code || error.message})`,
+        hint: error.code === 'ECONNREFUSED'
+          ? 'Nothing listens on this port. Check the port and that the server is running.'
+          : 'Check that the server serves HTTPS on this port, or use http:// if it does not.',
+        blocking: true
+      });
+    });
+  });
+}
+
+/**
+ * Hint for a failed Odoo RPC endpoint, by error code
+ */
+function odooEndpointHint(code) {
+  if (code === 'ODOO_SERVER_ERROR') return 'The URL does not point to an Odoo server, or a proxy blocks the endpoint. Use the base URL of the instance.';
+  if (code === 'ODOO_TIMEOUT') return 'The server did not answer in time. Check the firewall and that Odoo is running.';
+  if (code === 'ODOO_TLS_ERROR') return 'The certificate is rejected for this endpoint. See the TLS handshake step.';
+  return 'Check the port, the firewall and that Odoo is running.';
+}
+
+/**
+ * Test an Odoo connection stage by stage: URL, DNS, TLS, JSON-RPC and XML-RPC endpoints,
+ * database, login and read access to the models NetZero imports
+ * @param {Object} credentials - {url, dbName, username, password, tls}
+ * @returns {Promise<{success: boolean, ok: boolean, steps: Array<{id: string, label: string, status: string, detail: string, hint?: string}>}>}
+ */
+export function diagnoseOdooConnection({ url, dbName, username, password, tls }) {
+  return withOdooTls(tls, () => runSteps([
+    ...networkSteps(url, tls),
+    {
+      id: 'jsonrpc',
+      label: 'JSON-RPC endpoint',
+      run: async () => {
+        const result = await getOdooServerVersion(url, 'jsonrpc');
+        return result.success
+          ? { status: 'passed', detail: `/jsonrpc answers (Odoo ${result.version})` }
+          : { status: 'failed', detail: result.error, hint: odooEndpointHint(result.code) };
+      }
+    },
+    {
+      id: 'xmlrpc',
+      label: 'XML-RPC endpoint',
+      run: async results => {
+        const result = await getOdooServerVersion(url, 'xmlrpc');
+        if (result.success) {
+          return { status: 'passed', detail: `/xmlrpc/2 answers (Odoo ${result.version})` };
+        }
+        // Either endpoint is enough, since every call falls back to the other one
+        const jsonRpcPassed = results.find(step => step.id === 'jsonrpc')?.status === 'passed';
+        return {
+          status: jsonRpcPassed ? 'warning' : 'failed',
+          detail: result.error,
+          hint: jsonRpcPassed
+            ? 'JSON-RPC works, so this only matters as a fallback.'
+            : odooEndpointHint(result.code),
+          blocking: true
+        };
+      }
+    },
+    {
+      id: 'database',
+      label: 'Database',
+      run: async () => {
+        const result = await odooDatabaseExists(url, dbName);
+        if (!result.success) {
+          return { status: 'failed', detail: result.error, hint: odooEndpointHint(result.code), blocking: true };
+        }
+        if (result.exists) {
+          return { status: 'passed', detail: `Database "${dbName}" exists` };
+        }
+
+        const listing = await listOdooDatabases(url);
+        const available = listing.success && listing.databases.length > 0
+          ? ` Databases on this server: ${listing.databases.join(', ')}.`
+          : '';
+        return {
+          status: 'failed',
+          detail: `Database "${dbName}" does not exist`,
+          hint: `Check the database name; it is case-sensitive.${available}`,
+          blocking: true
+        };
+      }
+    },
+    {
+      id: 'auth',
+      label: 'Authentication',
+      run: async () => {
+        const result = await getOdooUid(url, dbName, username, password, { forceRefresh: true });
+        return result.success
+          ? { status: 'passed', detail: `Logged in as ${username} (uid ${result.uid})` }
+          : {
+              status: 'failed',
+              detail: result.error,
+              hint: 'Use the login (usually the email) and password of the Odoo user. With two-factor authentication, use an API key (Preferences → Account Security) as the password.',
+              blocking: true
+            };
+      }
+    },
+    {
+      id: 'access',
+      label: 'Model access',
+      run: async () => {
+        const result = await checkOdooModelAccess(url, dbName, username, password, ODOO_MODEL_CHECKS.map(c => c.model));
+        if (!result.success) {
+          return { status: 'failed', detail: result.error, hint: 'Check the access rights of the Odoo user.' };
+        }
+
+        const problems = result.data.filter(entry => !entry.readable).map(entry => {
+          const { app, required } = ODOO_MODEL_CHECKS.find(c => c.model === entry.model);
+          return { ...entry, app, required };
+        });
+        if (problems.length === 0) {
+          return { status: 'passed', detail: `Read access to ${result.data.map(entry => entry.model).join(', ')}` };
+        }
+
+        return {
+          status: problems.some(problem => problem.required) ? 'failed' : 'warning',
+          detail: problems.map(problem => `${problem.model}: ${problem.installed ? 'no read access' : 'app not installed'}`).join('; '),
+          hint: problems.map(problem => problem.installed
+            ? `Give the user at least "User" access to ${problem.app} (Settings → Users → Access Rights).`
+            : `Install the ${problem.app} app to import its data${problem.required ? '' : ', or ignore this if you do not use it'}.`
+          ).join(' ')
+        };
+      }
+    }
+  ]));
+}
+
+/**
+ * Test an ERPNext connection stage by stage: URL, DNS, TLS, API endpoint, login and
+ * read access to the DocTypes NetZero imports
+ * @param {Object} connection - {url, apiKey, apiSecret, tls} or {url, username, password, tls}
+ * @returns {Promise<{success: boolean, ok: boolean, steps: Array<{id: string, label: string, status: string, detail: string, hint?: string}>}>}
+ */
+export function diagnoseERPNextConnection(connection) {
+  return runSteps([
+    ...networkSteps(connection.url, connection.tls),
+    {
+      id: 'api',
+      label: 'API endpoint',
+      run: async () => {
+        const result = await pingERPNext(connection);
+        return result.success
+          ? { status: 'passed', detail: '/api/method/ping answers' }
+          : {
+              status: 'failed',
+              detail: result.error,
+              hint: result.code && !result.httpStatus
+                ? 'Check the port, the firewall and that the site is running.'
+                : 'The URL does not point to an ERPNext site. Use the site URL, without /app.',
+              blocking: true
+            };
+      }
+    },
+    {
+      id: 'auth',
+      label: 'Authentication',
+      run: async () => {
+        const result = await authenticateERPNext(connection);
+        return result.success
+          ? { status: 'passed', detail: `Logged in as ${result.user}` }
+          : {
+              status: 'failed',
+              detail: result.error,
+              hint: connection.apiKey
+                ? 'Generate a new key pair under User → Settings → API Access and paste it as api_key:api_secret.'
+                : 'Check the username (email) and password, and that the user is enabled.',
+              blocking: true
+            };
+      }
+    },
+    {
+      id: 'access',
+      label: 'DocType access',
+      run: async () => {
+        const results = await checkERPNextDocTypeAccess(connection, ERPNEXT_DOCTYPE_CHECKS.map(c => c.doctype));
+        const problems = results.filter(entry => !entry.readable);
+        if (problems.length === 0) {
+          return { status: 'passed', detail: `Read access to ${results.map(entry => entry.doctype).join(', ')}` };
+        }
+
+        const required = problems.some(problem => ERPNEXT_DOCTYPE_CHECKS.find(c => c.doctype === problem.doctype).required);
+        return {
+          status: required ? 'failed' : 'warning',
+          detail: problems.map(problem => `${problem.doctype}: ${problem.error}`).join('; '),
+          hint: 'Give the user a role with read permission on these DocTypes, e.g. Sales User, Purchase User and Stock User.'
+        };
+      }
+    }
+  ]);
+}
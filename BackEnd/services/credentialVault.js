@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import { createJsonStore } from './jsonStore.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'netzero-credential-vault';
+
+const store = createJsonStore('connections', () => ({ connections: {} }));
+const auditStore = createJsonStore('connection-audit', () => ({ events: [] }));
+
+const MAX_AUDIT_EVENTS = 1000;
+
+// Connection ids are random UUIDs, so they cannot be guessed
+const CONNECTION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+/**
+ * The stored credentials of a connection cannot be decrypted: CREDENTIAL_VAULT_KEY
+ * changed since they were saved, or the vault file is damaged
+ */
+export class CredentialsUnreadableError extends Error {
+  constructor(message = 'The stored credentials of this connection cannot be decrypted. Please re-enter the credentials.') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = 'CREDENTIALS_UNREADABLE';
+    this.status = 409;
+  }
+}
+
+let cachedKey = null;
+let cachedKeySource = null;
+
+/**
+ * Derive the encryption key from CREDENTIAL_VAULT_KEY.
+ * Read lazily so the value from .env is available.
+ */
+function encryptionKey() {
+  const source = process.env.CREDENTIAL_VAULT_KEY;
+  if (!source) {
+    const error = new Error('CREDENTIAL_VAULT_KEY is not set; connection profiles cannot be stored');
+    error.status = 500;
+    throw error;
+  }
+
+  if (source !== cachedKeySource) {
+    cachedKey = crypto.scryptSync(source, KEY_SALT, 32);
+    cachedKeySource = source;
+  }
+  return cachedKey;
+}
+
+function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+function decrypt(secret) {
+  const key = encryptionKey();
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(secret.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(secret.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(secret.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    // GCM authentication fails with another key; a damaged entry fails anywhere
+    throw new CredentialsUnreadableError();
+  }
+}
+
+/**
+ * Whether a value has the shape of a connection id. Other values are never looked up.
+ * @param {*} id
+ * @returns {boolean}
+ */
+export function isConnectionId(id) {
+  return typeof id === 'string' && CONNECTION_ID_PATTERN.test(id);
+}
+
+/**
+ * Store a connection profile with its credentials encrypted at rest
+ * @param {string} type - Source type, e.g. "odoo" or "erpnext"
+ * @param {Object} credentials - Connection details including secrets
+ * @param {Object} settings - Non-secret settings, stored in plain text
+ * @returns {Promise<string>} Opaque connection id
+ */
+export async function saveConnection(type, credentials, settings = {}) {
+  const id = crypto.randomUUID();
+  const secret = encrypt(credentials);
+  const now = new Date().toISOString();
+
+  await store.update(document => {
+    document.connections[id] = { id, type, createdAt: now, updatedAt: now, settings, secret };
+  });
+
+  return id;
+}
+
+/**
+ * Load and decrypt a connection profile
+ * @param {string} id - Connection id
+ * @param {string} type - Expected source type; profiles of another type are not returned
+ * @returns {Promise<{id: string, type: string, settings: Object, credentials: Object} | null>}
+ * @throws {CredentialsUnreadableError} When the credentials cannot be decrypted
+ */
+export async function getConnection(id, type) {
+  if (!isConnectionId(id)) return null;
+
+  const document = await store.read();
+  const profile = document.connections[id];
+
+  if (!profile || (type && profile.type !== type)) {
+    return null;
+  }
+
+  return {
+    id: profile.id,
+    type: profile.type,
+    settings: profile.settings || {},
+    credentials: decrypt(profile.secret)
+  };
+}
+
+/**
+ * List the connection profiles of a type, without decrypting their credentials
+ * @param {string} type - Source type
+ * @returns {Promise<Array<{id: string, type: string, settings: Object}>>}
+ */
+export async function listConnections(type) {
+  const document = await store.read();
+  return Object.values(document.connections)
+    .filter(profile => profile.type === type)
+    .map(({ id, settings }) => ({ id, type, settings: settings || {} }));
+}
+
+/**
+ * Merge non-secret settings into a connection profile
+ * @param {string} id - Connection id
+ * @param {string} type - Expected source type; profiles of another type are not changed
+ * @param {Object} settings - Settings to set
+ * @returns {Promise<Object|null>} The updated settings, or null when the profile does not exist
+ */
+export async function updateConnectionSettings(id, type, settings) {
+  if (!isConnectionId(id)) return null;
+
+  return store.update(document => {
+    const profile = document.connections[id];
+    if (!profile || (type && profile.type !== type)) return null;
+
+    profile.settings = { ...profile.settings, ...settings };
+    profile.updatedAt = new Date().toISOString();
+    return profile.settings;
+  });
+}
+
+/**
+ * Delete a connection profile. Every deletion is written to the connection audit trail.
+ * @param {string} id - Connection id
+ * @param {string} type - Expected source type; profiles of another type are not deleted
+ * @param {Object} options
+ * @param {string} options.actor - Who deleted it, e.g. the client IP
+ * @returns {Promise<boolean>} false when the profile does not exist
+ */
+export async function deleteConnection(id, type, { actor } = {}) {
+  if (!isConnectionId(id)) return false;
+
+  const deleted = await store.update(document => {
+    const profile = document.connections[id];
+    if (!profile || (type && profile.type !== type)) return false;
+
+    delete document.connections[id];
+    return true;
+  });
+
+  if (deleted) {
+    console.warn(`Stored ${type} connection ${id} deleted by ${actor || 'unknown'}`);
+    await auditStore.update(document => {
+      document.events.push({ at: new Date().toISOString(), action: 'delete', connectionId: id, type, actor: actor || null });
+      document.events = document.events.slice(-MAX_AUDIT_EVENTS);
+    });
+  }
+  return deleted;
+}
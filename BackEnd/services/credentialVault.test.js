@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { saveConnection, getConnection, CredentialsUnreadableError } from './credentialVault.js';
+
+let dataDir;
+let instances = 0;
+const previousEnv = {};
+
+before(async () => {
+  for (const name of ['DATA_DIR', 'CREDENTIAL_VAULT_KEY']) previousEnv[name] = process.env[name];
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'netzero-vault-'));
+  process.env.DATA_DIR = dataDir;
+  process.env.CREDENTIAL_VAULT_KEY = 'vault-test-key';
+});
+
+after(async () => {
+  for (const [name, value] of Object.entries(previousEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const credentials = { url: 'https://odoo.example.com', dbName: 'prod', username: 'admin', password: 's3cret-password' };
+
+/**
+ * A separate instance of the vault module, which reads the vault file from disk instead of its cache
+ */
+const freshVault = () => import(`./credentialVault.js?instance=${++instances}`);
+
+const vaultFile = () => path.join(dataDir, 'connections.json');
+
+test('saveConnection encrypts credentials and getConnection decrypts them', async () => {
+  const id = await saveConnection('odoo', credentials, { tls: { verify: true } });
+
+  assert.deepEqual(await getConnection(id, 'odoo'), {
+    id,
+    type: 'odoo',
+    settings: { tls: { verify: true } },
+    credentials
+  });
+  assert.equal(await getConnection(id, 'erpnext'), null);
+
+  const file = await fs.readFile(vaultFile(), 'utf8');
+  assert.doesNotMatch(file, /s3cret-password/);
+  assert.doesNotMatch(file, /admin/);
+});
+
+test('getConnection rejects tampered ciphertext', async () => {
+  const id = await saveConnection('odoo', credentials);
+
+  const document = JSON.parse(await fs.readFile(vaultFile(), 'utf8'));
+  const ciphertext = Buffer.from(document.connections[id].secret.ciphertext, 'base64');
+  ciphertext[0] ^= 1;
+  document.connections[id].secret.ciphertext = ciphertext.toString('base64');
+  await fs.writeFile(vaultFile(), JSON.stringify(document));
+
+  const vault = await freshVault();
+  await assert.rejects(vault.getConnection(id, 'odoo'), error => {
+    assert.equal(error.name, 'CredentialsUnreadableError');
+    assert.equal(error.code, 'CREDENTIALS_UNREADABLE');
+    assert.equal(error.status, 409);
+    return true;
+  });
+});
+
+test('getConnection rejects credentials saved with another CREDENTIAL_VAULT_KEY', async t => {
+  const id = await saveConnection('odoo', credentials);
+  t.after(() => {
+    process.env.CREDENTIAL_VAULT_KEY = 'vault-test-key';
+  });
+
+  process.env.CREDENTIAL_VAULT_KEY = 'another-key';
+  await assert.rejects(getConnection(id, 'odoo'), CredentialsUnreadableError);
+
+  process.env.CREDENTIAL_VAULT_KEY = 'vault-test-key';
+  assert.deepEqual((await getConnection(id, 'odoo')).credentials, credentials);
+});
+
+test('saveConnection refuses to store credentials without CREDENTIAL_VAULT_KEY', async t => {
+  t.after(() => {
+    process.env.CREDENTIAL_VAULT_KEY = 'vault-test-key';
+  });
+  delete process.env.CREDENTIAL_VAULT_KEY;
+
+  await assert.rejects(saveConnection('odoo', credentials), {
+    message: 'CREDENTIAL_VAULT_KEY is not set; connection profiles cannot be stored',
+    status: 500
+  });
+});
@@ -0,0 +1,655 @@
+import { EMISSION_FACTOR_SETS, DEFAULT_FACTOR_VERSION } from '../config/emissionFactors.js';
+
+/**
+ * Unit aliases mapped to a base unit and a multiplier into that base unit.
+ * Factors are always expressed in the base unit.
+ */
+const UNIT_CONVERSIONS = {
+  kwh: { base: 'kWh', multiplier: 1 },
+  wh: { base: 'kWh', multiplier: 0.001 },
+  mwh: { base: 'kWh', multiplier: 1000 },
+  gj: { base: 'kWh', multiplier: 277.7778 },
+  l: { base: 'L', multiplier: 1 },
+  lt: { base: 'L', multiplier: 1 },
+  ltr: { base: 'L', multiplier: 1 },
+  litre: { base: 'L', multiplier: 1 },
+  litres: { base: 'L', multiplier: 1 },
+  liter: { base: 'L', multiplier: 1 },
+  liters: { base: 'L', multiplier: 1 },
+  kl: { base: 'L', multiplier: 1000 },
+  gal: { base: 'L', multiplier: 3.78541 },
+  gallon: { base: 'L', multiplier: 3.78541 },
+  gallons: { base: 'L', multiplier: 3.78541 },
+  m3: { base: 'm3', multiplier: 1 },
+  scm: { base: 'm3', multiplier: 1 },
+  g: { base: 'kg', multiplier: 0.001 },
+  kg: { base: 'kg', multiplier: 1 },
+  kgs: { base: 'kg', multiplier: 1 },
+  t: { base: 'kg', multiplier: 1000 },
+  ton: { base: 'kg', multiplier: 1000 },
+  tons: { base: 'kg', multiplier: 1000 },
+  tonne: { base: 'kg', multiplier: 1000 },
+  tonnes: { base: 'kg', multiplier: 1000 },
+  mt: { base: 'kg', multiplier: 1000 },
+  tkm: { base: 'tkm', multiplier: 1 },
+  'tonne-km': { base: 'tkm', multiplier: 1 },
+  'tonne.km': { base: 'tkm', multiplier: 1 }
+};
+
+// Odoo sale.order states that represent confirmed business activity
+const COUNTED_SALE_STATES = ['sale', 'done'];
+
+// Odoo purchase.order states that represent confirmed purchases
+const COUNTED_PURCHASE_STATES = ['purchase', 'done'];
+
+// Odoo account.move states that represent booked bills
+const COUNTED_BILL_STATES = ['posted'];
+
+// Odoo mrp.production states with a final produced quantity
+const COUNTED_PRODUCTION_STATES = ['done'];
+
+// Odoo stock.picking states of deliveries that have left the warehouse
+const COUNTED_DELIVERY_STATES = ['done'];
+
+// Odoo fleet.vehicle fuel_type values mapped to combustion activity types
+const FLEET_FUEL_ACTIVITY_TYPES = {
+  diesel: 'fuel.diesel',
+  plug_in_hybrid_diesel: 'fuel.diesel',
+  gasoline: 'fuel.petrol',
+  hybrid: 'fuel.petrol',
+  full_hybrid: 'fuel.petrol',
+  plug_in_hybrid_gasoline: 'fuel.petrol',
+  lpg: 'fuel.lpg'
+};
+
+/**
+ * Normalize a unit string to its base unit
+ * @param {string} unit - Unit as reported by the source system
+ * @returns {{base: string, multiplier: number}}
+ */
+export function normalizeUnit(unit) {
+  const key = String(unit || '').trim().toLowerCase().replace(/\s+/g, '');
+  return Object.hasOwn(UNIT_CONVERSIONS, key)
+    ? UNIT_CONVERSIONS[key]
+    : { base: String(unit || '').trim(), multiplier: 1 };
+}
+
+/**
+ * List the available emission factor versions
+ * @returns {Array<{version: string, label: string, published: string, factorCount: number, isDefault: boolean}>}
+ */
+export function listFactorVersions() {
+  return Object.entries(EMISSION_FACTOR_SETS).map(([version, set]) => ({
+    version,
+    label: set.label,
+    published: set.published,
+    factorCount: set.factors.length,
+    isDefault: version === DEFAULT_FACTOR_VERSION
+  }));
+}
+
+/**
+ * Get a factor set by version
+ * @param {string} version - Factor version, defaults to DEFAULT_FACTOR_VERSION
+ * @returns {{version: string, label: string, published: string, factors: Array} | null}
+ */
+export function getFactorSet(version = DEFAULT_FACTOR_VERSION) {
+  // Own properties only: names such as "constructor" or "toString" are not versions
+  if (!Object.hasOwn(EMISSION_FACTOR_SETS, version)) return null;
+  return { version, ...EMISSION_FACTOR_SETS[version] };
+}
+
+/**
+ * Tags that attribute a record to its legal entity (Odoo company), if known
+ * @returns {{companyId: number, company: string}|undefined}
+ */
+function companyTags(item) {
+  return item.companyId != null ? { companyId: item.companyId, company: item.company } : undefined;
+}
+
+/**
+ * Convert formatted sales orders (as returned by fetchSalesOrders) into activity records.
+ * Quotations and cancelled orders are kept but flagged as excluded.
+ * @param {Array} orders - Formatted sales orders
+ * @returns {Array} Activity records
+ */
+export function salesOrdersToActivityRecords(orders = []) {
+  return orders.map(order => ({
+    id: `odoo:sale.order:${order.id}`,
+    source: 'odoo',
+    reference: order.name,
+    activityType: 'sales_order',
+    quantity: Number(order.total ?? order.amount ?? 0),
+    unit: order.currency || 'INR',
+    date: order.date,
+    tags: companyTags(order),
+    excluded: COUNTED_SALE_STATES.includes(order.state)
+      ? undefined
+      : `Order state "${order.state}" is not a confirmed sale`
+  }));
+}
+
+/**
+ * Find the product mapping for a line: an exact product match wins over a category match,
+ * which wins over a vendor match (for lines that carry a vendor, such as bill lines)
+ */
+function findProductMapping(line, productMappings) {
+  return productMappings.find(m => m.productId != null && Number(m.productId) === line.productId)
+    || productMappings.find(m => m.category && m.category === line.category)
+    || productMappings.find(m => m.vendorId != null && line.vendorId != null && Number(m.vendorId) === line.vendorId);
+}
+
+/**
+ * Convert formatted sales order lines (as returned by fetchSalesOrderLines) into activity records.
+ *
+ * Lines whose product or category is mapped to an activity type are calculated from
+ * quantity and unit of measure; all other lines fall back to the spend-based sales factor.
+ *
+ * @param {Array} lines - Formatted sales order lines
+ * @param {Array<{productId?: number, category?: string, activityType: string, unit?: string}>} productMappings
+ * @returns {Array} Activity records
+ */
+export function salesOrderLinesToActivityRecords(lines = [], productMappings = []) {
+  return lines.map(line => {
+    const mapping = findProductMapping(line, productMappings);
+    const base = {
+      id: `odoo:sale.order.line:${line.id}`,
+      source: 'odoo',
+      reference: `${line.orderName} / ${line.product}`,
+      date: line.orderDate,
+      tags: companyTags(line),
+      excluded: COUNTED_SALE_STATES.includes(line.orderState)
+        ? undefined
+        : `Order state "${line.orderState}" is not a confirmed sale`
+    };
+
+    if (mapping) {
+      return {
+        ...base,
+        activityType: mapping.activityType,
+        quantity: Number(line.quantity) || 0,
+        unit: mapping.unit || line.uom
+      };
+    }
+
+    return {
+      ...base,
+      activityType: 'sales_order',
+      quantity: Number(line.subtotal) || 0,
+      unit: line.currency || 'INR'
+    };
+  });
+}
+
+/**
+ * Convert formatted purchase orders (as returned by fetchPurchaseOrders) into activity records,
+ * one per order line, for Scope 3 Category 1 (purchased goods and services).
+ *
+ * Lines whose product or category is mapped to an activity type are calculated from
+ * quantity and unit of measure; all other lines use the spend-based purchased goods factor
+ * on the untaxed line amount. RFQs and cancelled orders are kept but flagged as excluded.
+ *
+ * @param {Array} orders - Formatted purchase orders with their lines
+ * @param {Array<{productId?: number, category?: string, activityType: string, unit?: string}>} productMappings
+ * @returns {Array} Activity records
+ */
+export function purchaseOrdersToActivityRecords(orders = [], productMappings = []) {
+  return orders.flatMap(order => (order.lines || []).map(line => {
+    const mapping = findProductMapping(line, productMappings);
+    const base = {
+      id: `odoo:purchase.order.line:${line.id}`,
+      source: 'odoo',
+      reference: `${order.name} / ${line.product}`,
+      date: order.approvedDate || order.date,
+      tags: companyTags(order),
+      excluded: COUNTED_PURCHASE_STATES.includes(order.state)
+        ? undefined
+        : `Purchase order state "${order.state}" is not a confirmed purchase`
+    };
+
+    if (mapping) {
+      return {
+        ...base,
+        activityType: mapping.activityType,
+        quantity: Number(line.quantity) || 0,
+        unit: mapping.unit || line.uom
+      };
+    }
+
+    return {
+      ...base,
+      activityType: 'purchased_goods',
+      quantity: Number(line.subtotal) || 0,
+      unit: line.currency || order.currency || 'INR'
+    };
+  }));
+}
+
+/**
+ * Convert formatted vendor bills (as returned by fetchVendorBills) into activity records,
+ * one per bill line.
+ *
+ * Mapped lines are calculated from quantity and unit of measure (e.g. kWh or litres), or
+ * from the untaxed line amount when the mapping sets `basis: "spend"`. Unmapped lines use
+ * the spend-based purchased goods factor. Draft and cancelled bills are flagged as excluded.
+ *
+ * @param {Array} bills - Formatted vendor bills with their lines
+ * @param {Array<{productId?: number, category?: string, vendorId?: number, activityType: string, unit?: string, basis?: string}>} productMappings
+ * @returns {Array} Activity records
+ */
+export function vendorBillsToActivityRecords(bills = [], productMappings = []) {
+  return bills.flatMap(bill => (bill.lines || []).map(line => {
+    const mapping = findProductMapping({ ...line, vendorId: bill.vendorId }, productMappings);
+    const currency = line.currency || bill.currency || 'INR';
+    const base = {
+      id: `odoo:account.move.line:${line.id}`,
+      source: 'odoo',
+      reference: `${bill.name} / ${line.product || line.description}`,
+      date: bill.date,
+      tags: companyTags(bill),
+      excluded: COUNTED_BILL_STATES.includes(bill.state)
+        ? undefined
+        : `Bill state "${bill.state}" is not posted`
+    };
+
+    if (mapping && mapping.basis !== 'spend') {
+      return {
+        ...base,
+        activityType: mapping.activityType,
+        quantity: Number(line.quantity) || 0,
+        unit: mapping.unit || line.uom
+      };
+    }
+
+    return {
+      ...base,
+      activityType: mapping ? mapping.activityType : 'purchased_goods',
+      quantity: Number(line.subtotal) || 0,
+      unit: currency
+    };
+  }));
+}
+
+/**
+ * Convert formatted manufacturing orders (as returned by fetchManufacturingOrders) into
+ * activity records for process and energy emissions.
+ *
+ * Only mapped items become records, so nothing is counted twice with purchases:
+ * - the finished product, from the produced quantity (e.g. clinker for calcination)
+ * - consumed components, from the consumed quantity (e.g. coal burned in the kiln)
+ * - work orders, from their real duration times the mapping's `quantityPerHour`
+ *   (e.g. kWh drawn per hour by a mill)
+ *
+ * Every record is tagged with its `productionId` so that emissions can be related back
+ * to the output (see productionIntensity). Orders that are not done are flagged as excluded.
+ *
+ * @param {Array} orders - Formatted manufacturing orders
+ * @param {Array<{productId?: number, category?: string, activityType: string, unit?: string}>} productMappings
+ * @param {Array<{workcenterId?: number, workcenter?: string, activityType: string, unit: string, quantityPerHour: number}>} workcenterMappings
+ * @returns {Array} Activity records
+ */
+export function manufacturingOrdersToActivityRecords(orders = [], productMappings = [], workcenterMappings = []) {
+  return orders.flatMap(order => {
+    const base = {
+      source: 'odoo',
+      date: order.finishedDate || order.startDate,
+      tags: { productionId: order.id, ...companyTags(order) },
+      excluded: COUNTED_PRODUCTION_STATES.includes(order.state)
+        ? undefined
+        : `Manufacturing order state "${order.state}" is not done`
+    };
+    const records = [];
+
+    const finishedMapping = findProductMapping(order, productMappings);
+    if (finishedMapping) {
+      records.push({
+        ...base,
+        id: `odoo:mrp.production:${order.id}`,
+        reference: `${order.name} / ${order.product}`,
+        activityType: finishedMapping.activityType,
+        quantity: Number(order.producedQuantity) || 0,
+        unit: finishedMapping.unit || order.uom
+      });
+    }
+
+    for (const component of order.components || []) {
+      const mapping = findProductMapping(component, productMappings);
+      if (!mapping) continue;
+
+      records.push({
+        ...base,
+        id: `odoo:stock.move:${component.id}`,
+        reference: `${order.name} / ${component.product}`,
+        activityType: mapping.activityType,
+        quantity: Number(component.consumedQuantity) || 0,
+        unit: mapping.unit || component.uom
+      });
+    }
+
+    for (const workOrder of order.workOrders || []) {
+      const mapping = workcenterMappings.find(m =>
+        (m.workcenterId != null && Number(m.workcenterId) === workOrder.workcenterId) ||
+        (m.workcenter && m.workcenter === workOrder.workcenter));
+      if (!mapping) continue;
+
+      records.push({
+        ...base,
+        id: `odoo:mrp.workorder:${workOrder.id}`,
+        reference: `${order.name} / ${workOrder.workcenter}`,
+        activityType: mapping.activityType,
+        quantity: (Number(workOrder.durationMinutes) || 0) / 60 * (Number(mapping.quantityPerHour) || 0),
+        unit: mapping.unit
+      });
+    }
+
+    return records;
+  });
+}
+
+/**
+ * Relate calculated emissions to manufacturing output, per finished product
+ * @param {Array} orders - Formatted manufacturing orders
+ * @param {Array} calculatedRecords - `records` of a calculateEmissions result
+ * @returns {Array<{productId: number, product: string, producedQuantity: number, uom: string, producedTonnes: number|null, kgCO2e: number, kgCO2ePerUnit: number|null, kgCO2ePerTonne: number|null}>}
+ */
+export function productionIntensity(orders = [], calculatedRecords = []) {
+  const emissionsByProduction = new Map();
+  for (const record of calculatedRecords) {
+    const productionId = record.tags?.productionId;
+    if (productionId == null) continue;
+    emissionsByProduction.set(productionId, (emissionsByProduction.get(productionId) || 0) + record.kgCO2e);
+  }
+
+  const byProduct = new Map();
+  for (const order of orders) {
+    if (!COUNTED_PRODUCTION_STATES.includes(order.state)) continue;
+
+    const key = `${order.productId}|${order.uom}`;
+    const totals = byProduct.get(key) || {
+      productId: order.productId,
+      product: order.product,
+      producedQuantity: 0,
+      uom: order.uom,
+      kgCO2e: 0
+    };
+    totals.producedQuantity += Number(order.producedQuantity) || 0;
+    totals.kgCO2e += emissionsByProduction.get(order.id) || 0;
+    byProduct.set(key, totals);
+  }
+
+  return [...byProduct.values()].map(totals => {
+    const { base, multiplier } = normalizeUnit(totals.uom);
+    const producedTonnes = base === 'kg' ? totals.producedQuantity * multiplier / 1000 : null;
+
+    return {
+      ...totals,
+      producedQuantity: round(totals.producedQuantity, 4),
+      producedTonnes: producedTonnes === null ? null : round(producedTonnes, 4),
+      kgCO2e: round(totals.kgCO2e),
+      kgCO2ePerUnit: totals.producedQuantity ? round(totals.kgCO2e / totals.producedQuantity) : null,
+      kgCO2ePerTonne: producedTonnes ? round(totals.kgCO2e / producedTonnes) : null
+    };
+  });
+}
+
+/**
+ * Find the distance of a lane between two places. Lanes apply in both directions.
+ * @returns {number|null} Distance in km
+ */
+function findLaneDistance(lanes, origin, destination) {
+  const normalize = place => String(place || '').trim().toLowerCase();
+  const from = normalize(origin);
+  const to = normalize(destination);
+  if (!from || !to) return null;
+
+  const lane = lanes.find(l =>
+    (normalize(l.origin) === from && normalize(l.destination) === to) ||
+    (normalize(l.origin) === to && normalize(l.destination) === from));
+  return lane ? Number(lane.distanceKm) : null;
+}
+
+/**
+ * Convert formatted deliveries (as returned by fetchDeliveries) into road freight
+ * tonne-km records for downstream transportation (Scope 3 Category 9).
+ *
+ * The distance is the delivery's own `distanceKm` when it was entered manually, otherwise
+ * the lane between the origin and destination cities. Deliveries by the company's own
+ * carriers are flagged as excluded because their fuel is already reported under Scope 1.
+ *
+ * @param {Array} deliveries - Formatted deliveries, optionally with a manual `distanceKm`
+ * @param {Array<{origin: string, destination: string, distanceKm: number}>} lanes
+ * @param {Array<string>} ownCarriers - Carrier names that are the company's own fleet
+ * @returns {Array} Activity records
+ */
+export function deliveriesToActivityRecords(deliveries = [], lanes = [], ownCarriers = []) {
+  return deliveries.map(delivery => {
+    const originCity = delivery.originAddress?.city;
+    const destinationCity = delivery.destinationAddress?.city;
+    const distanceKm = delivery.distanceKm != null && delivery.distanceKm !== ''
+      ? Number(delivery.distanceKm)
+      : findLaneDistance(lanes, originCity, destinationCity);
+    const weightKg = Number(delivery.weightKg) || 0;
+
+    let excluded;
+    if (!COUNTED_DELIVERY_STATES.includes(delivery.state)) {
+      excluded = `Delivery state "${delivery.state}" is not done`;
+    } else if (delivery.carrier && ownCarriers.includes(delivery.carrier)) {
+      excluded = 'Delivered by own fleet; its fuel is reported under Scope 1';
+    } else if (!weightKg) {
+      excluded = 'No shipping weight recorded';
+    } else if (!(distanceKm > 0)) {
+      excluded = `No distance for lane ${originCity || 'unknown'} - ${destinationCity || 'unknown'}`;
+    }
+
+    return {
+      id: `odoo:stock.picking:${delivery.id}`,
+      source: 'odoo',
+      reference: delivery.name,
+      activityType: 'transport.road_freight',
+      quantity: excluded ? 0 : weightKg / 1000 * distanceKm,
+      unit: 'tkm',
+      date: delivery.date,
+      tags: companyTags(delivery),
+      excluded
+    };
+  });
+}
+
+/**
+ * Convert formatted fleet fuel logs (as returned by fetchFleetFuelLogs) into Scope 1
+ * mobile combustion activity records, using the vehicle's fuel type.
+ * Fills without litres or with a fuel type that has no combustion factor are kept but
+ * flagged as excluded.
+ * @param {Array} logs - Formatted fuel logs
+ * @returns {Array} Activity records
+ */
+export function fuelLogsToActivityRecords(logs = []) {
+  return logs.map(log => {
+    const activityType = Object.hasOwn(FLEET_FUEL_ACTIVITY_TYPES, log.fuelType)
+      ? FLEET_FUEL_ACTIVITY_TYPES[log.fuelType]
+      : undefined;
+    let excluded;
+    if (log.fuelType === 'electric') {
+      excluded = 'Electric vehicle charging is reported as purchased electricity';
+    } else if (!activityType) {
+      excluded = `Fuel type "${log.fuelType || 'unknown'}" has no combustion factor`;
+    } else if (!log.litres) {
+      excluded = 'No fuel quantity recorded';
+    }
+
+    return {
+      id: `odoo:${log.model || 'fleet.vehicle.log.fuel'}:${log.id}`,
+      source: 'odoo',
+      reference: log.vehicle || log.licensePlate,
+      activityType: activityType || `fuel.${log.fuelType || 'unknown'}`,
+      quantity: Number(log.litres) || 0,
+      unit: 'L',
+      date: log.date,
+      tags: companyTags(log),
+      excluded
+    };
+  });
+}
+
+/**
+ * Get the reporting period key for a date
+ * @param {string|Date} date - Activity date (Odoo dates are "YYYY-MM-DD HH:mm:ss" in UTC)
+ * @param {string} period - One of day, month, quarter, year
+ * @returns {string|null}
+ */
+function periodKey(date, period) {
+  if (!date) return null;
+
+  const iso = date instanceof Date ? date.toISOString() : String(date);
+  const match = iso.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  switch (period) {
+    case 'day':
+      return `${year}-${month}-${day}`;
+    case 'quarter':
+      return `${year}-Q${Math.ceil(Number(month) / 3)}`;
+    case 'year':
+      return year;
+    default:
+      return `${year}-${month}`;
+  }
+}
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Calculate emissions for a list of activity records
+ *
+ * Records need `id`, `activityType`, `quantity`, `unit` and `date`. A record may set
+ * `factorId` to force a specific factor, or `excluded` (a reason string) to be
+ * skipped. Optional `tags` are copied to the calculated record. The result is deterministic for a given input and factor version.
+ *
+ * `companies` breaks the total down by legal entity, using the `companyId` and `company`
+ * tags of the records; records without a company are grouped under `companyId: null`.
+ * `totalKgCO2e` is the consolidated total of all companies.
+ *
+ * @param {Array} records - Activity records
+ * @param {Object} options
+ * @param {string} options.factorVersion - Emission factor version
+ * @param {string} options.period - Aggregation period: day, month, quarter or year
+ * @returns {{success: boolean, factorVersion?: string, records?: Array, periods?: Array, companies?: Array, skipped?: Array, totalKgCO2e?: number, error?: string}}
+ */
+export function calculateEmissions(records = [], { factorVersion = DEFAULT_FACTOR_VERSION, period = 'month' } = {}) {
+  const factorSet = getFactorSet(factorVersion);
+  if (!factorSet) {
+    return { success: false, error: `Unknown emission factor version: ${factorVersion}` };
+  }
+
+  if (!['day', 'month', 'quarter', 'year'].includes(period)) {
+    return { success: false, error: `Unsupported period: ${period}` };
+  }
+
+  const calculated = [];
+  const skipped = [];
+  const periodTotals = new Map();
+  const companyTotals = new Map();
+
+  for (const record of records) {
+    if (record.excluded) {
+      skipped.push({ id: record.id, reason: record.excluded });
+      continue;
+    }
+
+    const quantity = Number(record.quantity);
+    if (!Number.isFinite(quantity)) {
+      skipped.push({ id: record.id, reason: 'Quantity is not a number' });
+      continue;
+    }
+
+    const key = periodKey(record.date, period);
+    if (!key) {
+      skipped.push({ id: record.id, reason: 'Missing or invalid date' });
+      continue;
+    }
+
+    const { base, multiplier } = normalizeUnit(record.unit);
+    const factor = record.factorId
+      ? factorSet.factors.find(f => f.id === record.factorId)
+      : factorSet.factors.find(f => f.activityType === record.activityType && f.unit === base);
+
+    if (!factor) {
+      skipped.push({
+        id: record.id,
+        reason: `No emission factor for ${record.activityType} in ${base || 'unknown unit'}`
+      });
+      continue;
+    }
+
+    if (factor.unit !== base) {
+      skipped.push({ id: record.id, reason: `Unit ${record.unit} cannot be converted to ${factor.unit}` });
+      continue;
+    }
+
+    const normalizedQuantity = quantity * multiplier;
+    const kgCO2e = round(normalizedQuantity * factor.kgCO2ePerUnit);
+
+    calculated.push({
+      id: record.id,
+      source: record.source,
+      reference: record.reference,
+      activityType: record.activityType,
+      date: record.date,
+      period: key,
+      quantity: round(normalizedQuantity, 4),
+      unit: factor.unit,
+      factorId: factor.id,
+      kgCO2ePerUnit: factor.kgCO2ePerUnit,
+      scope: factor.scope,
+      kgCO2e,
+      ...(record.tags ? { tags: record.tags } : {})
+    });
+
+    const totals = periodTotals.get(key) || { period: key, kgCO2e: 0, recordCount: 0 };
+    totals.kgCO2e += kgCO2e;
+    totals.recordCount += 1;
+    periodTotals.set(key, totals);
+
+    const companyId = record.tags?.companyId ?? null;
+    const companyTotal = companyTotals.get(companyId) || {
+      companyId,
+      company: record.tags?.company ?? null,
+      kgCO2e: 0,
+      recordCount: 0,
+      periods: new Map()
+    };
+    companyTotal.kgCO2e += kgCO2e;
+    companyTotal.recordCount += 1;
+    companyTotal.periods.set(key, (companyTotal.periods.get(key) || 0) + kgCO2e);
+    companyTotals.set(companyId, companyTotal);
+  }
+
+  const periods = [...periodTotals.values()]
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(p => ({ ...p, kgCO2e: round(p.kgCO2e) }));
+
+  // Companies by name, records without a company last
+  const companies = [...companyTotals.values()]
+    .sort((a, b) => (a.companyId === null) - (b.companyId === null) || String(a.company).localeCompare(String(b.company)))
+    .map(c => ({
+      ...c,
+      kgCO2e: round(c.kgCO2e),
+      periods: [...c.periods.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, kgCO2e]) => ({ period: key, kgCO2e: round(kgCO2e) }))
+    }));
+
+  return {
+    success: true,
+    factorVersion: factorSet.version,
+    records: calculated,
+    periods,
+    companies,
+    skipped,
+    totalKgCO2e: round(calculated.reduce((sum, r) => sum + r.kgCO2e, 0))
+  };
+}
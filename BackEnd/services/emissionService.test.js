@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFactorSet, normalizeUnit, calculateEmissions } from './emissionService.js';
+import { DEFAULT_FACTOR_VERSION } from '../config/emissionFactors.js';
+
+test('getFactorSet returns the default set and null for unknown versions', () => {
+  assert.equal(getFactorSet().version, DEFAULT_FACTOR_VERSION);
+  assert.ok(getFactorSet().factors.length > 0);
+  assert.equal(getFactorSet('1999'), null);
+});
+
+test('getFactorSet does not take inherited object properties for versions', () => {
+  for (const version of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.equal(getFactorSet(version), null, version);
+  }
+});
+
+test('calculateEmissions rejects an inherited property name as factor version', () => {
+  assert.deepEqual(
+    calculateEmissions([], { factorVersion: 'toString' }),
+    { success: false, error: 'Unknown emission factor version: toString' }
+  );
+});
+
+test('normalizeUnit keeps an inherited property name as an unknown unit', () => {
+  assert.deepEqual(normalizeUnit('MWh'), { base: 'kWh', multiplier: 1000 });
+  assert.deepEqual(normalizeUnit('constructor'), { base: 'constructor', multiplier: 1 });
+});
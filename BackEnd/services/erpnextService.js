@@ -0,0 +1,320 @@
+import axios from 'axios';
+import { httpsAgentFor } from './tlsSettings.js';
+import { callWithResilience, formatRetryIn } from './resilience.js';
+
+// DocTypes counted in the connection summary, keyed by the summary field name
+const SUMMARY_DOCTYPES = {
+  totalSalesOrders: 'Sales Order',
+  totalPurchaseOrders: 'Purchase Order',
+  totalItems: 'Item',
+  totalCustomers: 'Customer',
+  totalSuppliers: 'Supplier'
+};
+
+/**
+ * Frappe session cookies for password-based connections, keyed by "baseUrl|username".
+ * Entries hold the Cookie header to replay and when the sid cookie expires.
+ */
+const sessionJar = new Map();
+
+// In-flight logins, so parallel requests on an expired session share one login
+const pendingLogins = new Map();
+
+const BASE_HEADERS = {
+  Accept: 'application/json',
+  'Content-Type': 'application/json'
+};
+
+// Statuses of an overloaded site or proxy, and socket errors, worth retrying
+const TRANSIENT_HTTP_STATUSES = [429, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+function normalizeBaseUrl(url) {
+  return url.replace(/\/$/, '');
+}
+
+function isTransientERPNextError(error) {
+  if (error.response) {
+    return TRANSIENT_HTTP_STATUSES.includes(error.response.status);
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code || error.cause?.code);
+}
+
+/**
+ * Send one HTTP request to an ERPNext site through its retry and circuit breaker layer
+ * (see resilience.js). Only idempotent requests are retried.
+ * @param {Object} connection - Any connection with a url
+ * @param {boolean} idempotent - Whether the request may be repeated
+ * @param {Function} send - Sends the request; returns the axios promise
+ */
+function resilientRequest(connection, idempotent, send) {
+  const { protocol, hostname, port } = new URL(connection.url);
+  const instance = `${protocol}//${hostname}:${port || (protocol === 'https:' ? 443 : 80)}`;
+
+  return callWithResilience({ system: 'erpnext', instance }, send, {
+    idempotent,
+    isTransient: isTransientERPNextError,
+    unavailableError: circuit => Object.assign(
+      new Error(`ERPNext unavailable, retrying in ${formatRetryIn(circuit.retryAt)}`),
+      { code: 'ERPNEXT_UNAVAILABLE', retryAt: circuit.retryAt }
+    )
+  });
+}
+
+function sessionKey(connection) {
+  return `${normalizeBaseUrl(connection.url)}|${connection.username}`;
+}
+
+/**
+ * Extract a readable error from a Frappe error response
+ */
+function frappeErrorMessage(error) {
+  const data = error.response?.data;
+  if (data?.exc_type === 'AuthenticationError' || error.response?.status === 401) {
+    return 'Invalid credentials';
+  }
+  if (data?.message && typeof data.message === 'string') {
+    return data.message;
+  }
+  return error.message || 'ERPNext request failed';
+}
+
+/**
+ * Turn Set-Cookie headers into a Cookie header and the sid expiry
+ * @param {Array<string>} setCookie - Set-Cookie response headers
+ * @returns {{cookie: string, sid: string|null, expiresAt: number|null}}
+ */
+function parseSessionCookies(setCookie = []) {
+  const pairs = [];
+  let sid = null;
+  let expiresAt = null;
+
+  for (const header of setCookie) {
+    const [pair, ...attributes] = header.split(';').map(part => part.trim());
+    const name = pair.slice(0, pair.indexOf('='));
+    const value = pair.slice(pair.indexOf('=') + 1);
+    pairs.push(pair);
+
+    if (name === 'sid') {
+      sid = value;
+      for (const attribute of attributes) {
+        const [attrName, attrValue] = attribute.split('=');
+        if (attrName.toLowerCase() === 'max-age') {
+          expiresAt = Date.now() + Number(attrValue) * 1000;
+        } else if (attrName.toLowerCase() === 'expires' && !expiresAt) {
+          const expires = Date.parse(attrValue);
+          expiresAt = Number.isNaN(expires) ? null : expires;
+        }
+      }
+    }
+  }
+
+  return { cookie: pairs.join('; '), sid, expiresAt };
+}
+
+/**
+ * Log in with username and password and store the session in the jar
+ * @param {{url: string, username: string, password: string}} connection
+ * @returns {Promise<{cookie: string, expiresAt: number|null}>}
+ */
+async function loginWithPassword(connection) {
+  const baseUrl = normalizeBaseUrl(connection.url);
+
+  // Logging in again only starts another session, so the login is safe to retry
+  const response = await resilientRequest(connection, true, () => axios.post(`${baseUrl}/api/method/login`, {
+    usr: connection.username,
+    pwd: connection.password
+  }, {
+    headers: BASE_HEADERS,
+    httpsAgent: httpsAgentFor(connection.tls),
+    timeout: 10000
+  }));
+
+  const { cookie, sid, expiresAt } = parseSessionCookies(response.headers['set-cookie']);
+  if (!sid || sid === 'Guest') {
+    throw new Error('Login did not return a session');
+  }
+
+  const session = { cookie, expiresAt };
+  sessionJar.set(sessionKey(connection), session);
+  return session;
+}
+
+/**
+ * Log in once per connection even when several requests need a session at the same time
+ */
+function login(connection) {
+  const key = sessionKey(connection);
+  if (!pendingLogins.has(key)) {
+    pendingLogins.set(key, loginWithPassword(connection).finally(() => pendingLogins.delete(key)));
+  }
+  return pendingLogins.get(key);
+}
+
+/**
+ * Get a live session from the jar, logging in if there is none or it has expired
+ */
+async function getSession(connection) {
+  const session = sessionJar.get(sessionKey(connection));
+  if (session && (!session.expiresAt || session.expiresAt > Date.now())) {
+    return { session, fromJar: true };
+  }
+  return { session: await login(connection), fromJar: false };
+}
+
+/**
+ * Send a request to ERPNext with token or session authentication.
+ *
+ * A connection carries either `apiKey` and `apiSecret` (token auth) or
+ * `username` and `password` (session auth). Session requests reuse the cookie
+ * from the jar and log in again once if Frappe rejects an expired session.
+ * An optional `tls` holds the connection's TLS settings (see tlsSettings.js).
+ *
+ * @param {Object} connection - {url, apiKey, apiSecret} or {url, username, password}
+ * @param {Object} config - axios request config with a path relative to the instance URL
+ * @returns {Promise<import('axios').AxiosResponse>}
+ */
+export async function erpnextRequest(connection, { path, ...config }) {
+  const baseUrl = normalizeBaseUrl(connection.url);
+  const idempotent = (config.method || 'get').toLowerCase() === 'get';
+  const request = headers => resilientRequest(connection, idempotent, () => axios({
+    timeout: 15000,
+    httpsAgent: httpsAgentFor(connection.tls),
+    ...config,
+    url: `${baseUrl}${path}`,
+    headers: { ...BASE_HEADERS, ...config.headers, ...headers }
+  }));
+
+  if (connection.apiKey) {
+    return request({ Authorization: `token ${connection.apiKey}:${connection.apiSecret}` });
+  }
+
+  const { session, fromJar } = await getSession(connection);
+  try {
+    return await request({ Cookie: session.cookie });
+  } catch (error) {
+    if (!fromJar || ![401, 403].includes(error.response?.status)) {
+      throw error;
+    }
+    // Session expired on the server side - log in again and retry once
+    if (sessionJar.get(sessionKey(connection)) === session) {
+      sessionJar.delete(sessionKey(connection));
+    }
+    const { session: fresh } = await getSession(connection);
+    return request({ Cookie: fresh.cookie });
+  }
+}
+
+/**
+ * Authenticate with ERPNext using an API key and secret, or a username and password
+ * @param {Object} connection - {url, apiKey, apiSecret} or {url, username, password}
+ * @returns {Promise<{success: boolean, user?: string, error?: string, code?: string, retryAt?: string}>}
+ */
+export async function authenticateERPNext(connection) {
+  try {
+    if (!connection.apiKey) {
+      // Always start a fresh session when explicitly connecting
+      sessionJar.delete(sessionKey(connection));
+    }
+
+    const response = await erpnextRequest(connection, {
+      method: 'get',
+      path: '/api/method/frappe.auth.get_logged_user',
+      timeout: 10000
+    });
+
+    const user = response.data?.message;
+    if (!user || user === 'Guest') {
+      return { success: false, error: 'Invalid credentials' };
+    }
+
+    return { success: true, user };
+  } catch (error) {
+    console.error('ERPNext authentication error:', error.message);
+    if ([401, 403].includes(error.response?.status)) {
+      return {
+        success: false,
+        error: connection.apiKey ? 'Invalid API key or secret' : 'Invalid username or password'
+      };
+    }
+    if (error.code === 'ERPNEXT_UNAVAILABLE') {
+      return { success: false, error: error.message, code: error.code, retryAt: error.retryAt };
+    }
+    return { success: false, error: frappeErrorMessage(error) };
+  }
+}
+
+/**
+ * Check that the URL serves the Frappe API, without credentials
+ * @param {Object} connection - Any connection with a url
+ * @returns {Promise<{success: boolean, error?: string, httpStatus?: number, code?: string}>}
+ */
+export async function pingERPNext(connection) {
+  try {
+    const response = await resilientRequest(connection, true, () => axios.get(`${normalizeBaseUrl(connection.url)}/api/method/ping`, {
+      headers: BASE_HEADERS,
+      httpsAgent: httpsAgentFor(connection.tls),
+      timeout: 10000
+    }));
+
+    if (response.data?.message !== 'pong') {
+      return { success: false, error: 'The URL answered, but not like an ERPNext site' };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('ERPNext ping error:', error.message);
+    return {
+      success: false,
+      error: frappeErrorMessage(error),
+      httpStatus: error.response?.status,
+      code: error.code || error.cause?.code
+    };
+  }
+}
+
+/**
+ * Check whether the user may read DocTypes
+ * @param {Object} connection - {url, apiKey, apiSecret} or {url, username, password}
+ * @param {Array<string>} doctypes - DocType names
+ * @returns {Promise<Array<{doctype: string, readable: boolean, error?: string}>>}
+ */
+export function checkERPNextDocTypeAccess(connection, doctypes) {
+  return Promise.all(doctypes.map(async doctype => {
+    try {
+      await erpnextRequest(connection, {
+        method: 'get',
+        path: '/api/method/frappe.client.get_count',
+        params: { doctype }
+      });
+      return { doctype, readable: true };
+    } catch (error) {
+      return { doctype, readable: false, error: frappeErrorMessage(error) };
+    }
+  }));
+}
+
+/**
+ * Count documents of the main DocTypes for the connection summary.
+ * DocTypes the user cannot read are reported as null instead of failing the summary.
+ * @param {Object} connection - {url, apiKey, apiSecret} or {url, username, password}
+ * @returns {Promise<Object>}
+ */
+export async function fetchERPNextSummary(connection) {
+  const entries = await Promise.all(
+    Object.entries(SUMMARY_DOCTYPES).map(async ([key, doctype]) => {
+      try {
+        const response = await erpnextRequest(connection, {
+          method: 'get',
+          path: '/api/method/frappe.client.get_count',
+          params: { doctype }
+        });
+        return [key, Number(response.data?.message) || 0];
+      } catch (error) {
+        console.warn(`ERPNext count for ${doctype} failed:`, frappeErrorMessage(error));
+        return [key, null];
+      }
+    })
+  );
+
+  return Object.fromEntries(entries);
+}
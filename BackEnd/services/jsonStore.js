@@ -0,0 +1,90 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+/**
+ * Resolve the data directory lazily so DATA_DIR from .env is honoured
+ * (ES module imports run before dotenv.config() in server.js).
+ * @returns {string}
+ */
+export function dataDir() {
+  return process.env.DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+/**
+ * Create a JSON file backed store.
+ *
+ * The whole document is kept in memory and written atomically (temp file + rename)
+ * after every update. Updates are serialized, so concurrent requests never
+ * interleave their writes.
+ *
+ * @param {string} name - File name inside the data directory, without extension
+ * @param {Function} createDefault - Returns the initial document when the file does not exist
+ * @returns {{read: Function, update: Function, remove: Function}}
+ */
+export function createJsonStore(name, createDefault = () => ({})) {
+  let cache = null;
+  let queue = Promise.resolve();
+
+  const filePath = () => path.join(dataDir(), `${name}.json`);
+
+  async function load() {
+    if (cache) return cache;
+    try {
+      cache = JSON.parse(await fs.readFile(filePath(), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      cache = createDefault();
+    }
+    return cache;
+  }
+
+  async function persist(document) {
+    await fs.mkdir(dataDir(), { recursive: true });
+    const tmpPath = `${filePath()}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(document, null, 2), { mode: 0o600 });
+    await fs.rename(tmpPath, filePath());
+  }
+
+  return {
+    /**
+     * Read the current document
+     * @returns {Promise<Object>}
+     */
+    read() {
+      return queue.then(load);
+    },
+
+    /**
+     * Apply a change and persist it
+     * @param {Function} mutator - Receives the document, may change it in place and return a value
+     * @returns {Promise<*>} The mutator's return value
+     */
+    update(mutator) {
+      const run = queue.then(async () => {
+        const document = await load();
+        const result = await mutator(document);
+        await persist(document);
+        return result;
+      });
+      // Keep the queue alive after a failed update
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    /**
+     * Delete the file; the next read starts from the default document
+     * @returns {Promise<void>}
+     */
+    remove() {
+      const run = queue.then(async () => {
+        cache = null;
+        await fs.rm(filePath(), { force: true });
+      });
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+}
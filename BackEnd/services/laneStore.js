@@ -0,0 +1,56 @@
+import { createJsonStore } from './jsonStore.js';
+
+/**
+ * Transport lanes: road distance between an origin and a destination city.
+ * Used to turn delivery weights into tonne-km.
+ */
+const store = createJsonStore('lanes', () => ({ lanes: [] }));
+
+/**
+ * Check a list of lanes before it is saved
+ * @param {Array} lanes - Lanes as sent by the client
+ * @returns {string|null} Error message, or null when the lanes are valid
+ */
+export function validateLanes(lanes) {
+  if (!Array.isArray(lanes)) {
+    return 'lanes must be an array';
+  }
+
+  for (const [index, lane] of lanes.entries()) {
+    if (!lane || typeof lane.origin !== 'string' || !lane.origin.trim()) {
+      return `Lane ${index + 1}: origin is required`;
+    }
+    if (typeof lane.destination !== 'string' || !lane.destination.trim()) {
+      return `Lane ${index + 1}: destination is required`;
+    }
+    if (!(Number(lane.distanceKm) > 0)) {
+      return `Lane ${index + 1}: distanceKm must be a positive number`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the configured lanes
+ * @returns {Promise<Array<{origin: string, destination: string, distanceKm: number}>>}
+ */
+export async function listLanes() {
+  const document = await store.read();
+  return document.lanes;
+}
+
+/**
+ * Replace the configured lanes
+ * @param {Array} lanes - Validated lanes
+ * @returns {Promise<Array>} The saved lanes
+ */
+export function replaceLanes(lanes) {
+  return store.update(document => {
+    document.lanes = lanes.map(lane => ({
+      origin: lane.origin.trim(),
+      destination: lane.destination.trim(),
+      distanceKm: Number(lane.distanceKm)
+    }));
+    return document.lanes;
+  });
+}
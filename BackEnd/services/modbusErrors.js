@@ -0,0 +1,81 @@
+/**
+ * Errors of Modbus TCP devices
+ *
+ * Client errors and Modbus exception responses are mapped to a machine-readable `code`
+ * and the HTTP `status` the API should answer with, like the MQTT errors in mqttErrors.js.
+ */
+export class ModbusError extends Error {
+  constructor(message, { code = 'MODBUS_ERROR', status = 502 } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Modbus exception codes of each failure
+const EXCEPTION_CODES = {
+  MODBUS_ILLEGAL_FUNCTION: [1],
+  MODBUS_ILLEGAL_ADDRESS: [2, 3],
+  MODBUS_DEVICE_ERROR: [4, 5, 6, 7, 8],
+  MODBUS_GATEWAY_ERROR: [10, 11]
+};
+
+const UNREACHABLE_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// HTTP status of each failure, and a message that replaces the client's where it is clearer
+const FAILURES = {
+  MODBUS_ILLEGAL_FUNCTION: { status: 400, message: () => 'The device does not support reading this register type' },
+  MODBUS_ILLEGAL_ADDRESS: { status: 400, message: () => 'The device has no register at this address' },
+  MODBUS_DEVICE_ERROR: { status: 502 },
+  MODBUS_GATEWAY_ERROR: { status: 502, message: () => 'The gateway could not reach the device with this unit id' },
+  MODBUS_UNREACHABLE: { status: 502, message: error => `Device could not be reached (${error.code || error.errno})` },
+  MODBUS_TIMEOUT: { status: 504, message: () => 'The device did not answer in time' }
+};
+
+/**
+ * Map a Modbus client error to a ModbusError
+ * @param {Error} error - Error of the client, or a ModbusError
+ * @param {Object} options
+ * @param {boolean} options.connecting - The error happened while opening the connection,
+ * so a timeout means the host did not answer rather than the device
+ * @returns {ModbusError}
+ */
+export function toModbusError(error, { connecting = false } = {}) {
+  if (error instanceof ModbusError) {
+    return error;
+  }
+
+  let code;
+  if (error?.modbusCode !== undefined) {
+    code = Object.keys(EXCEPTION_CODES).find(name => EXCEPTION_CODES[name].includes(error.modbusCode));
+  } else if (UNREACHABLE_ERROR_CODES.includes(error?.code) || (connecting && error?.errno === 'ETIMEDOUT')) {
+    code = 'MODBUS_UNREACHABLE';
+  } else if (error?.errno === 'ETIMEDOUT') {
+    code = 'MODBUS_TIMEOUT';
+  }
+
+  if (!code) {
+    return new ModbusError(error?.message || 'Modbus request failed', { code: 'MODBUS_ERROR', status: 502 });
+  }
+
+  const { status, message } = FAILURES[code];
+  return new ModbusError(message ? message(error) : error.message, { code, status });
+}
+
+/**
+ * Turn an error into a failed service result
+ * @param {Error} error - Any error
+ * @param {string} fallbackMessage - Message when the error has none
+ * @param {Object} options - See toModbusError
+ * @returns {{success: false, error: string, code: string, status: number}}
+ */
+export function modbusFailure(error, fallbackMessage, options) {
+  const modbusError = toModbusError(error, options);
+  return {
+    success: false,
+    error: modbusError.message || fallbackMessage,
+    code: modbusError.code,
+    status: modbusError.status
+  };
+}
@@ -0,0 +1,119 @@
+import { getConnection, listConnections } from './credentialVault.js';
+import { readMeterRegisters, meterReadingsToActivityRecords } from './modbusService.js';
+import { getWatermark, saveWatermark, addToSyncedRecords, saveSyncRun } from './syncStore.js';
+import { schedulePulls, unschedulePulls } from './pullSchedules.js';
+
+// Model name of the energy readings of a Modbus device, in the sync store
+export const MODBUS_ACTIVITY_MODEL = 'activity';
+
+// Polls in progress, by device id
+const runningPolls = new Set();
+
+/**
+ * Build the device of a stored Modbus profile: its host, port and unit id
+ * @param {{credentials: Object}} profile - As returned by getConnection
+ * @returns {Object}
+ */
+export function modbusDeviceFromProfile(profile) {
+  return { ...profile.credentials };
+}
+
+/**
+ * Read a device's energy counters and add the energy used since the previous poll to
+ * the activity records of its period.
+ *
+ * The watermark holds the last reading of every counter ({raw, kWh, at} by register
+ * name); a failed poll leaves it as it is, so the next poll covers the missed period.
+ * The outcome, failed or not, is saved as the last run.
+ * @param {string} deviceId - Stored device id
+ * @param {Object} device - Device, see modbusDeviceFromProfile
+ * @param {{name: string, site?: string, registers: Array<Object>, periodMinutes?: number}} settings - The device's name, site, register map and period length
+ * @returns {Promise<{success: boolean, readAt?: string, readings?: Array<{name: string, kWh: number}>, baselined?: Array<string>, added?: number, updated?: number, counterResets?: number, startedAt?: string, finishedAt?: string, error?: string, code?: string, status?: number}>}
+ */
+export async function pollModbusDevice(deviceId, device, { name, site, registers, periodMinutes }) {
+  if (runningPolls.has(deviceId)) {
+    return {
+      success: false,
+      error: 'A poll is already running for this device',
+      code: 'SYNC_IN_PROGRESS',
+      status: 409
+    };
+  }
+
+  runningPolls.add(deviceId);
+  const startedAt = new Date().toISOString();
+  try {
+    const result = await readMeterRegisters(device, registers);
+    if (!result.success) {
+      await saveSyncRun(deviceId, MODBUS_ACTIVITY_MODEL, {
+        error: result.error,
+        code: result.code,
+        startedAt,
+        finishedAt: new Date().toISOString()
+      });
+      return result;
+    }
+
+    const counters = (await getWatermark(deviceId, MODBUS_ACTIVITY_MODEL)) || {};
+    const converted = meterReadingsToActivityRecords({ name, site }, registers, result.readings, counters, result.readAt, periodMinutes);
+    const counts = await addToSyncedRecords(deviceId, MODBUS_ACTIVITY_MODEL, converted.records, { countTags: ['readings', 'counterResets'] });
+    await saveWatermark(deviceId, MODBUS_ACTIVITY_MODEL, converted.counters);
+
+    const summary = {
+      readAt: result.readAt,
+      readings: result.readings.map(reading => ({ name: reading.name, kWh: reading.kWh })),
+      baselined: converted.baselined,
+      added: counts.added,
+      updated: counts.updated,
+      counterResets: converted.counterResets,
+      startedAt,
+      finishedAt: new Date().toISOString()
+    };
+    await saveSyncRun(deviceId, MODBUS_ACTIVITY_MODEL, summary);
+
+    return { success: true, ...summary };
+  } finally {
+    runningPolls.delete(deviceId);
+  }
+}
+
+/**
+ * Poll a stored device on its schedule
+ */
+async function runScheduledPoll(deviceId) {
+  const profile = await getConnection(deviceId, 'modbus');
+  if (!profile?.settings.registers?.length) {
+    unschedulePulls(deviceId);
+    return;
+  }
+
+  const result = await pollModbusDevice(deviceId, modbusDeviceFromProfile(profile), profile.settings);
+  if (!result.success && result.code !== 'SYNC_IN_PROGRESS') {
+    console.warn(`Scheduled Modbus poll of device ${deviceId} failed: ${result.error}`);
+  }
+}
+
+/**
+ * Poll a device every `intervalMinutes`, replacing its previous schedule
+ * @param {string} deviceId - Stored device id
+ * @param {number|null} intervalMinutes - Minutes between polls; null to only poll on request
+ */
+export function scheduleModbusPolls(deviceId, intervalMinutes) {
+  schedulePulls(deviceId, intervalMinutes, () => runScheduledPoll(deviceId));
+}
+
+/**
+ * Schedule the polls of every stored Modbus device, at server start
+ * @returns {Promise<number>} Number of scheduled devices
+ */
+export async function startModbusSchedules() {
+  const devices = await listConnections('modbus');
+  let scheduled = 0;
+  for (const { id, settings } of devices) {
+    if (settings.registers?.length && settings.intervalMinutes) {
+      scheduleModbusPolls(id, settings.intervalMinutes);
+      scheduled += 1;
+    }
+  }
+  return scheduled;
+}
@@ -0,0 +1,347 @@
+import ModbusRTU from 'modbus-serial';
+import { ModbusError, toModbusError, modbusFailure } from './modbusErrors.js';
+import { DEFAULT_PERIOD_MINUTES } from './activityMapping.js';
+
+/**
+ * Energy meters read over Modbus TCP.
+ *
+ * A device is a host, port and unit id (the slave address behind a gateway). Its
+ * register map lists the energy counters to read: where each one is, how its words
+ * are decoded and scaled, and the energy unit it counts in. Counters are converted
+ * to cumulative kWh, and each poll adds the energy used since the previous one to the
+ * total of its period.
+ */
+export const DEFAULT_MODBUS_PORT = 502;
+export const MAX_REGISTERS = 32;
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+export const REGISTER_TYPES = ['holding', 'input'];
+
+// Words (16-bit registers) per data type, and whether counters of the type wrap around
+export const REGISTER_DATA_TYPES = {
+  uint16: { words: 1, wraps: true },
+  int16: { words: 1 },
+  uint32: { words: 2, wraps: true },
+  int32: { words: 2 },
+  uint64: { words: 4, wraps: true },
+  float32: { words: 2 },
+  float64: { words: 4 }
+};
+
+// kWh per unit of each energy unit a counter may count in
+export const ENERGY_UNITS = { Wh: 0.001, kWh: 1, MWh: 1000 };
+
+/**
+ * Validate and normalize the device fields of a request body
+ * @param {Object} body - {host, port, unitId}
+ * @returns {{device?: Object, error?: string}}
+ */
+export function validateModbusDevice({ host, port, unitId }) {
+  if (!host || typeof host !== 'string' || !host.trim()) {
+    return { error: 'Missing required field: host' };
+  }
+  if (/[/:\s]/.test(host.trim())) {
+    return { error: 'host must be a host name or IPv4 address, without a scheme or port' };
+  }
+
+  const portNumber = port === undefined || port === null || port === '' ? DEFAULT_MODBUS_PORT : Number(port);
+  if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+    return { error: 'port must be a number between 1 and 65535' };
+  }
+
+  const unit = unitId === undefined || unitId === null || unitId === '' ? 1 : Number(unitId);
+  if (!Number.isInteger(unit) || unit < 0 || unit > 255) {
+    return { error: 'unitId must be a number between 0 and 255' };
+  }
+
+  return { device: { host: host.trim(), port: portNumber, unitId: unit } };
+}
+
+/**
+ * Check a register map before it is saved
+ * @param {Array<{name: string, address: number, registerType: string, dataType: string, wordOrder: string, scale: number, unit: string}>} registers
+ * @returns {string|null} Error message, or null when it is valid
+ */
+export function validateRegisterMap(registers) {
+  if (!Array.isArray(registers) || registers.length === 0 || registers.length > MAX_REGISTERS) {
+    return `registers must be an array of 1 to ${MAX_REGISTERS} registers`;
+  }
+
+  const names = new Set();
+  for (const [index, register] of registers.entries()) {
+    const label = `registers[${index}]`;
+    if (!register || typeof register !== 'object' || Array.isArray(register)) {
+      return `${label} must be an object`;
+    }
+
+    const { name, address, registerType = 'holding', dataType, wordOrder = 'big', scale = 1, unit } = register;
+    if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+      return `${label}.name must be a non-empty string of at most 64 characters`;
+    }
+    if (names.has(name.trim())) {
+      return `${label}.name is used twice`;
+    }
+    names.add(name.trim());
+
+    if (!REGISTER_TYPES.includes(registerType)) {
+      return `${label}.registerType must be one of: ${REGISTER_TYPES.join(', ')}`;
+    }
+    if (!REGISTER_DATA_TYPES[dataType]) {
+      return `${label}.dataType must be one of: ${Object.keys(REGISTER_DATA_TYPES).join(', ')}`;
+    }
+    if (!Number.isInteger(address) || address < 0 || address + REGISTER_DATA_TYPES[dataType].words > 65536) {
+      return `${label}.address must be a register address from 0 to 65535`;
+    }
+    if (!['big', 'little'].includes(wordOrder)) {
+      return `${label}.wordOrder must be big or little`;
+    }
+    if (typeof scale !== 'number' || !Number.isFinite(scale) || scale <= 0) {
+      return `${label}.scale must be a positive number`;
+    }
+    if (!ENERGY_UNITS[unit]) {
+      return `${label}.unit must be one of: ${Object.keys(ENERGY_UNITS).join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill in the defaults of a validated register map
+ * @param {Array<Object>} registers
+ * @returns {Array<Object>}
+ */
+export function normalizeRegisterMap(registers) {
+  return registers.map(({ name, address, registerType = 'holding', dataType, wordOrder = 'big', scale = 1, unit }) => ({
+    name: name.trim(),
+    address,
+    registerType,
+    dataType,
+    wordOrder,
+    scale,
+    unit
+  }));
+}
+
+/**
+ * Decode the words of a register value
+ * @param {Array<number>} words - 16-bit register values, in address order
+ * @param {string} dataType - Key of REGISTER_DATA_TYPES
+ * @param {string} wordOrder - big: the first register holds the most significant word; little: the least
+ * @returns {number}
+ */
+export function decodeRegisterValue(words, dataType, wordOrder = 'big') {
+  const buffer = Buffer.alloc(words.length * 2);
+  (wordOrder === 'little' ? [...words].reverse() : words).forEach((word, index) => buffer.writeUInt16BE(word, index * 2));
+
+  switch (dataType) {
+    case 'uint16': return buffer.readUInt16BE(0);
+    case 'int16': return buffer.readInt16BE(0);
+    case 'uint32': return buffer.readUInt32BE(0);
+    case 'int32': return buffer.readInt32BE(0);
+    case 'uint64': return Number(buffer.readBigUInt64BE(0));
+    case 'float32': return buffer.readFloatBE(0);
+    case 'float64': return buffer.readDoubleBE(0);
+    default: throw new Error(`Unknown data type ${dataType}`);
+  }
+}
+
+/**
+ * Round kWh to the Wh fraction meters resolve, dropping floating-point noise
+ */
+function roundKilowattHours(kWh) {
+  return Math.round(kWh * 1e6) / 1e6;
+}
+
+/**
+ * Convert a raw counter value to kWh with the register's scale and unit
+ * @param {number} raw - Decoded register value
+ * @param {{scale: number, unit: string}} register
+ * @returns {number}
+ */
+export function toKilowattHours(raw, { scale, unit }) {
+  return roundKilowattHours(raw * scale * ENERGY_UNITS[unit]);
+}
+
+/**
+ * Connect to a device, run `work` with the client and close it again.
+ * Client errors are thrown as ModbusErrors.
+ */
+async function withModbusClient(device, work) {
+  const client = new ModbusRTU();
+  client.setTimeout(REQUEST_TIMEOUT_MS);
+
+  try {
+    await client.connectTCP(device.host, { port: device.port });
+  } catch (error) {
+    throw toModbusError(error, { connecting: true });
+  }
+
+  try {
+    client.setID(device.unitId);
+    return await work(client);
+  } catch (error) {
+    throw toModbusError(error);
+  } finally {
+    if (client.isOpen) {
+      await new Promise(resolve => client.close(resolve));
+    }
+  }
+}
+
+/**
+ * Read and decode one register value
+ */
+async function readRegister(client, register) {
+  const { words } = REGISTER_DATA_TYPES[register.dataType];
+  const { data } = register.registerType === 'input'
+    ? await client.readInputRegisters(register.address, words)
+    : await client.readHoldingRegisters(register.address, words);
+  return decodeRegisterValue(data, register.dataType, register.wordOrder);
+}
+
+/**
+ * Open a TCP connection to a device and close it again.
+ * The unit id is only checked by the first register read.
+ * @param {Object} device - {host, port, unitId}
+ * @returns {Promise<{success: boolean, error?: string, code?: string, status?: number}>}
+ */
+export async function testModbusDevice(device) {
+  try {
+    await withModbusClient(device, async () => {});
+    return { success: true };
+  } catch (error) {
+    console.error('Modbus connection error:', error.message);
+    return modbusFailure(error, 'Failed to connect to the device');
+  }
+}
+
+/**
+ * Read the counters of a register map, one request per register
+ * @param {Object} device - {host, port, unitId}
+ * @param {Array<Object>} registers - Normalized register map
+ * @returns {Promise<{success: boolean, readAt?: string, readings?: Array<{name: string, raw: number, kWh: number}>, error?: string, code?: string, status?: number}>}
+ */
+export async function readMeterRegisters(device, registers) {
+  try {
+    const readings = await withModbusClient(device, async client => {
+      const values = [];
+      for (const register of registers) {
+        let raw;
+        try {
+          raw = await readRegister(client, register);
+        } catch (error) {
+          const modbusError = toModbusError(error);
+          throw new ModbusError(`${register.name} (${register.registerType} register ${register.address}): ${modbusError.message}`, modbusError);
+        }
+        if (!Number.isFinite(raw)) {
+          throw new ModbusError(`${register.name} (${register.registerType} register ${register.address}) is not a number; check its data type and word order`, {
+            code: 'MODBUS_INVALID_VALUE',
+            status: 502
+          });
+        }
+        values.push({ name: register.name, raw, kWh: toKilowattHours(raw, register) });
+      }
+      return values;
+    });
+    return { success: true, readAt: new Date().toISOString(), readings };
+  } catch (error) {
+    console.error('Modbus read error:', error.message);
+    return modbusFailure(error, 'Failed to read the device');
+  }
+}
+
+/**
+ * Energy counted between two raw values of a counter that wrapped around past its
+ * maximum, or null when the drop does not look like a wrap (a reset or a new meter)
+ */
+function wrappedDelta(previousRaw, raw, register) {
+  if (!REGISTER_DATA_TYPES[register.dataType].wraps) return null;
+
+  const range = 2 ** (16 * REGISTER_DATA_TYPES[register.dataType].words);
+  if (previousRaw < range * 0.9 || raw > range * 0.1) return null;
+  return toKilowattHours(range - previousRaw + raw, register);
+}
+
+/**
+ * Turn a poll of cumulative counters into the energy used since the previous poll, as
+ * activity records of the period that holds the poll. Records of the same counter and
+ * period are added up in the store (see addToSyncedRecords), so the store keeps one
+ * record per counter and period however often the device is polled.
+ *
+ * The first reading of a counter only sets its baseline. A counter that did not move
+ * gives no record, and its previous reading is kept, so the next record covers the
+ * whole time since. A counter that went down is taken as wrapped around when it was
+ * near the top of its range, and otherwise as reset or replaced: that poll's energy
+ * is not counted, the period's `counterResets` tag counts it instead, and the counter
+ * starts over from the new reading.
+ * @param {{name: string, site?: string}} device - Device name and optional site
+ * @param {Array<Object>} registers - Normalized register map
+ * @param {Array<{name: string, raw: number, kWh: number}>} readings - Readings of this poll
+ * @param {Object} counters - Previous reading per register name: {raw, kWh, at}
+ * @param {string} readAt - Time of this poll
+ * @param {number} periodMinutes - Length of the periods, one of PERIOD_MINUTES
+ * @returns {{records: Array, counters: Object, baselined: Array<string>, counterResets: number}} Activity records (see calculateEmissions), and the counters to keep
+ */
+export function meterReadingsToActivityRecords(device, registers, readings, counters, readAt, periodMinutes = DEFAULT_PERIOD_MINUTES) {
+  const records = [];
+  const nextCounters = { ...counters };
+  const baselined = [];
+  let counterResets = 0;
+
+  const periodMs = periodMinutes * 60000;
+  const periodStart = Math.floor(Date.parse(readAt) / periodMs) * periodMs;
+  const date = new Date(periodStart).toISOString();
+  const periodEnd = new Date(periodStart + periodMs).toISOString();
+
+  for (const reading of readings) {
+    const register = registers.find(({ name }) => name === reading.name);
+    const previous = counters[reading.name];
+    const current = { raw: reading.raw, kWh: reading.kWh, at: readAt };
+
+    if (!previous) {
+      nextCounters[reading.name] = current;
+      baselined.push(reading.name);
+      continue;
+    }
+
+    let quantity = roundKilowattHours(reading.kWh - previous.kWh);
+    let reset = false;
+    if (quantity === 0) continue;
+    if (quantity < 0) {
+      const wrapped = wrappedDelta(previous.raw, reading.raw, register);
+      reset = wrapped === null;
+      quantity = reset ? 0 : wrapped;
+    }
+    nextCounters[reading.name] = current;
+
+    const tags = {
+      device: device.name,
+      register: reading.name,
+      periodEnd,
+      meterReadingKWh: reading.kWh,
+      readings: 1
+    };
+    if (reset) {
+      tags.counterResets = 1;
+      counterResets += 1;
+    }
+    if (device.site) {
+      tags.site = device.site;
+    }
+
+    records.push({
+      id: `modbus:${reading.name}:${date}`,
+      source: 'modbus',
+      reference: `${device.name}: ${reading.name}`,
+      activityType: 'electricity',
+      quantity,
+      unit: 'kWh',
+      date,
+      tags,
+      writeDate: readAt
+    });
+  }
+
+  return { records, counters: nextCounters, baselined, counterResets };
+}
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { meterReadingsToActivityRecords, toKilowattHours } from './modbusService.js';
+
+const device = { name: 'Main meter', site: 'Plant A' };
+
+const registers = [
+  { name: 'import16', address: 0, registerType: 'holding', dataType: 'uint16', wordOrder: 'big', scale: 1, unit: 'Wh' },
+  { name: 'import32', address: 2, registerType: 'holding', dataType: 'uint32', wordOrder: 'big', scale: 0.1, unit: 'kWh' },
+  { name: 'float', address: 4, registerType: 'holding', dataType: 'float32', wordOrder: 'big', scale: 1, unit: 'kWh' }
+];
+
+/**
+ * A reading of a register as readMeterRegisters returns it
+ */
+function reading(name, raw) {
+  return { name, raw, kWh: toKilowattHours(raw, registers.find(register => register.name === name)) };
+}
+
+/**
+ * Poll a list of {name: raw} in turn every `everyMinutes`, starting from no counters,
+ * and return the records of each poll
+ */
+function pollEvery(everyMinutes, ...polls) {
+  let counters = {};
+  return polls.map((values, index) => {
+    const readAt = new Date(Date.UTC(2024, 4, 1, 10, index * everyMinutes)).toISOString();
+    const readings = Object.entries(values).map(([name, raw]) => reading(name, raw));
+    const result = meterReadingsToActivityRecords(device, registers, readings, counters, readAt, 15);
+    counters = result.counters;
+    return result;
+  });
+}
+
+const poll = (...polls) => pollEvery(15, ...polls);
+
+test('meterReadingsToActivityRecords sets a baseline first and then records the energy used', () => {
+  const [first, second] = poll({ import32: 1000 }, { import32: 1025 });
+
+  assert.deepEqual(first.records, []);
+  assert.deepEqual(first.baselined, ['import32']);
+  assert.deepEqual(first.counters.import32, { raw: 1000, kWh: 100, at: '2024-05-01T10:00:00.000Z' });
+
+  assert.deepEqual(second.baselined, []);
+  assert.deepEqual(second.records, [{
+    id: 'modbus:import32:2024-05-01T10:15:00.000Z',
+    source: 'modbus',
+    reference: 'Main meter: import32',
+    activityType: 'electricity',
+    quantity: 2.5,
+    unit: 'kWh',
+    date: '2024-05-01T10:15:00.000Z',
+    tags: { device: 'Main meter', register: 'import32', periodEnd: '2024-05-01T10:30:00.000Z', meterReadingKWh: 102.5, readings: 1, site: 'Plant A' },
+    writeDate: '2024-05-01T10:15:00.000Z'
+  }]);
+});
+
+test('meterReadingsToActivityRecords gives the polls of one period the same record id', () => {
+  const [, first, second, next] = pollEvery(5, { import32: 1000 }, { import32: 1010 }, { import32: 1030 }, { import32: 1040 });
+
+  assert.equal(first.records[0].id, 'modbus:import32:2024-05-01T10:00:00.000Z');
+  assert.equal(second.records[0].id, first.records[0].id);
+  assert.equal(second.records[0].date, '2024-05-01T10:00:00.000Z');
+  assert.equal(second.records[0].writeDate, '2024-05-01T10:10:00.000Z');
+  assert.equal(second.records[0].quantity, 2);
+  assert.equal(next.records[0].id, 'modbus:import32:2024-05-01T10:15:00.000Z');
+});
+
+test('meterReadingsToActivityRecords keeps the previous reading of a counter that did not move', () => {
+  const [, unchanged, moved] = poll({ import32: 1000 }, { import32: 1000 }, { import32: 1010 });
+
+  assert.deepEqual(unchanged.records, []);
+  assert.equal(unchanged.counters.import32.at, '2024-05-01T10:00:00.000Z');
+  assert.equal(moved.records[0].quantity, 1);
+});
+
+test('meterReadingsToActivityRecords counts a wrap of an unsigned counter near the top of its range', () => {
+  const [, wrapped16] = poll({ import16: 65000 }, { import16: 100 });
+  // 65536 - 65000 + 100 Wh
+  assert.equal(wrapped16.records[0].quantity, 0.636);
+  assert.equal(wrapped16.counterResets, 0);
+  assert.equal(wrapped16.counters.import16.raw, 100);
+
+  const [, wrapped32] = poll({ import32: 2 ** 32 - 50 }, { import32: 30 });
+  assert.equal(wrapped32.records[0].quantity, 8);
+  assert.equal(wrapped32.records[0].tags.counterResets, undefined);
+});
+
+test('meterReadingsToActivityRecords counts a reset instead of its energy and starts over from the new reading', () => {
+  // Far from the top of the range, a drop is a reset or a new meter
+  const [, reset, after] = poll({ import32: 5000 }, { import32: 10 }, { import32: 30 });
+  assert.equal(reset.records[0].quantity, 0);
+  assert.equal(reset.records[0].tags.counterResets, 1);
+  assert.equal(reset.counterResets, 1);
+  assert.equal(reset.counters.import32.raw, 10);
+  assert.equal(after.records[0].quantity, 2);
+  assert.equal(after.records[0].tags.counterResets, undefined);
+
+  // Near the top, but the new reading is not near zero either
+  const [, farDrop] = poll({ import16: 65000 }, { import16: 30000 });
+  assert.equal(farDrop.records[0].tags.counterResets, 1);
+
+  // Signed and floating-point counters do not wrap
+  const [, floatDrop] = poll({ float: 3.9e9 }, { float: 1 });
+  assert.equal(floatDrop.records[0].tags.counterResets, 1);
+});
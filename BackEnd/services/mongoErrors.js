@@ -0,0 +1,80 @@
+/**
+ * Errors of MongoDB source connections
+ *
+ * Driver errors are mapped to a machine-readable `code` and the HTTP `status` the API
+ * should answer with, like the SQL errors in sqlErrors.js.
+ */
+export class MongoSourceError extends Error {
+  constructor(message, { code = 'MONGO_ERROR', status = 502 } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Server error codes of each failure, and the network error codes of SRV record lookups
+const SERVER_ERROR_CODES = {
+  MONGO_AUTH_FAILED: [18],
+  MONGO_ACCESS_DENIED: [13],
+  MONGO_TIMEOUT: [50],
+  // BadValue, FailedToParse, TypeMismatch, InvalidPipelineOperator, unknown stage, bad field path
+  MONGO_QUERY_FAILED: [2, 9, 14, 168, 40324, 16410, 15998, 40323],
+  MONGO_UNREACHABLE: ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ETIMEOUT']
+};
+
+// Driver error classes of each failure
+const DRIVER_ERROR_NAMES = {
+  MONGO_TIMEOUT: ['MongoNetworkTimeoutError', 'MongoOperationTimeoutError'],
+  MONGO_UNREACHABLE: ['MongoServerSelectionError', 'MongoNetworkError', 'MongoTopologyClosedError']
+};
+
+// HTTP status of each failure, and a message that replaces the driver's where it is clearer
+const FAILURES = {
+  MONGO_AUTH_FAILED: { status: 401, message: () => 'Invalid database user or password' },
+  MONGO_ACCESS_DENIED: { status: 403 },
+  MONGO_QUERY_FAILED: { status: 400 },
+  MONGO_TIMEOUT: { status: 504, message: () => 'The database did not answer in time' },
+  MONGO_UNREACHABLE: { status: 502, message: error => `Database server could not be reached (${error.message})` }
+};
+
+/**
+ * Map a driver error to a MongoSourceError
+ * @param {Error} error - Error thrown by the driver, or a MongoSourceError
+ * @returns {MongoSourceError}
+ */
+export function toMongoError(error) {
+  if (error instanceof MongoSourceError) {
+    return error;
+  }
+
+  // Authentication failures during the handshake are wrapped by the driver
+  const serverCode = error?.code ?? error?.cause?.code;
+  let code = Object.keys(SERVER_ERROR_CODES).find(name => SERVER_ERROR_CODES[name].includes(serverCode));
+  if (!code) {
+    code = Object.keys(DRIVER_ERROR_NAMES).find(name => DRIVER_ERROR_NAMES[name].includes(error?.name));
+  }
+
+  if (!code) {
+    return new MongoSourceError(error?.message || 'Database request failed', { code: 'MONGO_SERVER_ERROR', status: 502 });
+  }
+
+  const { status, message } = FAILURES[code];
+  return new MongoSourceError(message ? message(error) : error.message, { code, status });
+}
+
+/**
+ * Turn an error into a failed service result
+ * @param {Error} error - Any error
+ * @param {string} fallbackMessage - Message when the error has none
+ * @returns {{success: false, error: string, code: string, status: number}}
+ */
+export function mongoFailure(error, fallbackMessage) {
+  const mongoError = toMongoError(error);
+  return {
+    success: false,
+    error: mongoError.message || fallbackMessage,
+    code: mongoError.code,
+    status: mongoError.status
+  };
+}
@@ -0,0 +1,408 @@
+import { MongoClient, BSON } from 'mongodb';
+import { tlsRequestOptions } from './tlsSettings.js';
+import { MongoSourceError, mongoFailure, toMongoError } from './mongoErrors.js';
+import {
+  validateActivityMapping,
+  toActivityRecords,
+  parseDocumentPath,
+  formatDocumentPath,
+  readDocumentPath
+} from './activityMapping.js';
+
+const { EJSON } = BSON;
+
+/**
+ * Read-only access to MongoDB collections that hold activity data such as meter
+ * readings or IoT events.
+ *
+ * A source is a collection with optional aggregation stages that filter and reshape
+ * its documents; only stages that cannot write ($match, $project, $addFields, $set,
+ * $unset) are accepted. Document fields are mapped to activity fields with paths like
+ * `$.meter.reading` or `readings[0].kwh`.
+ */
+export const WATERMARK_MODES = ['_id', 'timestamp'];
+
+const CONNECT_TIMEOUT_MS = 10000;
+const QUERY_TIMEOUT_MS = 30000;
+export const MAX_PREVIEW_DOCUMENTS = 50;
+const MAX_PIPELINE_STAGES = 20;
+
+// Field paths offered for mapping, per preview
+const MAX_PREVIEW_FIELDS = 200;
+const MAX_FIELD_DEPTH = 6;
+
+const ALLOWED_STAGES = ['$match', '$project', '$addFields', '$set', '$unset'];
+
+// Operators that run JavaScript on the server
+const FORBIDDEN_OPERATORS = ['$where', '$function', '$accumulator'];
+
+const SYSTEM_DATABASES = ['admin', 'local', 'config'];
+
+/**
+ * Dotted field path usable in $match and $sort, or null when the path has array
+ * indexes or names MongoDB cannot address that way
+ */
+function mongoFieldPath(segments) {
+  if (!segments || segments.some(segment => typeof segment !== 'string' || segment.includes('.') || segment.startsWith('$'))) {
+    return null;
+  }
+  return segments.join('.');
+}
+
+/**
+ * Whether a value is a nested document rather than a BSON value (ObjectId, Date, Decimal128, ...)
+ */
+function isPlainDocument(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !value._bsontype && !Buffer.isBuffer(value);
+}
+
+/**
+ * Collect the field paths of a document; arrays are followed into their first element
+ */
+function collectFieldPaths(value, segments, paths) {
+  if (paths.size >= MAX_PREVIEW_FIELDS) return;
+
+  if (segments.length < MAX_FIELD_DEPTH && Array.isArray(value) && value.length > 0) {
+    collectFieldPaths(value[0], [...segments, 0], paths);
+  } else if (segments.length < MAX_FIELD_DEPTH && isPlainDocument(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      collectFieldPaths(child, [...segments, key], paths);
+    }
+  } else if (segments.length > 0) {
+    paths.add(formatDocumentPath(segments));
+  }
+}
+
+/**
+ * Validate the connection fields of a request body
+ * @param {Object} body - {uri}: a mongodb:// or mongodb+srv:// connection string
+ * @returns {{credentials?: Object, error?: string}}
+ */
+export function validateMongoCredentials({ uri }) {
+  if (!uri || typeof uri !== 'string') {
+    return { error: 'Missing required field: uri' };
+  }
+  if (!/^mongodb(\+srv)?:\/\//.test(uri.trim())) {
+    return { error: 'uri must be a mongodb:// or mongodb+srv:// connection string' };
+  }
+  return { credentials: { uri: uri.trim() } };
+}
+
+/**
+ * Connection string with its password masked, for responses and the TLS audit log
+ * @param {string} uri
+ * @returns {string}
+ */
+export function maskMongoUri(uri) {
+  return uri.replace(/^(mongodb(?:\+srv)?:\/\/[^:@/]+):[^@/]*@/, '$1:***@');
+}
+
+/**
+ * Whether a connection string asks for TLS; SRV connection strings use it by default
+ */
+export function mongoUsesTls(uri) {
+  return /^mongodb\+srv:/.test(uri) || /[?&](tls|ssl)=true\b/i.test(uri);
+}
+
+/**
+ * Open a client, run `work` with it and close it again
+ */
+async function withMongoClient(connection, work) {
+  const options = {
+    appName: 'netzero',
+    serverSelectionTimeoutMS: CONNECT_TIMEOUT_MS,
+    connectTimeoutMS: CONNECT_TIMEOUT_MS
+  };
+  if (mongoUsesTls(connection.uri)) {
+    const { ca, rejectUnauthorized } = tlsRequestOptions(connection.tls);
+    if (ca) options.ca = ca;
+    if (!rejectUnauthorized) options.tlsAllowInvalidCertificates = true;
+  }
+
+  let client;
+  try {
+    client = new MongoClient(connection.uri, options);
+  } catch (error) {
+    // The driver parses the connection string here; any error is a problem with it
+    throw new MongoSourceError(`Invalid connection string (${error.message})`, { code: 'MONGO_INVALID_URI', status: 400 });
+  }
+
+  try {
+    await client.connect();
+    return await work(client);
+  } finally {
+    await client.close().catch(error => console.warn('Closing MongoDB connection failed:', error.message));
+  }
+}
+
+/**
+ * Find a stage or operator that is not allowed, in a pipeline or any value nested in it
+ */
+function findForbiddenOperator(value) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const found = findForbiddenOperator(item);
+      if (found) return found;
+    }
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (FORBIDDEN_OPERATORS.includes(key)) return key;
+      const found = findForbiddenOperator(child);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a source before it is saved: a database, a collection and optional aggregation stages
+ * @param {Object} source - {database, collection, pipeline}
+ * @returns {string|null} Error message, or null when the source is valid
+ */
+export function validateMongoSource(source) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return 'source must be an object with a database and a collection';
+  }
+
+  const { database, collection, pipeline = [] } = source;
+  if (!database || typeof database !== 'string' || /[/\\. "$]/.test(database)) {
+    return 'source.database must be a database name';
+  }
+  if (!collection || typeof collection !== 'string' || collection.includes('$') || collection.startsWith('system.')) {
+    return 'source.collection must be a collection name';
+  }
+
+  if (!Array.isArray(pipeline)) {
+    return 'source.pipeline must be an array of aggregation stages';
+  }
+  if (pipeline.length > MAX_PIPELINE_STAGES) {
+    return `source.pipeline may have at most ${MAX_PIPELINE_STAGES} stages`;
+  }
+  for (const [index, stage] of pipeline.entries()) {
+    const keys = stage && typeof stage === 'object' && !Array.isArray(stage) ? Object.keys(stage) : [];
+    if (keys.length !== 1) {
+      return `source.pipeline[${index}] must be an object with one stage operator`;
+    }
+    if (!ALLOWED_STAGES.includes(keys[0])) {
+      return `source.pipeline[${index}]: ${keys[0]} is not allowed (allowed stages: ${ALLOWED_STAGES.join(', ')})`;
+    }
+  }
+
+  const forbidden = findForbiddenOperator(pipeline);
+  if (forbidden) {
+    return `source.pipeline: ${forbidden} is not allowed`;
+  }
+  return null;
+}
+
+/**
+ * Check a field mapping. Paths are not checked against the collection, since its
+ * documents need not share one shape; pulling by timestamp needs a plain field path.
+ * @param {Object} mapping - Document path per activity field; unit, activityType and site may be {value} instead
+ * @param {string} watermark - One of WATERMARK_MODES
+ * @returns {string|null} Error message, or null when the mapping is valid
+ */
+export function validateMongoMapping(mapping, watermark) {
+  if (!WATERMARK_MODES.includes(watermark)) {
+    return `watermark must be one of: ${WATERMARK_MODES.join(', ')}`;
+  }
+
+  const error = validateActivityMapping(mapping, 'path', (field, path) => (
+    parseDocumentPath(path) ? null : `mapping.${field}: "${path}" is not a valid document path`
+  ));
+  if (error) return error;
+
+  if (watermark === 'timestamp' && !mongoFieldPath(parseDocumentPath(mapping.timestamp))) {
+    return 'mapping.timestamp must be a field path without array indexes to pull by timestamp';
+  }
+  return null;
+}
+
+/**
+ * Convert documents into activity records (see toActivityRecords). Documents are keyed
+ * by `_id` unless the mapping names another id path.
+ * @param {Array} documents - Documents read from the source
+ * @param {Object} source - Validated source
+ * @param {Object} mapping - Validated field mapping
+ * @returns {Array} Activity records
+ */
+export function mongoDocumentsToActivityRecords(documents, source, mapping) {
+  const parsedPaths = new Map();
+  const read = (document, path) => {
+    if (!parsedPaths.has(path)) parsedPaths.set(path, parseDocumentPath(path));
+    return readDocumentPath(document, parsedPaths.get(path));
+  };
+
+  return toActivityRecords(documents, {
+    source: 'mongodb',
+    sourceName: source.collection,
+    mapping: { ...mapping, id: mapping.id || '_id' },
+    read
+  });
+}
+
+/**
+ * Aggregation stages of a source, with Extended JSON values ({"$date": ...}, {"$oid": ...}) decoded
+ */
+function sourceStages(source) {
+  return EJSON.deserialize(source.pipeline || []);
+}
+
+/**
+ * Connect and read the server version
+ * @param {Object} connection - {uri, tls}
+ * @returns {Promise<{success: boolean, serverVersion?: string, error?: string, code?: string, status?: number}>}
+ */
+export async function testMongoConnection(connection) {
+  try {
+    const info = await withMongoClient(connection, client => client.db('admin').command({ buildInfo: 1 }));
+    return { success: true, serverVersion: `MongoDB ${info.version}` };
+  } catch (error) {
+    console.error('MongoDB connection error:', error.message);
+    return mongoFailure(error, 'Failed to connect to the database');
+  }
+}
+
+/**
+ * List the databases and collections the user can read, for the collection picker.
+ * Users who may not list databases see the database of their connection string.
+ * @param {Object} connection - Stored connection
+ * @returns {Promise<{success: boolean, databases?: Array<{name: string, collections: Array<string>}>, error?: string, code?: string, status?: number}>}
+ */
+export async function listMongoCollections(connection) {
+  try {
+    const databases = await withMongoClient(connection, async client => {
+      let names;
+      try {
+        const result = await client.db('admin').admin().listDatabases({ nameOnly: true, authorizedDatabases: true });
+        names = result.databases.map(database => database.name).filter(name => !SYSTEM_DATABASES.includes(name));
+      } catch (error) {
+        if (toMongoError(error).code !== 'MONGO_ACCESS_DENIED') throw error;
+        names = [client.db().databaseName];
+      }
+
+      const listed = [];
+      for (const name of names) {
+        const collections = await client.db(name)
+          .listCollections({}, { nameOnly: true, authorizedCollections: true })
+          .toArray();
+        listed.push({
+          name,
+          collections: collections.map(collection => collection.name).filter(collection => !collection.startsWith('system.')).sort()
+        });
+      }
+      return listed;
+    });
+
+    return { success: true, databases };
+  } catch (error) {
+    console.error('List MongoDB collections error:', error.message);
+    return mongoFailure(error, 'Failed to list collections');
+  }
+}
+
+/**
+ * Read the first documents of a source, with the field paths found in them
+ * @param {Object} connection - Stored connection
+ * @param {Object} source - Validated source
+ * @param {Object} options
+ * @param {number} options.limit - Documents to read, at most MAX_PREVIEW_DOCUMENTS
+ * @returns {Promise<{success: boolean, fields?: Array<string>, documents?: Array, error?: string, code?: string, status?: number}>}
+ */
+export async function previewMongoSource(connection, source, { limit = 20 } = {}) {
+  try {
+    const documentLimit = Math.min(Math.max(1, Number(limit) || 20), MAX_PREVIEW_DOCUMENTS);
+    const documents = await withMongoClient(connection, async client => {
+      const db = client.db(source.database);
+      const [collection] = await db.listCollections({ name: source.collection }, { nameOnly: true }).toArray();
+      if (!collection) {
+        throw new MongoSourceError(
+          `Collection "${source.collection}" does not exist in database "${source.database}"`,
+          { code: 'MONGO_COLLECTION_NOT_FOUND', status: 404 }
+        );
+      }
+
+      return db.collection(source.collection)
+        .aggregate([...sourceStages(source), { $limit: documentLimit }], { maxTimeMS: QUERY_TIMEOUT_MS })
+        .toArray();
+    });
+
+    const paths = new Set();
+    for (const document of documents) {
+      collectFieldPaths(document, [], paths);
+    }
+
+    return {
+      success: true,
+      fields: [...paths],
+      documents: documents.map(document => EJSON.serialize(document, { relaxed: true }))
+    };
+  } catch (error) {
+    console.error('MongoDB preview error:', error.message);
+    return mongoFailure(error, 'Failed to read the source');
+  }
+}
+
+/**
+ * Read one batch of documents after a watermark, in watermark order, and convert them
+ * into activity records.
+ *
+ * With the `_id` watermark documents are read in `_id` order, which follows insertion
+ * order for ObjectIds. With the `timestamp` watermark they are read in timestamp order,
+ * ties broken by `_id`; documents without a timestamp are skipped.
+ * @param {Object} connection - Stored connection
+ * @param {Object} source - Validated source
+ * @param {Object} mapping - Validated field mapping
+ * @param {Object} options
+ * @param {string} options.watermark - One of WATERMARK_MODES
+ * @param {Object|null} options.since - Watermark of the last pulled document (canonical Extended JSON); null for all documents
+ * @param {number} options.limit - Batch size
+ * @returns {Promise<{success: boolean, records?: Array, cursor?: Object|null, error?: string, code?: string, status?: number}>}
+ */
+export async function fetchMongoActivityBatch(connection, source, mapping, { watermark = '_id', since = null, limit = 500 }) {
+  try {
+    const timestampPath = parseDocumentPath(mapping.timestamp);
+    const timestampField = watermark === 'timestamp' ? mongoFieldPath(timestampPath) : null;
+    const after = since ? EJSON.deserialize(since, { relaxed: false }) : null;
+
+    const stages = sourceStages(source);
+    if (timestampField) {
+      const filters = [{ [timestampField]: { $exists: true, $ne: null } }];
+      if (after) {
+        filters.push({
+          $or: [
+            { [timestampField]: { $gt: after.timestamp } },
+            { [timestampField]: after.timestamp, _id: { $gt: after._id } }
+          ]
+        });
+      }
+      stages.push({ $match: { $and: filters } }, { $sort: { [timestampField]: 1, _id: 1 } });
+    } else {
+      if (after) stages.push({ $match: { _id: { $gt: after._id } } });
+      stages.push({ $sort: { _id: 1 } });
+    }
+    stages.push({ $limit: Number(limit) });
+
+    const documents = await withMongoClient(connection, client => client.db(source.database)
+      .collection(source.collection)
+      .aggregate(stages, { maxTimeMS: QUERY_TIMEOUT_MS })
+      .toArray());
+
+    const last = documents[documents.length - 1];
+    if (last && last._id === undefined) {
+      throw new MongoSourceError('The pipeline must keep the _id field of documents', { code: 'MONGO_ID_MISSING', status: 400 });
+    }
+
+    let cursor = null;
+    if (last) {
+      const position = timestampField ? { timestamp: readDocumentPath(last, timestampPath), _id: last._id } : { _id: last._id };
+      cursor = EJSON.serialize(position, { relaxed: false });
+    }
+
+    return { success: true, records: mongoDocumentsToActivityRecords(documents, source, mapping), cursor };
+  } catch (error) {
+    console.error('MongoDB pull error:', error.message);
+    return mongoFailure(error, 'Failed to read the source');
+  }
+}
@@ -0,0 +1,135 @@
+import { getConnection, listConnections } from './credentialVault.js';
+import { fetchMongoActivityBatch } from './mongoService.js';
+import { getWatermark, saveWatermark, upsertSyncedRecords, saveSyncRun } from './syncStore.js';
+import { schedulePulls, unschedulePulls } from './pullSchedules.js';
+
+// Model name of the activity records pulled from a MongoDB source, in the sync store
+export const MONGO_ACTIVITY_MODEL = 'activity';
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// Pulls in progress, by connection id
+const runningPulls = new Set();
+
+/**
+ * Build the connection of a stored MongoDB profile: its connection string plus TLS settings
+ * @param {{credentials: Object, settings: Object}} profile - As returned by getConnection
+ * @returns {Object}
+ */
+export function mongoConnectionFromProfile(profile) {
+  return { ...profile.credentials, tls: profile.settings.tls };
+}
+
+/**
+ * Pull the documents of a MongoDB source added since the last pull and upsert them
+ * as activity records into the sync store.
+ *
+ * The watermark is the `_id` (and timestamp, when pulling by timestamp) of the last
+ * document pulled; it advances after every batch. Documents changed in place after
+ * they were pulled are not read again. The outcome, failed or not, is saved as the last run.
+ * @param {string} connectionId - Stored connection id
+ * @param {Object} connection - Connection, see mongoConnectionFromProfile
+ * @param {{source: Object, mapping: Object, watermark: string}} settings - The connection's source, field mapping and watermark mode
+ * @param {Object} options
+ * @param {number} options.batchSize - Documents per query
+ * @returns {Promise<{success: boolean, since?: Object|null, watermark?: Object|null, fetched?: number, added?: number, updated?: number, unchanged?: number, startedAt?: string, finishedAt?: string, error?: string, code?: string, status?: number}>}
+ */
+export async function pullMongoSource(connectionId, connection, { source, mapping, watermark }, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  if (runningPulls.has(connectionId)) {
+    return {
+      success: false,
+      error: 'A pull is already running for this connection',
+      code: 'SYNC_IN_PROGRESS',
+      status: 409
+    };
+  }
+
+  runningPulls.add(connectionId);
+  const startedAt = new Date().toISOString();
+  try {
+    const since = await getWatermark(connectionId, MONGO_ACTIVITY_MODEL);
+    const totals = { fetched: 0, added: 0, updated: 0, unchanged: 0 };
+
+    let cursor = since;
+    for (;;) {
+      const result = await fetchMongoActivityBatch(connection, source, mapping, { watermark, since: cursor, limit: batchSize });
+      if (!result.success) {
+        await saveSyncRun(connectionId, MONGO_ACTIVITY_MODEL, {
+          since,
+          ...totals,
+          error: result.error,
+          code: result.code,
+          startedAt,
+          finishedAt: new Date().toISOString()
+        });
+        return result;
+      }
+
+      const counts = await upsertSyncedRecords(connectionId, MONGO_ACTIVITY_MODEL, result.records, { advanceWatermark: false });
+      if (result.cursor !== null) {
+        cursor = result.cursor;
+        await saveWatermark(connectionId, MONGO_ACTIVITY_MODEL, cursor);
+      }
+      totals.fetched += result.records.length;
+      for (const name of ['added', 'updated', 'unchanged']) {
+        totals[name] += counts[name];
+      }
+
+      if (result.records.length < batchSize) break;
+    }
+
+    const summary = {
+      since,
+      watermark: cursor,
+      ...totals,
+      startedAt,
+      finishedAt: new Date().toISOString()
+    };
+    await saveSyncRun(connectionId, MONGO_ACTIVITY_MODEL, summary);
+
+    return { success: true, ...summary };
+  } finally {
+    runningPulls.delete(connectionId);
+  }
+}
+
+/**
+ * Pull a stored connection's source on its schedule
+ */
+async function runScheduledPull(connectionId) {
+  const profile = await getConnection(connectionId, 'mongodb');
+  if (!profile?.settings.source) {
+    unschedulePulls(connectionId);
+    return;
+  }
+
+  const result = await pullMongoSource(connectionId, mongoConnectionFromProfile(profile), profile.settings);
+  if (!result.success && result.code !== 'SYNC_IN_PROGRESS') {
+    console.warn(`Scheduled MongoDB pull of connection ${connectionId} failed: ${result.error}`);
+  }
+}
+
+/**
+ * Pull a connection's source every `intervalMinutes`, replacing its previous schedule
+ * @param {string} connectionId - Stored connection id
+ * @param {number|null} intervalMinutes - Minutes between pulls; null to only pull on request
+ */
+export function scheduleMongoPulls(connectionId, intervalMinutes) {
+  schedulePulls(connectionId, intervalMinutes, () => runScheduledPull(connectionId));
+}
+
+/**
+ * Schedule the pulls of every stored MongoDB connection, at server start
+ * @returns {Promise<number>} Number of scheduled connections
+ */
+export async function startMongoSchedules() {
+  const connections = await listConnections('mongodb');
+  let scheduled = 0;
+  for (const { id, settings } of connections) {
+    if (settings.source && settings.intervalMinutes) {
+      scheduleMongoPulls(id, settings.intervalMinutes);
+      scheduled += 1;
+    }
+  }
+  return scheduled;
+}
@@ -0,0 +1,77 @@
+import { isTlsErrorCode } from './tlsSettings.js';
+
+/**
+ * Errors of MQTT broker connections
+ *
+ * Client errors are mapped to a machine-readable `code` and the HTTP `status` the API
+ * should answer with, like the SQL errors in sqlErrors.js.
+ */
+export class MqttError extends Error {
+  constructor(message, { code = 'MQTT_ERROR', status = 502 } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// CONNACK return codes (MQTT 3.1.1) and reason codes (MQTT 5) of each failure
+const CONNACK_CODES = {
+  MQTT_AUTH_FAILED: [4, 134],
+  MQTT_NOT_AUTHORIZED: [5, 135],
+  MQTT_CONNECTION_REFUSED: [1, 2, 3, 128, 129, 130, 131, 132, 133, 136, 137, 138, 140, 156, 157, 159]
+};
+
+const UNREACHABLE_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// HTTP status of each failure, and a message that replaces the client's where it is clearer
+const FAILURES = {
+  MQTT_AUTH_FAILED: { status: 401, message: () => 'Invalid broker username or password' },
+  MQTT_NOT_AUTHORIZED: { status: 403, message: () => 'The broker did not allow this client to connect' },
+  MQTT_CONNECTION_REFUSED: { status: 502 },
+  MQTT_TLS_ERROR: { status: 502, message: error => `TLS error: ${error.message}` },
+  MQTT_UNREACHABLE: { status: 502, message: error => `Broker could not be reached (${error.code})` }
+};
+
+/**
+ * Map an MQTT client error to an MqttError
+ * @param {Error} error - Error emitted by the client, or an MqttError
+ * @returns {MqttError}
+ */
+export function toMqttError(error) {
+  if (error instanceof MqttError) {
+    return error;
+  }
+
+  let code;
+  if (error?.name === 'ErrorWithReasonCode') {
+    code = Object.keys(CONNACK_CODES).find(name => CONNACK_CODES[name].includes(error.code));
+  } else if (isTlsErrorCode(error?.code)) {
+    code = 'MQTT_TLS_ERROR';
+  } else if (UNREACHABLE_ERROR_CODES.includes(error?.code)) {
+    code = 'MQTT_UNREACHABLE';
+  }
+
+  if (!code) {
+    return new MqttError(error?.message || 'Broker connection failed', { code: 'MQTT_ERROR', status: 502 });
+  }
+
+  const { status, message } = FAILURES[code];
+  return new MqttError(message ? message(error) : error.message, { code, status });
+}
+
+/**
+ * Turn an error into a failed service result
+ * @param {Error} error - Any error
+ * @param {string} fallbackMessage - Message when the error has none
+ * @returns {{success: false, error: string, code: string, status: number}}
+ */
+export function mqttFailure(error, fallbackMessage) {
+  const mqttError = toMqttError(error);
+  return {
+    success: false,
+    error: mqttError.message || fallbackMessage,
+    code: mqttError.code,
+    status: mqttError.status
+  };
+}
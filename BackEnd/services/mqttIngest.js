@@ -0,0 +1,228 @@
+import mqtt from 'mqtt';
+import { getConnection, listConnections, CredentialsUnreadableError } from './credentialVault.js';
+import {
+  mqttClientOptions,
+  parseMqttPayload,
+  topicMatches,
+  mqttMessageToActivityRecord,
+  counterReadingToDelta,
+  createReadingPeriods,
+  addReadingToPeriods,
+  takePeriodRecords
+} from './mqttService.js';
+import { toMqttError } from './mqttErrors.js';
+import { addToSyncedRecords, getWatermark, saveWatermark } from './syncStore.js';
+import { DEFAULT_PERIOD_MINUTES } from './activityMapping.js';
+
+// Model name of the period totals of readings received over MQTT, in the sync store
+export const MQTT_ACTIVITY_MODEL = 'activity';
+
+// Period totals are added to the store this often
+const FLUSH_INTERVAL_MS = 5000;
+
+const RECONNECT_PERIOD_MS = 10000;
+
+// Running subscribers, by connection id
+const subscribers = new Map();
+
+/**
+ * Build the connection of a stored MQTT profile: its broker credentials plus TLS settings
+ * @param {{credentials: Object, settings: Object}} profile - As returned by getConnection
+ * @returns {Object}
+ */
+export function mqttConnectionFromProfile(profile) {
+  return { ...profile.credentials, tls: profile.settings.tls };
+}
+
+/**
+ * Add the readings summed since the last flush to the period totals in the sync store,
+ * and save the last reading of every running total as the watermark, so the first
+ * reading after a restart is counted from it.
+ * Writes run one after another, so no batch is added twice or lost.
+ */
+function flush(subscriber) {
+  const records = takePeriodRecords(subscriber.periods, Date.now());
+  const counters = subscriber.countersChanged ? { ...subscriber.counters } : null;
+  if (records.length === 0 && !counters) return subscriber.flushing;
+  subscriber.countersChanged = false;
+
+  subscriber.flushing = subscriber.flushing
+    .then(async () => {
+      if (records.length > 0) {
+        await addToSyncedRecords(subscriber.connectionId, MQTT_ACTIVITY_MODEL, records, { countTags: ['readings', 'counterResets'] });
+      }
+      if (counters) {
+        await saveWatermark(subscriber.connectionId, MQTT_ACTIVITY_MODEL, counters);
+      }
+      subscriber.stored += records.reduce((sum, record) => sum + record.tags.readings, 0);
+    })
+    .catch(error => {
+      console.error(`Storing MQTT readings of connection ${subscriber.connectionId} failed:`, error);
+      subscriber.lastError = { message: `Storing readings failed: ${error.message}`, code: 'STORE_ERROR', at: new Date().toISOString() };
+    });
+  return subscriber.flushing;
+}
+
+/**
+ * Handle one message: convert it with the mapping of the first matching topic pattern
+ * and add its reading to the total of its period. The reading of a cumulative topic is
+ * the amount used since the previous one (see counterReadingToDelta).
+ * A QoS 1 message the broker sends again is flagged `dup`. Without a mapped timestamp
+ * its reading would be stamped with the new arrival time and counted twice, so it is
+ * dropped; with one it is recognised by its timestamp.
+ */
+function handleMessage(subscriber, topic, payload, packet) {
+  const topicConfig = subscriber.topics.find(({ pattern }) => topicMatches(pattern, topic));
+  if (!topicConfig) return;
+
+  if (packet.dup && !topicConfig.mapping.timestamp) {
+    subscriber.duplicates += 1;
+    return;
+  }
+
+  const receivedAt = new Date();
+  const reading = mqttMessageToActivityRecord(topic, parseMqttPayload(payload), topicConfig.mapping, receivedAt);
+
+  subscriber.received += 1;
+  subscriber.lastMessageAt = receivedAt.toISOString();
+  if (reading.excluded) {
+    subscriber.excluded += 1;
+    subscriber.lastExcluded = { topic, reason: reading.excluded, at: receivedAt.toISOString() };
+    return;
+  }
+
+  let used = reading;
+  if (topicConfig.cumulative) {
+    const delta = counterReadingToDelta(subscriber.counters, reading);
+    if (delta.stale) {
+      subscriber.duplicates += 1;
+      return;
+    }
+    subscriber.countersChanged = true;
+    if (delta.baseline) return;
+    used = delta.reading;
+  }
+
+  if (!addReadingToPeriods(subscriber.periods, used)) {
+    subscriber.duplicates += 1;
+  }
+}
+
+/**
+ * Subscribe to a connection's topics and store the readings of matching messages as
+ * totals per meter and period, replacing its running subscriber. The client
+ * reconnects by itself when the broker goes away.
+ * @param {string} connectionId - Stored connection id
+ * @param {Object} connection - Connection, see mqttConnectionFromProfile
+ * @param {{topics: Array<{pattern: string, mapping: Object, cumulative?: boolean}>, periodMinutes: number}} settings - Validated topic mappings; none to only stop
+ * @returns {Promise<void>}
+ */
+export async function startMqttSubscriber(connectionId, connection, { topics, periodMinutes = DEFAULT_PERIOD_MINUTES }) {
+  await stopMqttSubscriber(connectionId);
+  if (!topics || topics.length === 0) return;
+
+  const counters = (await getWatermark(connectionId, MQTT_ACTIVITY_MODEL)) || {};
+
+  const client = mqtt.connect(connection.brokerUrl, mqttClientOptions(connection, { reconnectPeriod: RECONNECT_PERIOD_MS }));
+  const subscriber = {
+    connectionId,
+    client,
+    topics,
+    periodMinutes,
+    state: 'connecting',
+    connectedAt: null,
+    lastMessageAt: null,
+    lastError: null,
+    lastExcluded: null,
+    received: 0,
+    excluded: 0,
+    duplicates: 0,
+    stored: 0,
+    periods: createReadingPeriods(periodMinutes),
+    counters,
+    countersChanged: false,
+    flushing: Promise.resolve(),
+    timer: setInterval(() => flush(subscriber), FLUSH_INTERVAL_MS)
+  };
+  subscribers.set(connectionId, subscriber);
+
+  client.on('connect', () => {
+    subscriber.state = 'connected';
+    subscriber.connectedAt = new Date().toISOString();
+  });
+  client.on('reconnect', () => {
+    subscriber.state = 'reconnecting';
+  });
+  client.on('offline', () => {
+    subscriber.state = 'offline';
+  });
+  client.on('error', error => {
+    const mqttError = toMqttError(error);
+    subscriber.lastError = { message: mqttError.message, code: mqttError.code, at: new Date().toISOString() };
+  });
+  client.on('message', (topic, payload, packet) => handleMessage(subscriber, topic, payload, packet));
+
+  // Subscriptions are queued until the client is connected, and renewed on every reconnect
+  client.subscribe(topics.map(({ pattern }) => pattern), { qos: 1 }, (error, granted) => {
+    const refused = (granted || []).filter(grant => grant.qos === 128).map(grant => grant.topic);
+    if (error || refused.length > 0) {
+      subscriber.lastError = {
+        message: error ? error.message : `The broker refused the subscription to ${refused.join(', ')}`,
+        code: error ? toMqttError(error).code : 'MQTT_NOT_AUTHORIZED',
+        at: new Date().toISOString()
+      };
+    }
+  });
+}
+
+/**
+ * Stop a connection's subscriber, storing the readings it summed so far
+ * @param {string} connectionId - Stored connection id
+ * @returns {Promise<void>}
+ */
+export async function stopMqttSubscriber(connectionId) {
+  const subscriber = subscribers.get(connectionId);
+  if (!subscriber) return;
+
+  subscribers.delete(connectionId);
+  clearInterval(subscriber.timer);
+  await subscriber.client.endAsync().catch(error => console.warn('Closing MQTT connection failed:', error.message));
+  await flush(subscriber);
+}
+
+/**
+ * Get the state of a connection's subscriber
+ * @param {string} connectionId - Stored connection id
+ * @returns {{state: string, connectedAt: string|null, periodMinutes: number, lastMessageAt: string|null, received: number, excluded: number, duplicates: number, stored: number, lastError: Object|null, lastExcluded: Object|null}|null} null when it is not subscribed
+ */
+export function getMqttSubscriberStatus(connectionId) {
+  const subscriber = subscribers.get(connectionId);
+  if (!subscriber) return null;
+
+  const { state, connectedAt, periodMinutes, lastMessageAt, received, excluded, duplicates, stored, lastError, lastExcluded } = subscriber;
+  return { state, connectedAt, periodMinutes, lastMessageAt, received, excluded, duplicates, stored, lastError, lastExcluded };
+}
+
+/**
+ * Start the subscribers of every stored MQTT connection with topics, at server start
+ * @returns {Promise<number>} Number of started subscribers
+ */
+export async function startMqttSubscribers() {
+  const connections = await listConnections('mqtt');
+  let started = 0;
+  for (const { id, settings } of connections) {
+    if (settings.topics?.length > 0) {
+      let profile;
+      try {
+        profile = await getConnection(id, 'mqtt');
+      } catch (error) {
+        if (!(error instanceof CredentialsUnreadableError)) throw error;
+        console.warn(`MQTT connection ${id} is not started: ${error.message}`);
+        continue;
+      }
+      await startMqttSubscriber(id, mqttConnectionFromProfile(profile), settings);
+      started += 1;
+    }
+  }
+  return started;
+}
@@ -0,0 +1,494 @@
+import crypto from 'crypto';
+import mqtt from 'mqtt';
+import { tlsRequestOptions } from './tlsSettings.js';
+import { MqttError, mqttFailure } from './mqttErrors.js';
+import { parseDocumentPath, readDocumentPath, toIsoTimestamp } from './activityMapping.js';
+
+/**
+ * MQTT brokers that energy and flow meters publish readings to.
+ *
+ * Each subscribed topic pattern has its own payload mapping: where the reading, its
+ * timestamp and the meter id are found in a message, and the unit and activity type
+ * of the reading. A mapped value is a JSON path into the payload (`$` for the whole
+ * payload, e.g. a bare number), a fixed `{value}` or a `{topicLevel}` of the topic.
+ * A topic flagged `cumulative` publishes running totals (meter counters) instead of
+ * the amount used since the previous message.
+ */
+export const MQTT_PROTOCOLS = ['mqtt:', 'mqtts:', 'ws:', 'wss:'];
+
+const CONNECT_TIMEOUT_MS = 10000;
+export const MAX_TOPICS = 50;
+export const MAX_SAMPLE_SECONDS = 15;
+const MAX_SAMPLE_MESSAGES = 20;
+const MAX_SAMPLE_PAYLOAD_LENGTH = 2000;
+
+// Reading fields a topic's payload is mapped to
+export const TOPIC_MAPPING_FIELDS = ['quantity', 'unit', 'activityType', 'meterId', 'timestamp', 'site'];
+
+const REQUIRED_TOPIC_MAPPING_FIELDS = ['quantity', 'unit', 'activityType'];
+
+// Fields that must come from the payload, not a fixed value or the topic
+const PAYLOAD_FIELDS = ['quantity', 'timestamp'];
+
+// Parsed JSON paths, by path
+const parsedPaths = new Map();
+
+/**
+ * Validate the broker fields of a request body
+ * @param {Object} body - {brokerUrl, username, password, clientId}
+ * @returns {{credentials?: Object, error?: string}}
+ */
+export function validateMqttCredentials({ brokerUrl, username, password, clientId }) {
+  if (!brokerUrl || typeof brokerUrl !== 'string') {
+    return { error: 'Missing required field: brokerUrl' };
+  }
+
+  let url;
+  try {
+    url = new URL(brokerUrl.trim());
+  } catch {
+    return { error: 'brokerUrl must be a URL like mqtt://broker.local:1883' };
+  }
+  if (!MQTT_PROTOCOLS.includes(url.protocol) || !url.hostname) {
+    return { error: `brokerUrl must use one of: ${MQTT_PROTOCOLS.map(protocol => `${protocol}//`).join(', ')}` };
+  }
+
+  if (clientId !== undefined && clientId !== null && clientId !== '' &&
+    (typeof clientId !== 'string' || clientId.length > 64)) {
+    return { error: 'clientId must be a string of at most 64 characters' };
+  }
+
+  return {
+    credentials: {
+      brokerUrl: url.toString().replace(/\/$/, ''),
+      username: username || '',
+      password: password || '',
+      // A stable client id lets broker ACLs and logs recognise the connection
+      clientId: clientId || `netzero_${crypto.randomBytes(4).toString('hex')}`
+    }
+  };
+}
+
+/**
+ * Whether a broker URL uses TLS
+ */
+export function mqttUsesTls(brokerUrl) {
+  return /^(mqtts|wss):/.test(brokerUrl);
+}
+
+/**
+ * Options of an MQTT client for a stored connection
+ * @param {Object} connection - {brokerUrl, username, password, clientId, tls}
+ * @param {Object} overrides - Client options to set or replace
+ * @returns {Object}
+ */
+export function mqttClientOptions(connection, overrides = {}) {
+  const options = {
+    clientId: connection.clientId,
+    username: connection.username || undefined,
+    password: connection.password || undefined,
+    connectTimeout: CONNECT_TIMEOUT_MS,
+    clean: true,
+    ...overrides
+  };
+  if (mqttUsesTls(connection.brokerUrl)) {
+    Object.assign(options, tlsRequestOptions(connection.tls));
+  }
+  return options;
+}
+
+/**
+ * Check a topic filter: `+` matches one level and `#` the remaining levels
+ * @param {string} pattern - e.g. `plant/+/energy` or `meters/#`
+ * @returns {string|null} Error message, or null when the pattern is valid
+ */
+export function validateTopicPattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern || pattern.length > 256 || pattern.includes('\u0000')) {
+    return 'must be a topic of 1 to 256 characters';
+  }
+
+  const levels = pattern.split('/');
+  for (const [index, level] of levels.entries()) {
+    if (level.includes('#') && (level !== '#' || index !== levels.length - 1)) {
+      return '# must be the whole last level';
+    }
+    if (level.includes('+') && level !== '+') {
+      return '+ must be a whole level';
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a topic matches a topic filter
+ * @param {string} pattern - Valid topic filter
+ * @param {string} topic - Topic of a message
+ * @returns {boolean}
+ */
+export function topicMatches(pattern, topic) {
+  const patternLevels = pattern.split('/');
+  const topicLevels = topic.split('/');
+
+  // Filters starting with a wildcard do not match system topics ($SYS/...)
+  if (topic.startsWith('$') && ['+', '#'].includes(patternLevels[0])) {
+    return false;
+  }
+
+  for (const [index, level] of patternLevels.entries()) {
+    if (level === '#') return true;
+    if (index >= topicLevels.length) return false;
+    if (level !== '+' && level !== topicLevels[index]) return false;
+  }
+  return patternLevels.length === topicLevels.length;
+}
+
+/**
+ * Check one mapped value of a topic mapping
+ */
+function validateTopicTarget(field, target) {
+  if (typeof target === 'string') {
+    return target.trim() === '$' || parseDocumentPath(target) ? null : `"${target}" is not a valid JSON path`;
+  }
+  if (!target || typeof target !== 'object' || Array.isArray(target)) {
+    return 'must be a JSON path, {value} or {topicLevel}';
+  }
+  if (PAYLOAD_FIELDS.includes(field)) {
+    return 'must be a JSON path into the payload';
+  }
+  if ('topicLevel' in target) {
+    return Number.isInteger(target.topicLevel) && target.topicLevel >= 0
+      ? null
+      : 'topicLevel must be a level number, counted from 0';
+  }
+  return typeof target.value === 'string' && target.value.trim() ? null : 'value must be a non-empty string';
+}
+
+/**
+ * Check the subscribed topics and their payload mappings before they are saved
+ * @param {Array<{pattern: string, mapping: Object, cumulative?: boolean}>} topics
+ * @returns {string|null} Error message, or null when they are valid
+ */
+export function validateTopicMappings(topics) {
+  if (!Array.isArray(topics) || topics.length > MAX_TOPICS) {
+    return `topics must be an array of at most ${MAX_TOPICS} topic patterns`;
+  }
+
+  const patterns = new Set();
+  for (const [index, topic] of topics.entries()) {
+    const label = `topics[${index}]`;
+    if (!topic || typeof topic !== 'object') {
+      return `${label} must be an object with a pattern and a mapping`;
+    }
+
+    const patternError = validateTopicPattern(topic.pattern);
+    if (patternError) return `${label}.pattern ${patternError}`;
+    if (patterns.has(topic.pattern)) return `${label}.pattern is listed twice`;
+    patterns.add(topic.pattern);
+
+    if (topic.cumulative !== undefined && typeof topic.cumulative !== 'boolean') {
+      return `${label}.cumulative must be true or false`;
+    }
+
+    const { mapping } = topic;
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return `${label}.mapping must be an object`;
+    }
+    for (const field of REQUIRED_TOPIC_MAPPING_FIELDS) {
+      if (!mapping[field]) return `${label}.mapping.${field} is required`;
+    }
+    for (const field of TOPIC_MAPPING_FIELDS) {
+      const target = mapping[field];
+      if (target === undefined || target === null || target === '') continue;
+      const error = validateTopicTarget(field, target);
+      if (error) return `${label}.mapping.${field} ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode a message payload: JSON when it parses (a bare number included), text otherwise
+ * @param {Buffer} payload
+ * @returns {*}
+ */
+export function parseMqttPayload(payload) {
+  const text = payload.toString('utf8').trim();
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Convert a message into a time-stamped activity reading, keyed by meter and time.
+ * Without a timestamp in the payload, or one that cannot be read, the reading is
+ * stamped with the time the message arrived, so a second delivery is a new reading;
+ * the subscriber drops redelivered messages of such topics.
+ * @param {string} topic - Topic of the message
+ * @param {*} payload - Decoded payload, see parseMqttPayload
+ * @param {Object} mapping - Validated payload mapping of the matching topic pattern
+ * @param {Date} receivedAt - Arrival time
+ * @returns {Object} Activity record (see calculateEmissions), tagged with meterId and topic
+ */
+export function mqttMessageToActivityRecord(topic, payload, mapping, receivedAt) {
+  const levels = topic.split('/');
+  const valueOf = target => {
+    if (target === undefined || target === null || target === '') return undefined;
+    if (typeof target === 'object') {
+      return 'topicLevel' in target ? levels[target.topicLevel] : target.value;
+    }
+    if (target.trim() === '$') return payload;
+    if (!parsedPaths.has(target)) parsedPaths.set(target, parseDocumentPath(target));
+    return readDocumentPath(payload, parsedPaths.get(target));
+  };
+
+  const rawQuantity = valueOf(mapping.quantity);
+  const quantity = rawQuantity === null || rawQuantity === undefined || rawQuantity === '' ? NaN : Number(rawQuantity);
+  const unit = String(valueOf(mapping.unit) ?? '').trim();
+  const activityType = String(valueOf(mapping.activityType) ?? '').trim();
+  const meterId = String(valueOf(mapping.meterId) ?? topic);
+  const site = valueOf(mapping.site);
+  const date = toIsoTimestamp(valueOf(mapping.timestamp)) || receivedAt.toISOString();
+
+  let excluded;
+  if (!activityType) {
+    excluded = 'No activity type';
+  } else if (!unit) {
+    excluded = 'No unit';
+  } else if (rawQuantity === null || rawQuantity === undefined || rawQuantity === '') {
+    excluded = 'No quantity recorded';
+  } else if (!Number.isFinite(quantity)) {
+    excluded = 'Quantity is not a number';
+  }
+
+  const tags = { meterId, topic };
+  if (site !== undefined && site !== null && site !== '') {
+    tags.site = String(site);
+  }
+
+  return {
+    id: `mqtt:${meterId}:${date}`,
+    source: 'mqtt',
+    reference: topic,
+    activityType,
+    quantity,
+    unit,
+    date,
+    tags,
+    writeDate: date,
+    excluded
+  };
+}
+
+/**
+ * Turn a reading of a running total into the amount used since the previous reading of
+ * the same meter, activity type and unit, the way Modbus counters are read.
+ *
+ * The first reading of a counter only sets its starting point. A reading that is not
+ * newer than the last one, such as a message delivered again, is ignored. A counter that
+ * went down was reset or replaced: the reading adds nothing but counts in the period's
+ * `counterResets` tag, and the counter starts over from it.
+ * @param {Object} counters - Last reading per counter: {value, date}; updated in place
+ * @param {Object} reading - Activity reading without `excluded`, see mqttMessageToActivityRecord
+ * @returns {{reading?: Object, baseline?: boolean, stale?: boolean}} The reading of the amount used, or why there is none
+ */
+export function counterReadingToDelta(counters, reading) {
+  const key = `${reading.tags.meterId}:${reading.activityType}:${reading.unit}`;
+  const previous = counters[key];
+  if (previous && Date.parse(reading.date) <= Date.parse(previous.date)) {
+    return { stale: true };
+  }
+
+  counters[key] = { value: reading.quantity, date: reading.date };
+  if (!previous) return { baseline: true };
+
+  // Rounded, so a difference of two decimal readings does not carry float noise
+  const delta = Math.round((reading.quantity - previous.value) * 1e6) / 1e6;
+  const tags = { ...reading.tags, counterReading: reading.quantity };
+  if (delta < 0) {
+    tags.counterResets = 1;
+  }
+  return { reading: { ...reading, quantity: Math.max(delta, 0), tags } };
+}
+
+/**
+ * Start summing readings over periods
+ * @param {number} periodMinutes - Length of the periods, one of PERIOD_MINUTES
+ * @returns {Object} Open periods, for addReadingToPeriods and takePeriodRecords
+ */
+export function createReadingPeriods(periodMinutes) {
+  return { periodMs: periodMinutes * 60000, periods: new Map() };
+}
+
+/**
+ * Add a reading to the total of its meter, activity type and unit in the period that
+ * holds its date. A reading whose key was already counted in that period is not added
+ * again, so a message with a mapped timestamp counts once however often it arrives.
+ * @param {Object} readingPeriods - See createReadingPeriods
+ * @param {Object} reading - Activity reading without `excluded`, see mqttMessageToActivityRecord
+ * @returns {boolean} False when the reading was already counted
+ */
+export function addReadingToPeriods(readingPeriods, reading) {
+  const { periodMs, periods } = readingPeriods;
+  const periodStart = Math.floor(Date.parse(reading.date) / periodMs) * periodMs;
+  const { meterId } = reading.tags;
+  const id = `mqtt:${meterId}:${reading.activityType}:${reading.unit}:${new Date(periodStart).toISOString()}`;
+
+  let period = periods.get(id);
+  if (!period) {
+    period = { id, periodStart, reading, total: 0, readings: 0, counterResets: 0, keys: new Set() };
+    periods.set(id, period);
+  }
+  if (period.keys.has(reading.id)) return false;
+
+  period.keys.add(reading.id);
+  period.reading = reading;
+  period.total += reading.quantity;
+  period.readings += 1;
+  period.counterResets += reading.tags.counterResets || 0;
+  return true;
+}
+
+/**
+ * Take the readings added to each period since the last call, as activity records to
+ * add to the stored totals (see addToSyncedRecords). Periods that ended more than one
+ * period before `at` are forgotten, so a late duplicate of their readings counts again.
+ * @param {Object} readingPeriods - See createReadingPeriods
+ * @param {number} at - Time in milliseconds
+ * @returns {Array<Object>} Activity records (see calculateEmissions), one per period with new readings
+ */
+export function takePeriodRecords(readingPeriods, at) {
+  const { periodMs, periods } = readingPeriods;
+  const records = [];
+
+  for (const period of periods.values()) {
+    if (period.readings > 0) {
+      const { reading } = period;
+      const date = new Date(period.periodStart).toISOString();
+      const { counterResets, ...readingTags } = reading.tags;
+      const tags = { ...readingTags, periodEnd: new Date(period.periodStart + periodMs).toISOString(), readings: period.readings };
+      if (period.counterResets > 0) {
+        tags.counterResets = period.counterResets;
+      }
+      records.push({
+        id: period.id,
+        source: 'mqtt',
+        reference: reading.reference,
+        activityType: reading.activityType,
+        quantity: period.total,
+        unit: reading.unit,
+        date,
+        tags,
+        writeDate: new Date(at).toISOString()
+      });
+      Object.assign(period, { total: 0, readings: 0, counterResets: 0 });
+    }
+    if (period.periodStart + 2 * periodMs <= at) {
+      periods.delete(period.id);
+    }
+  }
+  return records;
+}
+
+/**
+ * Connect once, without reconnecting; resolves with the connected client
+ */
+function connectOnce(connection) {
+  return new Promise((resolve, reject) => {
+    const client = mqtt.connect(connection.brokerUrl, mqttClientOptions(connection, { reconnectPeriod: 0 }));
+    let settled = false;
+
+    const fail = error => {
+      if (settled) return;
+      settled = true;
+      client.end(true);
+      reject(error);
+    };
+    const onClose = () => fail(new MqttError('The broker did not accept the connection in time', { code: 'MQTT_TIMEOUT', status: 504 }));
+
+    client.once('error', fail);
+    client.once('close', onClose);
+    client.once('connect', () => {
+      settled = true;
+      client.off('error', fail);
+      client.off('close', onClose);
+      // The client does not reconnect, so a later error ends it; without a listener it would be thrown
+      client.on('error', error => {
+        console.warn(`MQTT client ${connection.clientId} failed: ${error.message}`);
+        client.end(true);
+      });
+      resolve(client);
+    });
+  });
+}
+
+/**
+ * Connect to the broker and disconnect again
+ * @param {Object} connection - {brokerUrl, username, password, clientId, tls}
+ * @returns {Promise<{success: boolean, error?: string, code?: string, status?: number}>}
+ */
+export async function testMqttConnection(connection) {
+  try {
+    const client = await connectOnce(connection);
+    await client.endAsync();
+    return { success: true };
+  } catch (error) {
+    console.error('MQTT connection error:', error.message);
+    return mqttFailure(error, 'Failed to connect to the broker');
+  }
+}
+
+/**
+ * Listen on a topic pattern for a few seconds and return the messages seen, to help
+ * write its payload mapping. Retained messages arrive right away.
+ * @param {Object} connection - Stored connection
+ * @param {string} pattern - Valid topic filter
+ * @param {Object} options
+ * @param {number} options.seconds - How long to listen, at most MAX_SAMPLE_SECONDS
+ * @returns {Promise<{success: boolean, messages?: Array<{topic: string, payload: *, retained: boolean, receivedAt: string}>, error?: string, code?: string, status?: number}>}
+ */
+export async function sampleMqttMessages(connection, pattern, { seconds = 5 } = {}) {
+  // A separate client id, so sampling does not disconnect the running subscriber
+  const sampler = { ...connection, clientId: `${connection.clientId}_sample`.slice(0, 64) };
+  const duration = Math.min(Math.max(1, Number(seconds) || 5), MAX_SAMPLE_SECONDS) * 1000;
+
+  try {
+    const client = await connectOnce(sampler);
+    try {
+      const messages = [];
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, duration);
+        client.once('error', error => {
+          clearTimeout(timer);
+          reject(error);
+        });
+        client.on('message', (topic, payload, packet) => {
+          const text = payload.toString('utf8');
+          messages.push({
+            topic,
+            payload: text.length > MAX_SAMPLE_PAYLOAD_LENGTH ? `${text.slice(0, MAX_SAMPLE_PAYLOAD_LENGTH)}…` : parseMqttPayload(payload),
+            retained: packet.retain,
+            receivedAt: new Date().toISOString()
+          });
+          if (messages.length >= MAX_SAMPLE_MESSAGES) {
+            clearTimeout(timer);
+            resolve();
+          }
+        });
+        client.subscribe(pattern, { qos: 0 }, (error, granted) => {
+          if (error || granted?.[0]?.qos === 128) {
+            clearTimeout(timer);
+            reject(error || new MqttError(`The broker refused the subscription to ${pattern}`, { code: 'MQTT_NOT_AUTHORIZED', status: 403 }));
+          }
+        });
+      });
+      return { success: true, messages };
+    } finally {
+      await client.endAsync();
+    }
+  } catch (error) {
+    console.error('MQTT sample error:', error.message);
+    return mqttFailure(error, 'Failed to read messages from the broker');
+  }
+}
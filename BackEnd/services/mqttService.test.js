@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mqttMessageToActivityRecord,
+  validateTopicMappings,
+  counterReadingToDelta,
+  createReadingPeriods,
+  addReadingToPeriods,
+  takePeriodRecords
+} from './mqttService.js';
+
+const mapping = {
+  quantity: '$.kwh',
+  unit: { value: 'kWh' },
+  activityType: { value: 'electricity' },
+  meterId: { topicLevel: 1 },
+  timestamp: '$.ts'
+};
+
+const reading = (meter, kwh, ts) =>
+  mqttMessageToActivityRecord(`plant/${meter}/energy`, { kwh, ts }, mapping, new Date('2024-05-01T12:00:00Z'));
+
+test('addReadingToPeriods sums readings per meter and period, once per timestamp', () => {
+  const periods = createReadingPeriods(15);
+
+  assert.equal(addReadingToPeriods(periods, reading('a', 1.5, '2024-05-01T10:01:00Z')), true);
+  assert.equal(addReadingToPeriods(periods, reading('a', 2, '2024-05-01T10:14:59Z')), true);
+  assert.equal(addReadingToPeriods(periods, reading('a', 1.5, '2024-05-01T10:01:00Z')), false);
+  assert.equal(addReadingToPeriods(periods, reading('a', 4, '2024-05-01T10:15:00Z')), true);
+  assert.equal(addReadingToPeriods(periods, reading('b', 3, '2024-05-01T10:05:00Z')), true);
+
+  const records = takePeriodRecords(periods, Date.parse('2024-05-01T10:20:00Z'));
+  assert.deepEqual(records.map(({ id, quantity, date, tags }) => ({ id, quantity, date, readings: tags.readings, periodEnd: tags.periodEnd })), [
+    { id: 'mqtt:a:electricity:kWh:2024-05-01T10:00:00.000Z', quantity: 3.5, date: '2024-05-01T10:00:00.000Z', readings: 2, periodEnd: '2024-05-01T10:15:00.000Z' },
+    { id: 'mqtt:a:electricity:kWh:2024-05-01T10:15:00.000Z', quantity: 4, date: '2024-05-01T10:15:00.000Z', readings: 1, periodEnd: '2024-05-01T10:30:00.000Z' },
+    { id: 'mqtt:b:electricity:kWh:2024-05-01T10:00:00.000Z', quantity: 3, date: '2024-05-01T10:00:00.000Z', readings: 1, periodEnd: '2024-05-01T10:15:00.000Z' }
+  ]);
+  assert.equal(records[0].source, 'mqtt');
+  assert.equal(records[0].reference, 'plant/a/energy');
+  assert.equal(records[0].tags.meterId, 'a');
+});
+
+test('takePeriodRecords returns only what was added since the last call and forgets old periods', () => {
+  const periods = createReadingPeriods(15);
+  addReadingToPeriods(periods, reading('a', 1, '2024-05-01T10:01:00Z'));
+  takePeriodRecords(periods, Date.parse('2024-05-01T10:05:00Z'));
+
+  assert.deepEqual(takePeriodRecords(periods, Date.parse('2024-05-01T10:06:00Z')), []);
+
+  // A duplicate is still recognised while its period is open or just ended
+  assert.equal(addReadingToPeriods(periods, reading('a', 1, '2024-05-01T10:01:00Z')), false);
+  addReadingToPeriods(periods, reading('a', 2, '2024-05-01T10:02:00Z'));
+  assert.deepEqual(takePeriodRecords(periods, Date.parse('2024-05-01T10:29:59Z')).map(record => record.quantity), [2]);
+  assert.equal(periods.periods.size, 1);
+
+  // One period after its end it is forgotten
+  assert.deepEqual(takePeriodRecords(periods, Date.parse('2024-05-01T10:30:00Z')), []);
+  assert.equal(periods.periods.size, 0);
+});
+
+test('counterReadingToDelta sets a baseline first and then gives the amount used since the previous reading', () => {
+  const counters = {};
+
+  assert.deepEqual(counterReadingToDelta(counters, reading('a', 1000.1, '2024-05-01T10:00:00Z')), { baseline: true });
+  const { reading: used } = counterReadingToDelta(counters, reading('a', 1002.5, '2024-05-01T10:05:00Z'));
+  assert.equal(used.quantity, 2.4);
+  assert.equal(used.tags.counterReading, 1002.5);
+  assert.equal(used.tags.counterResets, undefined);
+  assert.deepEqual(counters['a:electricity:kWh'], { value: 1002.5, date: '2024-05-01T10:05:00.000Z' });
+
+  // Each meter has its own counter
+  assert.deepEqual(counterReadingToDelta(counters, reading('b', 7, '2024-05-01T10:05:00Z')), { baseline: true });
+});
+
+test('counterReadingToDelta ignores readings that are not newer and counts a reset instead of its amount', () => {
+  const counters = {};
+  counterReadingToDelta(counters, reading('a', 500, '2024-05-01T10:00:00Z'));
+
+  assert.deepEqual(counterReadingToDelta(counters, reading('a', 500, '2024-05-01T10:00:00Z')), { stale: true });
+  assert.deepEqual(counterReadingToDelta(counters, reading('a', 400, '2024-05-01T09:55:00Z')), { stale: true });
+
+  const reset = counterReadingToDelta(counters, reading('a', 3, '2024-05-01T10:05:00Z')).reading;
+  assert.equal(reset.quantity, 0);
+  assert.equal(reset.tags.counterResets, 1);
+  assert.equal(counterReadingToDelta(counters, reading('a', 5, '2024-05-01T10:10:00Z')).reading.quantity, 2);
+});
+
+test('takePeriodRecords sums the counter resets of a period', () => {
+  const periods = createReadingPeriods(15);
+  const counters = {};
+  for (const [kwh, ts] of [[100, '10:00'], [110, '10:01'], [2, '10:02'], [6, '10:03']]) {
+    const delta = counterReadingToDelta(counters, reading('a', kwh, `2024-05-01T${ts}:00Z`));
+    if (delta.reading) addReadingToPeriods(periods, delta.reading);
+  }
+
+  const [record] = takePeriodRecords(periods, Date.parse('2024-05-01T10:05:00Z'));
+  assert.equal(record.quantity, 14);
+  assert.equal(record.tags.readings, 3);
+  assert.equal(record.tags.counterResets, 1);
+  assert.equal(record.tags.counterReading, 6);
+});
+
+test('validateTopicMappings accepts only a boolean cumulative flag', () => {
+  const topic = { pattern: 'plant/+/energy', mapping };
+  assert.equal(validateTopicMappings([{ ...topic, cumulative: true }]), null);
+  assert.equal(validateTopicMappings([{ ...topic, cumulative: 'yes' }]), 'topics[0].cumulative must be true or false');
+});
@@ -0,0 +1,216 @@
+import { formatRetryIn } from './resilience.js';
+import { isTlsErrorCode } from './tlsSettings.js';
+
+/**
+ * Typed errors for Odoo calls
+ *
+ * Every error carries a machine-readable `code` and the HTTP `status` the API
+ * should answer with. `fromOdoo` is true when Odoo itself rejected the call
+ * (as opposed to a transport problem); those errors are not retried over the
+ * other RPC protocol because it would fail the same way.
+ */
+export class OdooError extends Error {
+  constructor(message, { code = 'ODOO_ERROR', status = 502, fromOdoo = false, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.fromOdoo = fromOdoo;
+    this.details = details;
+  }
+}
+
+export class OdooAuthError extends OdooError {
+  constructor(message = 'Invalid credentials', options = {}) {
+    super(message, { code: 'ODOO_AUTH_FAILED', status: 401, fromOdoo: true, ...options });
+  }
+}
+
+export class OdooAccessDeniedError extends OdooError {
+  constructor(message = 'The Odoo user is not allowed to read this data', options = {}) {
+    super(message, { code: 'ODOO_ACCESS_DENIED', status: 403, fromOdoo: true, ...options });
+  }
+}
+
+export class OdooMissingModelError extends OdooError {
+  constructor(model, options = {}) {
+    super(`Odoo model ${model} does not exist. Is the app that provides it installed?`, {
+      code: 'ODOO_MODEL_NOT_FOUND',
+      status: 404,
+      fromOdoo: true,
+      ...options
+    });
+    this.model = model;
+  }
+}
+
+export class OdooDatabaseNotFoundError extends OdooError {
+  constructor(dbName, options = {}) {
+    super(dbName ? `Odoo database "${dbName}" does not exist` : 'Odoo database does not exist', {
+      code: 'ODOO_DATABASE_NOT_FOUND',
+      status: 404,
+      fromOdoo: true,
+      ...options
+    });
+  }
+}
+
+export class OdooServerError extends OdooError {
+  constructor(message = 'Odoo server error', options = {}) {
+    super(message, { code: 'ODOO_SERVER_ERROR', status: 502, ...options });
+  }
+}
+
+export class OdooTimeoutError extends OdooError {
+  constructor(message = 'Odoo did not respond in time', options = {}) {
+    super(message, { code: 'ODOO_TIMEOUT', status: 504, ...options });
+  }
+}
+
+export class OdooTlsError extends OdooError {
+  constructor(message = 'TLS certificate of the Odoo server could not be verified', options = {}) {
+    super(message, { code: 'ODOO_TLS_ERROR', status: 502, ...options });
+  }
+}
+
+export class OdooUnreachableError extends OdooError {
+  constructor(message = 'Odoo server could not be reached', options = {}) {
+    super(message, { code: 'ODOO_UNREACHABLE', status: 502, ...options });
+  }
+}
+
+/**
+ * Thrown without calling Odoo while the instance's circuit breaker is open
+ * (see resilience.js). `retryAt` is when the instance is tried again.
+ */
+export class OdooUnavailableError extends OdooError {
+  constructor(circuit, options = {}) {
+    super(`Odoo unavailable, retrying in ${formatRetryIn(circuit.retryAt)}`, {
+      code: 'ODOO_UNAVAILABLE',
+      status: 503,
+      details: { lastError: circuit.lastError },
+      ...options
+    });
+    this.retryAt = circuit.retryAt;
+  }
+}
+
+const UNREACHABLE_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Classify an Odoo exception by its name and message
+ * @param {string} name - Exception name, e.g. "odoo.exceptions.AccessError"
+ * @param {string} message - Exception message or XML-RPC fault string
+ * @param {Object} context - {model, dbName} of the failed call
+ * @param {string} text - Text to classify, defaults to name and message
+ * @returns {OdooError}
+ */
+function classifyOdooException(name, message, { model, dbName } = {}, text = `${name} ${message}`) {
+  const details = { name, message };
+
+  if (/AccessDenied|Access Denied|SessionExpired|Session expired/.test(text)) {
+    return new OdooAuthError('Invalid credentials or expired session', { details });
+  }
+  if (/AccessError/.test(text)) {
+    return new OdooAccessDeniedError(message || undefined, { details });
+  }
+  if (/database .* does not exist/i.test(text)) {
+    return new OdooDatabaseNotFoundError(dbName, { details });
+  }
+  if (
+    model &&
+    (/doesn't exist/.test(text) || (/KeyError/.test(text) && text.includes(`'${model}'`)))
+  ) {
+    return new OdooMissingModelError(model, { details });
+  }
+  return new OdooServerError(message || 'Odoo server error', { fromOdoo: true, details });
+}
+
+/**
+ * Map the `error` member of a JSON-RPC response to a typed error
+ * @param {Object} rpcError - {code, message, data: {name, message}}
+ * @param {Object} context - {model, dbName} of the failed call
+ * @returns {OdooError}
+ */
+export function fromJsonRpcError(rpcError, context) {
+  const data = rpcError?.data || {};
+  return classifyOdooException(data.name || '', data.message || rpcError?.message || '', context);
+}
+
+/**
+ * Map a transport or XML-RPC error to a typed error
+ * @param {Error} error - axios, xmlrpc or socket error
+ * @param {Object} context - {model, dbName} of the failed call
+ * @returns {OdooError}
+ */
+export function toOdooError(error, context) {
+  if (error instanceof OdooError) {
+    return error;
+  }
+
+  // XML-RPC fault raised by Odoo
+  if (error?.faultString !== undefined) {
+    // Fault strings are often full tracebacks; the last line holds the exception
+    const faultString = String(error.faultString);
+    const lastLine = faultString.trim().split('\n').pop();
+    return classifyOdooException('', lastLine || faultString, context, faultString);
+  }
+
+  const code = error?.code || error?.cause?.code;
+  if (code === 'ERR_INVALID_URL') {
+    return new OdooError('Invalid Odoo URL', { code: 'ODOO_INVALID_URL', status: 400 });
+  }
+  if (TIMEOUT_ERROR_CODES.includes(code) || /timeout/i.test(error?.message || '')) {
+    return new OdooTimeoutError(undefined, { details: { code } });
+  }
+  if (isTlsErrorCode(code)) {
+    return new OdooTlsError(`TLS error: ${error.message}`, { details: { code } });
+  }
+  if (UNREACHABLE_ERROR_CODES.includes(code)) {
+    return new OdooUnreachableError(`Odoo server could not be reached (${code})`, { details: { code } });
+  }
+  // axios errors carry `response`; xmlrpc errors carry the raw `res`, e.g. a proxy's 503 page
+  const httpStatus = error?.response?.status || (error?.res?.statusCode >= 400 ? error.res.statusCode : undefined);
+  if (httpStatus) {
+    return new OdooServerError(`Odoo answered with HTTP ${httpStatus}`, {
+      details: { httpStatus }
+    });
+  }
+  return new OdooServerError(error?.message || 'Odoo request failed');
+}
+
+// HTTP statuses of an overloaded server or proxy, worth retrying
+const TRANSIENT_HTTP_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Check whether a failed call is worth retrying: the server did not answer in time,
+ * could not be reached, or was overloaded. Errors raised by Odoo itself, TLS errors
+ * and unknown host names are not; they would fail the same way again.
+ * @param {Error} error - Typed error from toOdooError
+ * @returns {boolean}
+ */
+export function isTransientOdooError(error) {
+  if (error instanceof OdooTimeoutError) return true;
+  if (error instanceof OdooUnreachableError) return error.details?.code !== 'ENOTFOUND';
+  return error instanceof OdooServerError &&
+    TRANSIENT_HTTP_STATUSES.includes(error.details?.httpStatus);
+}
+
+/**
+ * Turn an error into the `{success: false}` result shape used by the service functions
+ * @param {Error} error - Any error thrown during an Odoo call
+ * @param {string} fallbackMessage - Message when the error has none
+ * @returns {{success: false, error: string, code: string, status: number, retryAt?: string}}
+ */
+export function odooFailure(error, fallbackMessage) {
+  const odooError = toOdooError(error);
+  return {
+    success: false,
+    error: odooError.message || fallbackMessage,
+    code: odooError.code,
+    status: odooError.status,
+    ...(odooError.retryAt ? { retryAt: odooError.retryAt } : {})
+  };
+}
@@ -1,5 +1,267 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import xmlrpc from 'xmlrpc';
 import axios from 'axios';
+import { tlsRequestOptions, httpsAgentFor } from './tlsSettings.js';
+import {
+  OdooAuthError,
+  OdooMissingModelError,
+  OdooUnavailableError,
+  fromJsonRpcError,
+  toOdooError,
+  isTransientOdooError,
+  odooFailure
+} from './odooErrors.js';
+import { callWithResilience } from './resilience.js';
+
+const DEFAULT_AUTH_CACHE_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Cached Odoo logins keyed by "baseUrl|db|username".
+ * Odoo's external API is stateless, so the uid is all that needs caching. The
+ * password hash makes a changed password miss the cache instead of reusing a stale login.
+ */
+const authCache = new Map();
+
+/**
+ * TLS settings of the connection whose calls are running, set by withOdooTls.
+ * Calls made outside it verify certificates against the public root CAs.
+ */
+const tlsScope = new AsyncLocalStorage();
+
+/**
+ * Run Odoo calls with a connection's TLS settings. Every JSON-RPC and XML-RPC request
+ * made while `call` runs, including its awaited continuations, uses them.
+ * @param {Object} tls - Stored TLS settings of the connection, or undefined for the defaults
+ * @param {Function} call - Async function making the Odoo calls
+ * @returns {Promise<*>} What `call` returns
+ */
+export function withOdooTls(tls, call) {
+  return tlsScope.run(tls, call);
+}
+
+const SALE_ORDER_FIELDS = [
+  'id',
+  'name',
+  'partner_id',
+  'date_order',
+  'amount_total',
+  'amount_untaxed',
+  'amount_tax',
+  'state',
+  'order_line',
+  'user_id',
+  'team_id',
+  'currency_id',
+  'client_order_ref',
+  'note',
+  'company_id'
+];
+
+// Methods that only read, so a failed call can safely be repeated
+const READ_METHODS = new Set([
+  'search',
+  'search_read',
+  'search_count',
+  'read',
+  'read_group',
+  'fields_get',
+  'check_access_rights',
+  'name_get'
+]);
+
+// common and db service methods used here, all of which only read
+const READ_SERVICE_METHODS = new Set(['authenticate', 'version', 'list', 'db_exist']);
+
+function isReadCall(method, args) {
+  return method === 'execute_kw' ? READ_METHODS.has(args[4]) : READ_SERVICE_METHODS.has(method);
+}
+
+/**
+ * Run one Odoo transport call through the instance's retry and circuit breaker layer
+ * @param {string} instance - Instance origin with port, e.g. https://erp.example.com:443
+ * @param {string} method - RPC method, used to tell reads from writes
+ * @param {Array} args - RPC arguments
+ * @param {Function} call - Makes one attempt, throwing typed OdooErrors
+ */
+function resilientOdooCall(instance, method, args, call) {
+  return callWithResilience({ system: 'odoo', instance }, call, {
+    idempotent: isReadCall(method, args),
+    isTransient: isTransientOdooError,
+    unavailableError: circuit => new OdooUnavailableError(circuit)
+  });
+}
+
+/**
+ * Origin of an Odoo instance with an explicit port, the key of its circuit breaker
+ * @param {string} baseUrl - Odoo instance URL
+ * @returns {string}
+ */
+function odooInstance(baseUrl) {
+  const urlObj = new URL(baseUrl);
+  const port = urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80);
+  return `${urlObj.protocol}//${urlObj.hostname}:${port}`;
+}
+
+/**
+ * Create an XML-RPC client for one of Odoo's endpoints
+ * @param {string} baseUrl - Odoo instance URL without trailing slash
+ * @param {string} path - Endpoint path, e.g. /xmlrpc/2/object
+ */
+function createXmlRpcClient(baseUrl, path) {
+  const urlObj = new URL(baseUrl);
+  const isHttps = urlObj.protocol === 'https:';
+  const port = urlObj.port || (isHttps ? 443 : 80);
+
+  return isHttps
+    ? xmlrpc.createSecureClient({
+        host: urlObj.hostname,
+        port: port,
+        path,
+        ...tlsRequestOptions(tlsScope.getStore())
+      })
+    : xmlrpc.createClient({
+        host: urlObj.hostname,
+        port: port,
+        path
+      });
+}
+
+/**
+ * Call a JSON-RPC service method, throwing a typed OdooError on failure.
+ * Reads are retried after transient failures (see resilience.js).
+ * @param {string} baseUrl - Odoo instance URL without trailing slash
+ * @param {string} service - common, object or db
+ * @param {string} method - Service method
+ * @param {Array} args - Method arguments
+ * @param {Object} options
+ * @param {number} options.timeout - Request timeout in ms
+ * @param {Object} options.context - {model, dbName} used to classify errors
+ * @returns {Promise<*>} The JSON-RPC result
+ */
+async function jsonRpcCall(baseUrl, service, method, args, { timeout = 30000, context } = {}) {
+  return resilientOdooCall(odooInstance(baseUrl), method, args, async () => {
+    let response;
+    try {
+      response = await axios.post(`${baseUrl}/jsonrpc`, {
+        jsonrpc: '2.0',
+        method: 'call',
+        params: { service, method, args },
+        id: Math.floor(Math.random() * 1000000)
+      }, {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        httpsAgent: httpsAgentFor(tlsScope.getStore()),
+        timeout
+      });
+    } catch (error) {
+      throw toOdooError(error, context);
+    }
+
+    if (response.data?.error) {
+      throw fromJsonRpcError(response.data.error, context);
+    }
+    return response.data?.result;
+  });
+}
+
+/**
+ * Call an XML-RPC method, throwing a typed OdooError on failure
+ */
+function xmlRpcCall(client, method, params, context) {
+  const { host, port } = client.options;
+  const instance = `${client.isSecure ? 'https:' : 'http:'}//${host}:${port}`;
+
+  return resilientOdooCall(instance, method, params, () => new Promise((resolve, reject) => {
+    client.methodCall(method, params, (error, value) => {
+      if (error) {
+        reject(toOdooError(error, context));
+      } else {
+        resolve(value);
+      }
+    });
+  }));
+}
+
+/**
+ * Run a model method through JSON-RPC execute_kw
+ */
+function executeKwJSONRPC(baseUrl, dbName, uid, password, model, method, args, kwargs = {}) {
+  return jsonRpcCall(baseUrl, 'object', 'execute_kw', [dbName, uid, password, model, method, args, kwargs], {
+    context: { model, dbName }
+  });
+}
+
+/**
+ * Run a model method through XML-RPC execute_kw
+ */
+function executeKwXMLRPC(client, dbName, uid, password, model, method, args, kwargs = {}) {
+  return xmlRpcCall(client, 'execute_kw', [dbName, uid, password, model, method, args, kwargs], {
+    model,
+    dbName
+  });
+}
+
+/**
+ * Run a model method over JSON-RPC, falling back to XML-RPC when the JSON-RPC
+ * transport fails. Errors raised by Odoo itself are not retried.
+ */
+async function executeKwWithFallback(baseUrl, dbName, uid, password, model, method, args, kwargs = {}) {
+  try {
+    return await executeKwJSONRPC(baseUrl, dbName, uid, password, model, method, args, kwargs);
+  } catch (jsonError) {
+    if (jsonError.fromOdoo) throw jsonError;
+    console.log(`JSON-RPC ${model}.${method} failed, trying XML-RPC:`, jsonError.message);
+    const client = createXmlRpcClient(baseUrl, '/xmlrpc/2/object');
+    return executeKwXMLRPC(client, dbName, uid, password, model, method, args, kwargs);
+  }
+}
+
+/**
+ * Count and read the records of a model matching a domain
+ * @returns {Promise<{records: Array, count: number}>}
+ */
+async function searchReadModel(baseUrl, dbName, uid, password, model, domain, { fields, limit, offset = 0, order } = {}) {
+  const count = await executeKwWithFallback(baseUrl, dbName, uid, password, model, 'search_count', [domain]) || 0;
+
+  const kwargs = { fields, offset };
+  if (limit) kwargs.limit = limit;
+  if (order) kwargs.order = order;
+
+  const records = await executeKwWithFallback(baseUrl, dbName, uid, password, model, 'search_read', [domain], kwargs) || [];
+  return { records, count };
+}
+
+/**
+ * Read records by id, e.g. to resolve many2one values
+ * @returns {Promise<Map<number, Object>>} Records keyed by id
+ */
+async function readByIds(baseUrl, dbName, uid, password, model, ids, fields) {
+  const uniqueIds = [...new Set(ids.filter(Boolean))];
+  if (uniqueIds.length === 0) return new Map();
+
+  const records = await executeKwWithFallback(baseUrl, dbName, uid, password, model, 'read', [uniqueIds], { fields }) || [];
+  return new Map(records.map(record => [record.id, record]));
+}
+
+/**
+ * Get the id and display name of a many2one value ([id, name] or false)
+ */
+function many2one(value) {
+  return Array.isArray(value) ? { id: value[0], name: value[1] } : { id: null, name: null };
+}
+
+/**
+ * Domain terms that restrict a model to a connection's companies; none when the
+ * connection is not scoped
+ * @param {Array<number>} companyIds - res.company ids
+ * @param {string} field - Company field of the model
+ * @returns {Array} Domain terms
+ */
+function companyDomain(companyIds, field = 'company_id') {
+  return Array.isArray(companyIds) && companyIds.length > 0 ? [[field, 'in', companyIds]] : [];
+}
 
 /**
  * Authenticate with Odoo using XML-RPC
@@ -7,87 +269,353 @@ import axios from 'axios';
  * @param {string} dbName - Database name
  * @param {string} username - Username (email)
  * @param {string} password - Password
- * @returns {Promise<{success: boolean, uid?: number, error?: string}>}
+ * @returns {Promise<{success: boolean, uid?: number, error?: string, code?: string, status?: number}>}
  */
 export async function authenticateOdoo(url, dbName, username, password) {
   try {
     // Clean URL - remove trailing slash
     const baseUrl = url.replace(/\/$/, '');
-    
+
     // Try JSON-RPC first (more reliable)
     try {
       return await authenticateWithJSONRPC(baseUrl, dbName, username, password);
     } catch (jsonError) {
+      // Odoo answered, so XML-RPC would give the same answer
+      if (jsonError.fromOdoo) throw jsonError;
       console.log('JSON-RPC authentication failed, trying XML-RPC:', jsonError.message);
     }
-    
+
     // Fallback to XML-RPC
-    const urlObj = new URL(baseUrl);
-    const isHttps = urlObj.protocol === 'https:';
-    const port = urlObj.port || (isHttps ? 443 : 80);
-    
-    // Create XML-RPC client
-    const client = isHttps 
-      ? xmlrpc.createSecureClient({
-          host: urlObj.hostname,
-          port: port,
-          path: '/xmlrpc/2/common',
-          rejectUnauthorized: false // Allow self-signed certificates
-        })
-      : xmlrpc.createClient({
-          host: urlObj.hostname,
-          port: port,
-          path: '/xmlrpc/2/common'
-        });
+    const client = createXmlRpcClient(baseUrl, '/xmlrpc/2/common');
+    const uid = await xmlRpcCall(client, 'authenticate', [dbName, username, password, {}], { dbName });
 
-    // Authenticate using XML-RPC
-    return new Promise((resolve, reject) => {
-      client.methodCall('authenticate', [dbName, username, password, {}], (error, uid) => {
-        if (error) {
-          console.error('XML-RPC authentication error:', error);
-          resolve({ success: false, error: error.message || 'Authentication failed' });
-        } else if (uid && uid !== false) {
-          resolve({ success: true, uid });
-        } else {
-          resolve({ success: false, error: 'Invalid credentials' });
-        }
-      });
-    });
+    if (!uid) {
+      throw new OdooAuthError();
+    }
+    return { success: true, uid };
   } catch (error) {
-    console.error('Authentication error:', error);
-    return { success: false, error: error.message || 'Authentication failed' };
+    console.error('Authentication error:', error.message);
+    return odooFailure(error, 'Authentication failed');
   }
 }
 
 /**
- * Authenticate with Odoo using JSON-RPC (fallback method)
+ * Authenticate with Odoo using JSON-RPC
  */
 async function authenticateWithJSONRPC(url, dbName, username, password) {
+  const uid = await jsonRpcCall(url, 'common', 'authenticate', [dbName, username, password, {}], {
+    timeout: 10000,
+    context: { dbName }
+  });
+
+  if (!uid) {
+    throw new OdooAuthError();
+  }
+  return { success: true, uid };
+}
+
+/**
+ * List the databases of an Odoo server, so the database name can be picked when connecting.
+ * Servers started with `list_db = False` (e.g. Odoo.sh and odoo.com) refuse to list them;
+ * that is reported as `listAllowed: false` rather than as an error.
+ * @param {string} url - Odoo instance URL
+ * @returns {Promise<{success: boolean, databases?: Array<string>, listAllowed?: boolean, error?: string, code?: string, status?: number}>}
+ */
+export async function listOdooDatabases(url) {
+  try {
+    const baseUrl = url.replace(/\/$/, '');
+
+    let databases;
+    try {
+      databases = await jsonRpcCall(baseUrl, 'db', 'list', [], { timeout: 10000 });
+    } catch (jsonError) {
+      if (jsonError.fromOdoo) throw jsonError;
+      console.log('JSON-RPC database list failed, trying XML-RPC:', jsonError.message);
+      const client = createXmlRpcClient(baseUrl, '/xmlrpc/2/db');
+      databases = await xmlRpcCall(client, 'list', []);
+    }
+
+    return { success: true, databases: databases || [], listAllowed: true };
+  } catch (error) {
+    if (error instanceof OdooAuthError) {
+      return { success: true, databases: [], listAllowed: false };
+    }
+    console.error('List databases error:', error.message);
+    return odooFailure(error, 'Failed to list databases');
+  }
+}
+
+/**
+ * Read the server version from the JSON-RPC or XML-RPC endpoint, without logging in.
+ * Used to check that the endpoint answers.
+ * @param {string} url - Odoo instance URL
+ * @param {string} protocol - "jsonrpc" or "xmlrpc"
+ * @returns {Promise<{success: boolean, version?: string, error?: string, code?: string, status?: number}>}
+ */
+export async function getOdooServerVersion(url, protocol = 'jsonrpc') {
+  try {
+    const baseUrl = url.replace(/\/$/, '');
+    const info = protocol === 'xmlrpc'
+      ? await xmlRpcCall(createXmlRpcClient(baseUrl, '/xmlrpc/2/common'), 'version', [])
+      : await jsonRpcCall(baseUrl, 'common', 'version', [], { timeout: 10000 });
+
+    if (!info?.server_version) {
+      return { success: false, error: 'The endpoint answered, but not with an Odoo version', code: 'ODOO_SERVER_ERROR', status: 502 };
+    }
+    return { success: true, version: info.server_version };
+  } catch (error) {
+    console.error(`Odoo ${protocol} version error:`, error.message);
+    return odooFailure(error, 'Failed to read the Odoo version');
+  }
+}
+
+/**
+ * Check whether a database exists. Unlike db.list, db_exist also answers on servers
+ * started with `list_db = False`.
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @returns {Promise<{success: boolean, exists?: boolean, error?: string, code?: string, status?: number}>}
+ */
+export async function odooDatabaseExists(url, dbName) {
+  try {
+    const baseUrl = url.replace(/\/$/, '');
+    const exists = await jsonRpcCall(baseUrl, 'db', 'db_exist', [dbName], { timeout: 10000, context: { dbName } });
+    return { success: true, exists: Boolean(exists) };
+  } catch (error) {
+    console.error('Odoo database check error:', error.message);
+    return odooFailure(error, 'Failed to check the database');
+  }
+}
+
+/**
+ * Check read access to models with check_access_rights, without reading any record
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @param {Array<string>} models - Technical model names
+ * @returns {Promise<{success: boolean, data?: Array<{model: string, installed: boolean, readable: boolean}>, error?: string, code?: string, status?: number}>}
+ */
+export async function checkOdooModelAccess(url, dbName, username, password, models) {
   try {
-    const response = await axios.post(`${url}/jsonrpc`, {
-      jsonrpc: '2.0',
-      method: 'call',
-      params: {
-        service: 'common',
-        method: 'authenticate',
-        args: [dbName, username, password, {}]
-      },
-      id: Math.floor(Math.random() * 1000000)
-    }, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000
+    const baseUrl = url.replace(/\/$/, '');
+
+    return await withOdooAuth({ url, dbName, username, password }, async uid => {
+      const data = [];
+      for (const model of models) {
+        try {
+          const readable = await executeKwWithFallback(baseUrl, dbName, uid, password, model, 'check_access_rights',
+            ['read'], { raise_exception: false });
+          data.push({ model, installed: true, readable: Boolean(readable) });
+        } catch (error) {
+          if (!(error instanceof OdooMissingModelError)) throw error;
+          data.push({ model, installed: false, readable: false });
+        }
+      }
+      return { success: true, data };
+    });
+  } catch (error) {
+    console.error('Odoo access check error:', error.message);
+    return odooFailure(error, 'Failed to check access rights');
+  }
+}
+
+function authCacheKey(url, dbName, username) {
+  return `${url.replace(/\/$/, '')}|${dbName}|${username}`;
+}
+
+function hashPassword(password) {
+  return crypto.createHash('sha256').update(String(password)).digest('hex');
+}
+
+function authCacheTtl() {
+  return Number(process.env.ODOO_AUTH_CACHE_TTL_MS) || DEFAULT_AUTH_CACHE_TTL_MS;
+}
+
+/**
+ * Authenticate with Odoo, reusing a cached uid while it is within its TTL
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @param {Object} options
+ * @param {boolean} options.forceRefresh - Ignore the cache and log in again
+ * @returns {Promise<{success: boolean, uid?: number, cached?: boolean, error?: string, code?: string, status?: number}>}
+ */
+export async function getOdooUid(url, dbName, username, password, { forceRefresh = false } = {}) {
+  const key = authCacheKey(url, dbName, username);
+  const entry = authCache.get(key);
+
+  if (
+    !forceRefresh &&
+    entry &&
+    entry.expiresAt > Date.now() &&
+    entry.passwordHash === hashPassword(password)
+  ) {
+    return { success: true, uid: entry.uid, cached: true };
+  }
+
+  const authResult = await authenticateOdoo(url, dbName, username, password);
+
+  if (authResult.success && authResult.uid) {
+    authCache.set(key, {
+      uid: authResult.uid,
+      passwordHash: hashPassword(password),
+      expiresAt: Date.now() + authCacheTtl()
     });
+  } else {
+    authCache.delete(key);
+  }
+
+  return { ...authResult, cached: false };
+}
+
+/**
+ * Drop the cached login for a connection
+ */
+export function invalidateOdooAuth(url, dbName, username) {
+  authCache.delete(authCacheKey(url, dbName, username));
+}
+
+/**
+ * Run Odoo calls with a cached uid. Every model fetcher goes through here.
+ * If Odoo rejects a cached uid (access denied or session expired) the cache entry
+ * is dropped and the calls are retried once after a fresh login.
+ * @param {Object} credentials - {url, dbName, username, password}
+ * @param {Function} call - Receives the uid and returns the fetch result
+ * @returns {Promise<*>}
+ */
+async function withOdooAuth({ url, dbName, username, password }, call) {
+  let auth = await getOdooUid(url, dbName, username, password);
+  if (!auth.success || !auth.uid) {
+    return auth;
+  }
+
+  try {
+    return await call(auth.uid);
+  } catch (error) {
+    if (!auth.cached || !(error instanceof OdooAuthError)) {
+      throw error;
+    }
 
-    if (response.data.result && response.data.result !== false) {
-      return { success: true, uid: response.data.result };
-    } else {
-      return { success: false, error: 'Invalid credentials' };
+    console.log('Cached Odoo login rejected, authenticating again');
+    invalidateOdooAuth(url, dbName, username);
+    auth = await getOdooUid(url, dbName, username, password);
+    if (!auth.success || !auth.uid) {
+      return auth;
     }
+    return call(auth.uid);
+  }
+}
+
+/**
+ * Fetch the companies (legal entities) of the database that the user can see
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @returns {Promise<{success: boolean, data?: Array, error?: string, code?: string, status?: number}>}
+ */
+export async function fetchCompanies(url, dbName, username, password) {
+  try {
+    const baseUrl = url.replace(/\/$/, '');
+
+    return await withOdooAuth({ url, dbName, username, password }, async uid => {
+      const companies = await executeKwWithFallback(baseUrl, dbName, uid, password, 'res.company', 'search_read', [[]], {
+        // parent_id exists up to Odoo 12 and again from Odoo 17 (branches)
+        fields: await availableFields(baseUrl, dbName, uid, password, 'res.company', ['id', 'name', 'currency_id', 'parent_id']),
+        order: 'name, id'
+      }) || [];
+
+      const data = companies.map(company => {
+        const parent = many2one(company.parent_id);
+        return {
+          id: company.id,
+          name: company.name,
+          currency: many2one(company.currency_id).name,
+          parentId: parent.id,
+          parent: parent.name
+        };
+      });
+
+      return { success: true, data };
+    });
   } catch (error) {
-    return { success: false, error: error.message || 'JSON-RPC authentication failed' };
+    console.error('Fetch companies error:', error.message);
+    return odooFailure(error, 'Failed to fetch companies');
+  }
+}
+
+const SALE_ORDER_STATES = ['draft', 'sent', 'sale', 'done', 'cancel'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check for a real calendar date in YYYY-MM-DD format (rejects e.g. 2024-02-30)
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Translate sales order filters into an Odoo domain. Every value is validated and
+ * placed in a fixed domain term, so callers can never inject their own domain.
+ * @param {Object} filters
+ * @param {string} filters.dateFrom - First order date, YYYY-MM-DD (inclusive)
+ * @param {string} filters.dateTo - Last order date, YYYY-MM-DD (inclusive)
+ * @param {Array<string>} filters.states - Order states, e.g. ["sale", "done"]
+ * @param {number} filters.companyId - Company id
+ * @param {Array<number>} filters.customerIds - Customer (partner) ids
+ * @param {string} filters.customer - Part of the customer name
+ * @returns {{success: boolean, domain?: Array, error?: string, code?: string, status?: number}}
+ */
+export function buildSalesDomain({ dateFrom, dateTo, states, companyId, customerIds, customer } = {}) {
+  const invalid = error => ({ success: false, error, code: 'INVALID_REQUEST', status: 400 });
+  const domain = [];
+
+  if (dateFrom !== undefined) {
+    if (!isValidDate(dateFrom)) return invalid('dateFrom must be a date in YYYY-MM-DD format');
+    domain.push(['date_order', '>=', `${dateFrom} 00:00:00`]);
+  }
+  if (dateTo !== undefined) {
+    if (!isValidDate(dateTo)) return invalid('dateTo must be a date in YYYY-MM-DD format');
+    domain.push(['date_order', '<=', `${dateTo} 23:59:59`]);
+  }
+  if (dateFrom !== undefined && dateTo !== undefined && dateFrom > dateTo) {
+    return invalid('dateFrom must not be after dateTo');
+  }
+
+  if (states !== undefined) {
+    if (!Array.isArray(states) || states.length === 0 || !states.every(state => SALE_ORDER_STATES.includes(state))) {
+      return invalid(`states must be a non-empty array of: ${SALE_ORDER_STATES.join(', ')}`);
+    }
+    domain.push(['state', 'in', states]);
+  }
+
+  if (companyId !== undefined) {
+    if (!isPositiveInteger(companyId)) return invalid('companyId must be a positive integer');
+    domain.push(['company_id', '=', companyId]);
   }
+
+  if (customerIds !== undefined) {
+    if (!Array.isArray(customerIds) || customerIds.length === 0 || !customerIds.every(isPositiveInteger)) {
+      return invalid('customerIds must be a non-empty array of positive integers');
+    }
+    domain.push(['partner_id', 'in', customerIds]);
+  }
+
+  if (customer !== undefined) {
+    if (typeof customer !== 'string' || !customer.trim()) return invalid('customer must be a non-empty string');
+    domain.push(['partner_id.name', 'ilike', customer.trim()]);
+  }
+
+  return { success: true, domain };
 }
 
 /**
@@ -98,308 +626,1140 @@ async function authenticateWithJSONRPC(url, dbName, username, password) {
  * @param {string} password - Password
  * @param {number} limit - Maximum number of records to fetch
  * @param {number} offset - Offset for pagination
- * @returns {Promise<{success: boolean, data?: Array, count?: number, error?: string}>}
+ * @param {Object} filters - Sales order filters, see buildSalesDomain
+ * @param {Object} options
+ * @param {Array<number>} options.companyIds - Only orders of these companies (the connection's scope)
+ * @returns {Promise<{success: boolean, data?: Array, count?: number, error?: string, code?: string, status?: number}>}
  */
-export async function fetchSalesOrders(url, dbName, username, password, limit = 100, offset = 0) {
+export async function fetchSalesOrders(url, dbName, username, password, limit = 100, offset = 0, filters = {}, { companyIds } = {}) {
+  const domainResult = buildSalesDomain(filters);
+  if (!domainResult.success) {
+    return domainResult;
+  }
+  const domain = [...domainResult.domain, ...companyDomain(companyIds)];
+
   try {
-    // First authenticate to get UID
-    const authResult = await authenticateOdoo(url, dbName, username, password);
-    
-    if (!authResult.success || !authResult.uid) {
-      return { success: false, error: 'Authentication failed' };
+    const baseUrl = url.replace(/\/$/, '');
+
+    return await withOdooAuth({ url, dbName, username, password }, async uid => {
+      // Try JSON-RPC first (more reliable for data fetching)
+      try {
+        return await fetchSalesWithJSONRPC(baseUrl, dbName, uid, password, limit, offset, domain);
+      } catch (jsonError) {
+        // Odoo answered, so XML-RPC would give the same answer
+        if (jsonError.fromOdoo) throw jsonError;
+        console.log('JSON-RPC failed, trying XML-RPC:', jsonError.message);
+        return await fetchSalesWithXMLRPC(baseUrl, dbName, uid, password, limit, offset, domain);
+      }
+    });
+  } catch (error) {
+    console.error('Fetch sales orders error:', error.message);
+    return odooFailure(error, 'Failed to fetch sales orders');
+  }
+}
+
+/**
+ * Format a raw sale.order record for better readability
+ */
+function formatSalesOrder(order) {
+  // Handle currency_id - it can be a tuple [id, name] or just an id
+  let currencyName = 'INR';
+  if (order.currency_id) {
+    if (Array.isArray(order.currency_id) && order.currency_id.length > 1) {
+      currencyName = order.currency_id[1];
+    } else if (typeof order.currency_id === 'string') {
+      currencyName = order.currency_id;
     }
+  }
+
+  // Handle amount_total - calculate from untaxed + tax if total is 0 or null
+  let amountTotal = order.amount_total != null ? Number(order.amount_total) : 0;
+
+  // If amount_total is 0 or null, try to calculate from amount_untaxed + amount_tax
+  if (amountTotal === 0 || isNaN(amountTotal)) {
+    const amountUntaxed = order.amount_untaxed != null ? Number(order.amount_untaxed) : 0;
+    const amountTax = order.amount_tax != null ? Number(order.amount_tax) : 0;
+    amountTotal = amountUntaxed + amountTax;
+  }
+
+  const company = many2one(order.company_id);
+
+  return {
+    id: order.id,
+    name: order.name,
+    companyId: company.id,
+    company: company.name,
+    customer: order.partner_id ? order.partner_id[1] : 'N/A',
+    customerId: order.partner_id ? order.partner_id[0] : null,
+    date: order.date_order,
+    total: amountTotal,
+    amount: amountTotal, // Using amount_total instead of quantity
+    currency: currencyName,
+    state: order.state,
+    salesperson: order.user_id ? order.user_id[1] : 'N/A',
+    team: order.team_id ? order.team_id[1] : 'N/A',
+    reference: order.client_order_ref || '',
+    note: order.note || '',
+    lineCount: order.order_line ? order.order_line.length : 0
+  };
+}
+
+/**
+ * Fetch sales orders using JSON-RPC
+ */
+async function fetchSalesWithJSONRPC(url, dbName, uid, password, limit, offset, domain = []) {
+  // Get count first
+  const count = await executeKwJSONRPC(url, dbName, uid, password, 'sale.order', 'search_count', [domain]) || 0;
+
+  // Use search_read - combines search and read in one call, better for computed fields
+  const salesOrders = await executeKwJSONRPC(url, dbName, uid, password, 'sale.order', 'search_read', [domain], {
+    fields: SALE_ORDER_FIELDS,
+    limit,
+    offset
+  }) || [];
+
+  // Debug logging
+  if (salesOrders.length > 0) {
+    console.log('Sample order from Odoo:', JSON.stringify(salesOrders[0], null, 2));
+  }
+
+  return {
+    success: true,
+    data: salesOrders.map(formatSalesOrder),
+    count
+  };
+}
+
+/**
+ * Fetch sales orders using XML-RPC (fallback)
+ */
+async function fetchSalesWithXMLRPC(url, dbName, uid, password, limit, offset, domain = []) {
+  const client = createXmlRpcClient(url, '/xmlrpc/2/object');
+
+  // Search for sales order IDs
+  const orderIds = await executeKwXMLRPC(client, dbName, uid, password, 'sale.order', 'search', [domain], { limit, offset });
 
-    const uid = authResult.uid;
+  if (!orderIds || orderIds.length === 0) {
+    return { success: true, data: [], count: 0 };
+  }
+
+  // Get count
+  let count = null;
+  try {
+    count = await executeKwXMLRPC(client, dbName, uid, password, 'sale.order', 'search_count', [domain]);
+  } catch (countError) {
+    console.warn('Count fetch failed:', countError.message);
+  }
+
+  // Read sales order details
+  const salesOrders = await executeKwXMLRPC(client, dbName, uid, password, 'sale.order', 'read', [orderIds], {
+    fields: SALE_ORDER_FIELDS
+  });
+
+  // Debug logging
+  if (salesOrders && salesOrders.length > 0) {
+    console.log('Sample order from Odoo (XML-RPC):', JSON.stringify(salesOrders[0], null, 2));
+  }
+
+  const formattedOrders = (salesOrders || []).map(formatSalesOrder);
+
+  return {
+    success: true,
+    data: formattedOrders,
+    count: count || formattedOrders.length
+  };
+}
+
+const SALE_ORDER_LINE_FIELDS = [
+  'id',
+  'order_id',
+  'name',
+  'product_id',
+  'product_uom_qty',
+  'product_uom',
+  'price_subtotal',
+  'currency_id',
+  'company_id'
+];
+
+/**
+ * Fetch sales order lines with product, quantity, unit of measure and product category
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @param {Object} options
+ * @param {Array<number>} options.orderIds - Only lines of these orders
+ * @param {number} options.limit - Maximum number of lines to fetch
+ * @param {number} options.offset - Offset for pagination
+ * @param {Array<number>} options.companyIds - Only lines of these companies (the connection's scope)
+ * @returns {Promise<{success: boolean, data?: Array, count?: number, error?: string, code?: string, status?: number}>}
+ */
+export async function fetchSalesOrderLines(url, dbName, username, password, { orderIds, limit = 500, offset = 0, companyIds } = {}) {
+  try {
     const baseUrl = url.replace(/\/$/, '');
+    const domain = Array.isArray(orderIds) && orderIds.length > 0
+      ? [['order_id', 'in', orderIds.map(Number)]]
+      : [];
+    domain.push(...companyDomain(companyIds));
 
-    // Try JSON-RPC first (more reliable for data fetching)
-    try {
-      return await fetchSalesWithJSONRPC(baseUrl, dbName, uid, password, limit, offset);
-    } catch (jsonError) {
-      console.log('JSON-RPC failed, trying XML-RPC:', jsonError.message);
-      return await fetchSalesWithXMLRPC(baseUrl, dbName, uid, password, limit, offset);
-    }
+    return await withOdooAuth({ url, dbName, username, password }, async uid => {
+      const { records: lines, count } = await searchReadModel(baseUrl, dbName, uid, password, 'sale.order.line', domain, {
+        fields: SALE_ORDER_LINE_FIELDS,
+        limit,
+        offset,
+        order: 'order_id, id'
+      });
+
+      // Resolve parent orders (date, state) and product categories in batches
+      const orders = await readByIds(baseUrl, dbName, uid, password, 'sale.order',
+        lines.map(line => many2one(line.order_id).id), ['name', 'date_order', 'state']);
+      const products = await readByIds(baseUrl, dbName, uid, password, 'product.product',
+        lines.map(line => many2one(line.product_id).id), ['categ_id', 'default_code']);
+
+      const data = lines.map(line => {
+        const order = many2one(line.order_id);
+        const product = many2one(line.product_id);
+        const uom = many2one(line.product_uom);
+        const category = many2one(products.get(product.id)?.categ_id);
+        const parent = orders.get(order.id) || {};
+        const company = many2one(line.company_id);
+
+        return {
+          id: line.id,
+          companyId: company.id,
+          company: company.name,
+          orderId: order.id,
+          orderName: order.name,
+          orderDate: parent.date_order || null,
+          orderState: parent.state || null,
+          productId: product.id,
+          product: product.name || line.name,
+          productCode: products.get(product.id)?.default_code || '',
+          categoryId: category.id,
+          category: category.name,
+          description: line.name || '',
+          quantity: Number(line.product_uom_qty) || 0,
+          uomId: uom.id,
+          uom: uom.name,
+          subtotal: Number(line.price_subtotal) || 0,
+          currency: many2one(line.currency_id).name || 'INR'
+        };
+      });
+
+      return { success: true, data, count };
+    });
   } catch (error) {
-    console.error('Fetch sales orders error:', error);
-    return { success: false, error: error.message || 'Failed to fetch sales orders' };
+    console.error('Fetch sales order lines error:', error.message);
+    return odooFailure(error, 'Failed to fetch sales order lines');
   }
 }
 
+const PURCHASE_ORDER_FIELDS = [
+  'id',
+  'name',
+  'partner_id',
+  'partner_ref',
+  'date_order',
+  'date_approve',
+  'amount_total',
+  'amount_untaxed',
+  'state',
+  'currency_id',
+  'order_line',
+  'company_id'
+];
+
+const PURCHASE_ORDER_LINE_FIELDS = [
+  'id',
+  'order_id',
+  'name',
+  'product_id',
+  'product_qty',
+  'qty_received',
+  'product_uom',
+  'price_subtotal'
+];
+
 /**
- * Fetch sales orders using JSON-RPC
+ * Fetch purchase orders with their lines (vendor, product, quantity, unit of measure, amount)
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @param {number} limit - Maximum number of orders to fetch
+ * @param {number} offset - Offset for pagination
+ * @param {Object} options
+ * @param {Array<number>} options.companyIds - Only orders of these companies (the connection's scope)
+ * @returns {Promise<{success: boolean, data?: Array, count?: number, error?: string, code?: string, status?: number}>}
  */
-async function fetchSalesWithJSONRPC(url, dbName, uid, password, limit, offset) {
+export async function fetchPurchaseOrders(url, dbName, username, password, limit = 100, offset = 0, { companyIds } = {}) {
   try {
-    // Get count first
-    const countResponse = await axios.post(`${url}/jsonrpc`, {
-      jsonrpc: '2.0',
-      method: 'call',
-      params: {
-        service: 'object',
-        method: 'execute_kw',
-        args: [
-          dbName,
-          uid,
-          password,
-          'sale.order',
-          'search_count',
-          [[]]
-        ]
-      },
-      id: Math.floor(Math.random() * 1000000)
-    }, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
+    const baseUrl = url.replace(/\/$/, '');
+
+    return await withOdooAuth({ url, dbName, username, password }, async uid => {
+      const { records: orders, count } = await searchReadModel(baseUrl, dbName, uid, password, 'purchase.order', companyDomain(companyIds), {
+        fields: PURCHASE_ORDER_FIELDS,
+        limit,
+        offset,
+        order: 'date_order desc, id desc'
+      });
+
+      const linesByOrder = await readPurchaseOrderLines(baseUrl, dbName, uid, password, orders);
+      const data = orders.map(order => formatPurchaseOrder(order, linesByOrder.get(order.id) || []));
+      return { success: true, data, count };
     });
+  } catch (error) {
+    console.error('Fetch purchase orders error:', error.message);
+    return odooFailure(error, 'Failed to fetch purchase orders');
+  }
+}
+
+/**
+ * Read the lines of purchase orders with their product categories
+ * @returns {Promise<Map<number, Array>>} Formatted lines keyed by order id
+ */
+async function readPurchaseOrderLines(baseUrl, dbName, uid, password, orders) {
+  if (orders.length === 0) return new Map();
+
+  const lines = await executeKwWithFallback(baseUrl, dbName, uid, password, 'purchase.order.line', 'search_read',
+    [[['order_id', 'in', orders.map(order => order.id)]]], {
+      fields: PURCHASE_ORDER_LINE_FIELDS,
+      order: 'order_id, id'
+    }) || [];
+  const products = await readByIds(baseUrl, dbName, uid, password, 'product.product',
+    lines.map(line => many2one(line.product_id).id), ['categ_id', 'default_code']);
+
+  const linesByOrder = new Map();
+  for (const line of lines) {
+    const orderId = many2one(line.order_id).id;
+    if (!linesByOrder.has(orderId)) linesByOrder.set(orderId, []);
+    linesByOrder.get(orderId).push(formatPurchaseOrderLine(line, products));
+  }
+  return linesByOrder;
+}
+
+/**
+ * Format a raw purchase.order record and its formatted lines
+ */
+function formatPurchaseOrder(order, lines) {
+  const vendor = many2one(order.partner_id);
+  const currency = many2one(order.currency_id).name || 'INR';
+  const company = many2one(order.company_id);
+
+  return {
+    id: order.id,
+    name: order.name,
+    companyId: company.id,
+    company: company.name,
+    vendor: vendor.name || 'N/A',
+    vendorId: vendor.id,
+    vendorReference: order.partner_ref || '',
+    date: order.date_order,
+    approvedDate: order.date_approve || null,
+    total: Number(order.amount_total) || 0,
+    untaxedAmount: Number(order.amount_untaxed) || 0,
+    currency,
+    state: order.state,
+    lineCount: order.order_line ? order.order_line.length : 0,
+    lines: lines.map(line => ({ ...line, currency }))
+  };
+}
+
+/**
+ * Format a raw purchase.order.line record
+ */
+function formatPurchaseOrderLine(line, products) {
+  const product = many2one(line.product_id);
+  const uom = many2one(line.product_uom);
+  const category = many2one(products.get(product.id)?.categ_id);
+
+  return {
+    id: line.id,
+    productId: product.id,
+    product: product.name || line.name,
+    productCode: products.get(product.id)?.default_code || '',
+    categoryId: category.id,
+    category: category.name,
+    description: line.name || '',
+    quantity: Number(line.product_qty) || 0,
+    receivedQuantity: Number(line.qty_received) || 0,
+    uomId: uom.id,
+    uom: uom.name,
+    subtotal: Number(line.price_subtotal) || 0
+  };
+}
+
+const FLEET_FUEL_LOG_FIELDS = [
+  'id',
+  'vehicle_id',
+  'date',
+  'liter',
+  'price_per_liter',
+  'amount',
+  'odometer',
+  'purchaser_id',
+  'vendor_id',
+  'inv_ref'
+];
+
+const FLEET_SERVICE_LOG_FIELDS = [
+  'id',
+  'vehicle_id',
+  'date',
+  'amount',
+  'odometer',
+  'service_type_id',
+  'description',
+  'purchaser_id',
+  'vendor_id',
+  'inv_ref'
+];
 
-    const count = countResponse.data.result || 0;
-
-    // Use search_read - combines search and read in one call, better for computed fields
-    const readResponse = await axios.post(`${url}/jsonrpc`, {
-      jsonrpc: '2.0',
-      method: 'call',
-      params: {
-        service: 'object',
-        method: 'execute_kw',
-        args: [
-          dbName,
-          uid,
-          password,
-          'sale.order',
-          'search_read',
-          [[]],
-          {
-            fields: [
-              'id',
-              'name',
-              'partner_id',
-              'date_order',
-              'amount_total',
-              'amount_untaxed',
-              'amount_tax',
-              'state',
-              'order_line',
-              'user_id',
-              'team_id',
-              'currency_id',
-              'client_order_ref',
-              'note'
-            ],
+/**
+ * Fetch fuel fills from Odoo Fleet with litres, vehicle, fuel type, odometer and date.
+ *
+ * Odoo 14 and older record fills in fleet.vehicle.log.fuel. Newer versions dropped that
+ * model, so fills are read from fleet.vehicle.log.services entries whose service type
+ * matches `serviceType`; those entries carry no litres, only the amount paid.
+ *
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of fills to fetch
+ * @param {number} options.offset - Offset for pagination
+ * @param {string} options.serviceType - Service type name to match on fleet.vehicle.log.services
+ * @param {Array<number>} options.companyIds - Only fills of vehicles of these companies (the connection's scope)
+ * @returns {Promise<{success: boolean, data?: Array, count?: number, model?: string, error?: string, code?: string, status?: number}>}
+ */
+export async function fetchFleetFuelLogs(url, dbName, username, password, { limit = 100, offset = 0, serviceType = 'fuel', companyIds } = {}) {
+  try {
+    const baseUrl = url.replace(/\/$/, '');
+    // Fuel logs of Odoo 14 and older have no company of their own, so both models go through the vehicle
+    const scope = companyDomain(companyIds, 'vehicle_id.company_id');
+
+    return await withOdooAuth({ url, dbName, username, password }, async uid => {
+      let model = 'fleet.vehicle.log.fuel';
+      let result;
+      try {
+        result = await searchReadModel(baseUrl, dbName, uid, password, model, scope, {
+          fields: FLEET_FUEL_LOG_FIELDS,
+          limit,
+          offset,
+          order: 'date desc, id desc'
+        });
+      } catch (error) {
+        if (!(error instanceof OdooMissingModelError)) throw error;
+
+        model = 'fleet.vehicle.log.services';
+        result = await searchReadModel(baseUrl, dbName, uid, password, model,
+          [['service_type_id.name', 'ilike', serviceType], ...scope], {
+            fields: FLEET_SERVICE_LOG_FIELDS,
             limit,
-            offset
-          }
-        ]
-      },
-      id: Math.floor(Math.random() * 1000000)
-    }, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
+            offset,
+            order: 'date desc, id desc'
+          });
+      }
+
+      const vehicles = await readByIds(baseUrl, dbName, uid, password, 'fleet.vehicle',
+        result.records.map(log => many2one(log.vehicle_id).id), ['license_plate', 'fuel_type', 'odometer_unit', 'company_id']);
+
+      const data = result.records.map(log => formatFuelLog(log, model, vehicles));
+      return { success: true, data, count: result.count, model };
     });
+  } catch (error) {
+    console.error('Fetch fleet fuel logs error:', error.message);
+    return odooFailure(error, 'Failed to fetch fleet fuel logs');
+  }
+}
+
+/**
+ * Format a raw fuel or service log together with its vehicle
+ */
+function formatFuelLog(log, model, vehicles) {
+  const vehicle = many2one(log.vehicle_id);
+  const vehicleDetails = vehicles.get(vehicle.id) || {};
+  const litres = log.liter != null ? Number(log.liter) || 0 : null;
+  const company = many2one(vehicleDetails.company_id);
+
+  return {
+    id: log.id,
+    model,
+    companyId: company.id,
+    company: company.name,
+    vehicleId: vehicle.id,
+    vehicle: vehicle.name || 'N/A',
+    licensePlate: vehicleDetails.license_plate || '',
+    fuelType: vehicleDetails.fuel_type || null,
+    date: log.date,
+    litres,
+    pricePerLitre: log.price_per_liter != null ? Number(log.price_per_liter) || 0 : null,
+    amount: Number(log.amount) || 0,
+    odometer: Number(log.odometer) || 0,
+    odometerUnit: vehicleDetails.odometer_unit || 'kilometers',
+    serviceType: many2one(log.service_type_id).name,
+    driver: many2one(log.purchaser_id).name,
+    vendor: many2one(log.vendor_id).name,
+    reference: log.inv_ref || log.description || ''
+  };
+}
 
-    const salesOrders = readResponse.data.result || [];
+const VENDOR_BILL_FIELDS = [
+  'id',
+  'name',
+  'partner_id',
+  'ref',
+  'invoice_date',
+  'date',
+  'state',
+  'amount_total',
+  'amount_untaxed',
+  'currency_id',
+  'invoice_line_ids',
+  'company_id'
+];
 
-    // Debug logging
-    if (salesOrders.length > 0) {
-      console.log('Sample order from Odoo:', JSON.stringify(salesOrders[0], null, 2));
-    }
+const VENDOR_BILL_LINE_FIELDS = [
+  'id',
+  'move_id',
+  'name',
+  'product_id',
+  'quantity',
+  'product_uom_id',
+  'price_subtotal'
+];
 
-    // Format the data for better readability
-    const formattedOrders = salesOrders.map(order => {
-      // Handle currency_id - it can be a tuple [id, name] or just an id
-      let currencyName = 'INR';
-      if (order.currency_id) {
-        if (Array.isArray(order.currency_id) && order.currency_id.length > 1) {
-          currencyName = order.currency_id[1];
-        } else if (typeof order.currency_id === 'string') {
-          currencyName = order.currency_id;
+/**
+ * Build the domain part that restricts bills to the given vendors
+ * @param {Array<number|string>} vendors - Partner ids or exact partner names
+ * @returns {Array} Domain terms
+ */
+function vendorDomain(vendors) {
+  const ids = vendors.filter(vendor => typeof vendor === 'number');
+  const names = vendors.filter(vendor => typeof vendor === 'string' && vendor.trim()).map(name => name.trim());
+  const terms = [];
+
+  if (ids.length > 0) terms.push(['partner_id', 'in', ids]);
+  if (names.length > 0) terms.push(['partner_id.name', 'in', names]);
+  return terms.length === 2 ? ['|', ...terms] : terms;
+}
+
+/**
+ * Fetch vendor bills (account.move of type in_invoice) with their lines, e.g. utility bills
+ * for electricity or fuel. Requires Odoo 14 or newer.
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @param {Object} options
+ * @param {Array<number|string>} options.vendors - Only bills of these vendors (partner ids or names)
+ * @param {Array<string>} options.categories - Only bills and lines with products in these
+ *   product categories or their subcategories, e.g. ["Electricity", "Diesel"]
+ * @param {number} options.limit - Maximum number of bills to fetch
+ * @param {number} options.offset - Offset for pagination
+ * @param {Array<number>} options.companyIds - Only bills of these companies (the connection's scope)
+ * @returns {Promise<{success: boolean, data?: Array, count?: number, error?: string, code?: string, status?: number}>}
+ */
+export async function fetchVendorBills(url, dbName, username, password, { vendors = [], categories = [], limit = 100, offset = 0, companyIds } = {}) {
+  try {
+    const baseUrl = url.replace(/\/$/, '');
+
+    return await withOdooAuth({ url, dbName, username, password }, async uid => {
+      const domain = [['move_type', '=', 'in_invoice'], ...vendorDomain(vendors), ...companyDomain(companyIds)];
+
+      let categoryIds = null;
+      if (categories.length > 0) {
+        const namedIds = await executeKwWithFallback(baseUrl, dbName, uid, password, 'product.category', 'search',
+          [[['name', 'in', categories]]]) || [];
+        if (namedIds.length === 0) {
+          return { success: true, data: [], count: 0 };
         }
+        categoryIds = await executeKwWithFallback(baseUrl, dbName, uid, password, 'product.category', 'search',
+          [[['id', 'child_of', namedIds]]]) || namedIds;
+        domain.push(['invoice_line_ids.product_id.categ_id', 'in', categoryIds]);
       }
 
-      // Handle amount_total - calculate from untaxed + tax if total is 0 or null
-      let amountTotal = order.amount_total != null ? Number(order.amount_total) : 0;
-      
-      // If amount_total is 0 or null, try to calculate from amount_untaxed + amount_tax
-      if (amountTotal === 0 || isNaN(amountTotal)) {
-        const amountUntaxed = order.amount_untaxed != null ? Number(order.amount_untaxed) : 0;
-        const amountTax = order.amount_tax != null ? Number(order.amount_tax) : 0;
-        amountTotal = amountUntaxed + amountTax;
+      const { records: bills, count } = await searchReadModel(baseUrl, dbName, uid, password, 'account.move', domain, {
+        fields: VENDOR_BILL_FIELDS,
+        limit,
+        offset,
+        order: 'invoice_date desc, id desc'
+      });
+
+      const lines = await readByIds(baseUrl, dbName, uid, password, 'account.move.line',
+        bills.flatMap(bill => bill.invoice_line_ids || []), VENDOR_BILL_LINE_FIELDS);
+      const products = await readByIds(baseUrl, dbName, uid, password, 'product.product',
+        [...lines.values()].map(line => many2one(line.product_id).id), ['categ_id', 'default_code']);
+
+      const data = bills.map(bill => {
+        const billLines = (bill.invoice_line_ids || [])
+          .map(id => lines.get(id))
+          .filter(Boolean)
+          .map(line => formatVendorBillLine(line, products))
+          .filter(line => !categoryIds || categoryIds.includes(line.categoryId));
+        return formatVendorBill(bill, billLines);
+      });
+
+      return { success: true, data, count };
+    });
+  } catch (error) {
+    console.error('Fetch vendor bills error:', error.message);
+    return odooFailure(error, 'Failed to fetch vendor bills');
+  }
+}
+
+/**
+ * Format a raw vendor bill and its formatted lines
+ */
+function formatVendorBill(bill, lines) {
+  const vendor = many2one(bill.partner_id);
+  const currency = many2one(bill.currency_id).name || 'INR';
+  const company = many2one(bill.company_id);
+
+  return {
+    id: bill.id,
+    name: bill.name,
+    companyId: company.id,
+    company: company.name,
+    vendor: vendor.name || 'N/A',
+    vendorId: vendor.id,
+    vendorReference: bill.ref || '',
+    date: bill.invoice_date || bill.date,
+    accountingDate: bill.date,
+    state: bill.state,
+    total: Number(bill.amount_total) || 0,
+    untaxedAmount: Number(bill.amount_untaxed) || 0,
+    currency,
+    lines: lines.map(line => ({ ...line, currency }))
+  };
+}
+
+/**
+ * Format a raw vendor bill line
+ */
+function formatVendorBillLine(line, products) {
+  const product = many2one(line.product_id);
+  const uom = many2one(line.product_uom_id);
+  const category = many2one(products.get(product.id)?.categ_id);
+
+  return {
+    id: line.id,
+    productId: product.id,
+    product: product.name || line.name || '',
+    productCode: products.get(product.id)?.default_code || '',
+    categoryId: category.id,
+    category: category.name,
+    description: line.name || '',
+    quantity: Number(line.quantity) || 0,
+    uomId: uom.id,
+    uom: uom.name,
+    subtotal: Number(line.price_subtotal) || 0
+  };
+}
+
+/**
+ * Keep only the fields a model has. Used where field names differ between Odoo versions.
+ * @returns {Promise<Array<string>>}
+ */
+async function availableFields(baseUrl, dbName, uid, password, model, fields) {
+  const definitions = await executeKwWithFallback(baseUrl, dbName, uid, password, model, 'fields_get', [], {
+    attributes: ['type']
+  }) || {};
+  return fields.filter(field => field in definitions);
+}
+
+const MANUFACTURING_ORDER_FIELDS = [
+  'id',
+  'name',
+  'product_id',
+  'product_qty',
+  'qty_produced',
+  'product_uom_id',
+  'state',
+  'date_start',
+  'date_planned_start',
+  'date_finished',
+  'origin',
+  'company_id'
+];
+
+// quantity_done (Odoo 16 and older) was renamed to quantity in Odoo 17
+const RAW_MATERIAL_MOVE_FIELDS = [
+  'id',
+  'raw_material_production_id',
+  'product_id',
+  'product_uom_qty',
+  'quantity_done',
+  'quantity',
+  'product_uom',
+  'state'
+];
+
+const WORK_ORDER_FIELDS = [
+  'id',
+  'production_id',
+  'workcenter_id',
+  'duration',
+  'duration_expected',
+  'state'
+];
+
+/**
+ * Fetch manufacturing orders with finished quantity, consumed components (stock.move)
+ * and work center time (mrp.workorder)
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @param {Object} options
+ * @param {Array<string>} options.states - Only orders in these states, e.g. ["done"]
+ * @param {number} options.limit - Maximum number of orders to fetch
+ * @param {number} options.offset - Offset for pagination
+ * @param {Array<number>} options.companyIds - Only orders of these companies (the connection's scope)
+ * @returns {Promise<{success: boolean, data?: Array, count?: number, error?: string, code?: string, status?: number}>}
+ */
+export async function fetchManufacturingOrders(url, dbName, username, password, { states = [], limit = 100, offset = 0, companyIds } = {}) {
+  try {
+    const baseUrl = url.replace(/\/$/, '');
+    const domain = states.length > 0 ? [['state', 'in', states]] : [];
+    domain.push(...companyDomain(companyIds));
+
+    return await withOdooAuth({ url, dbName, username, password }, async uid => {
+      const { records: productions, count } = await searchReadModel(baseUrl, dbName, uid, password, 'mrp.production', domain, {
+        fields: await availableFields(baseUrl, dbName, uid, password, 'mrp.production', MANUFACTURING_ORDER_FIELDS),
+        limit,
+        offset,
+        order: 'id desc'
+      });
+
+      if (productions.length === 0) {
+        return { success: true, data: [], count };
       }
 
+      const productionIds = productions.map(production => production.id);
+      const moves = await executeKwWithFallback(baseUrl, dbName, uid, password, 'stock.move', 'search_read',
+        [[['raw_material_production_id', 'in', productionIds], ['state', '!=', 'cancel']]], {
+          fields: await availableFields(baseUrl, dbName, uid, password, 'stock.move', RAW_MATERIAL_MOVE_FIELDS)
+        }) || [];
+      const workOrders = await executeKwWithFallback(baseUrl, dbName, uid, password, 'mrp.workorder', 'search_read',
+        [[['production_id', 'in', productionIds]]], { fields: WORK_ORDER_FIELDS }) || [];
+      const products = await readByIds(baseUrl, dbName, uid, password, 'product.product', [
+        ...productions.map(production => many2one(production.product_id).id),
+        ...moves.map(move => many2one(move.product_id).id)
+      ], ['categ_id', 'default_code']);
+
+      const data = productions.map(production => formatManufacturingOrder(
+        production,
+        moves.filter(move => many2one(move.raw_material_production_id).id === production.id),
+        workOrders.filter(workOrder => many2one(workOrder.production_id).id === production.id),
+        products
+      ));
+
+      return { success: true, data, count };
+    });
+  } catch (error) {
+    console.error('Fetch manufacturing orders error:', error.message);
+    return odooFailure(error, 'Failed to fetch manufacturing orders');
+  }
+}
+
+/**
+ * Format a raw mrp.production record with its component moves and work orders
+ */
+function formatManufacturingOrder(production, moves, workOrders, products) {
+  const product = many2one(production.product_id);
+  const uom = many2one(production.product_uom_id);
+  const category = many2one(products.get(product.id)?.categ_id);
+  const company = many2one(production.company_id);
+
+  return {
+    id: production.id,
+    name: production.name,
+    companyId: company.id,
+    company: company.name,
+    productId: product.id,
+    product: product.name || 'N/A',
+    productCode: products.get(product.id)?.default_code || '',
+    categoryId: category.id,
+    category: category.name,
+    plannedQuantity: Number(production.product_qty) || 0,
+    producedQuantity: Number(production.qty_produced) || 0,
+    uomId: uom.id,
+    uom: uom.name,
+    state: production.state,
+    startDate: production.date_start || production.date_planned_start || null,
+    finishedDate: production.date_finished || null,
+    origin: production.origin || '',
+    components: moves.map(move => {
+      const component = many2one(move.product_id);
+      const componentCategory = many2one(products.get(component.id)?.categ_id);
+      const componentUom = many2one(move.product_uom);
+      const consumed = move.quantity_done ?? move.quantity;
+
       return {
-      id: order.id,
-      name: order.name,
-      customer: order.partner_id ? order.partner_id[1] : 'N/A',
-      customerId: order.partner_id ? order.partner_id[0] : null,
-      date: order.date_order,
-        total: amountTotal,
-        amount: amountTotal, // Using amount_total instead of quantity
-        currency: currencyName,
-      state: order.state,
-      salesperson: order.user_id ? order.user_id[1] : 'N/A',
-      team: order.team_id ? order.team_id[1] : 'N/A',
-      reference: order.client_order_ref || '',
-      note: order.note || '',
-      lineCount: order.order_line ? order.order_line.length : 0
+        id: move.id,
+        productId: component.id,
+        product: component.name || 'N/A',
+        productCode: products.get(component.id)?.default_code || '',
+        categoryId: componentCategory.id,
+        category: componentCategory.name,
+        plannedQuantity: Number(move.product_uom_qty) || 0,
+        consumedQuantity: Number(consumed) || 0,
+        uomId: componentUom.id,
+        uom: componentUom.name,
+        state: move.state
       };
-    });
+    }),
+    workOrders: workOrders.map(workOrder => {
+      const workcenter = many2one(workOrder.workcenter_id);
+      return {
+        id: workOrder.id,
+        workcenterId: workcenter.id,
+        workcenter: workcenter.name || 'N/A',
+        durationMinutes: Number(workOrder.duration) || 0,
+        expectedMinutes: Number(workOrder.duration_expected) || 0,
+        state: workOrder.state
+      };
+    })
+  };
+}
+
+// carrier_id, carrier_tracking_ref, shipping_weight and weight come from the delivery app
+const DELIVERY_FIELDS = [
+  'id',
+  'name',
+  'origin',
+  'partner_id',
+  'picking_type_id',
+  'scheduled_date',
+  'date_done',
+  'state',
+  'carrier_id',
+  'carrier_tracking_ref',
+  'shipping_weight',
+  'weight',
+  'weight_uom_name',
+  'company_id'
+];
+
+const ADDRESS_FIELDS = ['name', 'city', 'zip', 'state_id', 'country_id'];
+
+const POUNDS_TO_KG = 0.45359237;
 
-    return {
-      success: true,
-      data: formattedOrders,
-      count
-    };
+/**
+ * Fetch outgoing deliveries (stock.picking) with shipping weight, carrier and
+ * origin/destination addresses. The origin is the address of the shipping warehouse.
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @param {Object} options
+ * @param {Array<string>} options.states - Only pickings in these states, e.g. ["done"]
+ * @param {number} options.limit - Maximum number of deliveries to fetch
+ * @param {number} options.offset - Offset for pagination
+ * @param {Array<number>} options.companyIds - Only deliveries of these companies (the connection's scope)
+ * @returns {Promise<{success: boolean, data?: Array, count?: number, error?: string, code?: string, status?: number}>}
+ */
+export async function fetchDeliveries(url, dbName, username, password, { states = [], limit = 100, offset = 0, companyIds } = {}) {
+  try {
+    const baseUrl = url.replace(/\/$/, '');
+    const domain = [['picking_type_code', '=', 'outgoing'], ...companyDomain(companyIds)];
+    if (states.length > 0) domain.push(['state', 'in', states]);
+
+    return await withOdooAuth({ url, dbName, username, password }, async uid => {
+      const { records: pickings, count } = await searchReadModel(baseUrl, dbName, uid, password, 'stock.picking', domain, {
+        fields: await availableFields(baseUrl, dbName, uid, password, 'stock.picking', DELIVERY_FIELDS),
+        limit,
+        offset,
+        order: 'scheduled_date desc, id desc'
+      });
+
+      // Origin address: picking type -> warehouse -> warehouse partner
+      const pickingTypes = await readByIds(baseUrl, dbName, uid, password, 'stock.picking.type',
+        pickings.map(picking => many2one(picking.picking_type_id).id), ['warehouse_id']);
+      const warehouses = await readByIds(baseUrl, dbName, uid, password, 'stock.warehouse',
+        [...pickingTypes.values()].map(type => many2one(type.warehouse_id).id), ['partner_id']);
+      const warehousePartnerId = picking => {
+        const type = pickingTypes.get(many2one(picking.picking_type_id).id);
+        const warehouse = warehouses.get(many2one(type?.warehouse_id).id);
+        return many2one(warehouse?.partner_id).id;
+      };
+
+      const partners = await readByIds(baseUrl, dbName, uid, password, 'res.partner', [
+        ...pickings.map(picking => many2one(picking.partner_id).id),
+        ...pickings.map(warehousePartnerId)
+      ], ADDRESS_FIELDS);
+
+      const data = pickings.map(picking => formatDelivery(
+        picking,
+        partners.get(warehousePartnerId(picking)),
+        partners.get(many2one(picking.partner_id).id)
+      ));
+
+      return { success: true, data, count };
+    });
   } catch (error) {
-    throw new Error(`JSON-RPC fetch failed: ${error.message}`);
+    console.error('Fetch deliveries error:', error.message);
+    return odooFailure(error, 'Failed to fetch deliveries');
   }
 }
 
 /**
- * Fetch sales orders using XML-RPC (fallback)
+ * Format a raw res.partner record as an address
  */
-function fetchSalesWithXMLRPC(url, dbName, uid, password, limit, offset) {
-  return new Promise((resolve, reject) => {
-    try {
-      const urlObj = new URL(url);
-      const isHttps = urlObj.protocol === 'https:';
-      const port = urlObj.port || (isHttps ? 443 : 80);
-      
-      const client = isHttps
-        ? xmlrpc.createSecureClient({
-            host: urlObj.hostname,
-            port: port,
-            path: '/xmlrpc/2/object',
-            rejectUnauthorized: false
-          })
-        : xmlrpc.createClient({
-            host: urlObj.hostname,
-            port: port,
-            path: '/xmlrpc/2/object'
-          });
+function formatAddress(partner) {
+  if (!partner) return null;
+  return {
+    partnerId: partner.id,
+    name: partner.name || '',
+    city: partner.city || '',
+    zip: partner.zip || '',
+    state: many2one(partner.state_id).name || '',
+    country: many2one(partner.country_id).name || ''
+  };
+}
 
-      // Search for sales order IDs
-      client.methodCall('execute_kw', [
-        dbName,
-        uid,
-        password,
-        'sale.order',
-        'search',
-        [[]],
-        { limit, offset }
-      ], (error, orderIds) => {
-        if (error) {
-          reject(new Error(`XML-RPC search failed: ${error.message}`));
-          return;
-        }
+/**
+ * Format a raw stock.picking record with its origin and destination addresses
+ */
+function formatDelivery(picking, originPartner, destinationPartner) {
+  const customer = many2one(picking.partner_id);
+  const carrier = many2one(picking.carrier_id);
+  const weight = Number(picking.shipping_weight) || Number(picking.weight) || 0;
+  const weightUom = picking.weight_uom_name || 'kg';
+  const company = many2one(picking.company_id);
 
-        if (!orderIds || orderIds.length === 0) {
-          resolve({ success: true, data: [], count: 0 });
-          return;
-        }
+  return {
+    id: picking.id,
+    name: picking.name,
+    companyId: company.id,
+    company: company.name,
+    sourceDocument: picking.origin || '',
+    customerId: customer.id,
+    customer: customer.name || 'N/A',
+    state: picking.state,
+    scheduledDate: picking.scheduled_date || null,
+    date: picking.date_done || picking.scheduled_date || null,
+    carrierId: carrier.id,
+    carrier: carrier.name,
+    trackingReference: picking.carrier_tracking_ref || '',
+    weight,
+    weightUom,
+    weightKg: /^lbs?$/i.test(weightUom) ? weight * POUNDS_TO_KG : weight,
+    originAddress: formatAddress(originPartner),
+    destinationAddress: formatAddress(destinationPartner)
+  };
+}
 
-        // Get count
-        client.methodCall('execute_kw', [
-          dbName,
-          uid,
-          password,
-          'sale.order',
-          'search_count',
-          [[]]
-        ], (countError, count) => {
-          if (countError) {
-            console.warn('Count fetch failed:', countError);
-          }
-
-          // Read sales order details
-          client.methodCall('execute_kw', [
-            dbName,
-            uid,
-            password,
-            'sale.order',
-            'read',
-            [orderIds],
-            {
-              fields: [
-                'id',
-                'name',
-                'partner_id',
-                'date_order',
-                'amount_total',
-                'amount_untaxed',
-                'amount_tax',
-                'state',
-                'order_line',
-                'user_id',
-                'team_id',
-                'currency_id',
-                'client_order_ref',
-                'note'
-              ]
-            }
-          ], (readError, salesOrders) => {
-            if (readError) {
-              reject(new Error(`XML-RPC read failed: ${readError.message}`));
-              return;
-            }
-
-            // Debug logging
-            if (salesOrders && salesOrders.length > 0) {
-              console.log('Sample order from Odoo (XML-RPC):', JSON.stringify(salesOrders[0], null, 2));
-            }
-
-            const formattedOrders = (salesOrders || []).map(order => {
-              // Handle currency_id - it can be a tuple [id, name] or just an id
-              let currencyName = 'INR';
-              if (order.currency_id) {
-                if (Array.isArray(order.currency_id) && order.currency_id.length > 1) {
-                  currencyName = order.currency_id[1];
-                } else if (typeof order.currency_id === 'string') {
-                  currencyName = order.currency_id;
-                }
-              }
-
-              // Handle amount_total - calculate from untaxed + tax if total is 0 or null
-              let amountTotal = order.amount_total != null ? Number(order.amount_total) : 0;
-              
-              // If amount_total is 0 or null, try to calculate from amount_untaxed + amount_tax
-              if (amountTotal === 0 || isNaN(amountTotal)) {
-                const amountUntaxed = order.amount_untaxed != null ? Number(order.amount_untaxed) : 0;
-                const amountTax = order.amount_tax != null ? Number(order.amount_tax) : 0;
-                amountTotal = amountUntaxed + amountTax;
-              }
-
-              return {
-              id: order.id,
-              name: order.name,
-              customer: order.partner_id ? order.partner_id[1] : 'N/A',
-              customerId: order.partner_id ? order.partner_id[0] : null,
-              date: order.date_order,
-                total: amountTotal,
-                amount: amountTotal, // Using amount_total instead of quantity
-                currency: currencyName,
-              state: order.state,
-              salesperson: order.user_id ? order.user_id[1] : 'N/A',
-              team: order.team_id ? order.team_id[1] : 'N/A',
-              reference: order.client_order_ref || '',
-              note: order.note || '',
-              lineCount: order.order_line ? order.order_line.length : 0
-              };
-            });
-
-            resolve({
-              success: true,
-              data: formattedOrders,
-              count: count || formattedOrders.length
-            });
-          });
+/**
+ * Models that can be synced and backfilled: the fields to read, the date field that
+ * backfills filter on, a fixed domain and how to format a batch of raw records
+ */
+const SYNC_MODELS = {
+  'sale.order': {
+    fields: [...SALE_ORDER_FIELDS, 'write_date'],
+    dateField: 'date_order',
+    domain: [],
+    format: async (baseUrl, dbName, uid, password, orders) => orders.map(formatSalesOrder)
+  },
+  'purchase.order': {
+    fields: [...PURCHASE_ORDER_FIELDS, 'write_date'],
+    dateField: 'date_order',
+    domain: [],
+    format: async (baseUrl, dbName, uid, password, orders) => {
+      const linesByOrder = await readPurchaseOrderLines(baseUrl, dbName, uid, password, orders);
+      return orders.map(order => formatPurchaseOrder(order, linesByOrder.get(order.id) || []));
+    }
+  },
+  // Vendor bills only
+  'account.move': {
+    fields: [...VENDOR_BILL_FIELDS, 'write_date'],
+    dateField: 'invoice_date',
+    domain: [['move_type', '=', 'in_invoice']],
+    format: async (baseUrl, dbName, uid, password, bills) => {
+      const lines = await readByIds(baseUrl, dbName, uid, password, 'account.move.line',
+        bills.flatMap(bill => bill.invoice_line_ids || []), VENDOR_BILL_LINE_FIELDS);
+      const products = await readByIds(baseUrl, dbName, uid, password, 'product.product',
+        [...lines.values()].map(line => many2one(line.product_id).id), ['categ_id', 'default_code']);
+
+      return bills.map(bill => formatVendorBill(bill, (bill.invoice_line_ids || [])
+        .map(id => lines.get(id))
+        .filter(Boolean)
+        .map(line => formatVendorBillLine(line, products))));
+    }
+  }
+};
+
+export const SYNCABLE_MODELS = Object.keys(SYNC_MODELS);
+
+/**
+ * Read and format one page of a syncable model
+ * @returns {Promise<{success: boolean, data?: Array, count?: number, error?: string, code?: string, status?: number}>}
+ */
+async function fetchSyncPage(url, dbName, username, password, model, domain, { limit, offset = 0, order }) {
+  const syncModel = SYNC_MODELS[model];
+  if (!syncModel) {
+    return { success: false, error: `Model ${model} cannot be synced`, code: 'INVALID_REQUEST', status: 400 };
+  }
+
+  try {
+    const baseUrl = url.replace(/\/$/, '');
+
+    return await withOdooAuth({ url, dbName, username, password }, async uid => {
+      const { records, count } = await searchReadModel(baseUrl, dbName, uid, password, model,
+        [...syncModel.domain, ...domain], {
+          fields: syncModel.fields,
+          limit,
+          offset,
+          order
         });
+
+      const formatted = await syncModel.format(baseUrl, dbName, uid, password, records);
+      const data = formatted.map((record, index) => ({ ...record, writeDate: records[index].write_date }));
+      return { success: true, data, count };
+    });
+  } catch (error) {
+    console.error(`Fetch ${model} records error:`, error.message);
+    return odooFailure(error, `Failed to fetch ${model} records`);
+  }
+}
+
+/**
+ * Fetch records created or changed since a write_date watermark, oldest change first.
+ * Pages follow on from the (write_date, id) of the last record read rather than an
+ * offset: a record changed during a run moves to the end of the order, which would
+ * shift the records after it back past an offset.
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @param {string} model - One of SYNCABLE_MODELS
+ * @param {Object} options
+ * @param {string} options.since - write_date watermark ("YYYY-MM-DD HH:mm:ss", UTC), or that of the
+ *   last record of the previous page; all records when empty
+ * @param {number} options.afterId - Only records at `since` with a higher id: the id of the last
+ *   record of the previous page, or 0 for the first page
+ * @param {number} options.limit - Maximum number of records to fetch
+ * @param {Array<number>} options.companyIds - Only records of these companies (the connection's scope)
+ * @returns {Promise<{success: boolean, data?: Array, count?: number, error?: string, code?: string, status?: number}>}
+ */
+export function fetchModelChanges(url, dbName, username, password, model, { since, afterId = 0, limit = 200, companyIds } = {}) {
+  // On the first page, records changed in the same second as the watermark are read
+  // again and deduplicated by the caller
+  const domain = since
+    ? ['|', ['write_date', '>', since], '&', ['write_date', '=', since], ['id', '>', afterId]]
+    : [];
+  domain.push(...companyDomain(companyIds));
+  return fetchSyncPage(url, dbName, username, password, model, domain, { limit, order: 'write_date asc, id asc' });
+}
+
+/**
+ * Fetch the next chunk of records dated on or after `dateFrom`, in id order. Paging by
+ * id rather than offset keeps a resumed backfill stable when records are added meanwhile.
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @param {string} model - One of SYNCABLE_MODELS
+ * @param {Object} options
+ * @param {string} options.dateFrom - First record date, YYYY-MM-DD
+ * @param {number} options.afterId - Only records with a higher id
+ * @param {number} options.limit - Maximum number of records to fetch
+ * @param {Array<number>} options.companyIds - Only records of these companies (the connection's scope)
+ * @returns {Promise<{success: boolean, data?: Array, count?: number, error?: string, code?: string, status?: number}>}
+ *   `count` is the number of matching records left, including this chunk
+ */
+export function fetchModelHistory(url, dbName, username, password, model, { dateFrom, afterId = 0, limit = 200, companyIds } = {}) {
+  const dateField = SYNC_MODELS[model]?.dateField;
+  const domain = [['id', '>', afterId], ...companyDomain(companyIds)];
+  if (dateFrom && dateField) domain.push([dateField, '>=', dateFrom]);
+  return fetchSyncPage(url, dbName, username, password, model, domain, { limit, order: 'id asc' });
+}
+
+/**
+ * List the models of an Odoo instance (ir.model), e.g. to find where custom data lives
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @param {Object} options
+ * @param {string} options.search - Part of the technical or display name
+ * @param {number} options.limit - Maximum number of models to fetch
+ * @param {number} options.offset - Offset for pagination
+ * @returns {Promise<{success: boolean, data?: Array, count?: number, error?: string, code?: string, status?: number}>}
+ */
+export async function fetchModels(url, dbName, username, password, { search, limit = 100, offset = 0 } = {}) {
+  try {
+    const baseUrl = url.replace(/\/$/, '');
+    const domain = [['transient', '=', false]];
+    if (search) domain.push('|', ['model', 'ilike', search], ['name', 'ilike', search]);
+
+    return await withOdooAuth({ url, dbName, username, password }, async uid => {
+      const { records, count } = await searchReadModel(baseUrl, dbName, uid, password, 'ir.model', domain, {
+        fields: ['model', 'name', 'state'],
+        limit,
+        offset,
+        order: 'model'
       });
-    } catch (error) {
-      reject(error);
-    }
-  });
+
+      const data = records.map(record => ({
+        model: record.model,
+        name: record.name,
+        // Models created in the UI or by Studio
+        custom: record.state === 'manual'
+      }));
+
+      return { success: true, data, count };
+    });
+  } catch (error) {
+    console.error('Fetch models error:', error.message);
+    return odooFailure(error, 'Failed to fetch models');
+  }
 }
 
+/**
+ * Describe the fields of a model (fields_get), including custom `x_` fields such as
+ * x_fuel_litres that can then be mapped during setup
+ * @param {string} url - Odoo instance URL
+ * @param {string} dbName - Database name
+ * @param {string} username - Username (email)
+ * @param {string} password - Password
+ * @param {string} model - Technical model name, e.g. "fleet.vehicle.log.fuel"
+ * @param {Object} options
+ * @param {boolean} options.customOnly - Only custom fields
+ * @returns {Promise<{success: boolean, data?: Array, error?: string, code?: string, status?: number}>}
+ */
+export async function fetchModelFields(url, dbName, username, password, model, { customOnly = false } = {}) {
+  try {
+    const baseUrl = url.replace(/\/$/, '');
+
+    return await withOdooAuth({ url, dbName, username, password }, async uid => {
+      const definitions = await executeKwWithFallback(baseUrl, dbName, uid, password, model, 'fields_get', [], {
+        attributes: ['string', 'type', 'relation', 'required', 'readonly', 'store', 'selection', 'help']
+      }) || {};
+
+      const data = Object.entries(definitions)
+        .map(([name, field]) => ({
+          name,
+          label: field.string || name,
+          type: field.type,
+          relation: field.relation || null,
+          required: Boolean(field.required),
+          readonly: Boolean(field.readonly),
+          stored: field.store !== false,
+          custom: name.startsWith('x_'),
+          selection: Array.isArray(field.selection) ? field.selection.map(([value, label]) => ({ value, label })) : undefined,
+          help: field.help || ''
+        }))
+        .filter(field => !customOnly || field.custom)
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      return { success: true, data };
+    });
+  } catch (error) {
+    console.error(`Fetch ${model} fields error:`, error.message);
+    return odooFailure(error, `Failed to fetch fields of ${model}`);
+  }
+}
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSalesDomain } from './odooService.js';
+
+test('buildSalesDomain without filters matches every order', () => {
+  assert.deepEqual(buildSalesDomain(), { success: true, domain: [] });
+  assert.deepEqual(buildSalesDomain({}), { success: true, domain: [] });
+});
+
+test('buildSalesDomain turns each filter into a fixed domain term', () => {
+  const result = buildSalesDomain({
+    dateFrom: '2024-01-01',
+    dateTo: '2024-03-31',
+    states: ['sale', 'done'],
+    companyId: 2,
+    customerIds: [7, 9],
+    customer: '  Acme  '
+  });
+
+  assert.deepEqual(result, {
+    success: true,
+    domain: [
+      ['date_order', '>=', '2024-01-01 00:00:00'],
+      ['date_order', '<=', '2024-03-31 23:59:59'],
+      ['state', 'in', ['sale', 'done']],
+      ['company_id', '=', 2],
+      ['partner_id', 'in', [7, 9]],
+      ['partner_id.name', 'ilike', 'Acme']
+    ]
+  });
+});
+
+test('buildSalesDomain accepts a range of a single day', () => {
+  const result = buildSalesDomain({ dateFrom: '2024-02-29', dateTo: '2024-02-29' });
+  assert.equal(result.success, true);
+  assert.equal(result.domain.length, 2);
+});
+
+test('buildSalesDomain rejects dates that are not real calendar dates', () => {
+  for (const dateFrom of ['2024-02-30', '2023-02-29', '2024-13-01', '2024-1-01', '01/02/2024', 20240101, null]) {
+    const result = buildSalesDomain({ dateFrom });
+    assert.equal(result.success, false, `dateFrom ${dateFrom}`);
+    assert.equal(result.code, 'INVALID_REQUEST');
+    assert.equal(result.status, 400);
+    assert.match(result.error, /^dateFrom /);
+  }
+  assert.match(buildSalesDomain({ dateTo: '2024-04-31' }).error, /^dateTo /);
+});
+
+test('buildSalesDomain rejects a range that ends before it starts', () => {
+  const result = buildSalesDomain({ dateFrom: '2024-03-01', dateTo: '2024-02-01' });
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'dateFrom must not be after dateTo');
+});
+
+test('buildSalesDomain only accepts known order states', () => {
+  for (const states of [[], ['sale', 'paid'], 'sale', [['sale']]]) {
+    const result = buildSalesDomain({ states });
+    assert.equal(result.success, false, `states ${JSON.stringify(states)}`);
+    assert.match(result.error, /^states must be a non-empty array of: draft, sent, sale, done, cancel$/);
+  }
+});
+
+test('buildSalesDomain only accepts positive integer ids', () => {
+  for (const companyId of [0, -1, 1.5, '2', null]) {
+    assert.equal(buildSalesDomain({ companyId }).error, 'companyId must be a positive integer');
+  }
+  for (const customerIds of [[], [0], [1, '2'], 3, [1.5]]) {
+    assert.equal(
+      buildSalesDomain({ customerIds }).error,
+      'customerIds must be a non-empty array of positive integers'
+    );
+  }
+});
+
+test('buildSalesDomain does not let a filter value become a domain of its own', () => {
+  const injected = ['|', ['id', '!=', 0]];
+
+  assert.equal(buildSalesDomain({ states: injected }).success, false);
+  assert.equal(buildSalesDomain({ customerIds: injected }).success, false);
+  assert.equal(buildSalesDomain({ customer: injected }).success, false);
+  assert.equal(buildSalesDomain({ customer: '   ' }).error, 'customer must be a non-empty string');
+
+  // A name is only ever the value of the ilike term
+  const { domain } = buildSalesDomain({ customer: "'), ('id', '!=', 0" });
+  assert.deepEqual(domain, [['partner_id.name', 'ilike', "'), ('id', '!=', 0"]]);
+});
@@ -0,0 +1,76 @@
+import { fetchModelChanges, withOdooTls } from './odooService.js';
+import { getWatermark, upsertSyncedRecords, saveSyncRun } from './syncStore.js';
+
+const DEFAULT_BATCH_SIZE = 200;
+
+// Runs in progress, keyed by "connectionId|model"
+const runningSyncs = new Set();
+
+/**
+ * Sync one Odoo model incrementally: fetch the records created or changed since the
+ * stored write_date watermark, in batches, and upsert them into the sync store.
+ * Batches are paged by (write_date, id), so records changed during the run are read
+ * again at the end instead of shifting others out of it. The watermark advances after
+ * every batch, so an interrupted run resumes where it stopped. Records at the
+ * watermark itself are fetched again but not counted as unchanged.
+ * @param {string} connectionId - Stored connection id
+ * @param {Object} credentials - {url, dbName, username, password, companyIds, tls}
+ * @param {string} model - One of SYNCABLE_MODELS
+ * @param {Object} options
+ * @param {number} options.batchSize - Records per Odoo request
+ * @returns {Promise<{success: boolean, model?: string, since?: string|null, watermark?: string|null, fetched?: number, added?: number, updated?: number, cancelled?: number, unchanged?: number, startedAt?: string, finishedAt?: string, error?: string, code?: string, status?: number}>}
+ */
+export async function syncOdooModel(connectionId, credentials, model, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  const key = `${connectionId}|${model}`;
+  if (runningSyncs.has(key)) {
+    return {
+      success: false,
+      error: `A sync of ${model} is already running for this connection`,
+      code: 'SYNC_IN_PROGRESS',
+      status: 409
+    };
+  }
+
+  runningSyncs.add(key);
+  try {
+    const { url, dbName, username, password, companyIds, tls } = credentials;
+    const startedAt = new Date().toISOString();
+    const since = await getWatermark(connectionId, model);
+    const totals = { fetched: 0, added: 0, updated: 0, cancelled: 0, unchanged: 0 };
+
+    // Each page follows on from the last record of the previous one
+    let cursor = { since, afterId: 0 };
+    for (;;) {
+      const result = await withOdooTls(tls, () =>
+        fetchModelChanges(url, dbName, username, password, model, { ...cursor, limit: batchSize, companyIds })
+      );
+      if (!result.success) {
+        return result;
+      }
+
+      const counts = await upsertSyncedRecords(connectionId, model, result.data, { since });
+      totals.fetched += result.data.length;
+      for (const name of ['added', 'updated', 'cancelled', 'unchanged']) {
+        totals[name] += counts[name];
+      }
+
+      if (result.data.length < batchSize) break;
+      const last = result.data[result.data.length - 1];
+      cursor = { since: last.writeDate, afterId: last.id };
+    }
+
+    const summary = {
+      model,
+      since,
+      watermark: await getWatermark(connectionId, model),
+      ...totals,
+      startedAt,
+      finishedAt: new Date().toISOString()
+    };
+    await saveSyncRun(connectionId, model, summary);
+
+    return { success: true, ...summary };
+  } finally {
+    runningSyncs.delete(key);
+  }
+}
@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { syncOdooModel } from './odooSync.js';
+import { listSyncedRecords, getWatermark, deleteSyncData } from './syncStore.js';
+
+let dataDir;
+let previousDataDir;
+let server;
+let odooUrl;
+
+// Sale orders of the fake Odoo server, and a hook run after every search_read
+let orders = [];
+let afterSearchRead = () => {};
+
+/**
+ * Evaluate an Odoo domain (prefix notation, implicit AND) against a record
+ */
+function matches(record, domain) {
+  const terms = [...domain];
+  const next = () => {
+    const term = terms.shift();
+    if (term === '|') return [next(), next()].some(Boolean);
+    if (term === '&') return [next(), next()].every(Boolean);
+    const [field, operator, value] = term;
+    const actual = record[field];
+    if (operator === '=') return actual === value;
+    if (operator === '>') return actual > value;
+    if (operator === '>=') return actual >= value;
+    return value.includes(actual);
+  };
+  let result = true;
+  while (terms.length > 0) result = next() && result;
+  return result;
+}
+
+/**
+ * JSON-RPC answers of the fake server: login and sale.order search_count/search_read
+ */
+function answer({ service, method, args }) {
+  if (service === 'common' && method === 'authenticate') return 2;
+  const [, , , , kwMethod, [domain], kwargs = {}] = args;
+  const found = orders
+    .filter(order => matches(order, domain))
+    .sort((a, b) => a.write_date.localeCompare(b.write_date) || a.id - b.id);
+  if (kwMethod === 'search_count') return found.length;
+
+  const page = found.slice(kwargs.offset || 0, (kwargs.offset || 0) + kwargs.limit).map(order => ({ ...order }));
+  afterSearchRead();
+  return page;
+}
+
+before(async () => {
+  previousDataDir = process.env.DATA_DIR;
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'netzero-odoo-sync-'));
+  process.env.DATA_DIR = dataDir;
+
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, params } = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result: answer(params) }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  odooUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  if (previousDataDir === undefined) delete process.env.DATA_DIR;
+  else process.env.DATA_DIR = previousDataDir;
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const order = (id, writeDate) => ({ id, name: `S0000${id}`, state: 'sale', amount_total: 100, write_date: writeDate });
+
+test('syncOdooModel reads every record when one changes in the middle of a run', async t => {
+  const connectionId = 'keyset';
+  t.after(() => deleteSyncData(connectionId));
+  t.mock.method(console, 'log', () => {});
+
+  orders = [1, 2, 3, 4, 5].map(id => order(id, `2024-01-0${id} 10:00:00`));
+  // After the first page, order 1 is changed and moves to the end of the write_date order
+  let pages = 0;
+  afterSearchRead = () => {
+    pages += 1;
+    if (pages === 1) orders[0].write_date = '2024-01-09 10:00:00';
+  };
+
+  const credentials = { url: odooUrl, dbName: 'test', username: 'admin', password: 'secret', companyIds: [] };
+  const result = await syncOdooModel(connectionId, credentials, 'sale.order', { batchSize: 2 });
+
+  assert.equal(result.success, true);
+  const { records } = await listSyncedRecords(connectionId, 'sale.order');
+  assert.deepEqual(records.map(record => record.id).sort(), [1, 2, 3, 4, 5]);
+  assert.equal(records.find(record => record.id === 1).writeDate, '2024-01-09 10:00:00');
+  assert.equal(await getWatermark(connectionId, 'sale.order'), '2024-01-09 10:00:00');
+
+  // The next run starts from the watermark and reads only what is at or after it
+  afterSearchRead = () => {};
+  orders.push(order(6, '2024-01-09 10:00:00'));
+  const next = await syncOdooModel(connectionId, credentials, 'sale.order', { batchSize: 2 });
+  assert.deepEqual({ fetched: next.fetched, added: next.added, unchanged: next.unchanged }, { fetched: 2, added: 1, unchanged: 0 });
+});
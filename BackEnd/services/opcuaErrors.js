@@ -0,0 +1,114 @@
+/**
+ * Errors of OPC UA servers
+ *
+ * Client errors are mapped to a machine-readable `code` and the HTTP `status` the API
+ * should answer with, like the Modbus errors in modbusErrors.js. The OPC UA client
+ * only reports failures in its messages, either as a status code name
+ * (BadUserAccessDenied) or as the socket error it wraps (connect ECONNREFUSED).
+ */
+export class OpcuaError extends Error {
+  constructor(message, { code = 'OPCUA_ERROR', status = 502 } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// OPC UA status codes of each failure
+const STATUS_CODES = {
+  OPCUA_AUTH_FAILED: ['BadUserAccessDenied', 'BadIdentityTokenInvalid', 'BadIdentityTokenRejected', 'BadUserSignatureInvalid'],
+  OPCUA_CERTIFICATE_REJECTED: [
+    'BadSecurityChecksFailed',
+    'BadCertificateUntrusted',
+    'BadCertificateInvalid',
+    'BadCertificateTimeInvalid',
+    'BadCertificateRevoked',
+    'BadCertificateUriInvalid'
+  ],
+  OPCUA_NODE_NOT_FOUND: ['BadNodeIdUnknown', 'BadNodeIdInvalid', 'BadAttributeIdInvalid'],
+  OPCUA_DEADBAND_UNSUPPORTED: ['BadMonitoredItemFilterUnsupported', 'BadFilterNotAllowed', 'BadDeadbandFilterInvalid'],
+  OPCUA_NOT_READABLE: ['BadNotReadable', 'BadUserAccessDenied'],
+  OPCUA_TIMEOUT: ['BadTimeout', 'BadRequestTimeout']
+};
+
+const UNREACHABLE_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// HTTP status of each failure, and a message that replaces the client's where it is clearer
+const FAILURES = {
+  OPCUA_AUTH_FAILED: { status: 401, message: () => 'Invalid username or password, or the server does not accept this login' },
+  OPCUA_CERTIFICATE_REJECTED: {
+    status: 502,
+    message: () => 'The server rejected the NetZero client certificate; it has to be trusted on the server first'
+  },
+  OPCUA_NODE_NOT_FOUND: { status: 404, message: () => 'The server has no node with this id' },
+  OPCUA_DEADBAND_UNSUPPORTED: {
+    status: 400,
+    message: () => 'The server does not support this deadband on the node; percent deadbands need an analog item with an engineering range'
+  },
+  OPCUA_NOT_READABLE: { status: 403, message: () => 'The server does not allow reading this node' },
+  OPCUA_ENDPOINT_NOT_FOUND: { status: 400, message: () => 'The server offers no endpoint with this security mode and policy' },
+  OPCUA_UNREACHABLE: { status: 502, message: error => `Server could not be reached${error.code ? ` (${error.code})` : ''}` },
+  OPCUA_TIMEOUT: { status: 504, message: () => 'The server did not answer in time' }
+};
+
+/**
+ * Name of the OPC UA status code in an error message, if any
+ */
+function statusCodeName(message) {
+  return message.match(/\bBad[A-Za-z]+\b/)?.[0] || null;
+}
+
+/**
+ * Map an OPC UA client error to an OpcuaError
+ * @param {Error} error - Error of the client, or an OpcuaError
+ * @param {Object} options
+ * @param {boolean} options.reading - The error is about a node being read or monitored,
+ * so an access denial is about the node rather than the login
+ * @returns {OpcuaError}
+ */
+export function toOpcuaError(error, { reading = false } = {}) {
+  if (error instanceof OpcuaError) {
+    return error;
+  }
+
+  const message = error?.message || '';
+  const statusName = statusCodeName(message);
+  const socketCode = message.match(/\b(E[A-Z_]+)\b/)?.[1];
+
+  let code;
+  if (statusName) {
+    const codes = Object.keys(STATUS_CODES).filter(name => STATUS_CODES[name].includes(statusName));
+    code = reading && codes.includes('OPCUA_NOT_READABLE') ? 'OPCUA_NOT_READABLE' : codes[0];
+  } else if (/cannot find (an )?endpoint/i.test(message)) {
+    code = 'OPCUA_ENDPOINT_NOT_FOUND';
+  } else if (UNREACHABLE_ERROR_CODES.includes(socketCode) || /fail to connect to server/i.test(message)) {
+    code = 'OPCUA_UNREACHABLE';
+  } else if (socketCode === 'ETIMEDOUT' || /timeout/i.test(message)) {
+    code = 'OPCUA_TIMEOUT';
+  }
+
+  if (!code) {
+    return new OpcuaError(message.split('\n')[0] || 'OPC UA request failed', { code: 'OPCUA_ERROR', status: 502 });
+  }
+
+  const { status, message: replace } = FAILURES[code];
+  return new OpcuaError(replace ? replace({ code: UNREACHABLE_ERROR_CODES.includes(socketCode) ? socketCode : null }) : message, { code, status });
+}
+
+/**
+ * Turn an error into a failed service result
+ * @param {Error} error - Any error
+ * @param {string} fallbackMessage - Message when the error has none
+ * @param {Object} options - See toOpcuaError
+ * @returns {{success: false, error: string, code: string, status: number}}
+ */
+export function opcuaFailure(error, fallbackMessage, options) {
+  const opcuaError = toOpcuaError(error, options);
+  return {
+    success: false,
+    error: opcuaError.message || fallbackMessage,
+    code: opcuaError.code,
+    status: opcuaError.status
+  };
+}
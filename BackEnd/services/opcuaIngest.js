@@ -0,0 +1,301 @@
+import { AttributeIds, TimestampsToReturn } from 'node-opcua-client';
+import { getConnection, listConnections, CredentialsUnreadableError } from './credentialVault.js';
+import {
+  createOpcuaClient,
+  openOpcuaSession,
+  closeOpcuaSession,
+  monitoringParameters,
+  numericValue,
+  createTagAccumulator,
+  addTagValue,
+  closeTagPeriods
+} from './opcuaService.js';
+import { toOpcuaError } from './opcuaErrors.js';
+import { upsertSyncedRecords } from './syncStore.js';
+import { DEFAULT_PERIOD_MINUTES } from './activityMapping.js';
+
+// Model name of the period totals of OPC UA tags, in the sync store
+export const OPCUA_ACTIVITY_MODEL = 'activity';
+
+// Ended periods are closed and stored at least this often
+const CLOSE_INTERVAL_MS = 5000;
+
+// Wait before starting over after the server refused the session
+const RETRY_DELAY_MS = 60000;
+
+// The client retries unreachable servers and lost connections by itself, forever
+const RECONNECT_STRATEGY = { maxRetry: -1, initialDelay: 1000, maxDelay: 30000 };
+
+const SUBSCRIPTION_PARAMETERS = {
+  requestedPublishingInterval: 1000,
+  requestedLifetimeCount: 600,
+  requestedMaxKeepAliveCount: 20,
+  maxNotificationsPerPublish: 1000,
+  publishingEnabled: true
+};
+
+// Running subscribers, by connection id
+const subscribers = new Map();
+
+/**
+ * Build the connection of a stored OPC UA profile: its endpoint and login plus the
+ * pinned server certificate
+ * @param {{credentials: Object, settings: Object}} profile - As returned by getConnection
+ * @returns {Object}
+ */
+export function opcuaConnectionFromProfile(profile) {
+  return { ...profile.credentials, serverThumbprint: profile.settings.serverThumbprint };
+}
+
+/**
+ * Write activity records of closed periods to the sync store.
+ * Writes run one after another, so periods are stored in order.
+ */
+function store(subscriber, records) {
+  if (records.length === 0) return subscriber.storing;
+
+  subscriber.storing = subscriber.storing
+    .then(() => upsertSyncedRecords(subscriber.connectionId, OPCUA_ACTIVITY_MODEL, records, { advanceWatermark: false }))
+    .then(() => {
+      subscriber.stored += records.length;
+      subscriber.lastStoredAt = new Date().toISOString();
+    })
+    .catch(error => {
+      console.error(`Storing OPC UA periods of connection ${subscriber.connectionId} failed:`, error);
+      subscriber.lastError = { message: `Storing periods failed: ${error.message}`, code: 'STORE_ERROR', at: new Date().toISOString() };
+    });
+  return subscriber.storing;
+}
+
+/**
+ * Add a value of a tag, or a gap when it is null, and store the periods it closes
+ */
+function addValue(subscriber, monitored, value) {
+  store(subscriber, addTagValue(monitored.accumulator, value, Date.now()));
+}
+
+/**
+ * Close and store the periods that ended, also for tags that did not change
+ */
+function closePeriods(subscriber) {
+  const now = Date.now();
+  store(subscriber, subscriber.tags.flatMap(monitored => closeTagPeriods(monitored.accumulator, now)));
+}
+
+/**
+ * Handle a data change of a monitored tag
+ */
+function handleDataValue(subscriber, monitored, dataValue) {
+  const good = dataValue.statusCode.isGood();
+  const value = good ? numericValue(dataValue.value) : null;
+
+  monitored.statusCode = dataValue.statusCode.name;
+  if (value !== null) {
+    monitored.lastValue = value;
+    monitored.lastValueAt = new Date().toISOString();
+    monitored.error = null;
+  } else if (good) {
+    monitored.error = 'The value is not a number';
+  }
+  addValue(subscriber, monitored, value);
+}
+
+/**
+ * Connect in the background, setting the subscriber's state when it fails outright
+ */
+function connectInBackground(subscriber) {
+  connect(subscriber).catch(error => {
+    console.error(`Starting OPC UA subscriber of connection ${subscriber.connectionId} failed:`, error);
+    subscriber.state = 'error';
+    subscriber.lastError = { message: error.message, code: 'OPCUA_ERROR', at: new Date().toISOString() };
+  });
+}
+
+/**
+ * Connect, open a session and monitor every tag. A refused session or subscription
+ * is tried again after RETRY_DELAY_MS with a new client.
+ */
+async function connect(subscriber) {
+  subscriber.retryTimer = null;
+  const client = await createOpcuaClient(subscriber.connection, { connectionStrategy: RECONNECT_STRATEGY });
+  if (subscriber.stopped) {
+    await closeOpcuaSession(client, null).catch(() => {});
+    return;
+  }
+  subscriber.client = client;
+  subscriber.state = 'connecting';
+
+  client.on('backoff', (attempt, delay) => {
+    subscriber.lastError = {
+      message: `Server could not be reached; retrying in ${Math.round(delay / 1000)} s (attempt ${attempt})`,
+      code: 'OPCUA_UNREACHABLE',
+      at: new Date().toISOString()
+    };
+  });
+  client.on('connection_lost', () => {
+    subscriber.state = 'reconnecting';
+    // Rates are not held across the outage
+    subscriber.tags.forEach(monitored => addValue(subscriber, monitored, null));
+  });
+  client.on('connection_reestablished', () => {
+    subscriber.state = 'connected';
+    subscriber.lastError = null;
+  });
+
+  try {
+    const session = await openOpcuaSession(client, subscriber.connection);
+    if (subscriber.stopped) {
+      await closeOpcuaSession(client, session).catch(() => {});
+      return;
+    }
+    subscriber.session = session;
+
+    const subscription = await session.createSubscription2(SUBSCRIPTION_PARAMETERS);
+    for (const monitored of subscriber.tags) {
+      const { tag } = monitored;
+      const item = await subscription.monitor({ nodeId: tag.nodeId, attributeId: AttributeIds.Value }, monitoringParameters(tag), TimestampsToReturn.Both);
+      monitored.statusCode = item.statusCode.name;
+      if (!item.statusCode.isGood()) {
+        monitored.error = toOpcuaError(new Error(item.statusCode.name), { reading: true }).message;
+        continue;
+      }
+      item.on('changed', dataValue => handleDataValue(subscriber, monitored, dataValue));
+      item.on('err', message => {
+        monitored.error = message;
+      });
+    }
+
+    subscriber.state = 'connected';
+    subscriber.connectedAt = new Date().toISOString();
+    subscriber.lastError = null;
+  } catch (error) {
+    if (subscriber.stopped) return;
+
+    const opcuaError = toOpcuaError(error);
+    console.warn(`OPC UA subscriber of connection ${subscriber.connectionId} failed: ${opcuaError.message}`);
+    subscriber.state = 'error';
+    subscriber.lastError = { message: opcuaError.message, code: opcuaError.code, at: new Date().toISOString() };
+
+    await closeOpcuaSession(client, subscriber.session).catch(() => {});
+    subscriber.session = null;
+    subscriber.retryTimer = setTimeout(() => connectInBackground(subscriber), RETRY_DELAY_MS);
+  }
+}
+
+/**
+ * Monitor a connection's tags and store their totals per period as activity records,
+ * replacing its running subscriber. The period in progress when a subscriber stops
+ * is not stored.
+ * @param {string} connectionId - Stored connection id
+ * @param {Object} connection - Connection, see opcuaConnectionFromProfile
+ * @param {{tags: Array<Object>, periodMinutes: number}} settings - Normalized tag mappings; none to only stop
+ * @returns {Promise<void>}
+ */
+export async function startOpcuaSubscriber(connectionId, connection, { tags, periodMinutes = DEFAULT_PERIOD_MINUTES }) {
+  await stopOpcuaSubscriber(connectionId);
+  if (!tags || tags.length === 0) return;
+
+  const now = Date.now();
+  const subscriber = {
+    connectionId,
+    connection,
+    periodMinutes,
+    client: null,
+    session: null,
+    state: 'connecting',
+    connectedAt: null,
+    lastError: null,
+    lastStoredAt: null,
+    stored: 0,
+    stopped: false,
+    retryTimer: null,
+    tags: tags.map(tag => ({
+      tag,
+      accumulator: createTagAccumulator(tag, periodMinutes, now),
+      statusCode: null,
+      error: null,
+      lastValue: null,
+      lastValueAt: null
+    })),
+    storing: Promise.resolve(),
+    timer: setInterval(() => closePeriods(subscriber), CLOSE_INTERVAL_MS)
+  };
+  subscribers.set(connectionId, subscriber);
+
+  // Connecting is not awaited: an unreachable server is retried in the background
+  connectInBackground(subscriber);
+}
+
+/**
+ * Stop a connection's subscriber, storing the periods it already closed
+ * @param {string} connectionId - Stored connection id
+ * @returns {Promise<void>}
+ */
+export async function stopOpcuaSubscriber(connectionId) {
+  const subscriber = subscribers.get(connectionId);
+  if (!subscriber) return;
+
+  subscribers.delete(connectionId);
+  subscriber.stopped = true;
+  clearInterval(subscriber.timer);
+  clearTimeout(subscriber.retryTimer);
+  if (subscriber.client) {
+    await closeOpcuaSession(subscriber.client, subscriber.session)
+      .catch(error => console.warn('Closing OPC UA connection failed:', error.message));
+  }
+  await subscriber.storing;
+}
+
+/**
+ * Get the state of a connection's subscriber, with the last value of every tag
+ * @param {string} connectionId - Stored connection id
+ * @returns {{state: string, connectedAt: string|null, periodMinutes: number, periodStart: string, stored: number, lastStoredAt: string|null, lastError: Object|null, tags: Array<Object>}|null} null when it is not running
+ */
+export function getOpcuaSubscriberStatus(connectionId) {
+  const subscriber = subscribers.get(connectionId);
+  if (!subscriber) return null;
+
+  const { state, connectedAt, periodMinutes, stored, lastStoredAt, lastError } = subscriber;
+  return {
+    state,
+    connectedAt,
+    periodMinutes,
+    periodStart: new Date(subscriber.tags[0].accumulator.periodStart).toISOString(),
+    stored,
+    lastStoredAt,
+    lastError,
+    tags: subscriber.tags.map(({ tag, accumulator, statusCode, error, lastValue, lastValueAt }) => ({
+      name: tag.name,
+      nodeId: tag.nodeId,
+      statusCode,
+      error,
+      lastValue,
+      lastValueAt,
+      samples: accumulator.samples
+    }))
+  };
+}
+
+/**
+ * Start the subscribers of every stored OPC UA connection with tags, at server start
+ * @returns {Promise<number>} Number of started subscribers
+ */
+export async function startOpcuaSubscribers() {
+  const connections = await listConnections('opcua');
+  let started = 0;
+  for (const { id, settings } of connections) {
+    if (settings.tags?.length > 0) {
+      let profile;
+      try {
+        profile = await getConnection(id, 'opcua');
+      } catch (error) {
+        if (!(error instanceof CredentialsUnreadableError)) throw error;
+        console.warn(`OPC UA connection ${id} is not started: ${error.message}`);
+        continue;
+      }
+      await startOpcuaSubscriber(id, opcuaConnectionFromProfile(profile), settings);
+      started += 1;
+    }
+  }
+  return started;
+}
@@ -0,0 +1,720 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  OPCUAClient,
+  MessageSecurityMode,
+  SecurityPolicy,
+  UserTokenType,
+  AttributeIds,
+  NodeClass,
+  BrowseDirection,
+  DataType,
+  DataChangeFilter,
+  DataChangeTrigger,
+  DeadbandType,
+  TimestampsToReturn,
+  coerceNodeId,
+  extractFirstCertificateInChain
+} from 'node-opcua-client';
+import { OPCUACertificateManager } from 'node-opcua-certificate-manager';
+import { dataDir } from './jsonStore.js';
+import { OpcuaError, toOpcuaError, opcuaFailure } from './opcuaErrors.js';
+
+/**
+ * OPC UA servers of plant control systems (SCADA historians, PLCs).
+ *
+ * A connection is an endpoint URL with a security mode and policy, and an anonymous
+ * or username login. When messages are signed, the server certificate is pinned by
+ * its SHA-1 thumbprint: the user checks it once when connecting, and a server
+ * presenting another certificate is refused before any password is sent.
+ *
+ * Tags map variables of the server to activity records: each one is a rate (fuel
+ * flow, power draw), integrated over time, or a cumulative counter, and carries the
+ * activity type and unit of its quantity.
+ */
+export const SECURITY_MODES = ['None', 'Sign', 'SignAndEncrypt'];
+export const SECURITY_POLICIES = ['None', 'Basic256Sha256', 'Aes128_Sha256_RsaOaep', 'Aes256_Sha256_RsaPss', 'Basic256'];
+
+export const MAX_TAGS = 100;
+const MAX_BROWSE_NODES = 500;
+const REQUEST_TIMEOUT_MS = 10000;
+
+export const TAG_KINDS = ['rate', 'counter'];
+export const DEADBAND_TYPES = ['none', 'absolute', 'percent'];
+
+// Milliseconds per time unit of a rate, e.g. m3/h
+export const RATE_TIME_UNITS = { h: 3600000, min: 60000, s: 1000 };
+
+const NUMERIC_DATA_TYPES = ['Double', 'Float', 'SByte', 'Byte', 'Int16', 'UInt16', 'Int32', 'UInt32', 'Int64', 'UInt64'];
+
+const OBJECTS_FOLDER = 'ns=0;i=85';
+
+// Variables of the server's BuildInfo
+const BUILD_INFO_NODES = { productName: 'ns=0;i=2261', manufacturerName: 'ns=0;i=2263', softwareVersion: 'ns=0;i=2264' };
+
+let certificateManager = null;
+
+/**
+ * The certificate store of the NetZero client, in the data directory. It holds the
+ * client's own certificate, created on first use. Server certificates are accepted
+ * by the store, since they are checked against the pinned thumbprint instead.
+ * @returns {Promise<OPCUACertificateManager>}
+ */
+function clientCertificateManager() {
+  if (!certificateManager) {
+    const manager = new OPCUACertificateManager({
+      rootFolder: path.join(dataDir(), 'opcua-pki'),
+      automaticallyAcceptUnknownCertificate: true
+    });
+    certificateManager = manager.initialize().then(() => manager);
+  }
+  return certificateManager;
+}
+
+/**
+ * Options of an OPC UA client for a connection
+ * @param {Object} connection - {securityMode, securityPolicy}
+ * @param {Object} overrides - Client options to set or replace
+ * @returns {Promise<Object>}
+ */
+async function clientOptions(connection, overrides = {}) {
+  return {
+    applicationName: 'NetZero',
+    securityMode: MessageSecurityMode[connection.securityMode],
+    securityPolicy: SecurityPolicy[connection.securityPolicy],
+    clientCertificateManager: await clientCertificateManager(),
+    // Servers often advertise a host name that differs from the one they are reached by
+    endpointMustExist: false,
+    transportTimeout: REQUEST_TIMEOUT_MS,
+    connectionStrategy: { maxRetry: 0, initialDelay: 500 },
+    ...overrides
+  };
+}
+
+/**
+ * SHA-1 thumbprint of a DER certificate, as hex
+ * @param {Buffer} certificate - DER certificate, or a chain starting with it
+ * @returns {string}
+ */
+export function certificateThumbprint(certificate) {
+  return crypto.createHash('sha1').update(extractFirstCertificateInChain(certificate)).digest('hex');
+}
+
+/**
+ * Thumbprint, subject and validity of a DER certificate
+ */
+function describeCertificate(certificate) {
+  const first = extractFirstCertificateInChain(certificate);
+  const parsed = new crypto.X509Certificate(first);
+  return {
+    thumbprint: certificateThumbprint(first),
+    subject: parsed.subject.replace(/\n/g, ', '),
+    validFrom: new Date(parsed.validFrom).toISOString(),
+    validTo: new Date(parsed.validTo).toISOString()
+  };
+}
+
+/**
+ * Validate an endpoint URL
+ * @returns {{endpointUrl?: string, error?: string}}
+ */
+export function validateEndpointUrl(endpointUrl) {
+  if (!endpointUrl || typeof endpointUrl !== 'string') {
+    return { error: 'Missing required field: endpointUrl' };
+  }
+
+  let url;
+  try {
+    url = new URL(endpointUrl.trim());
+  } catch {
+    return { error: 'endpointUrl must be a URL like opc.tcp://historian.local:4840' };
+  }
+  if (url.protocol !== 'opc.tcp:' || !url.hostname) {
+    return { error: 'endpointUrl must use opc.tcp://' };
+  }
+
+  return { endpointUrl: endpointUrl.trim() };
+}
+
+/**
+ * Normalize a SHA-1 certificate thumbprint to lowercase hex without colons
+ * @returns {string|null} The thumbprint, or null when it is not one
+ */
+export function normalizeThumbprint(thumbprint) {
+  if (typeof thumbprint !== 'string') return null;
+  const hex = thumbprint.replace(/[:\s]/g, '').toLowerCase();
+  return /^[0-9a-f]{40}$/.test(hex) ? hex : null;
+}
+
+/**
+ * Validate the endpoint and login fields of a request body
+ * @param {Object} body - {endpointUrl, securityMode, securityPolicy, username, password, serverThumbprint}
+ * @returns {{connection?: Object, error?: string}}
+ */
+export function validateOpcuaConnection({ endpointUrl, securityMode = 'None', securityPolicy = 'None', username, password, serverThumbprint }) {
+  const validated = validateEndpointUrl(endpointUrl);
+  if (validated.error) return validated;
+
+  if (!SECURITY_MODES.includes(securityMode)) {
+    return { error: `securityMode must be one of: ${SECURITY_MODES.join(', ')}` };
+  }
+  if (!SECURITY_POLICIES.includes(securityPolicy)) {
+    return { error: `securityPolicy must be one of: ${SECURITY_POLICIES.join(', ')}` };
+  }
+  if ((securityMode === 'None') !== (securityPolicy === 'None')) {
+    return { error: 'securityMode None goes with securityPolicy None, and only with it' };
+  }
+
+  if (username !== undefined && username !== null && username !== '' && typeof username !== 'string') {
+    return { error: 'username must be a string' };
+  }
+  if (username && !password) {
+    return { error: 'password is required with a username' };
+  }
+
+  const thumbprint = securityMode === 'None' ? null : normalizeThumbprint(serverThumbprint);
+  if (securityMode !== 'None' && !thumbprint) {
+    return { error: 'serverThumbprint is required with a secured mode: the SHA-1 thumbprint of the server certificate, as listed by /endpoints' };
+  }
+
+  return {
+    connection: {
+      endpointUrl: validated.endpointUrl,
+      securityMode,
+      securityPolicy,
+      username: username || '',
+      password: username ? password : '',
+      serverThumbprint: thumbprint
+    }
+  };
+}
+
+/**
+ * Validate a node id like ns=2;s=Kiln1.FuelFlow or i=85
+ * @returns {string|null} Error message, or null when it is valid
+ */
+export function validateNodeId(nodeId) {
+  if (typeof nodeId !== 'string' || !nodeId.trim()) {
+    return 'must be a non-empty node id like ns=2;s=Kiln1.FuelFlow';
+  }
+  try {
+    coerceNodeId(nodeId.trim());
+    return null;
+  } catch {
+    return 'is not a valid node id; expected a form like ns=2;s=Kiln1.FuelFlow or ns=3;i=1001';
+  }
+}
+
+/**
+ * Check tag mappings before they are saved
+ * @param {Array<{name: string, nodeId: string, kind: string, rateTimeUnit: string, scale: number, unit: string, activityType: string, samplingIntervalMs: number, deadband: Object}>} tags
+ * @returns {string|null} Error message, or null when they are valid
+ */
+export function validateTagMappings(tags) {
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+    return `tags must be an array of at most ${MAX_TAGS} tags`;
+  }
+
+  const names = new Set();
+  for (const [index, tag] of tags.entries()) {
+    const label = `tags[${index}]`;
+    if (!tag || typeof tag !== 'object' || Array.isArray(tag)) {
+      return `${label} must be an object`;
+    }
+
+    const { name, nodeId, kind, rateTimeUnit = 'h', scale = 1, unit, activityType, samplingIntervalMs = 1000, deadband } = tag;
+    if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+      return `${label}.name must be a non-empty string of at most 64 characters`;
+    }
+    if (names.has(name.trim())) {
+      return `${label}.name is used twice`;
+    }
+    names.add(name.trim());
+
+    const nodeIdError = validateNodeId(nodeId);
+    if (nodeIdError) return `${label}.nodeId ${nodeIdError}`;
+
+    if (!TAG_KINDS.includes(kind)) {
+      return `${label}.kind must be one of: ${TAG_KINDS.join(', ')}`;
+    }
+    if (kind === 'rate' && !RATE_TIME_UNITS[rateTimeUnit]) {
+      return `${label}.rateTimeUnit must be one of: ${Object.keys(RATE_TIME_UNITS).join(', ')}`;
+    }
+    if (typeof scale !== 'number' || !Number.isFinite(scale) || scale <= 0) {
+      return `${label}.scale must be a positive number`;
+    }
+    if (typeof unit !== 'string' || !unit.trim() || unit.length > 32) {
+      return `${label}.unit must be the unit of the summed quantity, e.g. m3 or kWh`;
+    }
+    if (typeof activityType !== 'string' || !activityType.trim() || activityType.length > 64) {
+      return `${label}.activityType must be a non-empty string of at most 64 characters`;
+    }
+    if (!Number.isInteger(samplingIntervalMs) || samplingIntervalMs < 100 || samplingIntervalMs > 60000) {
+      return `${label}.samplingIntervalMs must be a whole number from 100 to 60000`;
+    }
+
+    if (deadband !== undefined && deadband !== null) {
+      const { type, value = 0 } = deadband;
+      if (!DEADBAND_TYPES.includes(type)) {
+        return `${label}.deadband.type must be one of: ${DEADBAND_TYPES.join(', ')}`;
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (type === 'percent' && value > 100)) {
+        return `${label}.deadband.value must be a number from 0${type === 'percent' ? ' to 100' : ''}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill in the defaults of validated tag mappings
+ * @param {Array<Object>} tags
+ * @returns {Array<Object>}
+ */
+export function normalizeTagMappings(tags) {
+  return tags.map(({ name, nodeId, kind, rateTimeUnit = 'h', scale = 1, unit, activityType, samplingIntervalMs = 1000, deadband }) => ({
+    name: name.trim(),
+    nodeId: coerceNodeId(nodeId.trim()).toString(),
+    kind,
+    rateTimeUnit: kind === 'rate' ? rateTimeUnit : null,
+    scale,
+    unit: unit.trim(),
+    activityType: activityType.trim(),
+    samplingIntervalMs,
+    deadband: deadband && deadband.type !== 'none' ? { type: deadband.type, value: deadband.value ?? 0 } : { type: 'none', value: 0 }
+  }));
+}
+
+/**
+ * Monitoring parameters of a tag: its sampling interval and deadband
+ * @param {Object} tag - Normalized tag mapping
+ * @returns {Object}
+ */
+export function monitoringParameters(tag) {
+  const { type, value } = tag.deadband;
+  return {
+    samplingInterval: tag.samplingIntervalMs,
+    queueSize: 10,
+    discardOldest: true,
+    filter: type === 'none' ? null : new DataChangeFilter({
+      trigger: DataChangeTrigger.StatusValue,
+      deadbandType: type === 'percent' ? DeadbandType.Percent : DeadbandType.Absolute,
+      deadbandValue: value
+    })
+  };
+}
+
+/**
+ * Number held by a variant, or null when it is not a numeric scalar
+ * @param {Object} variant - Value of a DataValue
+ * @returns {number|null}
+ */
+export function numericValue(variant) {
+  const dataType = DataType[variant?.dataType];
+  if (!NUMERIC_DATA_TYPES.includes(dataType)) return null;
+
+  // 64-bit integers are held as [high, low] words
+  if (dataType === 'Int64' || dataType === 'UInt64') {
+    if (!Array.isArray(variant.value)) return null;
+    const bits = (BigInt(variant.value[0] >>> 0) << 32n) | BigInt(variant.value[1] >>> 0);
+    return Number(dataType === 'Int64' ? BigInt.asIntN(64, bits) : bits);
+  }
+  return typeof variant.value === 'number' && Number.isFinite(variant.value) ? variant.value : null;
+}
+
+/**
+ * A JSON-friendly copy of a variant's value, for showing it while browsing
+ */
+function displayValue(variant) {
+  const number = numericValue(variant);
+  if (number !== null) return number;
+  const value = variant?.value;
+  if (value === null || value === undefined || ['string', 'boolean', 'number'].includes(typeof value)) return value ?? null;
+  return String(value).slice(0, 200);
+}
+
+/**
+ * Fail with the status code of a read, browse or monitored item when it is not good
+ */
+function assertGood(statusCode, options) {
+  if (!statusCode.isGood()) {
+    throw toOpcuaError(new Error(statusCode.name), options);
+  }
+}
+
+/**
+ * Refuse a secured connection to a server whose certificate is not the pinned one
+ */
+function checkServerCertificate(client, connection) {
+  if (connection.securityMode === 'None') return;
+
+  const presented = client.serverCertificate ? certificateThumbprint(client.serverCertificate) : null;
+  if (presented !== connection.serverThumbprint) {
+    throw new OpcuaError(
+      `The server presented a certificate with thumbprint ${presented}, not the trusted ${connection.serverThumbprint}. ` +
+      'Check the new certificate with the server administrator and connect again with its thumbprint.',
+      { code: 'OPCUA_SERVER_CERTIFICATE_CHANGED', status: 502 }
+    );
+  }
+}
+
+/**
+ * Create an OPC UA client for a connection, not yet connected
+ * @param {Object} connection - Stored connection
+ * @param {Object} overrides - Client options to set or replace, e.g. the connection strategy
+ * @returns {Promise<Object>}
+ */
+export async function createOpcuaClient(connection, overrides = {}) {
+  return OPCUAClient.create(await clientOptions(connection, overrides));
+}
+
+/**
+ * Connect a client to its server and open a session with the connection's login.
+ * Client errors are thrown as OpcuaErrors; the caller disconnects the client.
+ * @param {Object} client - As returned by createOpcuaClient
+ * @param {Object} connection - Stored connection
+ * @returns {Promise<Object>} The session
+ */
+export async function openOpcuaSession(client, connection) {
+  try {
+    await client.connect(connection.endpointUrl);
+    checkServerCertificate(client, connection);
+    return await client.createSession(connection.username
+      ? { type: UserTokenType.UserName, userName: connection.username, password: connection.password }
+      : { type: UserTokenType.Anonymous });
+  } catch (error) {
+    throw toOpcuaError(error);
+  }
+}
+
+/**
+ * Close a session, if any, and disconnect its client
+ * @param {Object} client - Connected client
+ * @param {Object|null} session - Open session
+ * @returns {Promise<void>}
+ */
+export async function closeOpcuaSession(client, session) {
+  if (session) {
+    await session.close().catch(error => console.warn('Closing OPC UA session failed:', error.message));
+  }
+  await client.disconnect();
+}
+
+/**
+ * Open a session, run `work` with it and close it again
+ */
+async function withOpcuaSession(connection, work) {
+  const client = await createOpcuaClient(connection);
+  let session = null;
+  try {
+    session = await openOpcuaSession(client, connection);
+    return await work(session);
+  } catch (error) {
+    throw toOpcuaError(error, { reading: true });
+  } finally {
+    await closeOpcuaSession(client, session);
+  }
+}
+
+/**
+ * List the endpoints a server offers, with their security, logins and certificate,
+ * so the user can pick one and check its certificate thumbprint
+ * @param {string} endpointUrl - Valid opc.tcp:// URL
+ * @returns {Promise<{success: boolean, endpoints?: Array<Object>, error?: string, code?: string, status?: number}>}
+ */
+export async function listOpcuaEndpoints(endpointUrl) {
+  try {
+    const client = await createOpcuaClient({ securityMode: 'None', securityPolicy: 'None' });
+    try {
+      await client.connect(endpointUrl);
+      const endpoints = await client.getEndpoints();
+      return {
+        success: true,
+        endpoints: endpoints.map(endpoint => {
+          const securityPolicy = endpoint.securityPolicyUri.split('#')[1];
+          return {
+            endpointUrl: endpoint.endpointUrl,
+            securityMode: MessageSecurityMode[endpoint.securityMode],
+            securityPolicy,
+            supported: SECURITY_POLICIES.includes(securityPolicy),
+            userTokenTypes: [...new Set((endpoint.userIdentityTokens || []).map(token => UserTokenType[token.tokenType]))],
+            serverCertificate: endpoint.serverCertificate?.length ? describeCertificate(endpoint.serverCertificate) : null
+          };
+        })
+      };
+    } finally {
+      await client.disconnect();
+    }
+  } catch (error) {
+    console.error('OPC UA endpoints error:', error.message);
+    return opcuaFailure(error, 'Failed to list the endpoints of the server');
+  }
+}
+
+/**
+ * Open a session and read the server's product name and version
+ * @param {Object} connection - Stored connection
+ * @returns {Promise<{success: boolean, server?: {productName: string, manufacturerName: string, softwareVersion: string}, error?: string, code?: string, status?: number}>}
+ */
+export async function testOpcuaConnection(connection) {
+  try {
+    const server = await withOpcuaSession(connection, async session => {
+      const names = Object.keys(BUILD_INFO_NODES);
+      const values = await session.read(names.map(name => ({ nodeId: BUILD_INFO_NODES[name], attributeId: AttributeIds.Value })));
+      return Object.fromEntries(names.map((name, index) => [name, values[index].value?.value ?? null]));
+    });
+    return { success: true, server };
+  } catch (error) {
+    console.error('OPC UA connection error:', error.message);
+    return opcuaFailure(error, 'Failed to connect to the server');
+  }
+}
+
+/**
+ * List the objects and variables below a node, to pick tags. Variables come with
+ * their current value and data type.
+ * @param {Object} connection - Stored connection
+ * @param {string} nodeId - Valid node id; the Objects folder when omitted
+ * @returns {Promise<{success: boolean, nodeId?: string, nodes?: Array<Object>, truncated?: boolean, error?: string, code?: string, status?: number}>}
+ */
+export async function browseOpcuaNode(connection, nodeId = OBJECTS_FOLDER) {
+  try {
+    const result = await withOpcuaSession(connection, async session => {
+      const browsed = await session.browse({
+        nodeId,
+        browseDirection: BrowseDirection.Forward,
+        referenceTypeId: 'HierarchicalReferences',
+        includeSubtypes: true,
+        nodeClassMask: NodeClass.Object | NodeClass.Variable,
+        resultMask: 63
+      });
+      assertGood(browsed.statusCode);
+
+      const references = (browsed.references || []).slice(0, MAX_BROWSE_NODES);
+      const variables = references.filter(reference => reference.nodeClass === NodeClass.Variable);
+      const values = variables.length > 0
+        ? await session.read(variables.map(reference => ({ nodeId: reference.nodeId, attributeId: AttributeIds.Value })))
+        : [];
+
+      const nodes = references.map(reference => {
+        const node = {
+          nodeId: reference.nodeId.toString(),
+          browseName: reference.browseName.toString(),
+          displayName: reference.displayName?.text || reference.browseName.name,
+          nodeClass: NodeClass[reference.nodeClass]
+        };
+        const index = variables.indexOf(reference);
+        if (index >= 0) {
+          const dataValue = values[index];
+          node.dataType = DataType[dataValue.value?.dataType] || null;
+          node.value = dataValue.statusCode.isGood() ? displayValue(dataValue.value) : null;
+          node.numeric = numericValue(dataValue.value) !== null;
+          node.statusCode = dataValue.statusCode.name;
+        }
+        return node;
+      });
+
+      return { nodes, truncated: (browsed.references || []).length > MAX_BROWSE_NODES || Boolean(browsed.continuationPoint) };
+    });
+    return { success: true, nodeId: coerceNodeId(nodeId).toString(), ...result };
+  } catch (error) {
+    console.error('OPC UA browse error:', error.message);
+    return opcuaFailure(error, 'Failed to browse the server', { reading: true });
+  }
+}
+
+/**
+ * Check tags before they are saved: every node is read, must hold a number, and
+ * accepts its sampling interval and deadband
+ * @param {Object} connection - Stored connection
+ * @param {Array<Object>} tags - Normalized tag mappings
+ * @returns {Promise<{success: boolean, values?: Array<{name: string, value: number, dataType: string}>, error?: string, code?: string, status?: number}>}
+ */
+export async function checkOpcuaTags(connection, tags) {
+  if (tags.length === 0) return { success: true, values: [] };
+
+  try {
+    const values = await withOpcuaSession(connection, async session => {
+      const dataValues = await session.read(tags.map(tag => ({ nodeId: tag.nodeId, attributeId: AttributeIds.Value })));
+      const checked = tags.map((tag, index) => {
+        const dataValue = dataValues[index];
+        try {
+          assertGood(dataValue.statusCode, { reading: true });
+        } catch (error) {
+          throw new OpcuaError(`${tag.name} (${tag.nodeId}): ${error.message}`, error);
+        }
+        const value = numericValue(dataValue.value);
+        if (value === null) {
+          throw new OpcuaError(`${tag.name} (${tag.nodeId}) holds a ${DataType[dataValue.value?.dataType] || 'value'}, not a number`, {
+            code: 'OPCUA_INVALID_VALUE',
+            status: 400
+          });
+        }
+        return { name: tag.name, value, dataType: DataType[dataValue.value.dataType] };
+      });
+
+      // A short-lived subscription checks the sampling intervals and deadbands
+      const subscription = await session.createSubscription2({
+        requestedPublishingInterval: 1000,
+        requestedLifetimeCount: 60,
+        requestedMaxKeepAliveCount: 10,
+        publishingEnabled: true
+      });
+      try {
+        for (const tag of tags) {
+          const item = await subscription.monitor({ nodeId: tag.nodeId, attributeId: AttributeIds.Value }, monitoringParameters(tag), TimestampsToReturn.Both);
+          try {
+            assertGood(item.statusCode, { reading: true });
+          } catch (error) {
+            throw new OpcuaError(`${tag.name} (${tag.nodeId}): ${error.message}`, error);
+          }
+        }
+      } finally {
+        await subscription.terminate();
+      }
+      return checked;
+    });
+    return { success: true, values };
+  } catch (error) {
+    console.error('OPC UA tag check error:', error.message);
+    return opcuaFailure(error, 'Failed to check the tags', { reading: true });
+  }
+}
+
+/**
+ * The certificate of the NetZero client, created on first use. Servers that check
+ * client certificates must trust it before a secured connection is accepted.
+ * @returns {Promise<{pem: string, thumbprint: string, subject: string, validFrom: string, validTo: string}>}
+ */
+export async function getClientCertificate() {
+  const client = await createOpcuaClient({ securityMode: 'None', securityPolicy: 'None' });
+  await client.createDefaultCertificate();
+  const pem = await fs.readFile(client.certificateFile, 'utf8');
+  return { pem, ...describeCertificate(new crypto.X509Certificate(pem).raw) };
+}
+
+/**
+ * Start summing a tag's values over periods, from the period that holds `at`
+ * @param {Object} tag - Normalized tag mapping
+ * @param {number} periodMinutes - Length of the periods, one of PERIOD_MINUTES
+ * @param {number} at - Time in milliseconds
+ * @returns {Object} The tag's accumulator, for addTagValue and closeTagPeriods
+ */
+export function createTagAccumulator(tag, periodMinutes, at) {
+  const periodMs = periodMinutes * 60000;
+  return {
+    tag,
+    periodMs,
+    periodStart: Math.floor(at / periodMs) * periodMs,
+    total: 0,
+    coveredMs: 0,
+    samples: 0,
+    resets: 0,
+    last: null
+  };
+}
+
+/**
+ * Add the quantity of a rate held at its last value, up to `until`
+ */
+function integrateRate(accumulator, until) {
+  const { tag, last } = accumulator;
+  if (tag.kind !== 'rate' || !last || until <= last.at) return;
+
+  const duration = until - last.at;
+  accumulator.total += last.value * duration / RATE_TIME_UNITS[tag.rateTimeUnit];
+  accumulator.coveredMs += duration;
+  accumulator.last = { value: last.value, at: until };
+}
+
+/**
+ * Activity record of a tag's period, or null when nothing was counted in it
+ */
+function periodRecord(accumulator, periodEnd) {
+  const { tag, total, coveredMs, periodMs, resets } = accumulator;
+  const quantity = Math.round(total * tag.scale * 1e6) / 1e6;
+  if (quantity === 0) return null;
+
+  const periodStart = new Date(accumulator.periodStart).toISOString();
+  const tags = { tag: tag.name, nodeId: tag.nodeId, periodEnd: new Date(periodEnd).toISOString() };
+  if (tag.kind === 'rate') {
+    tags.coverage = Math.round(coveredMs / periodMs * 1000) / 1000;
+  }
+  if (resets > 0) {
+    tags.counterResets = resets;
+  }
+
+  return {
+    id: `opcua:${tag.name}:${periodStart}`,
+    source: 'opcua',
+    reference: `${tag.name} (${tag.nodeId})`,
+    activityType: tag.activityType,
+    quantity,
+    unit: tag.unit,
+    date: periodStart,
+    tags,
+    writeDate: tags.periodEnd,
+    excluded: quantity < 0 ? 'Negative total; check the tag and its scale' : undefined
+  };
+}
+
+/**
+ * Close the periods of a tag that ended by `at`, and turn them into activity records.
+ *
+ * A rate is held at its last value up to the end of a period. The `coverage` tag of
+ * its record is the share of the period that had a value; periods without any
+ * quantity give no record.
+ * @param {Object} accumulator - See createTagAccumulator
+ * @param {number} at - Time in milliseconds
+ * @returns {Array<Object>} Activity records (see calculateEmissions)
+ */
+export function closeTagPeriods(accumulator, at) {
+  const records = [];
+  while (at >= accumulator.periodStart + accumulator.periodMs) {
+    const periodEnd = accumulator.periodStart + accumulator.periodMs;
+    integrateRate(accumulator, periodEnd);
+
+    const record = periodRecord(accumulator, periodEnd);
+    if (record) records.push(record);
+
+    Object.assign(accumulator, { periodStart: periodEnd, total: 0, coveredMs: 0, samples: 0, resets: 0 });
+  }
+  return records;
+}
+
+/**
+ * Add a value of a tag, received at `at`.
+ *
+ * Values are timed when they arrive, so the server clock does not have to match
+ * ours, and they hold until the next one: a deadband only suppresses changes too
+ * small to matter. A rate adds its previous value over the time since then; a
+ * counter adds its increase, and a counter that went down (reset or replaced)
+ * starts over from the new value. A null value, for a bad status or a lost
+ * connection, stops a rate until the next value; a counter keeps its last value,
+ * so its increase over the gap is still counted.
+ * @param {Object} accumulator - See createTagAccumulator
+ * @param {number|null} value - The value, or null when there is none
+ * @param {number} at - Time in milliseconds
+ * @returns {Array<Object>} Activity records of the periods closed by this value
+ */
+export function addTagValue(accumulator, value, at) {
+  const records = closeTagPeriods(accumulator, at);
+
+  if (accumulator.tag.kind === 'rate') {
+    integrateRate(accumulator, at);
+    accumulator.last = value === null ? null : { value, at };
+  } else if (value !== null) {
+    if (accumulator.last && value >= accumulator.last.value) {
+      accumulator.total += value - accumulator.last.value;
+    } else if (accumulator.last) {
+      accumulator.resets += 1;
+    }
+    accumulator.last = { value, at };
+  }
+
+  if (value !== null) {
+    accumulator.samples += 1;
+  }
+  return records;
+}
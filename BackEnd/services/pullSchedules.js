@@ -0,0 +1,82 @@
+import { CredentialsUnreadableError } from './credentialVault.js';
+
+/**
+ * Interval schedules of source pulls (SQL, MongoDB) and device polls (Modbus), by connection id.
+ * Schedules live in memory; each connector restores its own at server start.
+ */
+
+export const MIN_PULL_INTERVAL_MINUTES = 1;
+export const MAX_PULL_INTERVAL_MINUTES = 24 * 60;
+
+// Scheduled pulls: connection id -> {timer, intervalMinutes, nextRunAt}
+const schedules = new Map();
+
+/**
+ * Check a pull interval sent by a client
+ * @param {*} intervalMinutes - Minutes between pulls, or null to only pull on request
+ * @returns {string|null} Error message, or null when it is valid
+ */
+export function validatePullInterval(intervalMinutes) {
+  if (intervalMinutes === null) return null;
+  if (
+    !Number.isInteger(intervalMinutes) ||
+    intervalMinutes < MIN_PULL_INTERVAL_MINUTES ||
+    intervalMinutes > MAX_PULL_INTERVAL_MINUTES
+  ) {
+    return `intervalMinutes must be null or a whole number from ${MIN_PULL_INTERVAL_MINUTES} to ${MAX_PULL_INTERVAL_MINUTES}`;
+  }
+  return null;
+}
+
+/**
+ * Run `pull` every `intervalMinutes`, replacing the connection's previous schedule
+ * @param {string} connectionId - Stored connection id
+ * @param {number|null} intervalMinutes - Minutes between pulls; null to only pull on request
+ * @param {function(): Promise<void>} pull - Runs one pull; errors are logged
+ */
+export function schedulePulls(connectionId, intervalMinutes, pull) {
+  unschedulePulls(connectionId);
+  if (!intervalMinutes) return;
+
+  const intervalMs = intervalMinutes * 60 * 1000;
+  const timer = setInterval(() => {
+    const schedule = schedules.get(connectionId);
+    if (schedule) {
+      schedule.nextRunAt = Date.now() + intervalMs;
+    }
+    pull().catch(error => {
+      if (error instanceof CredentialsUnreadableError) {
+        // Retrying cannot help until the user connects again
+        console.warn(`Stopped the scheduled pulls of connection ${connectionId}: ${error.message}`);
+        unschedulePulls(connectionId);
+        return;
+      }
+      console.error(`Scheduled pull of connection ${connectionId} failed:`, error);
+    });
+  }, intervalMs);
+  schedules.set(connectionId, { timer, intervalMinutes, nextRunAt: Date.now() + intervalMs });
+}
+
+/**
+ * Stop the scheduled pulls of a connection
+ * @param {string} connectionId - Stored connection id
+ */
+export function unschedulePulls(connectionId) {
+  const schedule = schedules.get(connectionId);
+  if (schedule) {
+    clearInterval(schedule.timer);
+    schedules.delete(connectionId);
+  }
+}
+
+/**
+ * Get the pull schedule of a connection
+ * @param {string} connectionId - Stored connection id
+ * @returns {{intervalMinutes: number, nextRunAt: string}|null} null when it is only pulled on request
+ */
+export function getPullSchedule(connectionId) {
+  const schedule = schedules.get(connectionId);
+  return schedule
+    ? { intervalMinutes: schedule.intervalMinutes, nextRunAt: new Date(schedule.nextRunAt).toISOString() }
+    : null;
+}
@@ -0,0 +1,191 @@
+/**
+ * Retries with exponential backoff and a circuit breaker per ERP instance.
+ *
+ * Every transport call to an instance goes through callWithResilience. Reads are
+ * retried after transient failures (timeouts, unreachable server, HTTP 429/502/503/504)
+ * with full-jitter backoff. After ERP_CIRCUIT_FAILURE_THRESHOLD transient failures in a
+ * row the circuit opens and calls fail fast until the cooldown ends; the next call is
+ * then a trial. A failed trial opens the circuit again for twice as long (up to 8x).
+ */
+
+const MAX_COOLDOWN_FACTOR = 8;
+
+// Circuits keyed by "system|instance", e.g. "odoo|https://erp.example.com:443"
+const circuits = new Map();
+
+function resilienceSettings() {
+  const number = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && value >= 0 ? value : fallback;
+  };
+  return {
+    retries: number('ERP_RETRY_ATTEMPTS', 2),
+    baseDelayMs: number('ERP_RETRY_BASE_DELAY_MS', 500),
+    maxDelayMs: number('ERP_RETRY_MAX_DELAY_MS', 10000),
+    failureThreshold: Math.max(1, number('ERP_CIRCUIT_FAILURE_THRESHOLD', 5)),
+    cooldownMs: number('ERP_CIRCUIT_COOLDOWN_MS', 2 * 60 * 1000)
+  };
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): a random time up to baseDelay * 2^attempt
+ * ("full jitter"), so clients that failed together do not retry together
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getCircuit(system, instance) {
+  const key = `${system}|${instance}`;
+  if (!circuits.has(key)) {
+    circuits.set(key, {
+      system,
+      instance,
+      state: 'closed',
+      failures: 0,
+      cooldownFactor: 1,
+      openedAt: null,
+      retryAt: null,
+      trialInFlight: false,
+      lastError: null,
+      lastFailureAt: null
+    });
+  }
+  return circuits.get(key);
+}
+
+/**
+ * Public view of a circuit, without internal bookkeeping
+ */
+function describeCircuit(circuit) {
+  const { system, instance, state, failures, openedAt, retryAt, lastError, lastFailureAt } = circuit;
+  return {
+    system,
+    instance,
+    state,
+    failures,
+    openedAt: openedAt && new Date(openedAt).toISOString(),
+    retryAt: retryAt && new Date(retryAt).toISOString(),
+    lastError,
+    lastFailureAt: lastFailureAt && new Date(lastFailureAt).toISOString()
+  };
+}
+
+function recordSuccess(circuit) {
+  circuit.state = 'closed';
+  circuit.failures = 0;
+  circuit.cooldownFactor = 1;
+  circuit.openedAt = null;
+  circuit.retryAt = null;
+}
+
+/**
+ * Count a transient failure and open the circuit when the threshold is reached
+ * (or at once when the call was the trial of a half-open circuit)
+ */
+function recordFailure(circuit, error, settings) {
+  circuit.failures += 1;
+  circuit.lastError = error.message;
+  circuit.lastFailureAt = Date.now();
+
+  const trialFailed = circuit.state === 'half_open';
+  if (trialFailed || circuit.failures >= settings.failureThreshold) {
+    if (trialFailed) {
+      circuit.cooldownFactor = Math.min(circuit.cooldownFactor * 2, MAX_COOLDOWN_FACTOR);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    circuit.retryAt = Date.now() + settings.cooldownMs * circuit.cooldownFactor;
+    console.warn(`Circuit for ${circuit.system} ${circuit.instance} opened until ${new Date(circuit.retryAt).toISOString()}: ${error.message}`);
+  }
+}
+
+/**
+ * Format the time until a circuit is tried again, e.g. "45s" or "2m"
+ * @param {string|number} retryAt - ISO date or epoch ms
+ * @returns {string}
+ */
+export function formatRetryIn(retryAt) {
+  const seconds = Math.max(0, Math.ceil((new Date(retryAt).getTime() - Date.now()) / 1000));
+  return seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)}m`;
+}
+
+/**
+ * Run a transport call with retries and the instance's circuit breaker
+ * @param {Object} target
+ * @param {string} target.system - ERP system, e.g. odoo or erpnext
+ * @param {string} target.instance - Instance origin, e.g. https://erp.example.com:443
+ * @param {Function} call - Makes one attempt; returns a promise
+ * @param {Object} options
+ * @param {boolean} options.idempotent - Whether the call may be repeated (reads); others are tried once
+ * @param {Function} options.isTransient - Whether an error is worth retrying and counts against the circuit
+ * @param {Function} options.unavailableError - Builds the error thrown while the circuit is open, from the circuit state
+ * @returns {Promise<*>} What `call` resolves with
+ */
+export async function callWithResilience({ system, instance }, call, { idempotent, isTransient, unavailableError }) {
+  const settings = resilienceSettings();
+  const circuit = getCircuit(system, instance);
+
+  if (circuit.state !== 'closed') {
+    // One trial call at a time once the cooldown is over; everything else fails fast
+    if (Date.now() < circuit.retryAt || circuit.trialInFlight) {
+      throw unavailableError(describeCircuit(circuit));
+    }
+    circuit.state = 'half_open';
+  }
+
+  const isTrial = circuit.state === 'half_open';
+  if (isTrial) circuit.trialInFlight = true;
+
+  try {
+    const attempts = idempotent ? 1 + settings.retries : 1;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await call();
+        recordSuccess(circuit);
+        return result;
+      } catch (error) {
+        if (!isTransient(error)) {
+          // The instance answered, so it is available even though the call failed
+          recordSuccess(circuit);
+          throw error;
+        }
+
+        recordFailure(circuit, error, settings);
+        if (circuit.state === 'open') {
+          throw Object.assign(unavailableError(describeCircuit(circuit)), { cause: error });
+        }
+        if (attempt + 1 >= attempts) throw error;
+
+        const delay = backoffDelay(attempt, settings);
+        console.log(`${system} call to ${instance} failed (${error.message}), retry ${attempt + 1}/${settings.retries} in ${Math.round(delay)} ms`);
+        await sleep(delay);
+      }
+    }
+  } finally {
+    if (isTrial) circuit.trialInFlight = false;
+  }
+}
+
+/**
+ * Get the circuit state of an instance, or null when it was never called
+ * @param {string} system - ERP system, e.g. odoo
+ * @param {string} instance - Instance origin
+ * @returns {Object|null}
+ */
+export function getCircuitState(system, instance) {
+  const circuit = circuits.get(`${system}|${instance}`);
+  return circuit ? describeCircuit(circuit) : null;
+}
+
+/**
+ * List the circuits that are not closed, e.g. for the health check
+ * @returns {Array<Object>}
+ */
+export function listOpenCircuits() {
+  return [...circuits.values()].filter(circuit => circuit.state !== 'closed').map(describeCircuit);
+}
@@ -0,0 +1,206 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { callWithResilience, getCircuitState, listOpenCircuits, formatRetryIn } from './resilience.js';
+
+const SETTINGS = {
+  ERP_RETRY_ATTEMPTS: '2',
+  ERP_RETRY_BASE_DELAY_MS: '100',
+  ERP_RETRY_MAX_DELAY_MS: '10000',
+  ERP_CIRCUIT_FAILURE_THRESHOLD: '3',
+  ERP_CIRCUIT_COOLDOWN_MS: '60000'
+};
+
+let savedEnv;
+let instanceCount = 0;
+
+beforeEach(t => {
+  savedEnv = { ...process.env };
+  Object.assign(process.env, SETTINGS);
+
+  // Sleep without waiting, and remember how long each backoff would have been
+  t.delays = [];
+  t.mock.method(globalThis, 'setTimeout', (callback, ms) => {
+    t.delays.push(ms);
+    callback();
+  });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  process.env = savedEnv;
+});
+
+class TransientError extends Error {}
+
+const options = {
+  idempotent: true,
+  isTransient: error => error instanceof TransientError,
+  unavailableError: circuit => Object.assign(new Error('unavailable'), { circuit })
+};
+
+/**
+ * A target of its own per test, since circuits are kept per instance
+ */
+function newTarget() {
+  instanceCount += 1;
+  return { system: 'odoo', instance: `https://erp${instanceCount}.example.com:443` };
+}
+
+/**
+ * A call that fails with the given errors in turn, then resolves with "ok"
+ */
+function failingCall(...errors) {
+  const call = async () => {
+    call.count += 1;
+    if (errors.length > 0) throw errors.shift();
+    return 'ok';
+  };
+  call.count = 0;
+  return call;
+}
+
+test('callWithResilience retries transient failures of reads with growing full-jitter backoff', async t => {
+  t.mock.method(Math, 'random', () => 1);
+  const target = newTarget();
+  const call = failingCall(new TransientError('timeout'), new TransientError('timeout'));
+
+  assert.equal(await callWithResilience(target, call, options), 'ok');
+  assert.equal(call.count, 3);
+  assert.deepEqual(t.delays, [100, 200]);
+  assert.equal(getCircuitState(target.system, target.instance).state, 'closed');
+  assert.equal(getCircuitState(target.system, target.instance).failures, 0);
+});
+
+test('callWithResilience caps the backoff at ERP_RETRY_MAX_DELAY_MS and draws it at random below', async t => {
+  process.env.ERP_RETRY_ATTEMPTS = '4';
+  process.env.ERP_RETRY_MAX_DELAY_MS = '250';
+  process.env.ERP_CIRCUIT_FAILURE_THRESHOLD = '10';
+  t.mock.method(Math, 'random', () => 0.5);
+  const call = failingCall(...Array.from({ length: 4 }, () => new TransientError('timeout')));
+
+  assert.equal(await callWithResilience(newTarget(), call, options), 'ok');
+  assert.deepEqual(t.delays, [50, 100, 125, 125]);
+});
+
+test('callWithResilience gives up after ERP_RETRY_ATTEMPTS retries with the last error', async t => {
+  process.env.ERP_CIRCUIT_FAILURE_THRESHOLD = '10';
+  const target = newTarget();
+  const last = new TransientError('still down');
+  const call = failingCall(new TransientError('down'), new TransientError('down'), last);
+
+  await assert.rejects(callWithResilience(target, call, options), error => error === last);
+  assert.equal(call.count, 3);
+  assert.equal(t.delays.length, 2);
+});
+
+test('callWithResilience tries writes once', async t => {
+  const target = newTarget();
+  const call = failingCall(new TransientError('timeout'));
+
+  await assert.rejects(callWithResilience(target, call, { ...options, idempotent: false }), TransientError);
+  assert.equal(call.count, 1);
+  assert.deepEqual(t.delays, []);
+});
+
+test('callWithResilience does not retry or count errors the instance answered with', async () => {
+  const target = newTarget();
+  const call = failingCall(new Error('Access denied'));
+
+  await assert.rejects(callWithResilience(target, call, options), /Access denied/);
+  assert.equal(call.count, 1);
+  assert.equal(getCircuitState(target.system, target.instance).failures, 0);
+});
+
+test('callWithResilience opens the circuit after ERP_CIRCUIT_FAILURE_THRESHOLD failures in a row and fails fast', async t => {
+  const now = t.mock.method(Date, 'now', () => 1_000_000);
+  const target = newTarget();
+
+  const first = failingCall(...Array.from({ length: 3 }, () => new TransientError('timeout')));
+  await assert.rejects(callWithResilience(target, first, options), error => {
+    assert.equal(error.message, 'unavailable');
+    assert.ok(error.cause instanceof TransientError);
+    assert.equal(error.circuit.state, 'open');
+    return true;
+  });
+  assert.equal(first.count, 3);
+
+  const state = getCircuitState(target.system, target.instance);
+  assert.equal(state.state, 'open');
+  assert.equal(state.retryAt, new Date(1_000_000 + 60000).toISOString());
+  assert.ok(listOpenCircuits().some(circuit => circuit.instance === target.instance));
+
+  // During the cooldown nothing is called
+  now.mock.mockImplementation(() => 1_000_000 + 59999);
+  const blocked = failingCall();
+  await assert.rejects(callWithResilience(target, blocked, options), /unavailable/);
+  assert.equal(blocked.count, 0);
+});
+
+test('callWithResilience closes the circuit after a successful trial', async t => {
+  process.env.ERP_CIRCUIT_FAILURE_THRESHOLD = '1';
+  const now = t.mock.method(Date, 'now', () => 0);
+  const target = newTarget();
+
+  await assert.rejects(callWithResilience(target, failingCall(new TransientError('timeout')), options), /unavailable/);
+
+  now.mock.mockImplementation(() => 60000);
+  assert.equal(await callWithResilience(target, failingCall(), options), 'ok');
+  assert.equal(getCircuitState(target.system, target.instance).state, 'closed');
+  assert.ok(!listOpenCircuits().some(circuit => circuit.instance === target.instance));
+});
+
+test('callWithResilience doubles the cooldown after each failed trial, up to 8 times', async t => {
+  process.env.ERP_CIRCUIT_FAILURE_THRESHOLD = '1';
+  let time = 0;
+  t.mock.method(Date, 'now', () => time);
+  const target = newTarget();
+
+  await assert.rejects(callWithResilience(target, failingCall(new TransientError('timeout')), options), /unavailable/);
+
+  const cooldowns = [];
+  for (let trial = 0; trial < 5; trial++) {
+    time = new Date(getCircuitState(target.system, target.instance).retryAt).getTime();
+    const call = failingCall(new TransientError('timeout'));
+    await assert.rejects(callWithResilience(target, call, options), /unavailable/);
+    // A trial is a single attempt, not retried
+    assert.equal(call.count, 1);
+    cooldowns.push(new Date(getCircuitState(target.system, target.instance).retryAt).getTime() - time);
+  }
+  assert.deepEqual(cooldowns, [120000, 240000, 480000, 480000, 480000]);
+
+  // A success resets the cooldown
+  time = new Date(getCircuitState(target.system, target.instance).retryAt).getTime();
+  await callWithResilience(target, failingCall(), options);
+  await assert.rejects(callWithResilience(target, failingCall(new TransientError('timeout')), options), /unavailable/);
+  assert.equal(new Date(getCircuitState(target.system, target.instance).retryAt).getTime() - time, 60000);
+});
+
+test('callWithResilience lets one trial through at a time', async t => {
+  process.env.ERP_CIRCUIT_FAILURE_THRESHOLD = '1';
+  const now = t.mock.method(Date, 'now', () => 0);
+  const target = newTarget();
+
+  await assert.rejects(callWithResilience(target, failingCall(new TransientError('timeout')), options), /unavailable/);
+  now.mock.mockImplementation(() => 60000);
+
+  let finishTrial;
+  const trial = callWithResilience(target, () => new Promise(resolve => { finishTrial = resolve; }), options);
+  assert.equal(getCircuitState(target.system, target.instance).state, 'half_open');
+
+  const other = failingCall();
+  await assert.rejects(callWithResilience(target, other, options), /unavailable/);
+  assert.equal(other.count, 0);
+
+  finishTrial('ok');
+  assert.equal(await trial, 'ok');
+  assert.equal(getCircuitState(target.system, target.instance).state, 'closed');
+});
+
+test('formatRetryIn rounds up to seconds below a minute and to minutes above', t => {
+  t.mock.method(Date, 'now', () => 0);
+  assert.equal(formatRetryIn(45000), '45s');
+  assert.equal(formatRetryIn(1), '1s');
+  assert.equal(formatRetryIn(-5000), '0s');
+  assert.equal(formatRetryIn(new Date(90000).toISOString()), '2m');
+});
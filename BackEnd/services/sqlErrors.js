@@ -0,0 +1,91 @@
+/**
+ * Errors of SQL source connections
+ *
+ * Driver errors (pg, mysql2, better-sqlite3) are mapped to a machine-readable `code`
+ * and the HTTP `status` the API should answer with, like the Odoo errors in odooErrors.js.
+ */
+export class SqlError extends Error {
+  constructor(message, { code = 'SQL_ERROR', status = 502 } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Driver error codes of each failure, for PostgreSQL (SQLSTATE), MySQL and SQLite
+const DRIVER_ERROR_CODES = {
+  SQL_AUTH_FAILED: ['28P01', '28000', 'ER_ACCESS_DENIED_ERROR', 'ER_NOT_SUPPORTED_AUTH_MODE'],
+  SQL_DATABASE_NOT_FOUND: ['3D000', 'ER_BAD_DB_ERROR', 'SQLITE_CANTOPEN', 'SQLITE_NOTADB'],
+  SQL_ACCESS_DENIED: ['42501', 'ER_DBACCESS_DENIED_ERROR', 'ER_TABLEACCESS_DENIED_ERROR', 'ER_COLUMNACCESS_DENIED_ERROR', 'SQLITE_AUTH'],
+  SQL_TABLE_NOT_FOUND: ['42P01', 'ER_NO_SUCH_TABLE'],
+  SQL_COLUMN_NOT_FOUND: ['42703', 'ER_BAD_FIELD_ERROR'],
+  SQL_QUERY_REJECTED: ['25006', 'ER_CANT_EXECUTE_IN_READ_ONLY_TRANSACTION', 'SQLITE_READONLY'],
+  SQL_TIMEOUT: ['57014', 'ER_QUERY_TIMEOUT', 'PROTOCOL_SEQUENCE_TIMEOUT', 'ETIMEDOUT'],
+  SQL_UNREACHABLE: ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ECONNRESET']
+};
+
+// HTTP status of each failure, and a message that replaces the driver's where it is clearer
+const FAILURES = {
+  SQL_AUTH_FAILED: { status: 401, message: () => 'Invalid database user or password' },
+  SQL_DATABASE_NOT_FOUND: { status: 404 },
+  SQL_ACCESS_DENIED: { status: 403 },
+  SQL_TABLE_NOT_FOUND: { status: 404 },
+  SQL_COLUMN_NOT_FOUND: { status: 400 },
+  SQL_QUERY_REJECTED: { status: 400, message: error => `Only read-only queries are allowed (${error.message})` },
+  SQL_TIMEOUT: { status: 504, message: () => 'The database did not answer in time' },
+  SQL_UNREACHABLE: { status: 502, message: (error, driverCode) => `Database server could not be reached (${driverCode})` }
+};
+
+/**
+ * Map a driver error to a SqlError
+ * @param {Error} error - Error thrown by a driver, or a SqlError
+ * @returns {SqlError}
+ */
+export function toSqlError(error) {
+  if (error instanceof SqlError) {
+    return error;
+  }
+
+  // pg in extended mode and better-sqlite3 refuse strings with more than one statement
+  if (/multiple commands into a prepared statement|more than one statement/i.test(error?.message || '')) {
+    return new SqlError('source.query must be a single statement', { code: 'SQL_QUERY_REJECTED', status: 400 });
+  }
+
+  const driverCode = error?.code || error?.cause?.code;
+  let code = Object.keys(DRIVER_ERROR_CODES).find(name => DRIVER_ERROR_CODES[name].includes(driverCode));
+
+  // SQLite reports most problems as SQLITE_ERROR; tell them apart by message
+  if (!code && driverCode === 'SQLITE_ERROR') {
+    if (/no such table/i.test(error.message)) code = 'SQL_TABLE_NOT_FOUND';
+    else if (/no such column/i.test(error.message)) code = 'SQL_COLUMN_NOT_FOUND';
+  }
+
+  if (!code) {
+    // Syntax errors and the like (SQLSTATE class 42, ER_PARSE_ERROR, SQLITE_ERROR) are the query's fault
+    const queryFault = /^42/.test(driverCode) || driverCode === 'ER_PARSE_ERROR' || driverCode === 'SQLITE_ERROR';
+    return new SqlError(error?.message || 'Database request failed', {
+      code: queryFault ? 'SQL_QUERY_FAILED' : 'SQL_SERVER_ERROR',
+      status: queryFault ? 400 : 502
+    });
+  }
+
+  const { status, message } = FAILURES[code];
+  return new SqlError(message ? message(error, driverCode) : error.message, { code, status });
+}
+
+/**
+ * Turn an error into a failed service result
+ * @param {Error} error - Any error
+ * @param {string} fallbackMessage - Message when the error has none
+ * @returns {{success: false, error: string, code: string, status: number}}
+ */
+export function sqlFailure(error, fallbackMessage) {
+  const sqlError = toSqlError(error);
+  return {
+    success: false,
+    error: sqlError.message || fallbackMessage,
+    code: sqlError.code,
+    status: sqlError.status
+  };
+}
@@ -0,0 +1,433 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { dataDir } from './jsonStore.js';
+import { tlsRequestOptions } from './tlsSettings.js';
+import { SqlError, sqlFailure } from './sqlErrors.js';
+import { validateActivityMapping, toActivityRecords } from './activityMapping.js';
+
+/**
+ * Read-only access to SQL databases (PostgreSQL, MySQL/MariaDB, SQLite) that hold
+ * activity data such as meter readings or dispatch logs.
+ *
+ * Every statement runs in a read-only transaction (SQLite: a read-only file handle),
+ * so a query that slips past the SELECT check still cannot change data, and drivers
+ * run one statement per call, so a query cannot end the transaction and start another.
+ * Drivers are loaded when a dialect is first used.
+ */
+export const SQL_DIALECTS = ['postgres', 'mysql', 'sqlite'];
+
+const DEFAULT_PORTS = { postgres: 5432, mysql: 3306 };
+const CONNECT_TIMEOUT_MS = 10000;
+const QUERY_TIMEOUT_MS = 30000;
+export const MAX_PREVIEW_ROWS = 50;
+
+// PostgreSQL type OIDs of date, timestamp and timestamptz
+const PG_DATE_TIME_OIDS = [1082, 1114, 1184];
+
+/**
+ * Directory SQLite files are read from: SQL_SQLITE_DIR, or sqlite/ in the data directory.
+ * Read lazily so the value from .env is available.
+ * @returns {string}
+ */
+export function sqliteDir() {
+  return path.resolve(process.env.SQL_SQLITE_DIR || path.join(dataDir(), 'sqlite'));
+}
+
+/**
+ * Whether a resolved path lies below a directory
+ */
+function isInside(directory, file) {
+  const relative = path.relative(directory, file);
+  return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolve a stored SQLite filename to its real path, following symbolic links, and
+ * check that it is still inside the SQLite directory
+ * @param {string} filename - Path relative to the SQLite directory
+ * @returns {Promise<string>}
+ */
+async function resolveSqliteFile(filename) {
+  let directory;
+  let file;
+  try {
+    directory = await fs.realpath(sqliteDir());
+    file = await fs.realpath(path.resolve(sqliteDir(), filename));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    throw new SqlError('The SQLite file does not exist', { code: 'SQL_DATABASE_NOT_FOUND', status: 404 });
+  }
+  if (!isInside(directory, file)) {
+    throw new SqlError('The SQLite file is outside the SQLite directory (SQL_SQLITE_DIR)', { code: 'SQL_ACCESS_DENIED', status: 403 });
+  }
+  return file;
+}
+
+/**
+ * Dialect adapters. `open` connects and returns a client whose `query` runs one
+ * read-only statement and resolves with its column names and rows.
+ *
+ * Dates and timestamps are returned as the database prints them, not as Date objects,
+ * so the pull cursor can be sent back to the database unchanged.
+ */
+const DIALECTS = {
+  postgres: {
+    quote: name => `"${name.replace(/"/g, '""')}"`,
+    placeholder: index => `$${index}`,
+    versionSql: 'SELECT version() AS version',
+    tablesSql: `SELECT table_schema AS table_schema, table_name AS table_name, column_name AS column_name, data_type AS data_type
+      FROM information_schema.columns
+      WHERE table_schema NOT IN ('pg_catalog', 'information_schema')
+      ORDER BY table_schema, table_name, ordinal_position`,
+    async open({ host, port, database, user, password, ssl, tls }) {
+      const { default: pg } = await import('pg');
+      const client = new pg.Client({
+        host,
+        port,
+        database,
+        user,
+        password,
+        ssl: ssl ? tlsRequestOptions(tls) : false,
+        connectionTimeoutMillis: CONNECT_TIMEOUT_MS,
+        types: {
+          getTypeParser: (oid, format) => (PG_DATE_TIME_OIDS.includes(oid) ? value => value : pg.types.getTypeParser(oid, format))
+        }
+      });
+      // A dropped connection is reported by the next query; without a listener it would crash the process
+      client.on('error', error => console.warn('PostgreSQL connection error:', error.message));
+      await client.connect();
+
+      return {
+        async query(sql, params = []) {
+          await client.query('BEGIN TRANSACTION READ ONLY');
+          try {
+            await client.query(`SET LOCAL statement_timeout = ${QUERY_TIMEOUT_MS}`);
+            // The extended protocol rejects strings with more than one statement
+            const result = await client.query({ text: sql, values: params, queryMode: 'extended' });
+            return { columns: result.fields.map(field => field.name), rows: result.rows };
+          } finally {
+            await client.query('ROLLBACK').catch(() => {});
+          }
+        },
+        close: () => client.end()
+      };
+    }
+  },
+
+  mysql: {
+    quote: name => `\`${name.replace(/`/g, '``')}\``,
+    placeholder: () => '?',
+    versionSql: 'SELECT VERSION() AS version',
+    tablesSql: `SELECT table_schema AS table_schema, table_name AS table_name, column_name AS column_name, data_type AS data_type
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE()
+      ORDER BY table_name, ordinal_position`,
+    async open({ host, port, database, user, password, ssl, tls }) {
+      const { default: mysql } = await import('mysql2/promise');
+      const connection = await mysql.createConnection({
+        host,
+        port,
+        database,
+        user,
+        password,
+        ssl: ssl ? tlsRequestOptions(tls) : undefined,
+        connectTimeout: CONNECT_TIMEOUT_MS,
+        dateStrings: true,
+        multipleStatements: false
+      });
+
+      return {
+        async query(sql, params = []) {
+          await connection.query('START TRANSACTION READ ONLY');
+          try {
+            const [rows, fields] = await connection.query({ sql, values: params, timeout: QUERY_TIMEOUT_MS });
+            return { columns: fields.map(field => field.name), rows };
+          } finally {
+            await connection.query('ROLLBACK').catch(() => {});
+          }
+        },
+        close: () => connection.end()
+      };
+    }
+  },
+
+  sqlite: {
+    quote: name => `"${name.replace(/"/g, '""')}"`,
+    placeholder: () => '?',
+    versionSql: "SELECT 'SQLite ' || sqlite_version() AS version",
+    tablesSql: `SELECT NULL AS table_schema, m.name AS table_name, p.name AS column_name, p.type AS data_type
+      FROM sqlite_master m JOIN pragma_table_info(m.name) p
+      WHERE m.type IN ('table', 'view') AND m.name NOT LIKE 'sqlite_%'
+      ORDER BY m.name, p.cid`,
+    async open({ filename }) {
+      const { default: Database } = await import('better-sqlite3');
+      const db = new Database(await resolveSqliteFile(filename), { readonly: true, fileMustExist: true });
+
+      return {
+        async query(sql, params = []) {
+          // prepare() rejects strings with more than one statement
+          const statement = db.prepare(sql);
+          if (!statement.reader) {
+            throw new SqlError('Only queries that return rows are allowed', { code: 'SQL_QUERY_REJECTED', status: 400 });
+          }
+          const rows = statement.all(...params);
+          return { columns: statement.columns().map(column => column.name), rows };
+        },
+        close: async () => db.close()
+      };
+    }
+  }
+};
+
+/**
+ * Open a client, run `work` with it and close it again
+ */
+async function withSqlClient(connection, work) {
+  const client = await DIALECTS[connection.dialect].open(connection);
+  try {
+    return await work(client);
+  } finally {
+    await client.close().catch(error => console.warn('Closing SQL connection failed:', error.message));
+  }
+}
+
+/**
+ * Validate and normalize the connection fields of a request body. A SQLite filename
+ * is relative to the SQLite directory (see sqliteDir) and must not leave it.
+ * @param {Object} body - {dialect, host, port, database, user, password, ssl} or {dialect: 'sqlite', filename}
+ * @returns {{credentials?: Object, error?: string}}
+ */
+export function validateSqlCredentials({ dialect, host, port, database, user, password, ssl, filename }) {
+  if (!SQL_DIALECTS.includes(dialect)) {
+    return { error: `dialect must be one of: ${SQL_DIALECTS.join(', ')}` };
+  }
+
+  if (dialect === 'sqlite') {
+    if (!filename || typeof filename !== 'string') {
+      return { error: 'Missing required field: filename' };
+    }
+    const directory = sqliteDir();
+    const file = path.resolve(directory, filename);
+    if (!isInside(directory, file)) {
+      return { error: 'filename must be a file in the SQLite directory (SQL_SQLITE_DIR)' };
+    }
+    return { credentials: { dialect, filename: path.relative(directory, file) } };
+  }
+
+  if (!host || !database || !user) {
+    return { error: 'Missing required fields: host, database, user' };
+  }
+  const portNumber = port === undefined || port === null || port === '' ? DEFAULT_PORTS[dialect] : Number(port);
+  if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+    return { error: 'port must be a number between 1 and 65535' };
+  }
+
+  return {
+    credentials: { dialect, host, port: portNumber, database, user, password: password || '', ssl: Boolean(ssl) }
+  };
+}
+
+// Whitespace and comments before the first keyword of a query
+const LEADING_COMMENTS = /^(?:\s+|--[^\n]*(?:\n|$)|\/\*[\s\S]*?\*\/)*/;
+
+/**
+ * Remove a trailing semicolon from a query. Comments and literals are kept as they are.
+ */
+function trimQuery(query) {
+  return query.trim().replace(/;\s*$/, '');
+}
+
+/**
+ * Check a source before it is saved: either a table (or view) name, or a SELECT query.
+ * Queries of more than one statement are rejected by the drivers when they run.
+ * @param {Object} source - {table} or {query}
+ * @returns {string|null} Error message, or null when the source is valid
+ */
+export function validateSqlSource(source) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return 'source must be an object with a table or a query';
+  }
+  if (Boolean(source.table) === Boolean(source.query)) {
+    return 'source must have either a table or a query';
+  }
+
+  if (source.table) {
+    if (typeof source.table !== 'string' || source.table.split('.').length > 2) {
+      return 'source.table must be a table name, optionally prefixed with its schema';
+    }
+    return null;
+  }
+
+  if (typeof source.query !== 'string') {
+    return 'source.query must be a string';
+  }
+  if (!/^(select|with)\b/i.test(source.query.replace(LEADING_COMMENTS, ''))) {
+    return 'source.query must be a SELECT query';
+  }
+  return null;
+}
+
+/**
+ * Check a column mapping against the columns of the source. Unlike documents, rows have
+ * no key of their own, so the id column is required: it keeps separate rows with the same
+ * values apart and orders rows with the same timestamp when pulling.
+ * @param {Object} mapping - Column name per activity field; unit, activityType and site may be {value} instead
+ * @param {Array<string>} columns - Columns of the source
+ * @returns {string|null} Error message, or null when the mapping is valid
+ */
+export function validateSqlMapping(mapping, columns) {
+  if (mapping && typeof mapping === 'object' && !mapping.id) {
+    return 'mapping.id is required: map a column that identifies each row, such as the primary key';
+  }
+  return validateActivityMapping(mapping, 'column', (field, column) => (
+    columns.includes(column)
+      ? null
+      : `mapping.${field}: column "${column}" is not in the source (columns: ${columns.join(', ')})`
+  ));
+}
+
+/**
+ * FROM clause of a source, aliased as src
+ */
+function fromClause(dialect, source) {
+  const { quote } = DIALECTS[dialect];
+  if (source.table) {
+    return `${source.table.split('.').map(quote).join('.')} AS src`;
+  }
+  // On a new line, so a trailing -- comment does not end the subquery
+  return `(${trimQuery(source.query)}\n) AS src`;
+}
+
+/**
+ * Convert source rows into activity records (see toActivityRecords)
+ * @param {Array} rows - Source rows
+ * @param {Object} source - {table} or {query}
+ * @param {Object} mapping - Validated column mapping
+ * @returns {Array} Activity records; `writeDate` holds the raw timestamp used as pull cursor
+ */
+export function sqlRowsToActivityRecords(rows, source, mapping) {
+  return toActivityRecords(rows, {
+    source: 'sql',
+    sourceName: source.table || 'query',
+    mapping,
+    read: (row, column) => row[column]
+  });
+}
+
+/**
+ * Connect and read the server version
+ * @param {Object} connection - Validated credentials, plus `tls` settings for SSL connections
+ * @returns {Promise<{success: boolean, serverVersion?: string, error?: string, code?: string, status?: number}>}
+ */
+export async function testSqlConnection(connection) {
+  try {
+    const { rows } = await withSqlClient(connection, client => client.query(DIALECTS[connection.dialect].versionSql));
+    return { success: true, serverVersion: String(rows[0]?.version || '') };
+  } catch (error) {
+    console.error('SQL connection error:', error.message);
+    return sqlFailure(error, 'Failed to connect to the database');
+  }
+}
+
+/**
+ * List the tables and views the user can see, with their columns, for the table picker
+ * @param {Object} connection - Stored connection
+ * @returns {Promise<{success: boolean, tables?: Array<{name: string, columns: Array<{name: string, type: string}>}>, error?: string, code?: string, status?: number}>}
+ */
+export async function listSqlTables(connection) {
+  try {
+    const { rows } = await withSqlClient(connection, client => client.query(DIALECTS[connection.dialect].tablesSql));
+
+    const tables = new Map();
+    for (const row of rows) {
+      const schema = row.table_schema;
+      // Tables of the default schema are listed without it
+      const name = schema && schema !== 'public' && connection.dialect === 'postgres'
+        ? `${schema}.${row.table_name}`
+        : row.table_name;
+      if (!tables.has(name)) tables.set(name, { name, columns: [] });
+      tables.get(name).columns.push({ name: row.column_name, type: row.data_type });
+    }
+
+    return { success: true, tables: [...tables.values()] };
+  } catch (error) {
+    console.error('List SQL tables error:', error.message);
+    return sqlFailure(error, 'Failed to list tables');
+  }
+}
+
+/**
+ * Read the first rows of a source
+ * @param {Object} connection - Stored connection
+ * @param {Object} source - Validated {table} or {query}
+ * @param {Object} options
+ * @param {number} options.limit - Rows to read, at most MAX_PREVIEW_ROWS
+ * @returns {Promise<{success: boolean, columns?: Array<string>, rows?: Array, error?: string, code?: string, status?: number}>}
+ */
+export async function previewSqlSource(connection, source, { limit = 20 } = {}) {
+  try {
+    const rowLimit = Math.min(Math.max(1, Number(limit) || 20), MAX_PREVIEW_ROWS);
+    const { columns, rows } = await withSqlClient(connection, client =>
+      client.query(`SELECT * FROM ${fromClause(connection.dialect, source)} LIMIT ${rowLimit}`)
+    );
+    return { success: true, columns, rows };
+  } catch (error) {
+    console.error('SQL preview error:', error.message);
+    return sqlFailure(error, 'Failed to read the source');
+  }
+}
+
+/**
+ * A column value as a query parameter. BigInts are passed as text, which every driver
+ * takes and the database casts to the column's type without losing digits.
+ */
+function parameterValue(value) {
+  return typeof value === 'bigint' ? String(value) : value;
+}
+
+/**
+ * Read one batch of source rows, ordered by timestamp and id, and convert them into
+ * activity records. The first batch of a pull starts at the `since` timestamp; each
+ * following one starts right after the `after` position of the batch before, so rows
+ * that are inserted or change while paging do not shift the pages.
+ * @param {Object} connection - Stored connection
+ * @param {Object} source - Validated {table} or {query}
+ * @param {Object} mapping - Validated column mapping, with its id column
+ * @param {Object} options
+ * @param {string|number|null} options.since - Raw timestamp of the last pulled row; null for all rows
+ * @param {{timestamp: *, id: *}|null} options.after - Position of the last row of the previous batch
+ * @param {number} options.limit - Batch size
+ * @returns {Promise<{success: boolean, records?: Array, cursor?: {timestamp: *, id: *}|null, error?: string, code?: string, status?: number}>}
+ */
+export async function fetchSqlActivityBatch(connection, source, mapping, { since = null, after = null, limit = 500 }) {
+  try {
+    const { quote, placeholder } = DIALECTS[connection.dialect];
+    const timestamp = `src.${quote(mapping.timestamp)}`;
+    const id = `src.${quote(mapping.id)}`;
+
+    let where = '';
+    let params = [];
+    if (after) {
+      where = `WHERE ${timestamp} > ${placeholder(1)} OR (${timestamp} = ${placeholder(2)} AND ${id} > ${placeholder(3)})`;
+      params = [after.timestamp, after.timestamp, after.id];
+    } else if (since !== null && since !== undefined) {
+      where = `WHERE ${timestamp} >= ${placeholder(1)}`;
+      params = [since];
+    }
+
+    const { rows } = await withSqlClient(connection, client => client.query(
+      `SELECT * FROM ${fromClause(connection.dialect, source)} ${where} ORDER BY ${timestamp}, ${id} LIMIT ${Number(limit)}`,
+      params
+    ));
+
+    const records = sqlRowsToActivityRecords(rows, source, mapping);
+    const last = rows[rows.length - 1];
+    const cursor = last
+      ? { timestamp: records[records.length - 1].writeDate, id: parameterValue(last[mapping.id]) }
+      : null;
+    return { success: true, records, cursor };
+  } catch (error) {
+    console.error('SQL pull error:', error.message);
+    return sqlFailure(error, 'Failed to read the source');
+  }
+}
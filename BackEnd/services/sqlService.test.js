@@ -0,0 +1,163 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import {
+  validateSqlCredentials,
+  validateSqlSource,
+  validateSqlMapping,
+  testSqlConnection,
+  previewSqlSource,
+  fetchSqlActivityBatch,
+  sqliteDir
+} from './sqlService.js';
+
+let sqliteDirectory;
+let outsideFile;
+let previousSqliteDir;
+
+before(async () => {
+  previousSqliteDir = process.env.SQL_SQLITE_DIR;
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'netzero-sql-'));
+  sqliteDirectory = path.join(root, 'sqlite');
+  await fs.mkdir(path.join(sqliteDirectory, 'plant'), { recursive: true });
+  process.env.SQL_SQLITE_DIR = sqliteDirectory;
+
+  const db = new Database(path.join(sqliteDirectory, 'plant', 'meters.db'));
+  db.exec('CREATE TABLE readings (id INTEGER PRIMARY KEY, ts TEXT, kwh REAL)');
+  db.close();
+
+  outsideFile = path.join(root, 'secrets.db');
+  new Database(outsideFile).close();
+});
+
+after(async () => {
+  if (previousSqliteDir === undefined) delete process.env.SQL_SQLITE_DIR;
+  else process.env.SQL_SQLITE_DIR = previousSqliteDir;
+  await fs.rm(path.dirname(sqliteDirectory), { recursive: true, force: true });
+});
+
+test('validateSqlCredentials keeps SQLite filenames relative to the SQLite directory', () => {
+  assert.equal(sqliteDir(), sqliteDirectory);
+  assert.deepEqual(validateSqlCredentials({ dialect: 'sqlite', filename: 'plant/meters.db' }), {
+    credentials: { dialect: 'sqlite', filename: path.join('plant', 'meters.db') }
+  });
+  assert.deepEqual(
+    validateSqlCredentials({ dialect: 'sqlite', filename: path.join(sqliteDirectory, 'plant', '..', 'plant', 'meters.db') }),
+    { credentials: { dialect: 'sqlite', filename: path.join('plant', 'meters.db') } }
+  );
+});
+
+test('validateSqlCredentials rejects SQLite filenames outside the SQLite directory', () => {
+  for (const filename of ['../secrets.db', 'plant/../../secrets.db', outsideFile, '/etc/passwd', '.', '..']) {
+    assert.equal(
+      validateSqlCredentials({ dialect: 'sqlite', filename }).error,
+      'filename must be a file in the SQLite directory (SQL_SQLITE_DIR)',
+      filename
+    );
+  }
+  assert.equal(validateSqlCredentials({ dialect: 'sqlite', filename: 42 }).error, 'Missing required field: filename');
+});
+
+test('SQLite files are opened only when their real path is inside the SQLite directory', async () => {
+  const opened = await testSqlConnection({ dialect: 'sqlite', filename: 'plant/meters.db' });
+  assert.equal(opened.success, true);
+  assert.match(opened.serverVersion, /^SQLite /);
+
+  // A link inside the directory does not lead out of it
+  await fs.symlink(outsideFile, path.join(sqliteDirectory, 'link.db'));
+  const linked = await testSqlConnection({ dialect: 'sqlite', filename: 'link.db' });
+  assert.equal(linked.code, 'SQL_ACCESS_DENIED');
+  assert.equal(linked.status, 403);
+
+  // Nor does a path stored before the directory was enforced
+  assert.equal((await testSqlConnection({ dialect: 'sqlite', filename: outsideFile })).code, 'SQL_ACCESS_DENIED');
+
+  const missing = await testSqlConnection({ dialect: 'sqlite', filename: 'plant/missing.db' });
+  assert.equal(missing.code, 'SQL_DATABASE_NOT_FOUND');
+  assert.equal(missing.status, 404);
+});
+
+test('validateSqlSource accepts SELECT queries after leading comments and leaves literals alone', () => {
+  for (const query of [
+    "select ';' as s",
+    "SELECT '--' AS a, '/* b */' AS b;",
+    '-- meter readings\n/* all plants */ WITH r AS (SELECT 1 AS n) SELECT * FROM r'
+  ]) {
+    assert.equal(validateSqlSource({ query }), null, query);
+  }
+  for (const query of ['delete from readings', '-- select\ndelete from readings', "/* select */ update readings set kwh = 0"]) {
+    assert.equal(validateSqlSource({ query }), 'source.query must be a SELECT query', query);
+  }
+});
+
+test('Queries keep their literals and run as a single statement', async t => {
+  t.mock.method(console, 'error', () => {});
+  const connection = { dialect: 'sqlite', filename: 'plant/meters.db' };
+
+  const preview = await previewSqlSource(connection, { query: "select ';' as s, '--x' as a, '/* y */' as b -- trailing comment" });
+  assert.equal(preview.success, true);
+  assert.deepEqual(preview.rows, [{ s: ';', a: '--x', b: '/* y */' }]);
+
+  // Inside the subquery a second statement is a syntax error
+  const nested = await previewSqlSource(connection, { query: 'select 1; delete from readings' });
+  assert.equal(nested.code, 'SQL_QUERY_FAILED');
+  assert.equal(nested.status, 400);
+
+  // Closing the subquery early leaves more than one statement, which the driver refuses
+  const escaped = await previewSqlSource(connection, { query: 'select 1) AS src; delete from readings; select * from (select 1' });
+  assert.equal(escaped.code, 'SQL_QUERY_REJECTED');
+  assert.equal(escaped.error, 'source.query must be a single statement');
+  assert.equal(escaped.status, 400);
+});
+
+const readingMapping = {
+  timestamp: 'ts',
+  quantity: 'kwh',
+  unit: { value: 'kWh' },
+  activityType: { value: 'electricity' },
+  id: 'id'
+};
+
+test('validateSqlMapping requires an id column', () => {
+  const { id, ...withoutId } = readingMapping;
+  assert.equal(
+    validateSqlMapping(withoutId, ['id', 'ts', 'kwh']),
+    'mapping.id is required: map a column that identifies each row, such as the primary key'
+  );
+  assert.equal(validateSqlMapping({ ...withoutId, id }, ['id', 'ts', 'kwh']), null);
+});
+
+test('fetchSqlActivityBatch pages by timestamp and id, so rows that change during a pull are not skipped', async t => {
+  t.mock.method(console, 'error', () => {});
+  const db = new Database(path.join(sqliteDirectory, 'plant', 'paging.db'));
+  t.after(() => db.close());
+  db.exec('CREATE TABLE readings (id INTEGER PRIMARY KEY, ts TEXT, kwh REAL)');
+  const insert = db.prepare('INSERT INTO readings (id, ts, kwh) VALUES (?, ?, ?)');
+  for (const [id, ts] of [[1, '2024-05-01 10:00:00'], [2, '2024-05-01 10:00:00'], [3, '2024-05-01 10:00:00'], [4, '2024-05-01 10:15:00'], [5, '2024-05-01 10:15:00']]) {
+    insert.run(id, ts, 1.5);
+  }
+
+  const connection = { dialect: 'sqlite', filename: 'plant/paging.db' };
+  const source = { table: 'readings' };
+  const fetchPage = after => fetchSqlActivityBatch(connection, source, readingMapping, { since: '2024-05-01 10:00:00', after, limit: 2 });
+  const ids = page => page.records.map(record => record.id);
+
+  const first = await fetchPage(null);
+  assert.deepEqual(ids(first), ['sql:readings:1', 'sql:readings:2']);
+  assert.deepEqual(first.cursor, { timestamp: '2024-05-01 10:00:00', id: 2 });
+
+  // Row 1 is corrected after the first page; by offset, row 3 would now be skipped
+  db.prepare('UPDATE readings SET ts = ? WHERE id = 1').run('2024-05-01 10:30:00');
+
+  const second = await fetchPage(first.cursor);
+  assert.deepEqual(ids(second), ['sql:readings:3', 'sql:readings:4']);
+  const third = await fetchPage(second.cursor);
+  assert.deepEqual(ids(third), ['sql:readings:5', 'sql:readings:1']);
+
+  // Rows with the same values stay separate records
+  assert.equal(second.records[0].reference, 'readings #3');
+  assert.equal(new Set([...first.records, ...second.records].map(record => record.id)).size, 4);
+});
@@ -0,0 +1,147 @@
+import { getConnection, listConnections } from './credentialVault.js';
+import { fetchSqlActivityBatch } from './sqlService.js';
+import { getWatermark, saveWatermark, upsertSyncedRecords, saveSyncRun } from './syncStore.js';
+import { schedulePulls, unschedulePulls } from './pullSchedules.js';
+
+// Model name of the activity records pulled from a SQL source, in the sync store
+export const SQL_ACTIVITY_MODEL = 'activity';
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// Pulls in progress, by connection id
+const runningPulls = new Set();
+
+/**
+ * Build the connection of a stored SQL profile: its credentials plus TLS settings
+ * @param {{credentials: Object, settings: Object}} profile - As returned by getConnection
+ * @returns {Object}
+ */
+export function sqlConnectionFromProfile(profile) {
+  return { ...profile.credentials, tls: profile.settings.tls };
+}
+
+/**
+ * Pull the rows of a SQL source added or changed since the last pull and upsert them
+ * as activity records into the sync store.
+ *
+ * Rows are read in timestamp order from the watermark (the timestamp of the last row
+ * pulled) on, so rows inserted later with an older timestamp are not picked up. Within
+ * a pull, batches are paged by timestamp and id, never by offset, so rows inserted or
+ * changed during the pull are neither skipped nor read twice. The watermark advances
+ * after every batch; rows at the watermark itself are read again by the next pull but
+ * not counted as unchanged. The outcome, failed or not, is saved as the last run.
+ * @param {string} connectionId - Stored connection id
+ * @param {Object} connection - Connection, see sqlConnectionFromProfile
+ * @param {{source: Object, mapping: Object}} settings - The connection's source and column mapping
+ * @param {Object} options
+ * @param {number} options.batchSize - Rows per query
+ * @returns {Promise<{success: boolean, since?: string|number|null, watermark?: string|number|null, fetched?: number, added?: number, updated?: number, unchanged?: number, startedAt?: string, finishedAt?: string, error?: string, code?: string, status?: number}>}
+ */
+export async function pullSqlSource(connectionId, connection, { source, mapping }, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  // Mappings saved before an id column was required cannot be paged
+  if (!mapping.id) {
+    return {
+      success: false,
+      error: 'Map the id column of the source before pulling',
+      code: 'SQL_SOURCE_NOT_CONFIGURED',
+      status: 400
+    };
+  }
+
+  if (runningPulls.has(connectionId)) {
+    return {
+      success: false,
+      error: 'A pull is already running for this connection',
+      code: 'SYNC_IN_PROGRESS',
+      status: 409
+    };
+  }
+
+  runningPulls.add(connectionId);
+  const startedAt = new Date().toISOString();
+  try {
+    const since = await getWatermark(connectionId, SQL_ACTIVITY_MODEL);
+    const totals = { fetched: 0, added: 0, updated: 0, unchanged: 0 };
+
+    for (let after = null; ;) {
+      const result = await fetchSqlActivityBatch(connection, source, mapping, { since, after, limit: batchSize });
+      if (!result.success) {
+        await saveSyncRun(connectionId, SQL_ACTIVITY_MODEL, {
+          since,
+          ...totals,
+          error: result.error,
+          code: result.code,
+          startedAt,
+          finishedAt: new Date().toISOString()
+        });
+        return result;
+      }
+
+      const counts = await upsertSyncedRecords(connectionId, SQL_ACTIVITY_MODEL, result.records, { advanceWatermark: false, since });
+      if (result.cursor !== null) {
+        await saveWatermark(connectionId, SQL_ACTIVITY_MODEL, result.cursor.timestamp);
+      }
+      totals.fetched += result.records.length;
+      for (const name of ['added', 'updated', 'unchanged']) {
+        totals[name] += counts[name];
+      }
+
+      if (result.records.length < batchSize) break;
+      after = result.cursor;
+    }
+
+    const summary = {
+      since,
+      watermark: await getWatermark(connectionId, SQL_ACTIVITY_MODEL),
+      ...totals,
+      startedAt,
+      finishedAt: new Date().toISOString()
+    };
+    await saveSyncRun(connectionId, SQL_ACTIVITY_MODEL, summary);
+
+    return { success: true, ...summary };
+  } finally {
+    runningPulls.delete(connectionId);
+  }
+}
+
+/**
+ * Pull a stored connection's source on its schedule
+ */
+async function runScheduledPull(connectionId) {
+  const profile = await getConnection(connectionId, 'sql');
+  if (!profile?.settings.source) {
+    unschedulePulls(connectionId);
+    return;
+  }
+
+  const result = await pullSqlSource(connectionId, sqlConnectionFromProfile(profile), profile.settings);
+  if (!result.success && result.code !== 'SYNC_IN_PROGRESS') {
+    console.warn(`Scheduled SQL pull of connection ${connectionId} failed: ${result.error}`);
+  }
+}
+
+/**
+ * Pull a connection's source every `intervalMinutes`, replacing its previous schedule
+ * @param {string} connectionId - Stored connection id
+ * @param {number|null} intervalMinutes - Minutes between pulls; null to only pull on request
+ */
+export function scheduleSqlPulls(connectionId, intervalMinutes) {
+  schedulePulls(connectionId, intervalMinutes, () => runScheduledPull(connectionId));
+}
+
+/**
+ * Schedule the pulls of every stored SQL connection, at server start
+ * @returns {Promise<number>} Number of scheduled connections
+ */
+export async function startSqlSchedules() {
+  const connections = await listConnections('sql');
+  let scheduled = 0;
+  for (const { id, settings } of connections) {
+    if (settings.source && settings.intervalMinutes) {
+      scheduleSqlPulls(id, settings.intervalMinutes);
+      scheduled += 1;
+    }
+  }
+  return scheduled;
+}
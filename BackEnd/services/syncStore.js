@@ -0,0 +1,175 @@
+import { createJsonStore } from './jsonStore.js';
+
+/**
+ * Synced records, one file per connection.
+ *
+ * For every model the document keeps the write_date watermark of the newest change
+ * seen, a summary of the last run and the records keyed by id. SQL sources store their
+ * activity records under one model, with the pull cursor as watermark.
+ */
+const stores = new Map();
+
+function storeFor(connectionId) {
+  if (!stores.has(connectionId)) {
+    stores.set(connectionId, createJsonStore(`sync-${connectionId}`, () => ({ models: {} })));
+  }
+  return stores.get(connectionId);
+}
+
+function modelState(document, model) {
+  if (!document.models[model]) {
+    document.models[model] = { watermark: null, lastRun: null, records: {} };
+  }
+  return document.models[model];
+}
+
+/**
+ * Get the write_date watermark of a model
+ * @returns {Promise<string|null>}
+ */
+export async function getWatermark(connectionId, model) {
+  const document = await storeFor(connectionId).read();
+  return document.models[model]?.watermark || null;
+}
+
+/**
+ * Set the watermark of a model, for sources that track it themselves
+ * @param {string} connectionId - Connection the records were read from
+ * @param {string} model - Model name
+ * @param {string|number} watermark - New watermark
+ */
+export function saveWatermark(connectionId, model, watermark) {
+  return storeFor(connectionId).update(document => {
+    modelState(document, model).watermark = watermark;
+  });
+}
+
+/**
+ * Insert or update a batch of formatted records and advance the watermark.
+ * Records need `id`, `state` and `writeDate`.
+ * @param {string} connectionId - Connection the records were read from
+ * @param {string} model - Odoo model name
+ * @param {Array} records - Formatted records
+ * @param {Object} options
+ * @param {string} options.cancelledState - State value of cancelled records
+ * @param {boolean} options.advanceWatermark - False for records that were not read in
+ *   write_date order (backfills), which must not move the incremental sync forward
+ * @param {string|number|null} options.since - Watermark the records were read from, inclusive.
+ *   Unchanged records at it were already stored by the previous run and are not counted.
+ * @returns {Promise<{added: number, updated: number, cancelled: number, unchanged: number}>}
+ */
+export function upsertSyncedRecords(connectionId, model, records, { cancelledState = 'cancel', advanceWatermark = true, since = null } = {}) {
+  return storeFor(connectionId).update(document => {
+    const state = modelState(document, model);
+    const counts = { added: 0, updated: 0, cancelled: 0, unchanged: 0 };
+
+    for (const record of records) {
+      const existing = state.records[record.id];
+
+      if (existing && existing.writeDate === record.writeDate) {
+        if (since === null || record.writeDate !== since) counts.unchanged += 1;
+      } else if (record.state === cancelledState && existing?.state !== cancelledState) {
+        counts.cancelled += 1;
+      } else if (existing) {
+        counts.updated += 1;
+      } else {
+        counts.added += 1;
+      }
+
+      state.records[record.id] = record;
+      if (advanceWatermark && record.writeDate && (!state.watermark || record.writeDate > state.watermark)) {
+        state.watermark = record.writeDate;
+      }
+    }
+
+    return counts;
+  });
+}
+
+/**
+ * Add totals to the stored records with the same id, for sources that sum readings
+ * over periods as they arrive. Records need `id` and a numeric `quantity`; the tags
+ * named in `countTags` are added up too, and the other fields of the newest batch win.
+ * @param {string} connectionId - Connection the readings were received from
+ * @param {string} model - Model name
+ * @param {Array} records - Totals since the previous batch
+ * @param {Object} options
+ * @param {Array<string>} options.countTags - Numeric tags to add up, e.g. the number of readings
+ * @returns {Promise<{added: number, updated: number}>}
+ */
+export function addToSyncedRecords(connectionId, model, records, { countTags = ['readings'] } = {}) {
+  return storeFor(connectionId).update(document => {
+    const state = modelState(document, model);
+    const counts = { added: 0, updated: 0 };
+
+    for (const record of records) {
+      const existing = state.records[record.id];
+      if (existing) {
+        counts.updated += 1;
+        const tags = { ...record.tags };
+        for (const tag of countTags) {
+          if (existing.tags[tag] !== undefined || record.tags[tag] !== undefined) {
+            tags[tag] = (existing.tags[tag] || 0) + (record.tags[tag] || 0);
+          }
+        }
+        // Rounded to the micro-unit, so repeated additions do not collect float noise
+        state.records[record.id] = {
+          ...record,
+          quantity: Math.round((existing.quantity + record.quantity) * 1e6) / 1e6,
+          tags
+        };
+      } else {
+        counts.added += 1;
+        state.records[record.id] = record;
+      }
+    }
+
+    return counts;
+  });
+}
+
+/**
+ * Store the summary of a finished sync run
+ */
+export function saveSyncRun(connectionId, model, summary) {
+  return storeFor(connectionId).update(document => {
+    modelState(document, model).lastRun = summary;
+  });
+}
+
+/**
+ * Get the sync status of every synced model of a connection
+ * @returns {Promise<Array<{model: string, watermark: string|null, lastRun: Object|null, recordCount: number}>>}
+ */
+export async function getSyncStatus(connectionId) {
+  const document = await storeFor(connectionId).read();
+  return Object.entries(document.models).map(([model, state]) => ({
+    model,
+    watermark: state.watermark,
+    lastRun: state.lastRun,
+    recordCount: Object.keys(state.records).length
+  }));
+}
+
+/**
+ * List synced records of a model, newest first by `date`
+ * @returns {Promise<{records: Array, count: number}>}
+ */
+export async function listSyncedRecords(connectionId, model, { limit = 100, offset = 0 } = {}) {
+  const document = await storeFor(connectionId).read();
+  const records = Object.values(document.models[model]?.records || {})
+    .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')) || b.id - a.id);
+
+  return {
+    records: records.slice(offset, offset + limit),
+    count: records.length
+  };
+}
+
+/**
+ * Delete all synced data of a connection
+ */
+export async function deleteSyncData(connectionId) {
+  await storeFor(connectionId).remove();
+  stores.delete(connectionId);
+}
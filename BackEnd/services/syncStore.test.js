@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { upsertSyncedRecords, addToSyncedRecords, listSyncedRecords, getWatermark, getSyncStatus, deleteSyncData } from './syncStore.js';
+
+let dataDir;
+let previousDataDir;
+
+before(async () => {
+  previousDataDir = process.env.DATA_DIR;
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'netzero-sync-'));
+  process.env.DATA_DIR = dataDir;
+});
+
+after(async () => {
+  if (previousDataDir === undefined) delete process.env.DATA_DIR;
+  else process.env.DATA_DIR = previousDataDir;
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const order = (id, writeDate, state = 'sale') => ({ id, writeDate, state });
+
+test('upsertSyncedRecords counts added, updated, cancelled and unchanged records', async t => {
+  const connectionId = 'counts';
+  t.after(() => deleteSyncData(connectionId));
+
+  assert.deepEqual(
+    await upsertSyncedRecords(connectionId, 'sale.order', [order(1, '2024-01-01 10:00:00'), order(2, '2024-01-02 10:00:00')]),
+    { added: 2, updated: 0, cancelled: 0, unchanged: 0 }
+  );
+
+  assert.deepEqual(
+    await upsertSyncedRecords(connectionId, 'sale.order', [
+      order(1, '2024-01-01 10:00:00'),
+      order(2, '2024-01-03 09:00:00'),
+      order(3, '2024-01-03 10:00:00', 'cancel')
+    ]),
+    { added: 0, updated: 1, cancelled: 1, unchanged: 1 }
+  );
+
+  // Cancelling a stored record counts once; changing it again while cancelled is an update
+  assert.deepEqual(
+    await upsertSyncedRecords(connectionId, 'sale.order', [order(1, '2024-01-04 10:00:00', 'cancel'), order(3, '2024-01-04 11:00:00', 'cancel')]),
+    { added: 0, updated: 1, cancelled: 1, unchanged: 0 }
+  );
+
+  const [status] = await getSyncStatus(connectionId);
+  assert.equal(status.recordCount, 3);
+  assert.equal(status.watermark, '2024-01-04 11:00:00');
+});
+
+test('upsertSyncedRecords does not count the record at the watermark it was read from', async t => {
+  const connectionId = 'overlap';
+  t.after(() => deleteSyncData(connectionId));
+
+  await upsertSyncedRecords(connectionId, 'sale.order', [order(1, '2024-01-01 10:00:00'), order(2, '2024-01-02 10:00:00')]);
+  const since = await getWatermark(connectionId, 'sale.order');
+  assert.equal(since, '2024-01-02 10:00:00');
+
+  // A quiet source returns only the record at the watermark again
+  assert.deepEqual(
+    await upsertSyncedRecords(connectionId, 'sale.order', [order(2, '2024-01-02 10:00:00')], { since }),
+    { added: 0, updated: 0, cancelled: 0, unchanged: 0 }
+  );
+
+  // Records at the watermark that changed, or are new, are still counted
+  assert.deepEqual(
+    await upsertSyncedRecords(connectionId, 'sale.order', [order(2, '2024-01-02 10:00:00'), order(4, '2024-01-02 10:00:00')], { since }),
+    { added: 1, updated: 0, cancelled: 0, unchanged: 0 }
+  );
+
+  // Without a watermark every unchanged record counts
+  assert.deepEqual(
+    await upsertSyncedRecords(connectionId, 'sale.order', [order(1, '2024-01-01 10:00:00'), order(2, '2024-01-02 10:00:00')]),
+    { added: 0, updated: 0, cancelled: 0, unchanged: 2 }
+  );
+});
+
+test('upsertSyncedRecords keeps the watermark when asked to', async t => {
+  const connectionId = 'backfill';
+  t.after(() => deleteSyncData(connectionId));
+
+  await upsertSyncedRecords(connectionId, 'sale.order', [order(1, '2024-01-05 10:00:00')]);
+  const counts = await upsertSyncedRecords(connectionId, 'sale.order', [order(2, '2024-02-01 10:00:00')], { advanceWatermark: false });
+
+  assert.deepEqual(counts, { added: 1, updated: 0, cancelled: 0, unchanged: 0 });
+  assert.equal(await getWatermark(connectionId, 'sale.order'), '2024-01-05 10:00:00');
+});
+
+test('addToSyncedRecords adds quantities and reading counts to stored totals', async t => {
+  const connectionId = 'totals';
+  t.after(() => deleteSyncData(connectionId));
+  const total = (quantity, readings, topic) => ({ id: 'mqtt:a:2024-05-01T10:00:00.000Z', quantity, date: '2024-05-01T10:00:00.000Z', tags: { topic, readings } });
+
+  assert.deepEqual(await addToSyncedRecords(connectionId, 'activity', [total(1.5, 2, 'plant/a/energy')]), { added: 1, updated: 0 });
+  assert.deepEqual(await addToSyncedRecords(connectionId, 'activity', [total(2, 1, 'plant/a/energy2')]), { added: 0, updated: 1 });
+
+  const { records } = await listSyncedRecords(connectionId, 'activity');
+  assert.deepEqual(records, [total(3.5, 3, 'plant/a/energy2')]);
+});
+
+test('addToSyncedRecords adds up the named count tags, also when only one side has them', async t => {
+  const connectionId = 'count-tags';
+  t.after(() => deleteSyncData(connectionId));
+  const options = { countTags: ['readings', 'counterResets'] };
+  const total = (quantity, tags) => ({ id: 'modbus:import:2024-05-01T10:00:00.000Z', quantity, tags });
+
+  await addToSyncedRecords(connectionId, 'activity', [total(0.1, { readings: 1 })], options);
+  await addToSyncedRecords(connectionId, 'activity', [total(0, { readings: 1, counterResets: 1 })], options);
+  await addToSyncedRecords(connectionId, 'activity', [total(0.2, { readings: 1, meterReadingKWh: 12.3 })], options);
+
+  const { records } = await listSyncedRecords(connectionId, 'activity');
+  assert.deepEqual(records, [total(0.3, { readings: 3, counterResets: 1, meterReadingKWh: 12.3 })]);
+});
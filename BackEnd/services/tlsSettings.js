@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import https from 'https';
+import tls from 'tls';
+import { createJsonStore } from './jsonStore.js';
+
+/**
+ * Per-connection TLS settings: certificate verification (on by default), an optional
+ * CA bundle for servers with a certificate from an internal PKI, and an explicit
+ * opt-out of verification. Every opt-out is written to an audit trail.
+ */
+const auditStore = createJsonStore('tls-audit', () => ({ events: [] }));
+
+const MAX_AUDIT_EVENTS = 1000;
+
+export const DEFAULT_TLS_SETTINGS = Object.freeze({ verify: true, caCertificate: null, insecureReason: null });
+
+// Node error codes of failed TLS handshakes and certificate checks
+const TLS_ERROR_CODES = [
+  'CERT_HAS_EXPIRED',
+  'CERT_NOT_YET_VALID',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_GET_ISSUER_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'ERR_TLS_CERT_ALTNAME_INVALID',
+  'EPROTO'
+];
+
+// HTTPS agents keyed by a hash of their settings, so connections keep their sockets alive
+const agents = new Map();
+
+/**
+ * Whether a Node error code means the TLS handshake or certificate check failed
+ * @param {string} code - `error.code`
+ * @returns {boolean}
+ */
+export function isTlsErrorCode(code) {
+  return TLS_ERROR_CODES.includes(code) || String(code || '').startsWith('ERR_SSL');
+}
+
+/**
+ * Split a PEM bundle into its certificates
+ * @param {string} pem - One or more PEM certificates
+ * @returns {Array<string>}
+ */
+function splitPemBundle(pem) {
+  return pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+}
+
+/**
+ * Check TLS settings before they are saved. Turning verification off takes a reason
+ * and `confirmInsecure: true`, so it cannot happen through a body that only sets `verify`.
+ * @param {Object} settings - {verify, caCertificate, insecureReason, confirmInsecure} as sent by the client
+ * @returns {string|null} Error message, or null when the settings are valid
+ */
+export function validateTlsSettings(settings) {
+  if (settings === undefined || settings === null) return null;
+
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'tls must be an object';
+  }
+  if (settings.verify !== undefined && typeof settings.verify !== 'boolean') {
+    return 'tls.verify must be true or false';
+  }
+  if (settings.verify === false && (typeof settings.insecureReason !== 'string' || !settings.insecureReason.trim())) {
+    return 'tls.insecureReason is required to turn off certificate verification';
+  }
+  if (settings.verify === false && settings.confirmInsecure !== true) {
+    return 'tls.confirmInsecure must be true to turn off certificate verification';
+  }
+
+  if (settings.caCertificate) {
+    if (typeof settings.caCertificate !== 'string') {
+      return 'tls.caCertificate must be a PEM string';
+    }
+    const certificates = splitPemBundle(settings.caCertificate);
+    if (certificates.length === 0) {
+      return 'tls.caCertificate must contain at least one PEM certificate (-----BEGIN CERTIFICATE-----)';
+    }
+    for (const [index, pem] of certificates.entries()) {
+      try {
+        new crypto.X509Certificate(pem);
+      } catch {
+        return `tls.caCertificate: certificate ${index + 1} could not be parsed`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill in defaults and drop unknown keys
+ * @param {Object} settings - Validated settings
+ * @returns {{verify: boolean, caCertificate: string|null, insecureReason: string|null}}
+ */
+export function normalizeTlsSettings(settings) {
+  const verify = settings?.verify !== false;
+  return {
+    verify,
+    caCertificate: settings?.caCertificate ? splitPemBundle(settings.caCertificate).join('\n') : null,
+    insecureReason: verify ? null : settings.insecureReason.trim()
+  };
+}
+
+/**
+ * Options for https.request / tls.connect. A custom CA bundle is trusted in addition
+ * to the public root certificates, not instead of them.
+ * @param {Object} settings - Stored TLS settings, or undefined for the defaults
+ * @returns {{rejectUnauthorized: boolean, ca?: Array<string>}}
+ */
+export function tlsRequestOptions(settings = DEFAULT_TLS_SETTINGS) {
+  const options = { rejectUnauthorized: settings.verify !== false };
+  if (settings.caCertificate) {
+    options.ca = [...tls.rootCertificates, ...splitPemBundle(settings.caCertificate)];
+  }
+  return options;
+}
+
+/**
+ * Get the HTTPS agent for TLS settings, for axios' `httpsAgent`
+ * @param {Object} settings - Stored TLS settings, or undefined for the defaults
+ * @returns {https.Agent}
+ */
+export function httpsAgentFor(settings = DEFAULT_TLS_SETTINGS) {
+  const key = crypto.createHash('sha256')
+    .update(JSON.stringify([settings.verify !== false, settings.caCertificate || null]))
+    .digest('hex');
+
+  if (!agents.has(key)) {
+    agents.set(key, new https.Agent({ keepAlive: true, ...tlsRequestOptions(settings) }));
+  }
+  return agents.get(key);
+}
+
+/**
+ * Summarize TLS settings for API responses: the CA bundle is reduced to its certificates' subjects
+ * @param {Object} settings - Stored TLS settings
+ * @returns {{verify: boolean, insecureReason: string|null, caCertificates: Array<{subject: string, validTo: string, fingerprint: string}>}}
+ */
+export function describeTlsSettings(settings = DEFAULT_TLS_SETTINGS) {
+  return {
+    verify: settings.verify !== false,
+    insecureReason: settings.insecureReason || null,
+    caCertificates: splitPemBundle(settings.caCertificate || '').map(pem => {
+      const certificate = new crypto.X509Certificate(pem);
+      return {
+        subject: certificate.subject.replace(/\n/g, ', '),
+        validTo: certificate.validTo,
+        fingerprint: certificate.fingerprint256
+      };
+    })
+  };
+}
+
+/**
+ * Record a change of a connection's TLS settings. Turning verification off is also logged,
+ * since it exposes the connection's credentials to anyone who can intercept its traffic.
+ * @param {Object} event
+ * @param {string} event.connectionId - Stored connection id
+ * @param {string} event.type - Connection type, e.g. odoo or erpnext
+ * @param {string} event.url - Server URL
+ * @param {Object} event.settings - The new settings
+ * @param {string} event.actor - Who made the change, e.g. the client IP
+ */
+export async function recordTlsChange({ connectionId, type, url, settings, actor }) {
+  const event = {
+    at: new Date().toISOString(),
+    connectionId,
+    type,
+    url,
+    verify: settings.verify,
+    insecureReason: settings.insecureReason,
+    caCertificates: describeTlsSettings(settings).caCertificates.map(certificate => certificate.fingerprint),
+    actor: actor || null
+  };
+
+  if (!settings.verify) {
+    console.warn(`TLS verification turned off for ${type} connection ${connectionId} (${url}) by ${actor || 'unknown'}: ${settings.insecureReason}`);
+  }
+
+  await auditStore.update(document => {
+    document.events.push(event);
+    document.events = document.events.slice(-MAX_AUDIT_EVENTS);
+  });
+  return event;
+}
+
+/**
+ * List the TLS changes of a connection, newest first
+ * @param {string} connectionId - Stored connection id
+ * @returns {Promise<Array>}
+ */
+export async function listTlsChanges(connectionId) {
+  const document = await auditStore.read();
+  return document.events.filter(event => event.connectionId === connectionId).reverse();
+}
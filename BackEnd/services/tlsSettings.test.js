@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import tls from 'tls';
+import {
+  validateTlsSettings,
+  normalizeTlsSettings,
+  tlsRequestOptions,
+  describeTlsSettings,
+  recordTlsChange,
+  listTlsChanges
+} from './tlsSettings.js';
+
+let dataDir;
+let previousDataDir;
+
+before(async () => {
+  previousDataDir = process.env.DATA_DIR;
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'netzero-tls-'));
+  process.env.DATA_DIR = dataDir;
+});
+
+after(async () => {
+  if (previousDataDir === undefined) delete process.env.DATA_DIR;
+  else process.env.DATA_DIR = previousDataDir;
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+// Any well-formed certificate will do as a CA bundle; Node ships the public roots
+const caCertificate = tls.rootCertificates[0];
+
+test('validateTlsSettings accepts no settings, verification on and a PEM CA bundle', () => {
+  for (const settings of [undefined, null, {}, { verify: true }, { caCertificate }, { caCertificate: `${caCertificate}\n${tls.rootCertificates[1]}` }]) {
+    assert.equal(validateTlsSettings(settings), null);
+  }
+});
+
+test('validateTlsSettings refuses verify:false without a reason and confirmInsecure', () => {
+  assert.equal(
+    validateTlsSettings({ verify: false, confirmInsecure: true }),
+    'tls.insecureReason is required to turn off certificate verification'
+  );
+  assert.equal(
+    validateTlsSettings({ verify: false, insecureReason: '   ', confirmInsecure: true }),
+    'tls.insecureReason is required to turn off certificate verification'
+  );
+  assert.equal(
+    validateTlsSettings({ verify: false, insecureReason: 'Lab server with a self-signed certificate' }),
+    'tls.confirmInsecure must be true to turn off certificate verification'
+  );
+  assert.equal(
+    validateTlsSettings({ verify: false, insecureReason: 'Lab server with a self-signed certificate', confirmInsecure: 'true' }),
+    'tls.confirmInsecure must be true to turn off certificate verification'
+  );
+  assert.equal(
+    validateTlsSettings({ verify: false, insecureReason: 'Lab server with a self-signed certificate', confirmInsecure: true }),
+    null
+  );
+});
+
+test('validateTlsSettings rejects malformed settings and CA bundles', () => {
+  assert.equal(validateTlsSettings('off'), 'tls must be an object');
+  assert.equal(validateTlsSettings([]), 'tls must be an object');
+  assert.equal(validateTlsSettings({ verify: 'false' }), 'tls.verify must be true or false');
+  assert.equal(validateTlsSettings({ caCertificate: 42 }), 'tls.caCertificate must be a PEM string');
+  assert.equal(
+    validateTlsSettings({ caCertificate: 'not a certificate' }),
+    'tls.caCertificate must contain at least one PEM certificate (-----BEGIN CERTIFICATE-----)'
+  );
+  assert.equal(
+    validateTlsSettings({ caCertificate: '-----BEGIN CERTIFICATE-----\nAAAA\n-----END CERTIFICATE-----' }),
+    'tls.caCertificate: certificate 1 could not be parsed'
+  );
+});
+
+test('normalizeTlsSettings keeps only the stored fields', () => {
+  assert.deepEqual(normalizeTlsSettings(undefined), { verify: true, caCertificate: null, insecureReason: null });
+  assert.deepEqual(
+    normalizeTlsSettings({ verify: false, insecureReason: '  Lab server  ', confirmInsecure: true, extra: 1 }),
+    { verify: false, caCertificate: null, insecureReason: 'Lab server' }
+  );
+  // A reason only applies while verification is off
+  assert.deepEqual(
+    normalizeTlsSettings({ verify: true, insecureReason: 'ignored', caCertificate: `comment\n${caCertificate}` }),
+    { verify: true, caCertificate: caCertificate.trim(), insecureReason: null }
+  );
+});
+
+test('tlsRequestOptions trusts a CA bundle in addition to the public roots', () => {
+  assert.deepEqual(tlsRequestOptions(), { rejectUnauthorized: true });
+  assert.deepEqual(tlsRequestOptions({ verify: false, caCertificate: null }), { rejectUnauthorized: false });
+
+  const { ca } = tlsRequestOptions({ verify: true, caCertificate });
+  assert.equal(ca.length, tls.rootCertificates.length + 1);
+});
+
+test('recordTlsChange audits every change and logs turning verification off', async t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const connectionId = 'a0c6a2a4-0bd9-4c2e-9b7e-3f0c2c8f5d11';
+
+  await recordTlsChange({
+    connectionId,
+    type: 'odoo',
+    url: 'https://odoo.example.com',
+    settings: normalizeTlsSettings({ caCertificate }),
+    actor: '10.0.0.5'
+  });
+  assert.equal(warn.mock.callCount(), 0);
+
+  await recordTlsChange({
+    connectionId,
+    type: 'odoo',
+    url: 'https://odoo.example.com',
+    settings: normalizeTlsSettings({ verify: false, insecureReason: 'Lab server', confirmInsecure: true }),
+    actor: '10.0.0.5'
+  });
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /TLS verification turned off .* by 10\.0\.0\.5: Lab server/);
+
+  const [latest, first] = await listTlsChanges(connectionId);
+  assert.equal(latest.verify, false);
+  assert.equal(latest.insecureReason, 'Lab server');
+  assert.equal(latest.actor, '10.0.0.5');
+  assert.deepEqual(first.caCertificates, describeTlsSettings({ caCertificate }).caCertificates.map(certificate => certificate.fingerprint));
+  assert.deepEqual(await listTlsChanges('another-connection'), []);
+});
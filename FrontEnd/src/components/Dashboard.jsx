@@ -9,8 +9,16 @@ import {
   X,
   RefreshCw,
   BarChart3,
+  AlertTriangle,
 } from "lucide-react";
 import Navbar from "./Navbar";
+import SqlConnectorForm from "./SqlConnectorForm";
+import MongoConnectorForm from "./MongoConnectorForm";
+import IotConnectorTabs from "./IotConnectorTabs";
+import { TlsSettingsFields } from "@/components/ui/tls-settings-fields";
+import { DiagnosticsChecklist } from "@/components/ui/diagnostics-checklist";
+import { API_BASE_URL, ERROR_HINTS, apiError } from "@/utils/api";
+import { DEFAULT_TLS_FORM, tlsPayload } from "@/utils/connectorForms";
 import {
   LineChart,
   Line,
@@ -22,7 +30,13 @@ import {
   ResponsiveContainer,
 } from "recharts";
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:5002";
+/**
+ * Time until a date as "45s" or "2m"
+ */
+const formatRetryIn = (retryAt, now) => {
+  const seconds = Math.max(0, Math.ceil((new Date(retryAt).getTime() - now) / 1000));
+  return seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)}m`;
+};
 
 const Dashboard = () => {
   const { currentUser, assignAvatar, loading } = useAuth();
@@ -41,13 +55,29 @@ const Dashboard = () => {
     dbName: "",
   });
   const [connectionLoading, setConnectionLoading] = React.useState(false);
+  const [odooDatabases, setOdooDatabases] = React.useState(null);
+  const [databaseLookupLoading, setDatabaseLookupLoading] = React.useState(false);
+  const [tlsForm, setTlsForm] = React.useState(DEFAULT_TLS_FORM);
   const [connectionError, setConnectionError] = React.useState("");
+  const [diagnostics, setDiagnostics] = React.useState(null);
+  const [diagnosticsLoading, setDiagnosticsLoading] = React.useState(false);
   const [connectionData, setConnectionData] = React.useState(null);
   const [salesData, setSalesData] = React.useState(null);
   const [salesLoading, setSalesLoading] = React.useState(false);
-  const [odooCredentials, setOdooCredentials] = React.useState(null);
+  const [syncSummary, setSyncSummary] = React.useState(null);
+  const [odooRetryAt, setOdooRetryAt] = React.useState(null);
+  const [retryClock, setRetryClock] = React.useState(Date.now());
+  const [backfillJob, setBackfillJob] = React.useState(null);
+  const [backfillDateFrom, setBackfillDateFrom] = React.useState("");
+  const [backfillError, setBackfillError] = React.useState("");
+  const [companies, setCompanies] = React.useState([]);
+  const [companyScope, setCompanyScope] = React.useState([]);
+  const [companyError, setCompanyError] = React.useState("");
+  const [odooConnectionId, setOdooConnectionId] = React.useState(null);
   const [isAnalysisModalOpen, setIsAnalysisModalOpen] = React.useState(false);
   const [co2Data, setCo2Data] = React.useState([]);
+  const [emissionSummary, setEmissionSummary] = React.useState(null);
+  const [emissionLoading, setEmissionLoading] = React.useState(false);
 
   const userInitial = React.useMemo(() => {
     const source = currentUser?.displayName || currentUser?.email || "";
@@ -60,22 +90,40 @@ const Dashboard = () => {
     setAvatarError(false);
   }, [currentUser?.photoURL]);
 
-  const fetchSalesData = React.useCallback(async (credentials = null) => {
-    const creds = credentials || odooCredentials;
-    if (!creds) return;
+  // Sync changed sales orders into the backend store, then read them from there
+  const fetchSalesData = React.useCallback(async (connectionId = null) => {
+    const id = connectionId || odooConnectionId;
+    if (!id) return;
 
     setSalesLoading(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/odoo/sales`, {
+      const syncResponse = await fetch(`${API_BASE_URL}/api/odoo/sync`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
         body: JSON.stringify({
-          url: creds.url,
-          dbName: creds.dbName,
-          username: creds.username,
-          password: creds.password,
+          connectionId: id,
+          models: ["sale.order"],
+        }),
+      });
+
+      const syncData = await syncResponse.json();
+
+      if (!syncResponse.ok || !syncData.success) {
+        throw apiError(syncData, "Failed to sync sales data");
+      }
+
+      setSyncSummary(syncData.results[0]);
+
+      const response = await fetch(`${API_BASE_URL}/api/odoo/sync/records`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          connectionId: id,
+          model: "sale.order",
           limit: 100,
           offset: 0,
         }),
@@ -83,31 +131,43 @@ const Dashboard = () => {
 
       const data = await response.json();
 
-      if (!response.ok) {
-        throw new Error(data.error || "Failed to fetch sales data");
+      if (!response.ok || !data.success) {
+        throw apiError(data, "Failed to fetch sales data");
       }
 
-      if (data.success) {
-        setSalesData(data);
-        
-        // Save sales data to localStorage
-        if (currentUser) {
-          localStorage.setItem(`odoo_sales_${currentUser.uid}`, JSON.stringify(data));
-        }
-      } else {
-        throw new Error(data.error || "Failed to fetch sales data");
-      }
+      setSalesData(data);
+      setOdooRetryAt(null);
     } catch (error) {
       console.error("Fetch sales error:", error);
-      // Don't set connection error here, just log it
+      // Don't set connection error here; an unavailable Odoo is shown as a banner
+      if (error.code === "ODOO_UNAVAILABLE") {
+        setOdooRetryAt(error.retryAt);
+      }
     } finally {
       setSalesLoading(false);
     }
-  }, [currentUser, odooCredentials]);
+  }, [odooConnectionId]);
 
-  // Function to reconnect to Odoo with saved credentials
-  const reconnectOdoo = React.useCallback(async (credentials) => {
-    if (!credentials) return;
+  const clearSavedOdooConnection = React.useCallback(() => {
+    if (currentUser) {
+      localStorage.removeItem(`odoo_connection_id_${currentUser.uid}`);
+      localStorage.removeItem(`odoo_connection_${currentUser.uid}`);
+    }
+    setOdooConnectionId(null);
+    setConnectionData(null);
+    setSalesData(null);
+    setSyncSummary(null);
+    setBackfillJob(null);
+    setBackfillError("");
+    setCompanies([]);
+    setCompanyScope([]);
+    setCompanyError("");
+    setOdooRetryAt(null);
+  }, [currentUser]);
+
+  // Function to reconnect to Odoo with the saved connection id
+  const reconnectOdoo = React.useCallback(async (connectionId) => {
+    if (!connectionId) return;
 
     try {
       // Test connection
@@ -116,12 +176,7 @@ const Dashboard = () => {
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({
-          url: credentials.url,
-          dbName: credentials.dbName,
-          username: credentials.username,
-          password: credentials.password,
-        }),
+        body: JSON.stringify({ connectionId }),
       });
 
       const data = await response.json();
@@ -133,47 +188,186 @@ const Dashboard = () => {
           localStorage.setItem(`odoo_connection_${currentUser.uid}`, JSON.stringify(data));
         }
         // Fetch fresh sales data
-        await fetchSalesData(credentials);
+        await fetchSalesData(connectionId);
+      } else if (data.code === "ODOO_UNAVAILABLE") {
+        // Odoo is down for now; keep the connection and try again when the backend does
+        setOdooRetryAt(data.retryAt);
       } else {
-        // Connection failed, clear saved credentials
-        if (currentUser) {
-          localStorage.removeItem(`odoo_credentials_${currentUser.uid}`);
-          localStorage.removeItem(`odoo_connection_${currentUser.uid}`);
-          localStorage.removeItem(`odoo_sales_${currentUser.uid}`);
-        }
-        setOdooCredentials(null);
-        setConnectionData(null);
-        setSalesData(null);
+        // Connection failed or was removed on the server, clear the saved connection
+        clearSavedOdooConnection();
       }
     } catch (error) {
       console.error("Error reconnecting to Odoo:", error);
-      // Don't clear credentials on network errors, might be temporary
+      // Don't clear the connection on network errors, might be temporary
     }
-  }, [currentUser, fetchSalesData]);
+  }, [currentUser, fetchSalesData, clearSavedOdooConnection]);
+
+  // Function to disconnect and delete the stored connection profile
+  const disconnectOdoo = async () => {
+    if (odooConnectionId) {
+      try {
+        await fetch(
+          `${API_BASE_URL}/api/odoo/connections/${encodeURIComponent(odooConnectionId)}`,
+          { method: "DELETE" }
+        );
+      } catch (error) {
+        console.error("Error deleting Odoo connection:", error);
+      }
+    }
+    clearSavedOdooConnection();
+  };
 
-  // Function to disconnect and clear saved credentials
-  const disconnectOdoo = () => {
-    if (currentUser) {
-      localStorage.removeItem(`odoo_credentials_${currentUser.uid}`);
-      localStorage.removeItem(`odoo_connection_${currentUser.uid}`);
-      localStorage.removeItem(`odoo_sales_${currentUser.uid}`);
+  // Count down while Odoo is unavailable, then sync again
+  React.useEffect(() => {
+    if (!odooRetryAt) return undefined;
+
+    setRetryClock(Date.now());
+    const timer = setInterval(() => {
+      setRetryClock(Date.now());
+      if (Date.now() >= new Date(odooRetryAt).getTime()) {
+        setOdooRetryAt(null);
+        fetchSalesData();
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [odooRetryAt, fetchSalesData]);
+
+  // Call one of the backfill endpoints and keep the returned job
+  const callBackfill = React.useCallback(async (path, body = {}) => {
+    if (!odooConnectionId) return;
+
+    setBackfillError("");
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/odoo/backfill${path}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ connectionId: odooConnectionId, ...body }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw apiError(data, "Backfill request failed");
+      }
+
+      setBackfillJob(data.job || data.jobs?.[0] || null);
+    } catch (error) {
+      console.error("Backfill error:", error);
+      setBackfillError(error.message);
+    }
+  }, [odooConnectionId]);
+
+  const backfillActive =
+    backfillJob?.status === "queued" || backfillJob?.status === "running";
+
+  // Show the latest backfill of the connection, and poll it while it runs
+  React.useEffect(() => {
+    if (odooConnectionId) {
+      callBackfill("/status");
+    }
+  }, [odooConnectionId, callBackfill]);
+
+  React.useEffect(() => {
+    if (!backfillActive) return undefined;
+
+    const timer = setInterval(() => callBackfill("/status"), 2000);
+    return () => clearInterval(timer);
+  }, [backfillActive, callBackfill]);
+
+  // Reload the synced orders once a backfill finishes
+  const backfillStatus = backfillJob?.status;
+  const previousBackfillStatus = React.useRef(backfillStatus);
+  React.useEffect(() => {
+    if (previousBackfillStatus.current === "running" && backfillStatus === "completed") {
+      fetchSalesData();
+    }
+    previousBackfillStatus.current = backfillStatus;
+  }, [backfillStatus, fetchSalesData]);
+
+  // Load the companies of the Odoo database and the ones this connection is scoped to
+  React.useEffect(() => {
+    if (!odooConnectionId) return;
+
+    const loadCompanies = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/odoo/companies`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ connectionId: odooConnectionId }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw apiError(data, "Failed to load companies");
+        }
+
+        setCompanies(data.data);
+        setCompanyScope(data.companyIds);
+      } catch (error) {
+        console.error("Load companies error:", error);
+        setCompanyError(error.message);
+      }
+    };
+
+    loadCompanies();
+  }, [odooConnectionId]);
+
+  const toggleCompany = (companyId) => {
+    setCompanyScope((scope) =>
+      scope.includes(companyId)
+        ? scope.filter((id) => id !== companyId)
+        : [...scope, companyId]
+    );
+  };
+
+  // Save the company scope; the backend drops data synced for the old scope, so sync again
+  const saveCompanyScope = async () => {
+    setCompanyError("");
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/odoo/companies/scope`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          connectionId: odooConnectionId,
+          companyIds: companyScope,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw apiError(data, "Failed to save companies");
+      }
+
+      setCompanyScope(data.companyIds);
+      setBackfillJob(null);
+      await fetchSalesData();
+    } catch (error) {
+      console.error("Save company scope error:", error);
+      setCompanyError(error.message);
     }
-    setOdooCredentials(null);
-    setConnectionData(null);
-    setSalesData(null);
   };
 
-  // Load saved credentials and connection data from localStorage on mount
+  // Load the saved connection id and connection data from localStorage on mount
   React.useEffect(() => {
     if (currentUser) {
-      const savedCredentials = localStorage.getItem(`odoo_credentials_${currentUser.uid}`);
+      // Credentials and sales orders used to be kept in the browser; drop them if still present
+      localStorage.removeItem(`odoo_credentials_${currentUser.uid}`);
+      localStorage.removeItem(`odoo_sales_${currentUser.uid}`);
+
+      const savedConnectionId = localStorage.getItem(`odoo_connection_id_${currentUser.uid}`);
       const savedConnectionData = localStorage.getItem(`odoo_connection_${currentUser.uid}`);
-      const savedSalesData = localStorage.getItem(`odoo_sales_${currentUser.uid}`);
 
-      if (savedCredentials) {
+      if (savedConnectionId) {
         try {
-          const credentials = JSON.parse(savedCredentials);
-          setOdooCredentials(credentials);
+          setOdooConnectionId(savedConnectionId);
           
           // Restore connection data if available
           if (savedConnectionData) {
@@ -181,22 +375,13 @@ const Dashboard = () => {
             setConnectionData(connection);
           }
 
-          // Restore sales data if available
-          if (savedSalesData) {
-            const sales = JSON.parse(savedSalesData);
-            setSalesData(sales);
-          }
-
-          // Automatically reconnect and fetch fresh data
-          if (credentials) {
-            reconnectOdoo(credentials);
-          }
+          // Automatically reconnect and sync fresh data
+          reconnectOdoo(savedConnectionId);
         } catch (error) {
-          console.error("Error loading saved credentials:", error);
+          console.error("Error loading saved connection:", error);
           // Clear corrupted data
-          localStorage.removeItem(`odoo_credentials_${currentUser.uid}`);
+          localStorage.removeItem(`odoo_connection_id_${currentUser.uid}`);
           localStorage.removeItem(`odoo_connection_${currentUser.uid}`);
-          localStorage.removeItem(`odoo_sales_${currentUser.uid}`);
         }
       }
     }
@@ -214,6 +399,7 @@ const Dashboard = () => {
       password: "",
       dbName: "",
     });
+    setTlsForm(DEFAULT_TLS_FORM);
     setIsConnectModalOpen(true);
   };
 
@@ -230,7 +416,9 @@ const Dashboard = () => {
       password: "",
       dbName: "",
     });
+    setTlsForm(DEFAULT_TLS_FORM);
     setConnectionError("");
+    setDiagnostics(null);
     // Don't clear connectionData and salesData - keep them for dashboard display
     setConnectionLoading(false);
   };
@@ -247,7 +435,9 @@ const Dashboard = () => {
       password: "",
       dbName: "",
     });
+    setTlsForm(DEFAULT_TLS_FORM);
     setConnectionError("");
+    setDiagnostics(null);
     setConnectionData(null);
   };
 
@@ -268,7 +458,9 @@ const Dashboard = () => {
       password: "",
       dbName: "",
     });
+    setTlsForm(DEFAULT_TLS_FORM);
     setConnectionError("");
+    setDiagnostics(null);
     setConnectionData(null);
   };
 
@@ -282,7 +474,9 @@ const Dashboard = () => {
       password: "",
       dbName: "",
     });
+    setTlsForm(DEFAULT_TLS_FORM);
     setConnectionError("");
+    setDiagnostics(null);
     setConnectionData(null);
   };
 
@@ -291,12 +485,108 @@ const Dashboard = () => {
       ...prev,
       [field]: e.target.value,
     }));
+    // Databases found for another URL no longer apply
+    if (field === "url") {
+      setOdooDatabases(null);
+    }
+  };
+
+  // Ask the Odoo server for its databases so the name does not have to be typed
+  const lookupOdooDatabases = async () => {
+    setDatabaseLookupLoading(true);
+    setConnectionError("");
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/odoo/databases`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          url: apiFormData.url,
+          tls: tlsPayload(tlsForm),
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw apiError(data, "Failed to list databases");
+      }
+
+      setOdooDatabases(data);
+      if (data.databases.length === 1) {
+        setApiFormData((prev) => ({ ...prev, dbName: data.databases[0] }));
+      }
+    } catch (error) {
+      console.error("Database lookup error:", error);
+      const hint = ERROR_HINTS[error.code];
+      setConnectionError(`${error.message}${hint ? `\n${hint}` : ""}`);
+    } finally {
+      setDatabaseLookupLoading(false);
+    }
+  };
+
+  // Test the connection stage by stage to find out why connecting failed
+  const runConnectionDiagnostics = async () => {
+    setDiagnosticsLoading(true);
+    setDiagnostics(null);
+    try {
+      const isOdoo = selectedErpSystem === "ODOO";
+      const body = isOdoo
+        ? {
+            url: apiFormData.url,
+            dbName: apiFormData.dbName,
+            username: apiFormData.username,
+            password: apiFormData.password,
+            tls: tlsPayload(tlsForm),
+          }
+        : {
+            url: apiFormData.url,
+            ...(selectedApiMethod === "USER_PASS"
+              ? {
+                  username: apiFormData.username,
+                  password: apiFormData.password,
+                }
+              : { secret: `${apiFormData.apiKey}:${apiFormData.secret}` }),
+            connectionMethod: selectedApiMethod,
+            tls: tlsPayload(tlsForm),
+          };
+
+      const response = await fetch(
+        `${API_BASE_URL}/api/${isOdoo ? "odoo" : "erp"}/diagnostics`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(body),
+        }
+      );
+
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw apiError(data, "Failed to run diagnostics");
+      }
+
+      setDiagnostics(data);
+    } catch (error) {
+      console.error("Diagnostics error:", error);
+      setConnectionError(
+        error.message === "Failed to fetch"
+          ? `Cannot reach the backend server at ${API_BASE_URL}`
+          : error.message
+      );
+    } finally {
+      setDiagnosticsLoading(false);
+    }
   };
 
   const handleApiConnect = async (e) => {
     e.preventDefault();
     setConnectionLoading(true);
     setConnectionError("");
+    setDiagnostics(null);
     setConnectionData(null);
     setSalesData(null);
 
@@ -327,34 +617,39 @@ const Dashboard = () => {
             dbName: apiFormData.dbName,
             username: apiFormData.username,
             password: apiFormData.password,
+            tls: tlsPayload(tlsForm),
           }),
         });
 
         const data = await response.json();
 
         if (!response.ok) {
-          throw new Error(data.error || "Failed to connect to Odoo");
+          throw apiError(data, "Failed to connect to Odoo");
         }
 
           if (data.success) {
             setConnectionData(data);
-            // Store credentials for future use
-            const credentials = {
-              url: apiFormData.url,
-              dbName: apiFormData.dbName,
-              username: apiFormData.username,
-              password: apiFormData.password,
-            };
-            setOdooCredentials(credentials);
+            // Replace the previous stored connection, if any
+            if (odooConnectionId && odooConnectionId !== data.connectionId) {
+              fetch(
+                `${API_BASE_URL}/api/odoo/connections/${encodeURIComponent(odooConnectionId)}`,
+                { method: "DELETE" }
+              ).catch((error) =>
+                console.error("Error deleting previous Odoo connection:", error)
+              );
+            }
+            // Only the opaque connection id is kept in the browser;
+            // credentials stay encrypted on the backend
+            setOdooConnectionId(data.connectionId);
             
-            // Save credentials and connection data to localStorage
+            // Save connection id and connection data to localStorage
             if (currentUser) {
-              localStorage.setItem(`odoo_credentials_${currentUser.uid}`, JSON.stringify(credentials));
+              localStorage.setItem(`odoo_connection_id_${currentUser.uid}`, data.connectionId);
               localStorage.setItem(`odoo_connection_${currentUser.uid}`, JSON.stringify(data));
             }
             
             // Automatically fetch sales data after successful connection
-            await fetchSalesData(credentials);
+            await fetchSalesData(data.connectionId);
             // Close modal after successful connection and data fetch
             setTimeout(() => {
               closeConnectModal();
@@ -382,12 +677,15 @@ const Dashboard = () => {
           }
           secret = `${apiFormData.apiKey}:${apiFormData.secret}`;
         } else if (selectedApiMethod === "USER_PASS") {
-          // For username/password, we need to format it as api_key:api_secret
-          // In ERPNext, this would typically be handled differently, but for now we'll use the format
-          secret = `${apiFormData.username}:${apiFormData.password}`;
+          // Username & password are sent as-is; the backend logs in and keeps the session
+          if (!apiFormData.username || !apiFormData.password) {
+            setConnectionError("Please fill in both Username and Password.");
+            setConnectionLoading(false);
+            return;
+          }
         }
 
-        if (!apiFormData.url || !secret) {
+        if (!apiFormData.url || (selectedApiMethod !== "USER_PASS" && !secret)) {
           setConnectionError("Please fill in all required fields.");
           setConnectionLoading(false);
           return;
@@ -400,9 +698,15 @@ const Dashboard = () => {
           },
           body: JSON.stringify({
             url: apiFormData.url,
-            secret: secret,
+            ...(selectedApiMethod === "USER_PASS"
+              ? {
+                  username: apiFormData.username,
+                  password: apiFormData.password,
+                }
+              : { secret: secret }),
             erpSystem: selectedErpSystem,
             connectionMethod: selectedApiMethod,
+            tls: tlsPayload(tlsForm),
           }),
         });
 
@@ -414,6 +718,20 @@ const Dashboard = () => {
 
         if (data.success) {
           setConnectionData(data);
+          // Replace the previous stored ERPNext connection, if any
+          if (currentUser) {
+            const storageKey = `erpnext_connection_id_${currentUser.uid}`;
+            const previousId = localStorage.getItem(storageKey);
+            if (previousId && previousId !== data.connectionId) {
+              fetch(
+                `${API_BASE_URL}/api/erp/connections/${encodeURIComponent(previousId)}`,
+                { method: "DELETE" }
+              ).catch((error) =>
+                console.error("Error deleting previous ERPNext connection:", error)
+              );
+            }
+            localStorage.setItem(storageKey, data.connectionId);
+          }
         } else {
           throw new Error(data.error || "Connection failed");
         }
@@ -425,10 +743,15 @@ const Dashboard = () => {
       if (error.message === "Failed to fetch" || error.name === "TypeError") {
         setConnectionError(
           "Cannot connect to backend server. Please ensure:\n" +
-            "1. Backend server is running on http://localhost:5000\n" +
+            `1. Backend server is running on ${API_BASE_URL}\n` +
             '2. Run "npm start" in the BackEnd directory\n' +
             "3. Check browser console for CORS errors"
         );
+      } else if (error.code) {
+        const hint = ERROR_HINTS[error.code];
+        setConnectionError(
+          `${error.message}${hint ? `\n${hint}` : ""}\n(Error code: ${error.code})`
+        );
       } else {
         setConnectionError(
           error.message ||
@@ -449,37 +772,57 @@ const Dashboard = () => {
     setIsErpModalOpen(false);
   };
 
-  // Generate CO2 emission data based on order count
-  const generateCO2Data = (orderCount) => {
-    if (!orderCount || orderCount === 0) return [];
-
-    const data = [];
-    // Generate data points based on order count (more orders = more data points)
-    const dataPoints = Math.min(orderCount, 12); // Max 12 months/points
-
-    for (let i = 0; i < dataPoints; i++) {
-      // Generate random CO2 emissions (in kg CO2e) that scale with order count
-      // Base emission per order: 10-50 kg CO2e, with some variation
-      const baseEmission =
-        (orderCount / dataPoints) * (10 + Math.random() * 40);
-      const randomVariation = (Math.random() - 0.5) * 20; // ±10 kg variation
-      const emission = Math.max(0, baseEmission + randomVariation);
-
-      data.push({
-        month: `Month ${i + 1}`,
-        emission: Math.round(emission * 100) / 100, // Round to 2 decimal places
-        orders:
-          Math.floor(orderCount / dataPoints) + Math.floor(Math.random() * 3),
+  // Calculate emissions for the loaded sales orders using the backend factor engine
+  const calculateSalesEmissions = React.useCallback(async (sales) => {
+    if (!sales?.data || sales.data.length === 0) {
+      setEmissionSummary(null);
+      return null;
+    }
+
+    setEmissionLoading(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/emissions/calculate`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          salesOrders: sales.data,
+          period: "month",
+        }),
       });
+
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || "Failed to calculate emissions");
+      }
+
+      setEmissionSummary(data);
+      return data;
+    } catch (error) {
+      console.error("Emission calculation error:", error);
+      setEmissionSummary(null);
+      return null;
+    } finally {
+      setEmissionLoading(false);
     }
+  }, []);
 
-    return data;
-  };
+  React.useEffect(() => {
+    calculateSalesEmissions(salesData);
+  }, [salesData, calculateSalesEmissions]);
 
-  const handleAnalysisClick = () => {
+  const handleAnalysisClick = async () => {
     if (salesData && salesData.count > 0) {
-      const emissionData = generateCO2Data(salesData.count);
-      setCo2Data(emissionData);
+      const summary = emissionSummary || (await calculateSalesEmissions(salesData));
+      setCo2Data(
+        (summary?.periods || []).map((period) => ({
+          month: period.period,
+          emission: period.kgCO2e,
+          orders: period.recordCount,
+        }))
+      );
       setIsAnalysisModalOpen(true);
     }
   };
@@ -611,7 +954,14 @@ const Dashboard = () => {
                     <TrendingUp className="w-6 h-6 text-green-400" />
                   </div>
                   <div>
-                    <p className="text-2xl font-bold text-white">0</p>
+                    <p className="text-2xl font-bold text-white">
+                      {emissionLoading
+                        ? "..."
+                        : (emissionSummary?.totalKgCO2e || 0).toLocaleString(
+                            undefined,
+                            { maximumFractionDigits: 2 }
+                          )}
+                    </p>
                     <p className="text-sm text-gray-400">
                       Carbon Footprint (kg CO₂)
                     </p>
@@ -646,6 +996,17 @@ const Dashboard = () => {
               </div>
             </motion.div>
 
+            {odooConnectionId && odooRetryAt && (
+              <div className="mb-8 flex items-center gap-3 rounded-xl border border-yellow-500/40 bg-yellow-500/10 px-4 py-3 text-sm text-yellow-200">
+                <AlertTriangle className="w-4 h-4 shrink-0" />
+                <span>
+                  Odoo unavailable, retrying in{" "}
+                  {formatRetryIn(odooRetryAt, retryClock)}
+                  {salesData && ". Showing the last synced data."}
+                </span>
+              </div>
+            )}
+
             {/* Odoo Sales Data Section */}
             {salesData && salesData.data && salesData.data.length > 0 && (
               <motion.div
@@ -663,6 +1024,15 @@ const Dashboard = () => {
                        Connected to:{" "}
                        {connectionData?.authenticatedUser || "Odoo"}
                      </p>
+                     {syncSummary && (
+                       <p className="text-gray-500 text-xs mt-1">
+                         Last sync: {syncSummary.added} added,{" "}
+                         {syncSummary.updated} updated,{" "}
+                         {syncSummary.cancelled} cancelled
+                         {syncSummary.finishedAt &&
+                           ` · ${new Date(syncSummary.finishedAt).toLocaleString()}`}
+                       </p>
+                     )}
                    </div>
                    <div className="flex items-center gap-2">
                      <button
@@ -680,7 +1050,7 @@ const Dashboard = () => {
                      <button
                        onClick={disconnectOdoo}
                        className="flex items-center gap-2 px-4 py-2 bg-red-500/20 hover:bg-red-500/30 text-red-300 rounded-lg transition-colors text-sm font-medium"
-                       title="Disconnect and clear saved credentials"
+                       title="Disconnect and remove the saved connection"
                      >
                        <X className="w-4 h-4" />
                        Disconnect
@@ -688,6 +1058,42 @@ const Dashboard = () => {
                    </div>
                  </div>
 
+                {companies.length > 1 && (
+                  <div className="mb-6 bg-white/5 rounded-lg p-4 border border-white/10">
+                    <div className="flex flex-wrap items-center gap-4">
+                      <span className="text-sm text-gray-400">
+                        Companies{companyScope.length === 0 && " (all)"}:
+                      </span>
+                      {companies.map((company) => (
+                        <label
+                          key={company.id}
+                          className="flex items-center gap-2 text-sm text-white cursor-pointer"
+                        >
+                          <input
+                            type="checkbox"
+                            checked={companyScope.includes(company.id)}
+                            onChange={() => toggleCompany(company.id)}
+                            className="accent-blue-400"
+                          />
+                          {company.name}
+                        </label>
+                      ))}
+                      <button
+                        onClick={saveCompanyScope}
+                        disabled={salesLoading}
+                        className="ml-auto px-3 py-1 bg-blue-500/20 hover:bg-blue-500/30 text-blue-300 rounded-lg transition-colors text-xs font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Apply
+                      </button>
+                    </div>
+                    {companyError && (
+                      <div className="mt-2 text-sm text-red-300">
+                        {companyError}
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {salesLoading && !salesData.data && (
                   <div className="text-center py-8 text-gray-400">
                     Loading sales data...
@@ -708,6 +1114,11 @@ const Dashboard = () => {
                           <div className="text-sm text-gray-400">
                             Customer: {order.customer}
                           </div>
+                          {order.company && companies.length > 1 && (
+                            <div className="text-xs text-gray-500 mt-1">
+                              Company: {order.company}
+                            </div>
+                          )}
                           {order.reference && (
                             <div className="text-xs text-gray-500 mt-1">
                               Reference: {order.reference}
@@ -760,6 +1171,108 @@ const Dashboard = () => {
                   </div>
                 )}
 
+                {/* Historical Backfill */}
+                <div className="mt-6 bg-white/5 rounded-lg p-4 border border-white/10">
+                  <div className="flex flex-wrap items-end justify-between gap-4">
+                    <div>
+                      <div className="text-white font-semibold">
+                        Historical Backfill
+                      </div>
+                      <div className="text-xs text-gray-400 mt-1">
+                        Import every record since a base-year date. Progress
+                        is saved, so a stopped backfill can be resumed.
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="date"
+                        value={backfillDateFrom}
+                        onChange={(e) => setBackfillDateFrom(e.target.value)}
+                        disabled={backfillActive}
+                        className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-blue-400"
+                      />
+                      <button
+                        onClick={() =>
+                          callBackfill("", { dateFrom: backfillDateFrom })
+                        }
+                        disabled={!backfillDateFrom || backfillActive}
+                        className="px-4 py-2 bg-blue-500/20 hover:bg-blue-500/30 text-blue-300 rounded-lg transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Start
+                      </button>
+                    </div>
+                  </div>
+
+                  {backfillError && (
+                    <div className="mt-3 text-sm text-red-300">
+                      {backfillError}
+                    </div>
+                  )}
+
+                  {backfillJob && (
+                    <div className="mt-4 space-y-2 text-sm">
+                      <div className="flex items-center justify-between">
+                        <span className="text-gray-400">
+                          Since {backfillJob.dateFrom}:{" "}
+                          <span className="text-white">
+                            {backfillJob.status}
+                          </span>
+                          {backfillJob.error && ` · ${backfillJob.error}`}
+                        </span>
+                        {backfillActive && (
+                          <button
+                            onClick={() =>
+                              callBackfill("/cancel", { jobId: backfillJob.id })
+                            }
+                            disabled={backfillJob.cancelRequested}
+                            className="px-3 py-1 bg-red-500/20 hover:bg-red-500/30 text-red-300 rounded-lg transition-colors text-xs font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            {backfillJob.cancelRequested ? "Cancelling..." : "Cancel"}
+                          </button>
+                        )}
+                        {["failed", "interrupted", "cancelled"].includes(
+                          backfillJob.status
+                        ) && (
+                          <button
+                            onClick={() =>
+                              callBackfill("/resume", { jobId: backfillJob.id })
+                            }
+                            className="px-3 py-1 bg-green-500/20 hover:bg-green-500/30 text-green-300 rounded-lg transition-colors text-xs font-medium"
+                          >
+                            Resume
+                          </button>
+                        )}
+                      </div>
+                      {backfillJob.models.map((model) => {
+                        const progress = backfillJob.progress[model];
+                        const percent = progress.total
+                          ? Math.round((progress.fetched / progress.total) * 100)
+                          : progress.status === "done"
+                          ? 100
+                          : 0;
+                        return (
+                          <div key={model}>
+                            <div className="flex justify-between text-xs text-gray-400 mb-1">
+                              <span>{model}</span>
+                              <span>
+                                {progress.fetched}
+                                {progress.total !== null && ` / ${progress.total}`}{" "}
+                                · {progress.status}
+                              </span>
+                            </div>
+                            <div className="h-1.5 bg-white/10 rounded-full overflow-hidden">
+                              <div
+                                className="h-full bg-blue-400 transition-all"
+                                style={{ width: `${percent}%` }}
+                              />
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+
                 {/* Analyses Button */}
                 <div className="mt-6 flex justify-center">
                   <button
@@ -793,7 +1306,7 @@ const Dashboard = () => {
                   onClick={openConnectModal}
                   className="bg-white/10 hover:bg-white/20 text-white px-6 py-3 rounded-lg transition-colors"
                 >
-                  {odooCredentials
+                  {odooConnectionId
                     ? "Reconnect Data Source"
                     : "Connect Data Source"}
                 </button>
@@ -816,7 +1329,7 @@ const Dashboard = () => {
 
       {isConnectModalOpen && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur-sm px-4">
-          <div className="relative w-full max-w-xl rounded-2xl bg-[#111] border border-white/10 p-6">
+          <div className="relative w-full max-w-xl max-h-[90vh] overflow-y-auto rounded-2xl bg-[#111] border border-white/10 p-6">
             <button
               onClick={closeConnectModal}
               className="absolute top-4 right-4 text-gray-400 hover:text-white transition"
@@ -879,7 +1392,11 @@ const Dashboard = () => {
                       integration
                     </h3>
                     <p className="text-sm text-gray-400 mt-1">
-                      Support for this connector is coming soon. Stay tuned!
+                      {selectedSourceType === "SQL"
+                        ? "Pull meter readings and logs from PostgreSQL, MySQL or SQLite."
+                        : selectedSourceType === "NOSQL"
+                        ? "Pull activity documents from a MongoDB collection."
+                        : "Subscribe to meter readings on an MQTT broker, poll Modbus TCP energy meters, or monitor SCADA tags over OPC UA."}
                     </p>
                   </div>
                   <button
@@ -889,6 +1406,15 @@ const Dashboard = () => {
                     Back
                   </button>
                 </div>
+                {selectedSourceType === "SQL" && currentUser && (
+                  <SqlConnectorForm storageKey={`sql_connection_id_${currentUser.uid}`} />
+                )}
+                {selectedSourceType === "NOSQL" && currentUser && (
+                  <MongoConnectorForm storageKey={`mongo_connection_id_${currentUser.uid}`} />
+                )}
+                {selectedSourceType === "IOT" && currentUser && (
+                  <IotConnectorTabs uid={currentUser.uid} />
+                )}
               </div>
             )}
 
@@ -1068,6 +1594,24 @@ const Dashboard = () => {
                     </div>
                   )}
 
+                  {(connectionError || diagnostics) && (
+                    <div className="space-y-3">
+                      <button
+                        type="button"
+                        onClick={runConnectionDiagnostics}
+                        disabled={diagnosticsLoading || !apiFormData.url}
+                        className="text-sm text-blue-300 hover:text-white transition disabled:opacity-50"
+                      >
+                        {diagnosticsLoading
+                          ? "Running diagnostics..."
+                          : "Run connection diagnostics"}
+                      </button>
+                      {diagnostics && (
+                        <DiagnosticsChecklist steps={diagnostics.steps} />
+                      )}
+                    </div>
+                  )}
+
                   {connectionData && (
                     <div className="rounded-xl border border-green-500/40 bg-green-500/10 px-4 py-3 text-sm text-green-200 space-y-3">
                       <div className="font-semibold text-white">
@@ -1105,19 +1649,39 @@ const Dashboard = () => {
                       </p>
                     </div>
                     <div className="space-y-2">
-                      <label className="text-sm text-gray-300">
-                        Database Name <span className="text-red-400">*</span>
-                      </label>
+                      <div className="flex items-center justify-between">
+                        <label className="text-sm text-gray-300">
+                          Database Name <span className="text-red-400">*</span>
+                        </label>
+                        <button
+                          type="button"
+                          onClick={lookupOdooDatabases}
+                          disabled={!apiFormData.url || databaseLookupLoading}
+                          className="text-xs text-blue-300 hover:text-blue-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          {databaseLookupLoading ? "Looking up..." : "Find databases"}
+                        </button>
+                      </div>
                       <input
                         type="text"
                         value={apiFormData.dbName}
                         onChange={handleApiFormChange("dbName")}
                         placeholder="mycompany_db"
+                        list="odoo-databases"
                         className="w-full rounded-xl border border-white/10 bg-white/5 px-4 py-3 text-sm text-white placeholder-gray-500 focus:border-white/40 focus:outline-none"
                         required
                       />
+                      <datalist id="odoo-databases">
+                        {(odooDatabases?.databases || []).map((name) => (
+                          <option key={name} value={name} />
+                        ))}
+                      </datalist>
                       <p className="text-xs text-gray-500 mt-1">
-                        Found in Settings → General Settings → Database
+                        {odooDatabases?.listAllowed === false
+                          ? "This server does not list its databases. Copy the name from Settings → General Settings → Database"
+                          : odooDatabases?.databases.length > 0
+                          ? `Found: ${odooDatabases.databases.join(", ")}`
+                          : "Found in Settings → General Settings → Database"}
                       </p>
                     </div>
                     <div className="space-y-2">
@@ -1153,6 +1717,8 @@ const Dashboard = () => {
                       </p>
                     </div>
 
+                    <TlsSettingsFields value={tlsForm} onChange={setTlsForm} />
+
                     <div className="flex gap-3 pt-2">
                       <button
                         type="button"
@@ -1234,6 +1800,25 @@ const Dashboard = () => {
                       </div>
                     )}
 
+                    {(connectionError || diagnostics) &&
+                      selectedApiMethod !== "URL" && (
+                        <div className="space-y-3">
+                          <button
+                            type="button"
+                            onClick={runConnectionDiagnostics}
+                            disabled={diagnosticsLoading || !apiFormData.url}
+                            className="text-sm text-blue-300 hover:text-white transition disabled:opacity-50"
+                          >
+                            {diagnosticsLoading
+                              ? "Running diagnostics..."
+                              : "Run connection diagnostics"}
+                          </button>
+                          {diagnostics && (
+                            <DiagnosticsChecklist steps={diagnostics.steps} />
+                          )}
+                        </div>
+                      )}
+
                     {connectionData && (
                       <div className="rounded-xl border border-green-500/40 bg-green-500/10 px-4 py-3 text-sm text-green-200 space-y-3">
                         <div className="font-semibold text-white">
@@ -1436,6 +2021,8 @@ const Dashboard = () => {
                           </>
                         )}
 
+                      <TlsSettingsFields value={tlsForm} onChange={setTlsForm} />
+
                       <div className="flex gap-3 pt-2">
                         <button
                           type="button"
@@ -1534,9 +2121,18 @@ const Dashboard = () => {
                   CO2 Emissions Analysis
                 </h3>
                 <p className="text-gray-400 text-sm">
-                  Carbon footprint analysis based on {salesData?.count || 0}{" "}
-                  sales orders from Odoo
+                  Carbon footprint analysis based on{" "}
+                  {emissionSummary?.records?.length || 0} confirmed sales
+                  orders from Odoo
+                  {emissionSummary?.factorVersion &&
+                    ` (emission factors v${emissionSummary.factorVersion})`}
                 </p>
+                {emissionSummary?.skipped?.length > 0 && (
+                  <p className="text-gray-500 text-xs mt-1">
+                    {emissionSummary.skipped.length} orders skipped (quotations,
+                    cancelled orders or currencies without a factor)
+                  </p>
+                )}
               </div>
 
               {co2Data.length > 0 ? (
@@ -1594,10 +2190,10 @@ const Dashboard = () => {
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
                   <div>
                     <div className="text-gray-400 text-xs mb-1">
-                      Total Orders
+                      Orders Counted
                     </div>
                     <div className="text-white font-semibold text-lg">
-                      {salesData?.count || 0}
+                      {emissionSummary?.records?.length || 0}
                     </div>
                   </div>
                   <div>
@@ -1605,10 +2201,7 @@ const Dashboard = () => {
                       Total CO2 Emissions
                     </div>
                     <div className="text-white font-semibold text-lg">
-                      {co2Data
-                        .reduce((sum, item) => sum + item.emission, 0)
-                        .toFixed(2)}{" "}
-                      kg CO2e
+                      {(emissionSummary?.totalKgCO2e || 0).toFixed(2)} kg CO2e
                     </div>
                   </div>
                   <div>
@@ -1616,12 +2209,10 @@ const Dashboard = () => {
                       Average per Order
                     </div>
                     <div className="text-white font-semibold text-lg">
-                      {salesData?.count > 0
+                      {emissionSummary?.records?.length > 0
                         ? (
-                            co2Data.reduce(
-                              (sum, item) => sum + item.emission,
-                              0
-                            ) / salesData.count
+                            emissionSummary.totalKgCO2e /
+                            emissionSummary.records.length
                           ).toFixed(2)
                         : "0.00"}{" "}
                       kg CO2e
@@ -1630,6 +2221,28 @@ const Dashboard = () => {
                 </div>
               </div>
 
+              {emissionSummary?.companies?.length > 1 && (
+                <div className="bg-white/5 rounded-lg p-4 border border-white/10">
+                  <div className="text-gray-400 text-xs mb-3">By Company</div>
+                  <div className="space-y-2 text-sm">
+                    {emissionSummary.companies.map((company) => (
+                      <div
+                        key={company.companyId ?? "none"}
+                        className="flex justify-between"
+                      >
+                        <span className="text-white">
+                          {company.company || "No company"}
+                        </span>
+                        <span className="text-gray-300">
+                          {company.kgCO2e.toFixed(2)} kg CO2e ·{" "}
+                          {company.recordCount} orders
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               <button
                 onClick={closeAnalysisModal}
                 className="w-full bg-white/10 hover:bg-white/20 text-white font-medium px-6 py-3 rounded-lg transition-colors"
@@ -0,0 +1,44 @@
+import React from "react";
+import MqttConnectorForm from "./MqttConnectorForm";
+import ModbusDevicesForm from "./ModbusDevicesForm";
+import OpcuaConnectorForm from "./OpcuaConnectorForm";
+
+// Protocols of the IoT System option
+const IOT_PROTOCOLS = [
+  { key: "MQTT", label: "MQTT broker" },
+  { key: "MODBUS", label: "Modbus TCP meters" },
+  { key: "OPCUA", label: "OPC UA server" },
+];
+
+/**
+ * IoT System connectors: MQTT subscriptions, polled Modbus TCP meters or OPC UA tags
+ */
+const IotConnectorTabs = ({ uid }) => {
+  const [protocol, setProtocol] = React.useState("MQTT");
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2 text-sm">
+        {IOT_PROTOCOLS.map((option) => (
+          <button
+            key={option.key}
+            type="button"
+            onClick={() => setProtocol(option.key)}
+            className={`rounded-lg px-3 py-1.5 transition ${
+              protocol === option.key
+                ? "bg-white/20 text-white"
+                : "text-gray-400 hover:text-white"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {protocol === "MQTT" && <MqttConnectorForm storageKey={`mqtt_connection_id_${uid}`} />}
+      {protocol === "MODBUS" && <ModbusDevicesForm storageKey={`modbus_device_ids_${uid}`} />}
+      {protocol === "OPCUA" && <OpcuaConnectorForm storageKey={`opcua_connection_id_${uid}`} />}
+    </div>
+  );
+};
+
+export default IotConnectorTabs;
@@ -0,0 +1,485 @@
+import React from "react";
+import { SourcePullStatus } from "@/components/ui/source-pull-status";
+import { API_BASE_URL, ERROR_HINTS, apiError } from "@/utils/api";
+import { PULL_INTERVALS, SOURCE_INPUT_CLASS } from "@/utils/connectorForms";
+
+// Register types and data types of Modbus energy counters, as the backend accepts them
+const MODBUS_REGISTER_TYPES = [
+  { key: "holding", label: "Holding (4x)" },
+  { key: "input", label: "Input (3x)" },
+];
+
+const MODBUS_DATA_TYPES = [
+  { key: "uint16", words: 1 },
+  { key: "int16", words: 1 },
+  { key: "uint32", words: 2 },
+  { key: "int32", words: 2 },
+  { key: "uint64", words: 4 },
+  { key: "float32", words: 2 },
+  { key: "float64", words: 4 },
+];
+
+const MODBUS_ENERGY_UNITS = ["Wh", "kWh", "MWh"];
+
+const MODBUS_PERIODS = [5, 15, 30, 60];
+
+const DEFAULT_MODBUS_DEVICE_FORM = { name: "", host: "", port: "502", unitId: "1", site: "" };
+
+const DEFAULT_REGISTER_FORM = {
+  name: "",
+  address: "",
+  registerType: "holding",
+  dataType: "uint32",
+  wordOrder: "big",
+  scale: "1",
+  unit: "Wh",
+};
+
+/**
+ * Register map as edited in the form (text inputs) to the API's shape, and back
+ */
+const registerPayload = (registerForm) => ({
+  ...registerForm,
+  name: registerForm.name.trim(),
+  address: Number(registerForm.address),
+  scale: Number(registerForm.scale),
+});
+
+const registerFormFrom = (register) => ({
+  ...register,
+  address: String(register.address),
+  scale: String(register.scale),
+});
+
+/**
+ * Call a Modbus endpoint, throwing an apiError on failure
+ */
+const modbusRequest = async (path, body) => {
+  const response = await fetch(`${API_BASE_URL}/api/modbus/${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw apiError(data, "Modbus request failed");
+  }
+  return data;
+};
+
+/**
+ * Modbus TCP energy meters: device registration, the register map of each device with
+ * a test read, the polling interval and the last poll. The device ids are kept in
+ * localStorage under `storageKey`.
+ */
+const ModbusDevicesForm = ({ storageKey }) => {
+  const [deviceIds, setDeviceIds] = React.useState(() =>
+    JSON.parse(localStorage.getItem(storageKey) || "[]")
+  );
+  const [devices, setDevices] = React.useState({});
+  const [form, setForm] = React.useState(DEFAULT_MODBUS_DEVICE_FORM);
+  const [selectedId, setSelectedId] = React.useState(null);
+  const [registerForms, setRegisterForms] = React.useState([]);
+  const [intervalMinutes, setIntervalMinutes] = React.useState(15);
+  const [periodMinutes, setPeriodMinutes] = React.useState(15);
+  const [readResult, setReadResult] = React.useState(null);
+  const [busy, setBusy] = React.useState("");
+  const [error, setError] = React.useState("");
+
+  const saveDeviceIds = (update) =>
+    setDeviceIds((prev) => {
+      const next = update(prev);
+      localStorage.setItem(storageKey, JSON.stringify(next));
+      return next;
+    });
+
+  const run = async (label, work) => {
+    setBusy(label);
+    setError("");
+    try {
+      await work();
+    } catch (err) {
+      console.error(`Modbus ${label} error:`, err);
+      const hint = ERROR_HINTS[err.code];
+      setError(`${err.message}${hint ? `\n${hint}` : ""}`);
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const loadDevice = React.useCallback(async (id) => {
+    const data = await modbusRequest("status", { deviceId: id });
+    setDevices((prev) => ({ ...prev, [id]: data }));
+    return data;
+  }, []);
+
+  React.useEffect(() => {
+    run("load", async () => {
+      // Devices removed on the backend are dropped from the list
+      const results = await Promise.allSettled(deviceIds.map(loadDevice));
+      const missing = deviceIds.filter(
+        (id, index) => results[index].reason?.code === "CONNECTION_NOT_FOUND"
+      );
+      if (missing.length > 0) {
+        saveDeviceIds((prev) => prev.filter((id) => !missing.includes(id)));
+      }
+    });
+    // Only the devices saved before the modal opened are loaded here
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const selectDevice = (id) => {
+    setSelectedId(id);
+    setReadResult(null);
+    setRegisterForms(
+      devices[id].registers.length > 0
+        ? devices[id].registers.map(registerFormFrom)
+        : [{ ...DEFAULT_REGISTER_FORM, name: "Active energy import" }]
+    );
+    setIntervalMinutes(devices[id].intervalMinutes ?? 15);
+    setPeriodMinutes(devices[id].periodMinutes);
+  };
+
+  const addDevice = (e) => {
+    e.preventDefault();
+    run("add", async () => {
+      const data = await modbusRequest("devices", form);
+      saveDeviceIds((prev) => [...prev, data.deviceId]);
+      await loadDevice(data.deviceId);
+      setForm(DEFAULT_MODBUS_DEVICE_FORM);
+    });
+  };
+
+  const removeDevice = (id) =>
+    run("remove", async () => {
+      await fetch(`${API_BASE_URL}/api/modbus/devices/${id}`, { method: "DELETE" });
+      saveDeviceIds((prev) => prev.filter((deviceId) => deviceId !== id));
+      setDevices((prev) => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+      if (selectedId === id) setSelectedId(null);
+    });
+
+  const readRegisters = () =>
+    run("read", async () => {
+      const data = await modbusRequest("read", {
+        deviceId: selectedId,
+        registers: registerForms.map(registerPayload),
+      });
+      setReadResult(data);
+    });
+
+  const saveRegisters = () =>
+    run("save", async () => {
+      await modbusRequest("registers", {
+        deviceId: selectedId,
+        registers: registerForms.map(registerPayload),
+        intervalMinutes,
+        periodMinutes,
+      });
+      await loadDevice(selectedId);
+      setSelectedId(null);
+    });
+
+  const pollNow = (id) =>
+    run(`poll-${id}`, async () => {
+      await modbusRequest("poll", { deviceId: id });
+      await loadDevice(id);
+    });
+
+  const updateRegister = (index, change) => {
+    setReadResult(null);
+    setRegisterForms((prev) =>
+      prev.map((register, i) => (i === index ? { ...register, ...change } : register))
+    );
+  };
+
+  return (
+    <div className="space-y-4 pt-4 border-t border-white/10 text-sm">
+      {error && (
+        <div className="rounded-xl border border-red-500/40 bg-red-500/10 px-4 py-3 text-red-300 whitespace-pre-line">
+          {error}
+        </div>
+      )}
+
+      {deviceIds.map((id) => {
+        const device = devices[id];
+        if (!device) return null;
+        return (
+          <div key={id} className="space-y-2">
+            <div className="flex items-center justify-between rounded-xl border border-green-500/40 bg-green-500/10 px-4 py-3 text-green-200">
+              <span>
+                {device.name}
+                <span className="block text-xs text-gray-400">
+                  {device.host}:{device.port}, unit {device.unitId}
+                  {device.site ? `, ${device.site}` : ""}
+                </span>
+              </span>
+              <span className="flex gap-3 text-xs">
+                <button
+                  type="button"
+                  onClick={() => (selectedId === id ? setSelectedId(null) : selectDevice(id))}
+                  className="text-gray-300 hover:text-white"
+                >
+                  {selectedId === id ? "Close" : "Registers"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => removeDevice(id)}
+                  className="text-gray-300 hover:text-white"
+                >
+                  Remove
+                </button>
+              </span>
+            </div>
+
+            {device.counters && (
+              <div className="px-4 text-xs text-gray-400">
+                {Object.entries(device.counters).map(([name, counter]) => (
+                  <div key={name}>
+                    {name}: {counter.kWh.toLocaleString()} kWh at{" "}
+                    {new Date(counter.at).toLocaleString()}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {device.registers.length > 0 && (
+              <SourcePullStatus
+                status={device}
+                pulling={busy === `poll-${id}`}
+                onPull={() => pollNow(id)}
+              />
+            )}
+
+            {selectedId === id && (
+              <div className="space-y-2 rounded-xl border border-white/10 px-3 py-3">
+                <div className="text-gray-300">Energy counters</div>
+                {registerForms.map((register, index) => {
+                  const words = MODBUS_DATA_TYPES.find((type) => type.key === register.dataType).words;
+                  return (
+                    <div key={index} className="space-y-2 border-b border-white/5 pb-2">
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={register.name}
+                          onChange={(e) => updateRegister(index, { name: e.target.value })}
+                          placeholder="Name, e.g. Active energy import"
+                          className={SOURCE_INPUT_CLASS}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setReadResult(null);
+                            setRegisterForms((prev) => prev.filter((_, i) => i !== index));
+                          }}
+                          className="shrink-0 text-xs text-gray-400 hover:text-white"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                      <div className="grid grid-cols-3 gap-2">
+                        <input
+                          type="number"
+                          min={0}
+                          max={65535}
+                          value={register.address}
+                          onChange={(e) => updateRegister(index, { address: e.target.value })}
+                          placeholder="Address"
+                          className={SOURCE_INPUT_CLASS}
+                        />
+                        <select
+                          value={register.registerType}
+                          onChange={(e) => updateRegister(index, { registerType: e.target.value })}
+                          className={SOURCE_INPUT_CLASS}
+                        >
+                          {MODBUS_REGISTER_TYPES.map((type) => (
+                            <option key={type.key} value={type.key} className="bg-[#111]">
+                              {type.label}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={register.dataType}
+                          onChange={(e) => updateRegister(index, { dataType: e.target.value })}
+                          className={SOURCE_INPUT_CLASS}
+                        >
+                          {MODBUS_DATA_TYPES.map((type) => (
+                            <option key={type.key} value={type.key} className="bg-[#111]">
+                              {type.key}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={register.wordOrder}
+                          onChange={(e) => updateRegister(index, { wordOrder: e.target.value })}
+                          disabled={words === 1}
+                          className={`${SOURCE_INPUT_CLASS} disabled:opacity-50`}
+                        >
+                          <option value="big" className="bg-[#111]">High word first</option>
+                          <option value="little" className="bg-[#111]">Low word first</option>
+                        </select>
+                        <input
+                          type="number"
+                          step="any"
+                          min={0}
+                          value={register.scale}
+                          onChange={(e) => updateRegister(index, { scale: e.target.value })}
+                          placeholder="Scale"
+                          title="Multiplier of the raw value, e.g. 0.01"
+                          className={SOURCE_INPUT_CLASS}
+                        />
+                        <select
+                          value={register.unit}
+                          onChange={(e) => updateRegister(index, { unit: e.target.value })}
+                          className={SOURCE_INPUT_CLASS}
+                        >
+                          {MODBUS_ENERGY_UNITS.map((unit) => (
+                            <option key={unit} value={unit} className="bg-[#111]">
+                              {unit}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      {readResult?.readings[index] && (
+                        <div className="text-xs text-gray-400">
+                          Raw {readResult.readings[index].raw} ={" "}
+                          <span className="text-white">
+                            {readResult.readings[index].kWh.toLocaleString()} kWh
+                          </span>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+                <button
+                  type="button"
+                  onClick={() =>
+                    setRegisterForms((prev) => [...prev, { ...DEFAULT_REGISTER_FORM }])
+                  }
+                  className="text-blue-300 hover:text-white"
+                >
+                  Add counter
+                </button>
+                <p className="text-xs text-gray-500">
+                  Addresses are protocol addresses, counted from 0: register 40001
+                  in a meter manual is holding address 0. Compare a test read with
+                  the meter's display before saving. Each poll adds the energy used
+                  since the previous one to the total of its period; the first poll
+                  only sets the starting point.
+                </p>
+                <select
+                  value={intervalMinutes ?? ""}
+                  onChange={(e) =>
+                    setIntervalMinutes(e.target.value ? Number(e.target.value) : null)
+                  }
+                  className={SOURCE_INPUT_CLASS}
+                >
+                  {PULL_INTERVALS.map((option) => (
+                    <option key={option.label} value={option.minutes ?? ""} className="bg-[#111]">
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <div className="flex items-center gap-2 text-gray-300">
+                  <span>Store totals every</span>
+                  <select
+                    value={periodMinutes}
+                    onChange={(e) => setPeriodMinutes(Number(e.target.value))}
+                    className={`${SOURCE_INPUT_CLASS} w-auto`}
+                  >
+                    {MODBUS_PERIODS.map((minutes) => (
+                      <option key={minutes} value={minutes} className="bg-[#111]">
+                        {minutes} minutes
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <button
+                    type="button"
+                    onClick={readRegisters}
+                    disabled={busy === "read" || registerForms.length === 0}
+                    className="px-4 py-3 rounded-lg border border-white/10 text-blue-300 hover:text-white transition disabled:opacity-50"
+                  >
+                    {busy === "read" ? "Reading..." : "Test read"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={saveRegisters}
+                    disabled={busy === "save" || registerForms.length === 0}
+                    className="px-4 py-3 rounded-lg bg-white/10 hover:bg-white/20 text-white transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {busy === "save" ? "Saving..." : "Save and start polling"}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <form onSubmit={addDevice} className="space-y-3">
+        <div className="text-gray-300">Register a meter</div>
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+            placeholder="Name, e.g. Kiln line 1 incomer"
+            className={SOURCE_INPUT_CLASS}
+            required
+          />
+          <input
+            type="text"
+            value={form.site}
+            onChange={(e) => setForm((prev) => ({ ...prev, site: e.target.value }))}
+            placeholder="Site (optional)"
+            className={SOURCE_INPUT_CLASS}
+          />
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          <input
+            type="text"
+            value={form.host}
+            onChange={(e) => setForm((prev) => ({ ...prev, host: e.target.value }))}
+            placeholder="Host or IP"
+            className={`${SOURCE_INPUT_CLASS} font-mono`}
+            autoComplete="off"
+            required
+          />
+          <input
+            type="number"
+            min={1}
+            max={65535}
+            value={form.port}
+            onChange={(e) => setForm((prev) => ({ ...prev, port: e.target.value }))}
+            placeholder="Port"
+            className={SOURCE_INPUT_CLASS}
+          />
+          <input
+            type="number"
+            min={0}
+            max={255}
+            value={form.unitId}
+            onChange={(e) => setForm((prev) => ({ ...prev, unitId: e.target.value }))}
+            placeholder="Unit id"
+            title="Slave address of the meter, behind a gateway usually its RS-485 address"
+            className={SOURCE_INPUT_CLASS}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={busy === "add"}
+          className="w-full px-4 py-3 rounded-lg bg-white/10 hover:bg-white/20 text-white transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {busy === "add" ? "Connecting..." : "Add meter"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ModbusDevicesForm;
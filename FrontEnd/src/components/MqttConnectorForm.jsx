@@ -0,0 +1,502 @@
+import React from "react";
+import { RefreshCw } from "lucide-react";
+import { TlsSettingsFields } from "@/components/ui/tls-settings-fields";
+import { API_BASE_URL, ERROR_HINTS, apiError } from "@/utils/api";
+import {
+  DEFAULT_TLS_FORM,
+  tlsPayload,
+  SOURCE_INPUT_CLASS,
+} from "@/utils/connectorForms";
+
+// Reading fields a topic's payload is mapped to, and where each may come from
+const MQTT_MAPPING_FIELDS = [
+  { key: "quantity", label: "Quantity", required: true, kinds: ["path"] },
+  { key: "unit", label: "Unit", required: true, kinds: ["value", "path", "topicLevel"] },
+  {
+    key: "activityType",
+    label: "Activity type",
+    required: true,
+    kinds: ["value", "path", "topicLevel"],
+  },
+  { key: "meterId", label: "Meter id", kinds: ["topicLevel", "path", "value"] },
+  { key: "timestamp", label: "Timestamp", kinds: ["path"] },
+  { key: "site", label: "Site", kinds: ["value", "path", "topicLevel"] },
+];
+
+// Lengths of the periods MQTT readings are summed over, in minutes
+const MQTT_PERIODS = [5, 15, 30, 60];
+
+const MQTT_TARGET_KINDS = {
+  path: { label: "JSON path", placeholder: "$.reading.kwh" },
+  value: { label: "Fixed value", placeholder: "Fixed value" },
+  topicLevel: { label: "Topic level", placeholder: "Level, from 0" },
+};
+
+const DEFAULT_TOPIC_FORM = {
+  pattern: "",
+  cumulative: false,
+  mapping: {
+    quantity: { kind: "path", text: "$" },
+    unit: { kind: "value", text: "kWh" },
+    activityType: { kind: "value", text: "electricity" },
+    meterId: { kind: "topicLevel", text: "" },
+    timestamp: { kind: "path", text: "" },
+    site: { kind: "value", text: "" },
+  },
+};
+
+// Broker URLs that use TLS, as the backend decides it
+const mqttUsesTls = (brokerUrl) => /^(mqtts|wss):/i.test(brokerUrl.trim());
+
+/**
+ * Topic mapping as edited in the form ({kind, text} per field) to the API's shape, and back
+ */
+const topicPayload = (topicForm) => ({
+  pattern: topicForm.pattern.trim(),
+  cumulative: topicForm.cumulative,
+  mapping: Object.fromEntries(
+    Object.entries(topicForm.mapping)
+      .filter(([, target]) => target.text.trim())
+      .map(([field, { kind, text }]) => [
+        field,
+        kind === "value"
+          ? { value: text.trim() }
+          : kind === "topicLevel"
+          ? { topicLevel: Number(text) }
+          : text.trim(),
+      ])
+  ),
+});
+
+const topicFormFrom = ({ pattern, cumulative, mapping }) => ({
+  pattern,
+  cumulative: Boolean(cumulative),
+  mapping: Object.fromEntries(
+    MQTT_MAPPING_FIELDS.map(({ key, kinds }) => {
+      const target = mapping[key];
+      if (target === undefined) return [key, { kind: kinds[0], text: "" }];
+      if (typeof target === "string") return [key, { kind: "path", text: target }];
+      return "topicLevel" in target
+        ? [key, { kind: "topicLevel", text: String(target.topicLevel) }]
+        : [key, { kind: "value", text: target.value }];
+    })
+  ),
+});
+
+/**
+ * Call an MQTT connector endpoint, throwing an apiError on failure
+ */
+const mqttRequest = async (path, body) => {
+  const response = await fetch(`${API_BASE_URL}/api/mqtt/${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw apiError(data, "MQTT request failed");
+  }
+  return data;
+};
+
+/**
+ * MQTT connector: broker connection, a few seconds of sample messages, topic patterns
+ * with their payload mappings, and the subscriber's state. The connection id is kept in
+ * localStorage under `storageKey`.
+ */
+const MqttConnectorForm = ({ storageKey }) => {
+  const [form, setForm] = React.useState({ brokerUrl: "", username: "", password: "" });
+  const [tlsForm, setTlsForm] = React.useState(DEFAULT_TLS_FORM);
+  const [connectionId, setConnectionId] = React.useState(() =>
+    localStorage.getItem(storageKey)
+  );
+  const [samplePattern, setSamplePattern] = React.useState("#");
+  const [samples, setSamples] = React.useState(null);
+  const [topicForms, setTopicForms] = React.useState([]);
+  const [periodMinutes, setPeriodMinutes] = React.useState(15);
+  const [status, setStatus] = React.useState(null);
+  const [busy, setBusy] = React.useState("");
+  const [error, setError] = React.useState("");
+
+  const run = async (label, work) => {
+    setBusy(label);
+    setError("");
+    try {
+      await work();
+    } catch (err) {
+      console.error(`MQTT ${label} error:`, err);
+      if (err.code === "CONNECTION_NOT_FOUND") {
+        localStorage.removeItem(storageKey);
+        setConnectionId(null);
+      }
+      const hint = ERROR_HINTS[err.code];
+      setError(`${err.message}${hint ? `\n${hint}` : ""}`);
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const loadStatus = React.useCallback(async (id) => {
+    const data = await mqttRequest("status", { connectionId: id });
+    setStatus(data);
+    return data;
+  }, []);
+
+  React.useEffect(() => {
+    if (connectionId) {
+      run("load", async () => {
+        const data = await loadStatus(connectionId);
+        setTopicForms(data.topics.map(topicFormFrom));
+        setPeriodMinutes(data.periodMinutes);
+      });
+    }
+    // Only the connection saved before the modal opened is loaded here
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const connect = (e) => {
+    e.preventDefault();
+    run("connect", async () => {
+      const data = await mqttRequest("connect", {
+        ...form,
+        tls: mqttUsesTls(form.brokerUrl) ? tlsPayload(tlsForm) : undefined,
+      });
+      localStorage.setItem(storageKey, data.connectionId);
+      setConnectionId(data.connectionId);
+      setForm({ brokerUrl: "", username: "", password: "" });
+      await loadStatus(data.connectionId);
+    });
+  };
+
+  const disconnect = () =>
+    run("disconnect", async () => {
+      await fetch(`${API_BASE_URL}/api/mqtt/connections/${connectionId}`, {
+        method: "DELETE",
+      });
+      localStorage.removeItem(storageKey);
+      setConnectionId(null);
+      setSamples(null);
+      setTopicForms([]);
+      setStatus(null);
+    });
+
+  const sample = () =>
+    run("sample", async () => {
+      const data = await mqttRequest("sample", {
+        connectionId,
+        pattern: samplePattern,
+        seconds: 5,
+      });
+      setSamples(data.messages);
+    });
+
+  const saveTopics = () =>
+    run("save", async () => {
+      await mqttRequest("topics", {
+        connectionId,
+        topics: topicForms.map(topicPayload),
+        periodMinutes,
+      });
+      await loadStatus(connectionId);
+    });
+
+  const refreshStatus = () => run("refresh", () => loadStatus(connectionId));
+
+  const addTopic = (pattern = "") =>
+    setTopicForms((prev) => [...prev, { ...DEFAULT_TOPIC_FORM, pattern }]);
+
+  const updateTopic = (index, change) =>
+    setTopicForms((prev) => prev.map((topic, i) => (i === index ? { ...topic, ...change } : topic)));
+
+  const setTopicTarget = (index, field, change) =>
+    setTopicForms((prev) =>
+      prev.map((topic, i) =>
+        i === index
+          ? { ...topic, mapping: { ...topic.mapping, [field]: { ...topic.mapping[field], ...change } } }
+          : topic
+      )
+    );
+
+  const subscriber = status?.subscriber;
+
+  return (
+    <div className="space-y-4 pt-4 border-t border-white/10 text-sm">
+      {error && (
+        <div className="rounded-xl border border-red-500/40 bg-red-500/10 px-4 py-3 text-red-300 whitespace-pre-line">
+          {error}
+        </div>
+      )}
+
+      {!connectionId && (
+        <form onSubmit={connect} className="space-y-3">
+          <div className="space-y-1">
+            <label className="text-gray-300">
+              Broker URL <span className="text-red-400">*</span>
+            </label>
+            <input
+              type="text"
+              value={form.brokerUrl}
+              onChange={(e) => setForm((prev) => ({ ...prev, brokerUrl: e.target.value }))}
+              placeholder="mqtts://broker.example.com:8883"
+              className={`${SOURCE_INPUT_CLASS} font-mono`}
+              autoComplete="off"
+              required
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="text"
+              value={form.username}
+              onChange={(e) => setForm((prev) => ({ ...prev, username: e.target.value }))}
+              placeholder="Username"
+              className={SOURCE_INPUT_CLASS}
+              autoComplete="off"
+            />
+            <input
+              type="password"
+              value={form.password}
+              onChange={(e) => setForm((prev) => ({ ...prev, password: e.target.value }))}
+              placeholder="Password"
+              className={SOURCE_INPUT_CLASS}
+              autoComplete="new-password"
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            Use a user that may subscribe to the meter topics. The credentials
+            are stored encrypted on the backend server.
+          </p>
+          {mqttUsesTls(form.brokerUrl) && (
+            <TlsSettingsFields value={tlsForm} onChange={setTlsForm} />
+          )}
+
+          <button
+            type="submit"
+            disabled={busy === "connect"}
+            className="w-full px-4 py-3 rounded-lg bg-white/10 hover:bg-white/20 text-white transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {busy === "connect" ? "Connecting..." : "Connect"}
+          </button>
+        </form>
+      )}
+
+      {connectionId && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between rounded-xl border border-green-500/40 bg-green-500/10 px-4 py-3 text-green-200">
+            <span>
+              Connected{status?.brokerUrl ? ` to ${status.brokerUrl}` : ""}
+              {status?.clientId && (
+                <span className="block text-xs text-gray-400">Client id {status.clientId}</span>
+              )}
+            </span>
+            <button
+              type="button"
+              onClick={disconnect}
+              className="text-xs text-gray-300 hover:text-white"
+            >
+              Remove connection
+            </button>
+          </div>
+
+          <div className="space-y-2">
+            <div className="text-gray-300">See what the meters publish</div>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={samplePattern}
+                onChange={(e) => setSamplePattern(e.target.value)}
+                placeholder="plant/+/energy"
+                className={`${SOURCE_INPUT_CLASS} font-mono`}
+              />
+              <button
+                type="button"
+                onClick={sample}
+                disabled={busy === "sample" || !samplePattern.trim()}
+                className="shrink-0 text-blue-300 hover:text-white transition disabled:opacity-50"
+              >
+                {busy === "sample" ? "Listening..." : "Listen for 5 seconds"}
+              </button>
+            </div>
+          </div>
+
+          {samples && (
+            <div className="max-h-60 overflow-y-auto rounded-xl border border-white/10 divide-y divide-white/5">
+              {samples.length === 0 && (
+                <div className="px-3 py-2 text-xs text-gray-400">
+                  No messages arrived. Retained messages show up right away; others
+                  only when a meter publishes.
+                </div>
+              )}
+              {samples.map((message, index) => (
+                <div key={index} className="px-3 py-2 text-xs">
+                  <div className="flex items-center justify-between">
+                    <span className="font-mono text-white">{message.topic}</span>
+                    <button
+                      type="button"
+                      onClick={() => addTopic(message.topic)}
+                      className="text-blue-300 hover:text-white"
+                    >
+                      Map this topic
+                    </button>
+                  </div>
+                  <pre className="text-gray-300 whitespace-pre-wrap">
+                    {JSON.stringify(message.payload, null, 2)}
+                  </pre>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="space-y-3">
+            <div className="flex items-center justify-between text-gray-300">
+              <span>Subscribed topics</span>
+              <button
+                type="button"
+                onClick={() => addTopic()}
+                className="text-blue-300 hover:text-white"
+              >
+                Add topic
+              </button>
+            </div>
+            {topicForms.map((topic, index) => (
+              <div key={index} className="space-y-2 rounded-xl border border-white/10 px-3 py-3">
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={topic.pattern}
+                    onChange={(e) => updateTopic(index, { pattern: e.target.value })}
+                    placeholder="Topic pattern, e.g. plant/+/energy"
+                    className={`${SOURCE_INPUT_CLASS} font-mono`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setTopicForms((prev) => prev.filter((_, i) => i !== index))}
+                    className="shrink-0 text-xs text-gray-400 hover:text-white"
+                  >
+                    Remove
+                  </button>
+                </div>
+                <label className="flex items-center gap-2 text-xs text-gray-400">
+                  <input
+                    type="checkbox"
+                    checked={topic.cumulative}
+                    onChange={(e) => updateTopic(index, { cumulative: e.target.checked })}
+                  />
+                  Quantity is a running total (meter counter)
+                </label>
+                {MQTT_MAPPING_FIELDS.map((field) => {
+                  const target = topic.mapping[field.key];
+                  return (
+                    <div key={field.key} className="grid grid-cols-3 gap-2 items-center">
+                      <span className="text-gray-400">
+                        {field.label}
+                        {field.required && <span className="text-red-400"> *</span>}
+                      </span>
+                      {field.kinds.length > 1 ? (
+                        <select
+                          value={target.kind}
+                          onChange={(e) => setTopicTarget(index, field.key, { kind: e.target.value, text: "" })}
+                          className={SOURCE_INPUT_CLASS}
+                        >
+                          {field.kinds.map((kind) => (
+                            <option key={kind} value={kind} className="bg-[#111]">
+                              {MQTT_TARGET_KINDS[kind].label}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="text-xs text-gray-500">JSON path</span>
+                      )}
+                      <input
+                        type={target.kind === "topicLevel" ? "number" : "text"}
+                        min={target.kind === "topicLevel" ? 0 : undefined}
+                        value={target.text}
+                        onChange={(e) => setTopicTarget(index, field.key, { text: e.target.value })}
+                        placeholder={MQTT_TARGET_KINDS[target.kind].placeholder}
+                        className={`${SOURCE_INPUT_CLASS} ${target.kind === "path" ? "font-mono" : ""}`}
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+            <p className="text-xs text-gray-500">
+              + matches one topic level and # all remaining levels. A JSON path of
+              $ is the whole payload, for meters that publish a bare number.
+              Topic levels count from 0: in plant/a/energy, level 1 is "a".
+              Readings are summed per meter and period. For a running total,
+              the amount used since the previous reading is summed instead; its
+              first reading only sets the starting point.
+            </p>
+            <div className="flex items-center gap-2 text-gray-300">
+              <span>Store totals every</span>
+              <select
+                value={periodMinutes}
+                onChange={(e) => setPeriodMinutes(Number(e.target.value))}
+                className={`${SOURCE_INPUT_CLASS} w-auto`}
+              >
+                {MQTT_PERIODS.map((minutes) => (
+                  <option key={minutes} value={minutes} className="bg-[#111]">
+                    {minutes} minutes
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button
+              type="button"
+              onClick={saveTopics}
+              disabled={busy === "save" || (topicForms.length === 0 && !status?.topics.length)}
+              className="w-full px-4 py-3 rounded-lg bg-white/10 hover:bg-white/20 text-white transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy === "save" ? "Saving..." : "Save topics and subscribe"}
+            </button>
+          </div>
+
+          {status && (
+            <div className="rounded-xl border border-white/10 bg-white/5 px-4 py-3 space-y-1 text-gray-300">
+              <div className="flex items-center justify-between">
+                <span className="text-white">{status.recordCount} period totals stored</span>
+                <button
+                  type="button"
+                  onClick={refreshStatus}
+                  disabled={busy === "refresh"}
+                  className="flex items-center gap-1 text-blue-300 hover:text-white disabled:opacity-50"
+                >
+                  <RefreshCw className={`w-3 h-3 ${busy === "refresh" ? "animate-spin" : ""}`} />
+                  Refresh
+                </button>
+              </div>
+              {subscriber ? (
+                <>
+                  <div className="text-xs">
+                    Subscriber {subscriber.state}, summing every {subscriber.periodMinutes} minutes:{" "}
+                    {subscriber.received} messages received,{" "}
+                    {subscriber.excluded} without a usable reading
+                    {subscriber.duplicates > 0 && `, ${subscriber.duplicates} redelivered and dropped`}
+                    {subscriber.lastMessageAt &&
+                      `, last ${new Date(subscriber.lastMessageAt).toLocaleString()}`}
+                  </div>
+                  {subscriber.lastExcluded && (
+                    <div className="text-xs text-yellow-300">
+                      {subscriber.lastExcluded.topic}: {subscriber.lastExcluded.reason}
+                    </div>
+                  )}
+                  {subscriber.lastError && (
+                    <div className="text-xs text-red-300">
+                      {subscriber.lastError.message}
+                      {ERROR_HINTS[subscriber.lastError.code] &&
+                        ` ${ERROR_HINTS[subscriber.lastError.code]}`}
+                    </div>
+                  )}
+                </>
+              ) : (
+                <div className="text-xs text-gray-500">Not subscribed to any topic</div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MqttConnectorForm;
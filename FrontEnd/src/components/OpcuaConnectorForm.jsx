@@ -0,0 +1,634 @@
+import React from "react";
+import { RefreshCw } from "lucide-react";
+import { API_BASE_URL, ERROR_HINTS, apiError } from "@/utils/api";
+import { SOURCE_INPUT_CLASS } from "@/utils/connectorForms";
+
+// Tag kinds, rate time units and deadbands of OPC UA tags, as the backend accepts them
+const OPCUA_TAG_KINDS = [
+  { key: "rate", label: "Rate (summed over time)" },
+  { key: "counter", label: "Counter (running total)" },
+];
+
+const OPCUA_RATE_TIME_UNITS = [
+  { key: "h", label: "per hour" },
+  { key: "min", label: "per minute" },
+  { key: "s", label: "per second" },
+];
+
+const OPCUA_DEADBAND_TYPES = [
+  { key: "none", label: "No deadband" },
+  { key: "absolute", label: "Absolute" },
+  { key: "percent", label: "% of range" },
+];
+
+const OPCUA_PERIODS = [5, 15, 30, 60];
+
+const DEFAULT_OPCUA_FORM = { endpointUrl: "", username: "", password: "" };
+
+const DEFAULT_OPCUA_TAG_FORM = {
+  name: "",
+  nodeId: "",
+  kind: "rate",
+  rateTimeUnit: "h",
+  scale: "1",
+  unit: "",
+  activityType: "",
+  samplingIntervalMs: "1000",
+  deadbandType: "none",
+  deadbandValue: "0",
+};
+
+/**
+ * Tag mapping as edited in the form (text inputs) to the API's shape, and back
+ */
+const opcuaTagPayload = (tagForm) => ({
+  name: tagForm.name.trim(),
+  nodeId: tagForm.nodeId,
+  kind: tagForm.kind,
+  rateTimeUnit: tagForm.kind === "rate" ? tagForm.rateTimeUnit : undefined,
+  scale: Number(tagForm.scale),
+  unit: tagForm.unit.trim(),
+  activityType: tagForm.activityType.trim(),
+  samplingIntervalMs: Number(tagForm.samplingIntervalMs),
+  deadband: { type: tagForm.deadbandType, value: Number(tagForm.deadbandValue) },
+});
+
+const opcuaTagFormFrom = (tag) => ({
+  ...DEFAULT_OPCUA_TAG_FORM,
+  ...tag,
+  rateTimeUnit: tag.rateTimeUnit || "h",
+  scale: String(tag.scale),
+  samplingIntervalMs: String(tag.samplingIntervalMs),
+  deadbandType: tag.deadband.type,
+  deadbandValue: String(tag.deadband.value),
+});
+
+/**
+ * Call an OPC UA endpoint, throwing an apiError on failure
+ */
+const opcuaRequest = async (path, body) => {
+  const response = await fetch(`${API_BASE_URL}/api/opcua/${path}`, {
+    method: body ? "POST" : "GET",
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw apiError(data, "OPC UA request failed");
+  }
+  return data;
+};
+
+/**
+ * OPC UA connector: endpoint and security mode, node browsing to pick tags, their
+ * activity mappings with sampling and deadband, and the subscriber's state. The
+ * connection id is kept in localStorage under `storageKey`.
+ */
+const OpcuaConnectorForm = ({ storageKey }) => {
+  const [form, setForm] = React.useState(DEFAULT_OPCUA_FORM);
+  const [endpoints, setEndpoints] = React.useState(null);
+  const [endpointIndex, setEndpointIndex] = React.useState(null);
+  const [clientCertificate, setClientCertificate] = React.useState(null);
+  const [connectionId, setConnectionId] = React.useState(() =>
+    localStorage.getItem(storageKey)
+  );
+  const [browsePath, setBrowsePath] = React.useState([]);
+  const [nodes, setNodes] = React.useState(null);
+  const [tagForms, setTagForms] = React.useState([]);
+  const [periodMinutes, setPeriodMinutes] = React.useState(15);
+  const [status, setStatus] = React.useState(null);
+  const [busy, setBusy] = React.useState("");
+  const [error, setError] = React.useState("");
+
+  const run = async (label, work) => {
+    setBusy(label);
+    setError("");
+    try {
+      await work();
+    } catch (err) {
+      console.error(`OPC UA ${label} error:`, err);
+      if (err.code === "CONNECTION_NOT_FOUND") {
+        localStorage.removeItem(storageKey);
+        setConnectionId(null);
+      }
+      const hint = ERROR_HINTS[err.code];
+      setError(`${err.message}${hint ? `\n${hint}` : ""}`);
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const loadStatus = React.useCallback(async (id) => {
+    const data = await opcuaRequest("status", { connectionId: id });
+    setStatus(data);
+    return data;
+  }, []);
+
+  React.useEffect(() => {
+    if (connectionId) {
+      run("load", async () => {
+        const data = await loadStatus(connectionId);
+        setTagForms(data.tags.map(opcuaTagFormFrom));
+        setPeriodMinutes(data.periodMinutes);
+      });
+    }
+    // Only the connection saved before the modal opened is loaded here
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const findEndpoints = () =>
+    run("endpoints", async () => {
+      const data = await opcuaRequest("endpoints", { endpointUrl: form.endpointUrl });
+      setEndpoints(data.endpoints);
+      setEndpointIndex(null);
+    });
+
+  const showClientCertificate = () =>
+    run("certificate", async () => setClientCertificate(await opcuaRequest("certificate")));
+
+  const endpoint = endpointIndex === null ? null : endpoints[endpointIndex];
+
+  const connect = (e) => {
+    e.preventDefault();
+    run("connect", async () => {
+      const data = await opcuaRequest("connect", {
+        ...form,
+        securityMode: endpoint.securityMode,
+        securityPolicy: endpoint.securityPolicy,
+        serverThumbprint: endpoint.serverCertificate?.thumbprint,
+      });
+      localStorage.setItem(storageKey, data.connectionId);
+      setConnectionId(data.connectionId);
+      setForm(DEFAULT_OPCUA_FORM);
+      setEndpoints(null);
+      await loadStatus(data.connectionId);
+    });
+  };
+
+  const disconnect = () =>
+    run("disconnect", async () => {
+      await fetch(`${API_BASE_URL}/api/opcua/connections/${connectionId}`, {
+        method: "DELETE",
+      });
+      localStorage.removeItem(storageKey);
+      setConnectionId(null);
+      setBrowsePath([]);
+      setNodes(null);
+      setTagForms([]);
+      setStatus(null);
+    });
+
+  // Browse a node; `path` is the trail of nodes down to it, empty for the Objects folder
+  const browse = (path) =>
+    run("browse", async () => {
+      const data = await opcuaRequest("browse", {
+        connectionId,
+        nodeId: path.length ? path[path.length - 1].nodeId : undefined,
+      });
+      setBrowsePath(path);
+      setNodes(data.nodes);
+    });
+
+  const addTag = (node) =>
+    setTagForms((prev) => [
+      ...prev,
+      { ...DEFAULT_OPCUA_TAG_FORM, name: node.displayName, nodeId: node.nodeId },
+    ]);
+
+  const updateTag = (index, change) =>
+    setTagForms((prev) => prev.map((tag, i) => (i === index ? { ...tag, ...change } : tag)));
+
+  const saveTags = () =>
+    run("save", async () => {
+      await opcuaRequest("tags", {
+        connectionId,
+        tags: tagForms.map(opcuaTagPayload),
+        periodMinutes,
+      });
+      await loadStatus(connectionId);
+    });
+
+  const refreshStatus = () => run("refresh", () => loadStatus(connectionId));
+
+  const subscriber = status?.subscriber;
+
+  return (
+    <div className="space-y-4 pt-4 border-t border-white/10 text-sm">
+      {error && (
+        <div className="rounded-xl border border-red-500/40 bg-red-500/10 px-4 py-3 text-red-300 whitespace-pre-line">
+          {error}
+        </div>
+      )}
+
+      {!connectionId && (
+        <form onSubmit={connect} className="space-y-3">
+          <div className="space-y-1">
+            <label className="text-gray-300">
+              Endpoint URL <span className="text-red-400">*</span>
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={form.endpointUrl}
+                onChange={(e) => setForm((prev) => ({ ...prev, endpointUrl: e.target.value }))}
+                placeholder="opc.tcp://historian.plant.local:4840"
+                className={`${SOURCE_INPUT_CLASS} font-mono`}
+                autoComplete="off"
+                required
+              />
+              <button
+                type="button"
+                onClick={findEndpoints}
+                disabled={busy === "endpoints" || !form.endpointUrl.trim()}
+                className="shrink-0 text-blue-300 hover:text-white transition disabled:opacity-50"
+              >
+                {busy === "endpoints" ? "Searching..." : "Find endpoints"}
+              </button>
+            </div>
+          </div>
+
+          {endpoints && (
+            <div className="space-y-1">
+              <div className="text-gray-300">Security mode</div>
+              {endpoints.map((option, index) => (
+                <label
+                  key={index}
+                  className={`flex items-start gap-2 rounded-lg px-3 py-2 ${
+                    option.supported ? "cursor-pointer hover:bg-white/5" : "opacity-50"
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="opcua-endpoint"
+                    checked={endpointIndex === index}
+                    disabled={!option.supported}
+                    onChange={() => setEndpointIndex(index)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="text-white">
+                      {option.securityMode}
+                      {option.securityMode !== "None" && ` · ${option.securityPolicy}`}
+                    </span>
+                    <span className="block text-xs text-gray-400">
+                      Logins: {option.userTokenTypes.join(", ")}
+                    </span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+
+          {endpoint && endpoint.securityMode !== "None" && endpoint.serverCertificate && (
+            <div className="rounded-xl border border-yellow-500/40 bg-yellow-500/10 px-4 py-3 text-xs text-yellow-200 space-y-1">
+              <div>
+                Server certificate {endpoint.serverCertificate.subject}, valid until{" "}
+                {new Date(endpoint.serverCertificate.validTo).toLocaleDateString()}
+              </div>
+              <div className="font-mono break-all">{endpoint.serverCertificate.thumbprint}</div>
+              <div>
+                Compare this thumbprint with the server administrator before connecting.
+                A server that later presents another certificate is refused.
+              </div>
+            </div>
+          )}
+
+          {endpoint && (
+            <div className="grid grid-cols-2 gap-2">
+              <input
+                type="text"
+                value={form.username}
+                onChange={(e) => setForm((prev) => ({ ...prev, username: e.target.value }))}
+                placeholder="Username (empty for anonymous)"
+                className={SOURCE_INPUT_CLASS}
+                autoComplete="off"
+              />
+              <input
+                type="password"
+                value={form.password}
+                onChange={(e) => setForm((prev) => ({ ...prev, password: e.target.value }))}
+                placeholder="Password"
+                className={SOURCE_INPUT_CLASS}
+                autoComplete="new-password"
+              />
+            </div>
+          )}
+          <p className="text-xs text-gray-500">
+            Use a read-only user where the server has one. The credentials are
+            stored encrypted on the backend server.{" "}
+            <button
+              type="button"
+              onClick={showClientCertificate}
+              className="text-blue-300 hover:text-white"
+            >
+              Show the NetZero client certificate
+            </button>
+          </p>
+          {clientCertificate && (
+            <div className="space-y-1 text-xs text-gray-400">
+              <div>
+                Thumbprint <span className="font-mono">{clientCertificate.thumbprint}</span>.
+                Servers that check client certificates must trust it.
+              </div>
+              <pre className="max-h-32 overflow-y-auto rounded-lg bg-black/40 px-3 py-2 font-mono text-gray-300">
+                {clientCertificate.pem}
+              </pre>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={busy === "connect" || !endpoint}
+            className="w-full px-4 py-3 rounded-lg bg-white/10 hover:bg-white/20 text-white transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {busy === "connect" ? "Connecting..." : "Connect"}
+          </button>
+        </form>
+      )}
+
+      {connectionId && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between rounded-xl border border-green-500/40 bg-green-500/10 px-4 py-3 text-green-200">
+            <span>
+              Connected{status?.endpointUrl ? ` to ${status.endpointUrl}` : ""}
+              {status && (
+                <span className="block text-xs text-gray-400">
+                  {status.securityMode}
+                  {status.securityMode !== "None" && ` · ${status.securityPolicy}`}
+                  {status.username ? ` as ${status.username}` : ", anonymous"}
+                </span>
+              )}
+            </span>
+            <button
+              type="button"
+              onClick={disconnect}
+              className="text-xs text-gray-300 hover:text-white"
+            >
+              Remove connection
+            </button>
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-gray-300">
+              <span className="flex flex-wrap items-center gap-1">
+                <button type="button" onClick={() => browse([])} className="hover:text-white">
+                  Objects
+                </button>
+                {browsePath.map((node, index) => (
+                  <React.Fragment key={node.nodeId}>
+                    <span className="text-gray-500">/</span>
+                    <button
+                      type="button"
+                      onClick={() => browse(browsePath.slice(0, index + 1))}
+                      className="hover:text-white"
+                    >
+                      {node.displayName}
+                    </button>
+                  </React.Fragment>
+                ))}
+              </span>
+              {busy === "browse" && <span className="text-xs text-gray-500">Browsing...</span>}
+            </div>
+            {nodes && (
+              <div className="max-h-60 overflow-y-auto rounded-xl border border-white/10 divide-y divide-white/5">
+                {nodes.length === 0 && (
+                  <div className="px-3 py-2 text-xs text-gray-400">No objects or variables here.</div>
+                )}
+                {nodes.map((node) => (
+                  <div key={node.nodeId} className="flex items-center justify-between gap-2 px-3 py-2 text-xs">
+                    {node.nodeClass === "Object" ? (
+                      <button
+                        type="button"
+                        onClick={() => browse([...browsePath, node])}
+                        className="text-left text-white hover:text-blue-300"
+                      >
+                        {node.displayName} ›
+                      </button>
+                    ) : (
+                      <span>
+                        <span className="text-white">{node.displayName}</span>{" "}
+                        <span className="text-gray-400">
+                          {node.value === null ? node.statusCode : String(node.value)} ({node.dataType})
+                        </span>
+                        <span className="block font-mono text-gray-500">{node.nodeId}</span>
+                      </span>
+                    )}
+                    {node.nodeClass === "Variable" && node.numeric && (
+                      <button
+                        type="button"
+                        onClick={() => addTag(node)}
+                        className="shrink-0 text-blue-300 hover:text-white"
+                      >
+                        Add as tag
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            {!nodes && (
+              <button
+                type="button"
+                onClick={() => browse([])}
+                disabled={busy === "browse"}
+                className="text-blue-300 hover:text-white disabled:opacity-50"
+              >
+                Browse the server
+              </button>
+            )}
+          </div>
+
+          <div className="space-y-3">
+            <div className="text-gray-300">Monitored tags</div>
+            {tagForms.map((tag, index) => (
+              <div key={index} className="space-y-2 rounded-xl border border-white/10 px-3 py-3">
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={tag.name}
+                    onChange={(e) => updateTag(index, { name: e.target.value })}
+                    placeholder="Name, e.g. Kiln 1 fuel"
+                    className={SOURCE_INPUT_CLASS}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setTagForms((prev) => prev.filter((_, i) => i !== index))}
+                    className="shrink-0 text-xs text-gray-400 hover:text-white"
+                  >
+                    Remove
+                  </button>
+                </div>
+                <div className="font-mono text-xs text-gray-500">{tag.nodeId}</div>
+                <div className="grid grid-cols-2 gap-2">
+                  <select
+                    value={tag.kind}
+                    onChange={(e) => updateTag(index, { kind: e.target.value })}
+                    className={SOURCE_INPUT_CLASS}
+                  >
+                    {OPCUA_TAG_KINDS.map((kind) => (
+                      <option key={kind.key} value={kind.key} className="bg-[#111]">
+                        {kind.label}
+                      </option>
+                    ))}
+                  </select>
+                  {tag.kind === "rate" ? (
+                    <select
+                      value={tag.rateTimeUnit}
+                      onChange={(e) => updateTag(index, { rateTimeUnit: e.target.value })}
+                      className={SOURCE_INPUT_CLASS}
+                    >
+                      {OPCUA_RATE_TIME_UNITS.map((unit) => (
+                        <option key={unit.key} value={unit.key} className="bg-[#111]">
+                          Value is {unit.label}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span />
+                  )}
+                  <input
+                    type="text"
+                    value={tag.activityType}
+                    onChange={(e) => updateTag(index, { activityType: e.target.value })}
+                    placeholder="Activity type, e.g. natural_gas"
+                    className={SOURCE_INPUT_CLASS}
+                  />
+                  <input
+                    type="text"
+                    value={tag.unit}
+                    onChange={(e) => updateTag(index, { unit: e.target.value })}
+                    placeholder="Unit of the total, e.g. m3"
+                    className={SOURCE_INPUT_CLASS}
+                  />
+                  <label className="flex items-center gap-2 text-xs text-gray-400">
+                    Scale
+                    <input
+                      type="number"
+                      step="any"
+                      min="0"
+                      value={tag.scale}
+                      onChange={(e) => updateTag(index, { scale: e.target.value })}
+                      className={SOURCE_INPUT_CLASS}
+                    />
+                  </label>
+                  <label className="flex items-center gap-2 text-xs text-gray-400">
+                    Sampling ms
+                    <input
+                      type="number"
+                      min="100"
+                      max="60000"
+                      value={tag.samplingIntervalMs}
+                      onChange={(e) => updateTag(index, { samplingIntervalMs: e.target.value })}
+                      className={SOURCE_INPUT_CLASS}
+                    />
+                  </label>
+                  <select
+                    value={tag.deadbandType}
+                    onChange={(e) => updateTag(index, { deadbandType: e.target.value })}
+                    className={SOURCE_INPUT_CLASS}
+                  >
+                    {OPCUA_DEADBAND_TYPES.map((type) => (
+                      <option key={type.key} value={type.key} className="bg-[#111]">
+                        {type.label}
+                      </option>
+                    ))}
+                  </select>
+                  {tag.deadbandType !== "none" ? (
+                    <input
+                      type="number"
+                      step="any"
+                      min="0"
+                      value={tag.deadbandValue}
+                      onChange={(e) => updateTag(index, { deadbandValue: e.target.value })}
+                      placeholder="Deadband"
+                      className={SOURCE_INPUT_CLASS}
+                    />
+                  ) : (
+                    <span />
+                  )}
+                </div>
+              </div>
+            ))}
+            {tagForms.length === 0 && (
+              <p className="text-xs text-gray-500">Browse the server and add the variables to monitor.</p>
+            )}
+            <div className="flex items-center gap-2 text-gray-300">
+              <span>Store totals every</span>
+              <select
+                value={periodMinutes}
+                onChange={(e) => setPeriodMinutes(Number(e.target.value))}
+                className={`${SOURCE_INPUT_CLASS} w-auto`}
+              >
+                {OPCUA_PERIODS.map((minutes) => (
+                  <option key={minutes} value={minutes} className="bg-[#111]">
+                    {minutes} minutes
+                  </option>
+                ))}
+              </select>
+            </div>
+            <p className="text-xs text-gray-500">
+              A rate such as fuel flow in m3/h is summed over time into the unit of
+              the total, e.g. m3; a counter adds its increase. Scale multiplies the
+              total. A deadband skips changes smaller than its value, which saves
+              traffic on noisy signals; the last value holds until the next change.
+            </p>
+            <button
+              type="button"
+              onClick={saveTags}
+              disabled={busy === "save" || (tagForms.length === 0 && !status?.tags.length)}
+              className="w-full px-4 py-3 rounded-lg bg-white/10 hover:bg-white/20 text-white transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy === "save" ? "Checking tags..." : "Save tags and subscribe"}
+            </button>
+          </div>
+
+          {status && (
+            <div className="rounded-xl border border-white/10 bg-white/5 px-4 py-3 space-y-1 text-gray-300">
+              <div className="flex items-center justify-between">
+                <span className="text-white">{status.recordCount} period totals stored</span>
+                <button
+                  type="button"
+                  onClick={refreshStatus}
+                  disabled={busy === "refresh"}
+                  className="flex items-center gap-1 text-blue-300 hover:text-white disabled:opacity-50"
+                >
+                  <RefreshCw className={`w-3 h-3 ${busy === "refresh" ? "animate-spin" : ""}`} />
+                  Refresh
+                </button>
+              </div>
+              {subscriber ? (
+                <>
+                  <div className="text-xs">
+                    Subscriber {subscriber.state}, summing every {subscriber.periodMinutes} minutes
+                    {subscriber.lastStoredAt &&
+                      `, last stored ${new Date(subscriber.lastStoredAt).toLocaleString()}`}
+                  </div>
+                  {subscriber.tags.map((tag) => (
+                    <div key={tag.name} className={`text-xs ${tag.error ? "text-yellow-300" : ""}`}>
+                      {tag.name}:{" "}
+                      {tag.error ||
+                        (tag.lastValueAt
+                          ? `${tag.lastValue} at ${new Date(tag.lastValueAt).toLocaleTimeString()}`
+                          : "no value yet")}
+                    </div>
+                  ))}
+                  {subscriber.lastError && (
+                    <div className="text-xs text-red-300">
+                      {subscriber.lastError.message}
+                      {ERROR_HINTS[subscriber.lastError.code] &&
+                        ` ${ERROR_HINTS[subscriber.lastError.code]}`}
+                    </div>
+                  )}
+                </>
+              ) : (
+                <div className="text-xs text-gray-500">Not monitoring any tag</div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OpcuaConnectorForm;
@@ -0,0 +1,492 @@
+import React from "react";
+import { TlsSettingsFields } from "@/components/ui/tls-settings-fields";
+import { SourcePullStatus } from "@/components/ui/source-pull-status";
+import { API_BASE_URL, ERROR_HINTS, apiError } from "@/utils/api";
+import {
+  DEFAULT_TLS_FORM,
+  tlsPayload,
+  SOURCE_MAPPING_FIELDS,
+  PULL_INTERVALS,
+  FIXED_VALUE,
+  SOURCE_INPUT_CLASS,
+  mappingPayload,
+  mappingFormFrom,
+} from "@/utils/connectorForms";
+
+// Defaults of the SQL connection form, per dialect
+const SQL_DIALECT_OPTIONS = [
+  { key: "postgres", label: "PostgreSQL", port: "5432" },
+  { key: "mysql", label: "MySQL / MariaDB", port: "3306" },
+  { key: "sqlite", label: "SQLite file", port: "" },
+];
+
+const DEFAULT_SQL_FORM = {
+  dialect: "postgres",
+  host: "",
+  port: "5432",
+  database: "",
+  user: "",
+  password: "",
+  ssl: false,
+  filename: "",
+};
+
+// SQL rows have no key of their own, so the backend requires the record key column
+const SQL_MAPPING_FIELDS = SOURCE_MAPPING_FIELDS.map((field) =>
+  field.key === "id" ? { ...field, required: true } : field
+);
+
+/**
+ * Call a SQL connector endpoint, throwing an apiError on failure
+ */
+const sqlRequest = async (path, body) => {
+  const response = await fetch(`${API_BASE_URL}/api/sql/${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw apiError(data, "SQL request failed");
+  }
+  return data;
+};
+
+/**
+ * SQL database connector: connection form, table or query picker with a preview,
+ * column-to-activity mapping and the pull schedule. The connection id is kept in
+ * localStorage under `storageKey`.
+ */
+const SqlConnectorForm = ({ storageKey }) => {
+  const [form, setForm] = React.useState(DEFAULT_SQL_FORM);
+  const [tlsForm, setTlsForm] = React.useState(DEFAULT_TLS_FORM);
+  const [connectionId, setConnectionId] = React.useState(() =>
+    localStorage.getItem(storageKey)
+  );
+  const [serverVersion, setServerVersion] = React.useState("");
+  const [tables, setTables] = React.useState([]);
+  const [sourceMode, setSourceMode] = React.useState("table");
+  const [table, setTable] = React.useState("");
+  const [query, setQuery] = React.useState("");
+  const [preview, setPreview] = React.useState(null);
+  const [mappingForm, setMappingForm] = React.useState(mappingFormFrom());
+  const [intervalMinutes, setIntervalMinutes] = React.useState(null);
+  const [status, setStatus] = React.useState(null);
+  const [busy, setBusy] = React.useState("");
+  const [error, setError] = React.useState("");
+
+  const run = async (label, work) => {
+    setBusy(label);
+    setError("");
+    try {
+      await work();
+    } catch (err) {
+      console.error(`SQL ${label} error:`, err);
+      if (err.code === "CONNECTION_NOT_FOUND") {
+        localStorage.removeItem(storageKey);
+        setConnectionId(null);
+      }
+      const hint = ERROR_HINTS[err.code];
+      setError(`${err.message}${hint ? `\n${hint}` : ""}`);
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const source = sourceMode === "table" ? { table } : { query };
+
+  const loadConnection = React.useCallback(async (id) => {
+    const [tableData, statusData] = await Promise.all([
+      sqlRequest("tables", { connectionId: id }),
+      sqlRequest("status", { connectionId: id }),
+    ]);
+    setTables(tableData.tables);
+    setStatus(statusData);
+    if (statusData.source) {
+      setSourceMode(statusData.source.table ? "table" : "query");
+      setTable(statusData.source.table || "");
+      setQuery(statusData.source.query || "");
+      setMappingForm(mappingFormFrom(statusData.mapping));
+      setIntervalMinutes(statusData.intervalMinutes);
+    }
+  }, []);
+
+  React.useEffect(() => {
+    if (connectionId) {
+      run("load", () => loadConnection(connectionId));
+    }
+    // Only the connection saved before the modal opened is loaded here
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleFormChange = (field) => (e) => {
+    const value = e.target.type === "checkbox" ? e.target.checked : e.target.value;
+    setForm((prev) => ({
+      ...prev,
+      [field]: value,
+      ...(field === "dialect"
+        ? { port: SQL_DIALECT_OPTIONS.find((option) => option.key === value).port }
+        : {}),
+    }));
+  };
+
+  const connect = (e) => {
+    e.preventDefault();
+    run("connect", async () => {
+      const data = await sqlRequest("connect", {
+        ...form,
+        tls: form.ssl ? tlsPayload(tlsForm) : undefined,
+      });
+      localStorage.setItem(storageKey, data.connectionId);
+      setConnectionId(data.connectionId);
+      setServerVersion(data.serverVersion);
+      await loadConnection(data.connectionId);
+    });
+  };
+
+  const disconnect = () =>
+    run("disconnect", async () => {
+      await fetch(`${API_BASE_URL}/api/sql/connections/${connectionId}`, {
+        method: "DELETE",
+      });
+      localStorage.removeItem(storageKey);
+      setConnectionId(null);
+      setTables([]);
+      setPreview(null);
+      setStatus(null);
+      setMappingForm(mappingFormFrom());
+    });
+
+  const loadPreview = () =>
+    run("preview", async () => {
+      const data = await sqlRequest("preview", { connectionId, source, limit: 5 });
+      setPreview(data);
+    });
+
+  const saveSource = () =>
+    run("save", async () => {
+      await sqlRequest("source", {
+        connectionId,
+        source,
+        mapping: mappingPayload(mappingForm),
+        intervalMinutes,
+      });
+      setStatus(await sqlRequest("status", { connectionId }));
+    });
+
+  const pullNow = () =>
+    run("pull", async () => {
+      await sqlRequest("pull", { connectionId });
+      setStatus(await sqlRequest("status", { connectionId }));
+    });
+
+  // Columns for the mapping: from the preview, or for a table from the table list
+  const columns =
+    preview?.columns ||
+    (sourceMode === "table" &&
+      tables.find((t) => t.name === table)?.columns.map((column) => column.name)) ||
+    [];
+
+  const setMappingTarget = (field, change) =>
+    setMappingForm((prev) => ({ ...prev, [field]: { ...prev[field], ...change } }));
+
+  return (
+    <div className="space-y-4 pt-4 border-t border-white/10 text-sm">
+      {error && (
+        <div className="rounded-xl border border-red-500/40 bg-red-500/10 px-4 py-3 text-red-300 whitespace-pre-line">
+          {error}
+        </div>
+      )}
+
+      {!connectionId && (
+        <form onSubmit={connect} className="space-y-3">
+          <div className="grid grid-cols-3 gap-2">
+            {SQL_DIALECT_OPTIONS.map((option) => (
+              <button
+                key={option.key}
+                type="button"
+                onClick={() => handleFormChange("dialect")({ target: { value: option.key } })}
+                className={`rounded-xl border px-3 py-2 transition ${
+                  form.dialect === option.key
+                    ? "border-white/60 bg-white/10 text-white"
+                    : "border-white/10 bg-white/5 text-gray-300 hover:border-white/40"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          {form.dialect === "sqlite" ? (
+            <div className="space-y-1">
+              <label className="text-gray-300">
+                Database file <span className="text-red-400">*</span>
+              </label>
+              <input
+                type="text"
+                value={form.filename}
+                onChange={handleFormChange("filename")}
+                placeholder="plant/meters.db"
+                className={SOURCE_INPUT_CLASS}
+                required
+              />
+              <p className="text-xs text-gray-500">
+                Path in the SQLite directory of the backend server
+                (SQL_SQLITE_DIR). The file is opened read-only.
+              </p>
+            </div>
+          ) : (
+            <>
+              <div className="grid grid-cols-3 gap-2">
+                <input
+                  type="text"
+                  value={form.host}
+                  onChange={handleFormChange("host")}
+                  placeholder="Host *"
+                  className={`${SOURCE_INPUT_CLASS} col-span-2`}
+                  required
+                />
+                <input
+                  type="number"
+                  value={form.port}
+                  onChange={handleFormChange("port")}
+                  placeholder="Port"
+                  className={SOURCE_INPUT_CLASS}
+                />
+              </div>
+              <input
+                type="text"
+                value={form.database}
+                onChange={handleFormChange("database")}
+                placeholder="Database *"
+                className={SOURCE_INPUT_CLASS}
+                required
+              />
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  type="text"
+                  value={form.user}
+                  onChange={handleFormChange("user")}
+                  placeholder="User *"
+                  className={SOURCE_INPUT_CLASS}
+                  required
+                />
+                <input
+                  type="password"
+                  value={form.password}
+                  onChange={handleFormChange("password")}
+                  placeholder="Password"
+                  className={SOURCE_INPUT_CLASS}
+                />
+              </div>
+              <p className="text-xs text-gray-500">
+                Use a user with read-only access. Queries run in read-only
+                transactions either way.
+              </p>
+              <label className="flex items-center gap-2 text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={form.ssl}
+                  onChange={handleFormChange("ssl")}
+                />
+                Connect with SSL
+              </label>
+              {form.ssl && <TlsSettingsFields value={tlsForm} onChange={setTlsForm} />}
+            </>
+          )}
+
+          <button
+            type="submit"
+            disabled={busy === "connect"}
+            className="w-full px-4 py-3 rounded-lg bg-white/10 hover:bg-white/20 text-white transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {busy === "connect" ? "Connecting..." : "Connect"}
+          </button>
+        </form>
+      )}
+
+      {connectionId && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between rounded-xl border border-green-500/40 bg-green-500/10 px-4 py-3 text-green-200">
+            <span>
+              Connected{status?.dialect ? ` to ${status.dialect}` : ""}
+              {serverVersion && (
+                <span className="block text-xs text-gray-400">{serverVersion}</span>
+              )}
+            </span>
+            <button
+              type="button"
+              onClick={disconnect}
+              className="text-xs text-gray-300 hover:text-white"
+            >
+              Remove connection
+            </button>
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex gap-4 text-gray-300">
+              {["table", "query"].map((mode) => (
+                <label key={mode} className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    checked={sourceMode === mode}
+                    onChange={() => {
+                      setSourceMode(mode);
+                      setPreview(null);
+                    }}
+                  />
+                  {mode === "table" ? "Table or view" : "SELECT query"}
+                </label>
+              ))}
+            </div>
+            {sourceMode === "table" ? (
+              <select
+                value={table}
+                onChange={(e) => {
+                  setTable(e.target.value);
+                  setPreview(null);
+                }}
+                className={SOURCE_INPUT_CLASS}
+              >
+                <option value="" className="bg-[#111]">
+                  Choose a table
+                </option>
+                {tables.map((t) => (
+                  <option key={t.name} value={t.name} className="bg-[#111]">
+                    {t.name}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <textarea
+                value={query}
+                onChange={(e) => {
+                  setQuery(e.target.value);
+                  setPreview(null);
+                }}
+                rows={4}
+                placeholder="SELECT read_at, kwh, plant FROM meter_readings"
+                className={`${SOURCE_INPUT_CLASS} font-mono`}
+              />
+            )}
+            <button
+              type="button"
+              onClick={loadPreview}
+              disabled={busy === "preview" || !(table || query)}
+              className="text-blue-300 hover:text-white transition disabled:opacity-50"
+            >
+              {busy === "preview" ? "Loading preview..." : "Preview rows"}
+            </button>
+          </div>
+
+          {preview && (
+            <div className="overflow-x-auto rounded-xl border border-white/10">
+              <table className="min-w-full text-xs text-gray-300">
+                <thead>
+                  <tr>
+                    {preview.columns.map((column) => (
+                      <th key={column} className="px-3 py-2 text-left font-medium text-white">
+                        {column}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map((row, index) => (
+                    <tr key={index} className="border-t border-white/5">
+                      {preview.columns.map((column) => (
+                        <td key={column} className="px-3 py-1 whitespace-nowrap">
+                          {String(row[column] ?? "")}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {columns.length > 0 && (
+            <div className="space-y-2">
+              <div className="text-gray-300">Map columns to activity fields</div>
+              {SQL_MAPPING_FIELDS.map((field) => (
+                <div key={field.key} className="grid grid-cols-3 gap-2 items-center">
+                  <span className="text-gray-400">
+                    {field.label}
+                    {field.required && <span className="text-red-400"> *</span>}
+                  </span>
+                  <select
+                    value={mappingForm[field.key].name}
+                    onChange={(e) =>
+                      setMappingTarget(field.key, {
+                        name: e.target.value,
+                        value: mappingForm[field.key].value || field.fixed,
+                      })
+                    }
+                    className={`${SOURCE_INPUT_CLASS} ${
+                      mappingForm[field.key].name === FIXED_VALUE ? "" : "col-span-2"
+                    }`}
+                  >
+                    <option value="" className="bg-[#111]">
+                      {field.required ? "Choose a column" : "Not mapped"}
+                    </option>
+                    {columns.map((column) => (
+                      <option key={column} value={column} className="bg-[#111]">
+                        {column}
+                      </option>
+                    ))}
+                    {field.fixed !== undefined && (
+                      <option value={FIXED_VALUE} className="bg-[#111]">
+                        Fixed value
+                      </option>
+                    )}
+                  </select>
+                  {mappingForm[field.key].name === FIXED_VALUE && (
+                    <input
+                      type="text"
+                      value={mappingForm[field.key].value}
+                      onChange={(e) => setMappingTarget(field.key, { value: e.target.value })}
+                      className={SOURCE_INPUT_CLASS}
+                    />
+                  )}
+                </div>
+              ))}
+              <p className="text-xs text-gray-500">
+                Activity types match the emission factors, e.g. electricity
+                or fuel.diesel. The record key, usually the primary key, tells
+                rows apart and updates rows that change after they are written.
+              </p>
+              <select
+                value={intervalMinutes ?? ""}
+                onChange={(e) =>
+                  setIntervalMinutes(e.target.value ? Number(e.target.value) : null)
+                }
+                className={SOURCE_INPUT_CLASS}
+              >
+                {PULL_INTERVALS.map((option) => (
+                  <option key={option.label} value={option.minutes ?? ""} className="bg-[#111]">
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={saveSource}
+                disabled={busy === "save"}
+                className="w-full px-4 py-3 rounded-lg bg-white/10 hover:bg-white/20 text-white transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {busy === "save" ? "Saving..." : "Save source and schedule"}
+              </button>
+            </div>
+          )}
+
+          {status?.source && (
+            <SourcePullStatus status={status} pulling={busy === "pull"} onPull={pullNow} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SqlConnectorForm;
@@ -0,0 +1,36 @@
+import { CheckCircle2, XCircle, AlertTriangle, MinusCircle } from "lucide-react";
+
+// Icon and colour of each connection diagnostics step status
+const DIAGNOSTIC_STATUS = {
+  passed: { Icon: CheckCircle2, className: "text-green-400" },
+  failed: { Icon: XCircle, className: "text-red-400" },
+  warning: { Icon: AlertTriangle, className: "text-yellow-400" },
+  skipped: { Icon: MinusCircle, className: "text-gray-500" },
+};
+
+/**
+ * Checklist of connection diagnostics steps, with the fix hint of each step that did not pass
+ */
+const DiagnosticsChecklist = ({ steps }) => (
+  <ul className="rounded-xl border border-white/10 bg-white/5 px-4 py-3 space-y-3 text-sm">
+    {steps.map((step) => {
+      const { Icon, className } = DIAGNOSTIC_STATUS[step.status];
+      return (
+        <li key={step.id} className="flex gap-3">
+          <Icon className={`w-4 h-4 mt-0.5 shrink-0 ${className}`} />
+          <div className="min-w-0">
+            <div className="text-white">{step.label}</div>
+            <div className="text-xs text-gray-400 break-words">
+              {step.detail}
+            </div>
+            {step.hint && (
+              <div className={`text-xs mt-1 ${className}`}>{step.hint}</div>
+            )}
+          </div>
+        </li>
+      );
+    })}
+  </ul>
+);
+
+export { DiagnosticsChecklist };
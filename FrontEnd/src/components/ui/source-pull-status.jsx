@@ -0,0 +1,40 @@
+import { RefreshCw } from "lucide-react";
+
+/**
+ * Record count, last pull and next scheduled pull of a source, with a "Pull now" button
+ */
+const SourcePullStatus = ({ status, pulling, onPull }) => (
+  <div className="rounded-xl border border-white/10 bg-white/5 px-4 py-3 space-y-1 text-gray-300">
+    <div className="flex items-center justify-between">
+      <span className="text-white">
+        {status.recordCount} activity records pulled
+      </span>
+      <button
+        type="button"
+        onClick={onPull}
+        disabled={pulling}
+        className="flex items-center gap-1 text-blue-300 hover:text-white disabled:opacity-50"
+      >
+        <RefreshCw className={`w-3 h-3 ${pulling ? "animate-spin" : ""}`} />
+        Pull now
+      </button>
+    </div>
+    {status.lastRun && (
+      <div className="text-xs">
+        Last pull {new Date(status.lastRun.finishedAt).toLocaleString()}:{" "}
+        {status.lastRun.error ? (
+          <span className="text-red-300">{status.lastRun.error}</span>
+        ) : (
+          `${status.lastRun.added} added, ${status.lastRun.updated} updated`
+        )}
+      </div>
+    )}
+    <div className="text-xs text-gray-500">
+      {status.schedule
+        ? `Next pull ${new Date(status.schedule.nextRunAt).toLocaleString()}`
+        : "Pulled only on request"}
+    </div>
+  </div>
+);
+
+export { SourcePullStatus };
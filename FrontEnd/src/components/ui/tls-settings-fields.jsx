@@ -0,0 +1,97 @@
+/**
+ * Certificate verification, CA bundle upload and the audited opt-out of verification
+ */
+const TlsSettingsFields = ({ value, onChange }) => {
+  const handleCaFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () =>
+      onChange({ ...value, caCertificate: reader.result, caFileName: file.name });
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  return (
+    <details className="rounded-xl border border-white/10 bg-white/5 px-4 py-3 text-sm">
+      <summary className="cursor-pointer text-gray-300">
+        TLS settings
+        {!value.verify && (
+          <span className="ml-2 text-red-400">verification off</span>
+        )}
+        {value.verify && value.caCertificate && (
+          <span className="ml-2 text-green-400">custom CA</span>
+        )}
+      </summary>
+      <div className="space-y-3 pt-3">
+        <div className="space-y-1">
+          <label className="text-gray-300">CA certificate (PEM)</label>
+          <div className="flex items-center gap-3">
+            <input
+              type="file"
+              accept=".pem,.crt,.cer"
+              onChange={handleCaFile}
+              className="text-xs text-gray-400"
+            />
+            {value.caCertificate && (
+              <button
+                type="button"
+                onClick={() =>
+                  onChange({ ...value, caCertificate: "", caFileName: "" })
+                }
+                className="text-xs text-gray-400 hover:text-white"
+              >
+                Remove {value.caFileName}
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-gray-500">
+            For servers with a certificate from an internal CA. Trusted in
+            addition to the public CAs.
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-gray-300">
+          <input
+            type="checkbox"
+            checked={value.verify}
+            onChange={(e) =>
+              onChange({ ...value, verify: e.target.checked, confirmInsecure: false })
+            }
+          />
+          Verify the server certificate
+        </label>
+        {!value.verify && (
+          <div className="space-y-1">
+            <p className="text-xs text-red-300">
+              Without verification, anyone on the network path can read the
+              credentials. The change is recorded in the audit trail.
+            </p>
+            <input
+              type="text"
+              value={value.insecureReason}
+              onChange={(e) =>
+                onChange({ ...value, insecureReason: e.target.value })
+              }
+              placeholder="Reason (required)"
+              className="w-full rounded-xl border border-white/10 bg-white/5 px-4 py-2 text-sm text-white placeholder-gray-500 focus:border-white/40 focus:outline-none"
+              required
+            />
+            <label className="flex items-center gap-2 text-xs text-red-300">
+              <input
+                type="checkbox"
+                checked={value.confirmInsecure}
+                onChange={(e) =>
+                  onChange({ ...value, confirmInsecure: e.target.checked })
+                }
+                required
+              />
+              I understand that the server's identity is not checked
+            </label>
+          </div>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export { TlsSettingsFields };
@@ -0,0 +1,73 @@
+// Defaults and payload helpers shared by the connection forms of the dashboard
+
+// Certificate verification on, no custom CA
+export const DEFAULT_TLS_FORM = {
+  verify: true,
+  caCertificate: "",
+  caFileName: "",
+  insecureReason: "",
+  confirmInsecure: false,
+};
+
+/**
+ * TLS settings sent with a connection, or undefined for the defaults
+ */
+export const tlsPayload = (tlsForm) =>
+  tlsForm.verify && !tlsForm.caCertificate
+    ? undefined
+    : {
+        verify: tlsForm.verify,
+        caCertificate: tlsForm.caCertificate || null,
+        insecureReason: tlsForm.verify ? null : tlsForm.insecureReason,
+        confirmInsecure: !tlsForm.verify && tlsForm.confirmInsecure,
+      };
+
+// Activity fields that source columns or document paths are mapped to; fixed values are allowed where the source may lack one
+export const SOURCE_MAPPING_FIELDS = [
+  { key: "timestamp", label: "Timestamp", required: true },
+  { key: "quantity", label: "Quantity", required: true },
+  { key: "unit", label: "Unit", required: true, fixed: "kWh" },
+  { key: "activityType", label: "Activity type", required: true, fixed: "electricity" },
+  { key: "site", label: "Site", fixed: "" },
+  { key: "id", label: "Record key" },
+];
+
+export const PULL_INTERVALS = [
+  { minutes: null, label: "Only when I pull" },
+  { minutes: 15, label: "Every 15 minutes" },
+  { minutes: 60, label: "Every hour" },
+  { minutes: 360, label: "Every 6 hours" },
+  { minutes: 1440, label: "Every day" },
+];
+
+// Value of the mapping select that switches a field to a fixed value
+export const FIXED_VALUE = "__fixed";
+
+export const SOURCE_INPUT_CLASS =
+  "w-full rounded-xl border border-white/10 bg-white/5 px-4 py-2 text-sm text-white placeholder-gray-500 focus:border-white/40 focus:outline-none";
+
+/**
+ * Mapping as edited in the form ({name} or {name: FIXED_VALUE, value}) to the API's shape, and back
+ */
+export const mappingPayload = (mappingForm) =>
+  Object.fromEntries(
+    Object.entries(mappingForm)
+      .filter(([, target]) => target.name)
+      .map(([field, target]) => [
+        field,
+        target.name === FIXED_VALUE ? { value: target.value } : target.name,
+      ])
+  );
+
+export const mappingFormFrom = (mapping = {}) =>
+  Object.fromEntries(
+    SOURCE_MAPPING_FIELDS.map(({ key }) => {
+      const target = mapping?.[key];
+      return [
+        key,
+        target && typeof target === "object"
+          ? { name: FIXED_VALUE, value: target.value }
+          : { name: target || "", value: "" },
+      ];
+    })
+  );